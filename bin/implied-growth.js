@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/**
+ * implied-growth command line
+ * Solves the dividend discount models with the calculator's validation and
+ * prints the result as a table, JSON or CSV
+ *
+ *   implied-growth --price 100 --dividend 5 --return 7 --years 10 --format table
+ *   implied-growth --self-test
+ *
+ * Exit status: 0 on success, 1 when the inputs fail validation or a self-test
+ * fails, 2 on a usage error.
+ */
+
+import { parseArgs } from 'node:util';
+import {
+  INPUT_OPTIONS,
+  calculate,
+  parseInputOptions,
+  resultToCsv,
+  runSelfTestCases
+} from '../modules/headless.js';
+import { formatCurrency, formatNumber, formatPercentage, formatYears } from '../modules/utils.js';
+
+const FORMATS = ['table', 'json', 'csv'];
+
+const MODEL_NAMES = { gordon: 'Constant growth', twoStage: 'Two-stage', hModel: 'H-model' };
+
+/** Option help: the value each input takes */
+const OPTION_HINTS = {
+  marketPrice: 'Market price PV_t (USD)',
+  currentDividend: 'Current dividend Div_t (USD)',
+  requiredReturn: 'Required return r (%)',
+  growthRate: 'Growth rate g (%) when solving for return or price',
+  highGrowthRate: 'High growth rate g_S (%), multi-stage models',
+  highGrowthYears: 'High-growth years N, or 2H for the H-model',
+  horizonYears: 'Projected years',
+  earningsPerShare: 'Next-year EPS E_t+1 (USD), for PVGO',
+  returnOnEquity: 'ROE (%), for sustainable growth',
+  payoutRatio: 'Payout ratio (%), for sustainable growth',
+  inflationRate: 'Expected inflation (%), for real rates',
+  riskFreeRate: 'Risk-free rate (%), CAPM',
+  beta: 'Beta, CAPM',
+  equityRiskPremium: 'Equity risk premium (%), CAPM',
+  specificRiskPremium: 'Size or specific-risk premium (%), CAPM'
+};
+
+/**
+ * Usage text
+ * @returns {string} Help
+ */
+function usage() {
+  const inputs = INPUT_OPTIONS.map(({ field, param, values }) => {
+    const hint = values ? values.join(' | ') : OPTION_HINTS[field];
+    return `  ${`--${param}`.padEnd(12)} ${hint}`;
+  });
+  return [
+    'Usage: implied-growth [inputs] [--format table|json|csv]',
+    '       implied-growth --self-test',
+    '',
+    'Inputs (missing ones take the curriculum defaults: price 100, dividend 5, return 7):',
+    ...inputs,
+    '',
+    'Options:',
+    '  --format     Output: table (default), json or csv',
+    '  --self-test  Check the models against known results',
+    '  --help       Show this help'
+  ].join('\n');
+}
+
+/**
+ * Label and value rows of each analysis in the result that the JSON output
+ * carries (CAPM, present values, PVGO, sustainable growth, real rates)
+ * @param {Object} calculations - calculateGrowthMetrics result
+ * @returns {Array<Array<Array<string>>>} Sections of [label, value] rows
+ */
+function formatAnalyses(calculations) {
+  const { model, capm, reconciliation, priceBreakdown, sustainableGrowth, inflation } = calculations;
+  const growthLabel = model === 'gordon' ? 'growth g' : 'long-run growth g_L';
+  const sections = [];
+
+  if (capm) {
+    sections.push([
+      ['Risk-free rate', formatPercentage(capm.riskFreeRate)],
+      ['Beta', formatNumber(capm.beta)],
+      ['Equity risk premium', formatPercentage(capm.equityRiskPremium)],
+      ['Size or specific-risk premium', formatPercentage(capm.specificRiskPremium)],
+      ['Required return r from CAPM', formatPercentage(capm.requiredReturn)]
+    ]);
+  }
+
+  if (reconciliation) {
+    sections.push([
+      [`PV of dividends over ${formatYears(reconciliation.horizon)}`, formatCurrency(reconciliation.pvDividends)],
+      [`Terminal value at year ${reconciliation.horizon}`, formatCurrency(reconciliation.terminalValue)],
+      ['PV of terminal value', formatCurrency(reconciliation.pvTerminalValue)],
+      ['Total present value', formatCurrency(reconciliation.total)]
+    ]);
+  }
+
+  if (priceBreakdown) {
+    const noGrowthBasis = priceBreakdown.basis === 'earnings' ? 'E_t+1/r' : 'Div_t+1/r';
+    sections.push([
+      [`No-growth value ${noGrowthBasis}`, formatCurrency(priceBreakdown.noGrowthValue)],
+      ['PVGO', formatCurrency(priceBreakdown.pvgo)],
+      ['PVGO share of price', formatPercentage(priceBreakdown.pvgoShare)],
+      ...(priceBreakdown.impliedPE !== null ? [['Implied P/E', `${priceBreakdown.impliedPE.toFixed(2)}x`]] : [])
+    ]);
+  }
+
+  if (sustainableGrowth) {
+    sections.push([
+      ['Return on equity', formatPercentage(sustainableGrowth.returnOnEquity)],
+      ['Payout ratio', formatPercentage(sustainableGrowth.payoutRatio)],
+      ['Retention ratio b', formatPercentage(sustainableGrowth.retentionRatio)],
+      ['Sustainable growth b x ROE', formatPercentage(sustainableGrowth.sustainableGrowth)],
+      [`Gap (${growthLabel} - sustainable)`, formatPercentage(sustainableGrowth.gap)]
+    ]);
+  }
+
+  if (inflation) {
+    sections.push([
+      ['Inflation', formatPercentage(inflation.inflationRate)],
+      [`Real ${growthLabel}`, formatPercentage(inflation.realGrowth)],
+      ...(inflation.realHighGrowthRate !== null ? [['Real high growth g_S', formatPercentage(inflation.realHighGrowthRate)]] : []),
+      ['Real required return', formatPercentage(inflation.realReturn)]
+    ]);
+  }
+
+  return sections;
+}
+
+/**
+ * Print the result as a text table
+ * @param {Object} result - calculate result with calculations
+ * @returns {string} Text
+ */
+function formatTable({ inputs, calculations }) {
+  const { model, solveFor, marketPrice, requiredReturn, impliedGrowth, expectedD1, dividendYield, cashFlows } = calculations;
+  const solved = (field) => (field === solveFor ? ' (solved)' : '');
+  const growthLabel = model === 'gordon' ? 'Growth rate g' : 'Long-run growth rate g_L';
+
+  const summary = [
+    ['Model', MODEL_NAMES[model]],
+    [`Market price PV_t${solved('price')}`, formatCurrency(marketPrice)],
+    ['Current dividend Div_t', formatCurrency(inputs.currentDividend)],
+    [`Required return r${solved('return')}`, formatPercentage(requiredReturn)],
+    [`${growthLabel}${model === 'gordon' ? solved('growth') : ' (solved)'}`, formatPercentage(impliedGrowth)],
+    ['Expected next dividend Div_t+1', formatCurrency(expectedD1)],
+    ['Dividend yield', formatPercentage(dividendYield)]
+  ];
+  const sections = [summary, ...formatAnalyses(calculations)];
+  const labelWidth = Math.max(...sections.flat().map(([label]) => label.length));
+
+  const rows = [['Year', 'Dividend (USD)', 'Growth'], ...cashFlows
+    .filter(cf => cf.period > 0)
+    .map(cf => [cf.label, formatNumber(cf.dividend), formatPercentage(cf.growthRate)])];
+  const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+
+  return [
+    ...sections.flatMap(section => [...section.map(([label, value]) => `${label.padEnd(labelWidth)}  ${value}`), '']),
+    ...rows.map(row => row.map((cell, col) => (col === 0 ? cell.padEnd(widths[col]) : cell.padStart(widths[col]))).join('  '))
+  ].join('\n');
+}
+
+/**
+ * Run the self-tests
+ * @returns {number} Exit status
+ */
+function selfTest() {
+  const results = runSelfTestCases();
+  results.forEach(({ name, passed, message }) => {
+    console.log(passed ? `✓ ${name}` : `✗ ${name}: ${message}`);
+  });
+  const failed = results.filter(({ passed }) => !passed).length;
+  console.log(failed === 0 ? `All ${results.length} checks passed` : `${failed} of ${results.length} checks failed`);
+  return failed === 0 ? 0 : 1;
+}
+
+/**
+ * Parse the arguments and print the result
+ * @param {Array<string>} args - Command line arguments
+ * @returns {number} Exit status
+ */
+function main(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: {
+        ...Object.fromEntries(INPUT_OPTIONS.map(({ param }) => [param, { type: 'string' }])),
+        format: { type: 'string', default: 'table' },
+        'self-test': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage()}`);
+    return 2;
+  }
+
+  const { format, 'self-test': runTests, help, ...options } = parsed.values;
+  if (help) {
+    console.log(usage());
+    return 0;
+  }
+  if (runTests) return selfTest();
+  if (!FORMATS.includes(format)) {
+    console.error(`--format must be one of ${FORMATS.join(', ')}`);
+    return 2;
+  }
+
+  const { inputs, invalid } = parseInputOptions(options);
+  if (invalid.length > 0) {
+    console.error(`Not a valid value: ${invalid.map(param => `--${param}`).join(', ')}`);
+    return 2;
+  }
+
+  const result = calculate(inputs);
+  const isValid = result.calculations !== null;
+
+  if (format === 'json') {
+    console.log(JSON.stringify({ inputs: result.inputs, errors: result.errors, results: result.calculations }, null, 2));
+  } else if (isValid) {
+    console.log(format === 'csv' ? resultToCsv(result) : formatTable(result));
+  }
+  if (!isValid && format !== 'json') {
+    Object.values(result.errors).forEach(message => console.error(message));
+  }
+  return isValid ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -1,509 +1,2420 @@
 /**
- * Implied Growth Rate Calculator - Main Entry Point
+ * Implied Growth Rate Calculator - Application
  * CFA Institute - Vanilla JavaScript Implementation
  * 
  * This calculator demonstrates the Gordon Growth Model for calculating
  * implied growth rates from market pricing.
  * Built with accessibility (WCAG 2.1 AA) and maintainability in mind.
+ * 
+ * Each <implied-growth-calculator> element (modules/implied-growth-element.js)
+ * runs one calculator with createCalculator; index.html is one such element.
  */
 
-import { state, setState, subscribe } from './modules/state.js';
-import { calculateGrowthMetrics } from './modules/calculations.js';
+import { DEFAULTS } from './modules/state.js';
+import { readUrlState, parseStateValues } from './modules/url-state.js';
+import { readSession, writeSession } from './modules/session-store.js';
+import {
+  HOST_FIELDS,
+  parseAllowedOrigins,
+  readHostMessage,
+  checkHostRequest,
+  parseLockedFields,
+  createHostMessage,
+  summarizeGrowth,
+  buildResultsPayload
+} from './modules/host-messages.js';
+import { calculateGrowthMetrics, calculateCapmReturn, usesCapm } from './modules/calculations.js';
 import { 
   validateAllInputs, 
   validateField, 
   updateFieldError, 
   updateValidationSummary,
-  hasErrors 
+  hasErrors,
+  getInputFields,
+  isMultiStageModel,
+  CAPM_FIELDS,
+  SIMULATION_FIELDS
 } from './modules/validation.js';
 import { 
   $, 
   listen, 
   focusElement, 
+  createElement,
   announceToScreenReader,
   debounce,
   clampNumericInputLength,
+  formatPercentage,
+  formatYears,
   NUMERIC_INPUT_MAX_CHARS
 } from './modules/utils.js';
-import { renderChart, shouldShowLabels, destroyChart } from './modules/chart.js';
+import { createChartView, renderChart, shouldShowLabels, destroyChart, createComparisonLegend } from './modules/chart.js';
 import { renderTable } from './modules/table.js';
-import { renderResults } from './modules/results.js';
+import { renderResults, renderSensitivityTable, getSensitivityNote } from './modules/results.js';
+import { renderHeatmap } from './modules/sensitivity.js';
+import { renderSimulationResults, clearSimulationResults } from './modules/simulation.js';
+import { runSelfTestCases } from './modules/self-tests.js';
+import { runCalculation, cancelCalculation, isAbortError } from './modules/calculation-service.js';
+import { parseBatchText, sortBatchResults, filterBatchResults, batchToCsv } from './modules/batch.js';
+import { renderBatchTable, describeBatch, batchRowName, isLoadableRow } from './modules/batch-panel.js';
+import { parseDividendHistory, annualizeDividends } from './modules/dividend-history.js';
+import { downloadCsv, downloadXlsx, downloadBlob } from './modules/export.js';
+import { chartToPng, chartToSvg } from './modules/chart-export.js';
+import { buildPrintReport } from './modules/report.js';
 import { renderDynamicEquation } from './modules/equation.js';
+import {
+  getScenarios,
+  getScenario,
+  saveScenario,
+  renameScenario,
+  duplicateScenario,
+  deleteScenario,
+  buildComparisons,
+  MAX_COMPARED
+} from './modules/scenarios.js';
+import { renderScenarioList } from './modules/scenario-panel.js';
+import {
+  createHistory,
+  recordSnapshot,
+  amendPresent,
+  takeSnapshot,
+  undo,
+  redo,
+  describeChange,
+  buildChangeLog,
+  describeGrowthMove
+} from './modules/undo-history.js';
 
-// =============================================================================
-// INITIALIZATION
-// =============================================================================
+/**
+ * Input element IDs and the state fields they drive; optional inputs hold
+ * null while blank
+ */
+const INPUT_FIELDS = [
+  { id: 'market-price', field: 'marketPrice' },
+  { id: 'current-dividend', field: 'currentDividend' },
+  { id: 'required-return', field: 'requiredReturn' },
+  { id: 'growth-rate', field: 'growthRate' },
+  { id: 'high-growth-rate', field: 'highGrowthRate' },
+  { id: 'high-growth-years', field: 'highGrowthYears' },
+  { id: 'horizon-years', field: 'horizonYears' },
+  { id: 'earnings-per-share', field: 'earningsPerShare', optional: true },
+  { id: 'return-on-equity', field: 'returnOnEquity', optional: true },
+  { id: 'payout-ratio', field: 'payoutRatio', optional: true },
+  { id: 'inflation-rate', field: 'inflationRate', optional: true },
+  { id: 'risk-free-rate', field: 'riskFreeRate' },
+  { id: 'beta', field: 'beta' },
+  { id: 'equity-risk-premium', field: 'equityRiskPremium' },
+  { id: 'specific-risk-premium', field: 'specificRiskPremium', optional: true }
+];
 
 /**
- * Initialize the calculator when DOM is ready
+ * Visualizer views: toggle button and the container each one shows
  */
-function init() {
-  console.log('Implied Growth Calculator initializing...');
-  
-  // Set up input event listeners
-  setupInputListeners();
-  
-  // Set up view toggle listeners
-  setupViewToggle();
-  
-  // Set up skip link handlers
-  setupSkipLinks();
-  
-  // Set up window resize listener for chart labels
-  setupResizeListener();
+const VIEWS = [
+  { view: 'chart', buttonId: 'chart-view-btn', containerId: 'chart-container' },
+  { view: 'table', buttonId: 'table-view-btn', containerId: 'table-container' },
+  { view: 'heatmap', buttonId: 'heatmap-view-btn', containerId: 'heatmap-container' },
+  { view: 'simulation', buttonId: 'simulation-view-btn', containerId: 'simulation-container' }
+];
+
+/**
+ * Simulation form controls and the state fields they set
+ */
+const SIMULATION_CONTROLS = [
+  { id: 'simulation-return-dist', field: 'simulationReturnDist' },
+  { id: 'simulation-return-spread', field: 'simulationReturnSpread', numeric: true },
+  { id: 'simulation-dividend-dist', field: 'simulationDividendDist' },
+  { id: 'simulation-dividend-spread', field: 'simulationDividendSpread', numeric: true },
+  { id: 'simulation-draws', field: 'simulationDraws', numeric: true },
+  { id: 'simulation-seed', field: 'simulationSeed', numeric: true }
+];
+
+/** Screen-reader confirmation for each convention choice */
+const CONVENTION_ANNOUNCEMENTS = {
+  paymentFrequency: {
+    annual: 'Dividends paid once a year',
+    semiannual: 'Dividends paid twice a year',
+    quarterly: 'Dividends paid quarterly'
+  },
+  returnCompounding: {
+    effective: 'Required return quoted as an effective annual rate',
+    nominal: 'Required return quoted as a nominal annual rate, compounded with each payment'
+  },
+  dividendTiming: {
+    trailing: 'Dividend entered is the current dividend',
+    forward: 'Dividend entered is the next dividend'
+  }
+};
+
+/** Numbers the calculators on a page, to keep their calculation channels apart */
+let calculatorCount = 0;
+
+/**
+ * Run one calculator in a tree that holds the calculator markup (see
+ * modules/calculator-markup.js). Every lookup, listener, chart and
+ * calculation channel belongs to this calculator, so several can share a
+ * page. The primary calculator also owns the page: the URL, the stored
+ * session, host messages, page-wide undo shortcuts and the self-tests.
+ * @param {Object} options
+ * @param {Document|ShadowRoot} options.root - Tree holding the markup
+ * @param {Object} options.store - createStore result
+ * @param {boolean} options.primary - Whether this is the page's calculator
+ * @param {string|null} options.notice - Shown like a link notice when the
+ *   initial state had to be corrected (e.g. invalid element attributes)
+ * @returns {Object} { state, applyInputs, destroy }
+ */
+export function createCalculator({ root, store, primary = false, notice: initialNotice = null }) {
+  const { state, setState, subscribe } = store;
   
-  // Subscribe to state changes
-  subscribe(handleStateChange);
+  /** Aborted by destroy(), which removes every listener added with on() */
+  const listeners = new AbortController();
   
-  // Initial calculation
-  updateCalculations();
+  /** Chart.js instance, keyboard focus and label layouts of this calculator */
+  const chartView = createChartView(root);
   
-  // Run self-tests
-  runSelfTests();
+  /** Calculation service channels, so one calculator never cancels another's request */
+  const calculatorId = ++calculatorCount;
+  const channels = {
+    sensitivity: `sensitivity-${calculatorId}`,
+    simulation: `simulation-${calculatorId}`,
+    batch: `batch-${calculatorId}`
+  };
   
-  console.log('Implied Growth Calculator ready');
-}
+  /**
+   * Add an event listener that lives as long as this calculator
+   * @param {EventTarget|string} target - Target, or a selector within root
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler
+   */
+  function on(target, event, handler) {
+    listen(typeof target === 'string' ? $(target, root) : target, event, handler, { signal: listeners.signal });
+  }
 
-/**
- * Set up skip link handlers for accessibility
- */
-function setupSkipLinks() {
-  const skipToDataEntry = document.querySelector('a[href="#data-entry"]');
-  const skipToTableBtn = document.querySelector('a[href="#table-view-btn"]');
-  
-  if (skipToDataEntry) {
-    listen(skipToDataEntry, 'click', (e) => {
-      e.preventDefault();
+  // =============================================================================
+  // INITIALIZATION
+  // =============================================================================
+
+  /**
+   * Wire the markup to the store and show the first result
+   */
+  function init() {
+    console.log('Implied Growth Calculator initializing...');
+    
+    // Set up input event listeners
+    setupInputListeners();
+    
+    // Set up model and solve-for selectors
+    setupModelSelector();
+    setupSolveForSelector();
+    
+    // Set up the payment frequency, rate quote and dividend timing
+    setupPaymentConvention();
+    
+    // Set up the CAPM builder for r
+    setupCapmBuilder();
+    
+    // Set up the dividend history import
+    setupDividendHistory();
+    
+    // Set up view toggle listeners
+    setupViewToggle();
+    
+    // Set up the nominal / present-value switch and the price bar split
+    setupValueBasisSelector();
+    setupPriceBarSelector();
+    setupRateBasisSelector();
+    
+    // Set up skip link handlers
+    setupSkipLinks();
+    
+    // Set up saved scenarios and comparison
+    setupScenarioManager();
+    
+    // Set up CSV and Excel downloads
+    setupExportButtons();
+    
+    // Set up the printable report
+    setupPrintReport();
+    
+    // Set up the Monte Carlo simulation
+    setupSimulation();
+    
+    // Set up batch screening
+    setupBatch();
+    
+    // Restore a shared scenario from the URL, or the last session
+    restoreUrlState();
+    setupSessionPersistence();
+    
+    // Set up window resize listener for chart labels
+    setupResizeListener();
+    
+    // Subscribe to state changes
+    subscribe(handleStateChange);
+    
+    // Initial calculation
+    updateCalculations();
+    
+    // Start undo history at the restored inputs
+    setupUndoHistory();
+    
+    if (primary) {
+      // Answer LMS and iframe hosts
+      setupHostMessages();
       
-      // Focus the first input field
-      const firstInput = $('#market-price');
-      if (firstInput) {
-        firstInput.focus();
-        // Scroll into view
-        const dataEntry = $('#data-entry');
-        if (dataEntry) {
-          dataEntry.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      // Run self-tests
+      runSelfTests();
+    }
+    
+    console.log('Implied Growth Calculator ready');
+  }
+
+  /**
+   * Set up skip link handlers for accessibility
+   */
+  function setupSkipLinks() {
+    const skipToDataEntry = root.querySelector('a[href="#data-entry"]');
+    const skipToTableBtn = root.querySelector('a[href="#table-view-btn"]');
+    
+    if (skipToDataEntry) {
+      on(skipToDataEntry, 'click', (e) => {
+        e.preventDefault();
+        
+        // Focus the first input field
+        const firstInput = $('#market-price', root);
+        if (firstInput) {
+          firstInput.focus();
+          // Scroll into view
+          const dataEntry = $('#data-entry', root);
+          if (dataEntry) {
+            dataEntry.scrollIntoView({ behavior: 'smooth', block: 'start' });
+          }
         }
-      }
-    });
+      });
+    }
+    
+    if (skipToTableBtn) {
+      on(skipToTableBtn, 'click', (e) => {
+        e.preventDefault();
+        
+        // Switch to table view
+        switchView('table');
+        
+        // Focus the table button
+        const tableBtn = $('#table-view-btn', root);
+        if (tableBtn) {
+          tableBtn.scrollIntoView({ behavior: 'smooth', block: 'start' });
+          setTimeout(() => {
+            tableBtn.focus();
+          }, 100);
+        }
+      });
+    }
   }
-  
-  if (skipToTableBtn) {
-    listen(skipToTableBtn, 'click', (e) => {
-      e.preventDefault();
+
+  // =============================================================================
+  // INPUT HANDLING
+  // =============================================================================
+
+  /**
+   * Set up event listeners for input fields
+   */
+  function setupInputListeners() {
+    INPUT_FIELDS.forEach(({ id, field, optional }) => {
+      const input = $(`#${id}`, root);
+      if (!input) return;
       
-      // Switch to table view
-      switchView('table');
+      // Update state on input change (debounced)
+      const debouncedUpdate = debounce(() => {
+        const value = optional && input.value.trim() === '' ? null : parseFloat(input.value);
+        
+        // Validate field
+        const error = validateField(field, value);
+        updateFieldError(id, error, root);
+        
+        // Update state
+        const errors = { ...state.errors };
+        if (error) {
+          errors[field] = error;
+        } else {
+          delete errors[field];
+          // Also clear the cross-field errors - we'll revalidate below
+          delete errors.financial;
+          delete errors.horizon;
+          // A CAPM component rebuilds r, which is checked again below
+          if (CAPM_FIELDS.includes(field)) delete errors.requiredReturn;
+        }
+        
+        setState({
+          [field]: value,
+          errors,
+          ...capmReturnUpdate({ ...state, [field]: value })
+        });
+        syncCapmControls();
+        
+        // Update validation summary
+        updateValidationSummary(errors, root);
+        
+        // Always try to recalculate if no field errors
+        // This will revalidate financial logic with new values
+        if (!hasErrors(errors)) {
+          updateCalculations();
+        } else {
+          // Clear calculations if field errors exist
+          setState({ growthCalculations: null });
+        }
+      }, 300);
       
-      // Focus the table button
-      const tableBtn = $('#table-view-btn');
-      if (tableBtn) {
-        tableBtn.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        setTimeout(() => {
-          tableBtn.focus();
-        }, 100);
-      }
+      const onInput = () => {
+        clampNumericInputLength(input, NUMERIC_INPUT_MAX_CHARS);
+        debouncedUpdate();
+      };
+      on(input, 'input', onInput);
+      on(input, 'change', onInput);
     });
   }
-}
 
-// =============================================================================
-// INPUT HANDLING
-// =============================================================================
+  // =============================================================================
+  // MODEL AND SOLVE-FOR SELECTORS
+  // =============================================================================
 
-/**
- * Set up event listeners for input fields
- */
-function setupInputListeners() {
-  const inputs = [
-    { id: 'market-price', field: 'marketPrice' },
-    { id: 'current-dividend', field: 'currentDividend' },
-    { id: 'required-return', field: 'requiredReturn' }
-  ];
-  
-  inputs.forEach(({ id, field }) => {
-    const input = $(`#${id}`);
-    if (!input) return;
+  /**
+   * Set up the model buttons (constant growth, two-stage, H-model)
+   */
+  function setupModelSelector() {
+    root.querySelectorAll('[data-model]').forEach(btn => {
+      on(btn, 'click', () => switchModel(btn.dataset.model));
+    });
+  }
+
+  /**
+   * Set up the solve-for buttons (g, r or PV_t)
+   */
+  function setupSolveForSelector() {
+    root.querySelectorAll('[data-solve-for]').forEach(btn => {
+      on(btn, 'click', () => switchSolveFor(btn.dataset.solveFor));
+    });
+  }
+
+  /**
+   * Mark the active button in a selector group
+   * @param {string} attr - Data attribute name (e.g. 'solveFor')
+   * @param {string} value - Active value
+   */
+  function updateSelectorButtons(attr, value) {
+    root.querySelectorAll(`[data-${attr.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}]`).forEach(btn => {
+      const isActive = btn.dataset[attr] === value;
+      btn.classList.toggle('active', isActive);
+      btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+  }
+
+  /**
+   * Bring the selectors, labels and visible inputs in line with the model
+   * and solve-for mode held in state
+   */
+  function syncModeControls() {
+    const { model, solveFor } = state;
+    const isMultiStage = isMultiStageModel(model);
     
-    // Update state on input change (debounced)
-    const debouncedUpdate = debounce(() => {
-      const value = parseFloat(input.value);
-      
-      // Validate field
-      const error = validateField(field, value);
-      updateFieldError(id, error);
-      
-      // Update state
-      const errors = { ...state.errors };
-      if (error) {
-        errors[field] = error;
-      } else {
-        delete errors[field];
-        // Also clear financial error - we'll revalidate below
-        delete errors.financial;
-      }
-      
-      setState({
-        [field]: value,
-        errors
+    updateSelectorButtons('model', model);
+    updateSelectorButtons('solveFor', solveFor);
+    
+    // Multi-stage models have no closed form for r or PV_t here; they
+    // always back out the implied long-run growth from the market price
+    root.querySelectorAll('[data-solve-for]').forEach(btn => {
+      btn.disabled = isMultiStage && btn.dataset.solveFor !== 'growth';
+    });
+    const solveForSelector = $('#solve-for-selector', root);
+    if (solveForSelector) solveForSelector.hidden = isMultiStage;
+    
+    const yearsLabel = $('#high-growth-years-label', root);
+    if (yearsLabel) {
+      yearsLabel.innerHTML = model === 'hModel'
+        ? 'Growth decline years (<span class="label-var-growth">2𝐻</span>):'
+        : 'High-growth years (<span class="label-var-growth">𝑁</span>):';
+    }
+    
+    // Show the inputs for this mode, hide the unknown
+    const activeFields = getInputFields(solveFor, model);
+    INPUT_FIELDS.forEach(({ id, field }) => {
+      const group = $(`#${id}-group`, root);
+      if (group) group.hidden = !activeFields.includes(field);
+    });
+    
+    syncCapmControls();
+    syncConventionControls();
+    syncLockedFields();
+  }
+
+  // =============================================================================
+  // PAYMENT CONVENTION
+  // =============================================================================
+
+  /**
+   * Set up the payment frequency, rate quote and dividend timing buttons
+   */
+  function setupPaymentConvention() {
+    Object.keys(CONVENTION_ANNOUNCEMENTS).forEach(field => {
+      const attr = field.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+      root.querySelectorAll(`[data-${attr}]`).forEach(btn => {
+        on(btn, 'click', () => switchConvention(field, btn.dataset[field]));
       });
-      
-      // Update validation summary
-      updateValidationSummary(errors);
-      
-      // Always try to recalculate if no field errors
-      // This will revalidate financial logic with new values
-      if (!hasErrors(errors)) {
-        updateCalculations();
-      } else {
-        // Clear calculations if field errors exist
-        setState({ growthCalculations: null });
-      }
-    }, 300);
+    });
+  }
+
+  /**
+   * Change one part of the payment convention, revalidate and recalculate
+   * @param {string} field - 'paymentFrequency', 'returnCompounding' or 'dividendTiming'
+   * @param {string} value - New value
+   */
+  function switchConvention(field, value) {
+    if (state[field] === value) return;
     
-    const onInput = () => {
-      clampNumericInputLength(input, NUMERIC_INPUT_MAX_CHARS);
-      debouncedUpdate();
-    };
-    listen(input, 'input', onInput);
-    listen(input, 'change', onInput);
-  });
-}
+    const errors = validateAllInputs({ ...state, [field]: value });
+    setState({ [field]: value, errors });
+    syncConventionControls();
+    syncFieldErrors(errors);
+    updateValidationSummary(errors, root);
+    updateCalculations();
+    
+    announceToScreenReader(CONVENTION_ANNOUNCEMENTS[field][value], root);
+  }
 
-/**
- * Update growth calculations based on current state
- */
-function updateCalculations() {
-  const { marketPrice, currentDividend, requiredReturn, errors } = state;
-  
-  // Don't calculate if there are validation errors
-  if (hasErrors(errors)) {
-    setState({ growthCalculations: null });
-    return;
+  /**
+   * Mark the active convention buttons, show the rate quote only when
+   * dividends are paid more than once a year, and name the entered dividend
+   */
+  function syncConventionControls() {
+    const { paymentFrequency, returnCompounding, dividendTiming } = state;
+    updateSelectorButtons('paymentFrequency', paymentFrequency);
+    updateSelectorButtons('returnCompounding', returnCompounding);
+    updateSelectorButtons('dividendTiming', dividendTiming);
+    
+    const isAnnual = paymentFrequency === 'annual';
+    const compoundingSelector = $('#return-compounding-selector', root);
+    if (compoundingSelector) compoundingSelector.hidden = isAnnual;
+    
+    const dividendLabel = $('#current-dividend-label', root);
+    if (dividendLabel) {
+      const name = dividendTiming === 'forward'
+        ? 'Next dividend (<span class="label-var-dividend">Div<sub>𝑡+1</sub></span>)'
+        : 'Current dividend (<span class="label-var-dividend">Div<sub>𝑡</sub></span>)';
+      dividendLabel.innerHTML = isAnnual ? `${name}:` : `${name}, annual rate:`;
+    }
   }
-  
-  try {
-    // Calculate growth metrics
-    const calculations = calculateGrowthMetrics({
-      marketPrice,
-      currentDividend,
-      requiredReturn
+
+  // =============================================================================
+  // CAPM BUILDER
+  // =============================================================================
+
+  /**
+   * Set up the button that switches r between a typed value and the CAPM
+   * builder
+   */
+  function setupCapmBuilder() {
+    on('#capm-toggle-btn', 'click', () => {
+      const returnSource = state.returnSource === 'capm' ? 'input' : 'capm';
+      const next = { ...state, returnSource };
+      const errors = validateAllInputs(next);
+      
+      setState({ returnSource, errors, ...capmReturnUpdate(next) });
+      syncCapmControls();
+      syncFieldErrors(errors);
+      updateValidationSummary(errors, root);
+      updateCalculations();
+      
+      announceToScreenReader(returnSource === 'capm'
+        ? 'Required return now built from the CAPM components'
+        : 'Required return entered directly', root);
+    });
+  }
+
+  /**
+   * Set up the dividend history import: open the panel, read a file or
+   * pasted text, and clear
+   */
+  function setupDividendHistory() {
+    on('#history-toggle-btn', 'click', (e) => {
+      const panel = $('#history-import', root);
+      if (!panel) return;
+      panel.hidden = !panel.hidden;
+      e.currentTarget.setAttribute('aria-expanded', panel.hidden ? 'false' : 'true');
     });
     
-    // Validate financial logic
-    const allErrors = validateAllInputs(state);
+    on('#history-file', 'change', async (e) => {
+      const [file] = e.target.files;
+      if (!file) return;
+      let text;
+      try {
+        text = await file.text();
+      } catch (error) {
+        syncHistoryControls(`Could not read ${file.name}: ${error.message}`);
+        return;
+      }
+      const input = $('#history-input', root);
+      if (input) input.value = text;
+      importDividendHistory(text);
+    });
     
-    if (hasErrors(allErrors)) {
-      setState({ errors: allErrors, growthCalculations: null });
-      updateValidationSummary(allErrors);
+    on('#history-import-btn', 'click', () => {
+      const input = $('#history-input', root);
+      importDividendHistory(input ? input.value : '');
+    });
+    
+    on('#history-clear-btn', 'click', () => {
+      setState({ dividendHistory: null });
+      const input = $('#history-input', root);
+      if (input) input.value = '';
+      const file = $('#history-file', root);
+      if (file) file.value = '';
+      syncHistoryControls('Dividend history cleared');
+      updateCalculations();
+    });
+  }
+
+  /**
+   * Sum a dividend history into calendar years and use it for the realized
+   * growth fit and the chart
+   * @param {string} text - CSV or JSON history
+   */
+  function importDividendHistory(text) {
+    const { payments, error } = parseDividendHistory(text);
+    if (error) {
+      syncHistoryControls(error);
       return;
     }
     
-    // Clear errors and update calculations
-    setState({ 
-      errors: {},  // Explicitly clear errors
-      growthCalculations: calculations 
-    });
-    updateValidationSummary({});  // Explicitly hide error display
+    const { years, partialYears } = annualizeDividends(payments);
+    if (years.length < 2) {
+      syncHistoryControls('The history needs at least two full calendar years of dividends');
+      return;
+    }
     
-  } catch (error) {
-    console.error('Calculation error:', error);
-    setState({ growthCalculations: null });
+    setState({ dividendHistory: years.map(({ year, dividend }) => ({ year, dividend })) });
+    const first = years[0].year;
+    const last = years[years.length - 1].year;
+    syncHistoryControls(`Imported ${years.length} years of dividends, ${first}–${last}` +
+      (partialYears.length > 0 ? `; part years ${partialYears.join(' and ')} left out` : ''));
+    updateCalculations();
   }
-}
 
-// =============================================================================
-// VIEW TOGGLE (CHART/TABLE)
-// =============================================================================
+  /**
+   * Show the import status and enable Clear while a history is loaded
+   * @param {string} message - Status text
+   */
+  function syncHistoryControls(message) {
+    const status = $('#history-status', root);
+    if (status) status.textContent = message;
+    const clearBtn = $('#history-clear-btn', root);
+    if (clearBtn) clearBtn.disabled = !state.dividendHistory;
+  }
 
-/**
- * Set up chart/table view toggle with arrow key navigation
- */
-function setupViewToggle() {
-  const chartBtn = $('#chart-view-btn');
-  const tableBtn = $('#table-view-btn');
-  
-  if (!chartBtn || !tableBtn) {
-    console.error('Toggle buttons not found');
-    return;
+  /**
+   * The required return the CAPM builder sets for a state, as a state update
+   * @param {Object} nextState - State to build r for
+   * @returns {Object} { requiredReturn }, or {} when the builder is off or a
+   *   component is invalid
+   */
+  function capmReturnUpdate(nextState) {
+    if (!usesCapm(nextState)) return {};
+    if (CAPM_FIELDS.some(field => validateField(field, nextState[field]))) return {};
+    return { requiredReturn: calculateCapmReturn(nextState).requiredReturn };
   }
-  
-  // Click handlers
-  listen(chartBtn, 'click', () => {
-    switchView('chart');
-  });
-  
-  listen(tableBtn, 'click', () => {
-    switchView('table');
-  });
-  
-  // Keyboard handlers for Chart button
-  listen(chartBtn, 'keydown', (e) => {
-    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
-      e.preventDefault();
-      // Arrow keys: move to table button and switch to table view
-      tableBtn.focus();
-      switchView('table');
-    } else if (e.key === 'Enter' || e.key === ' ') {
-      e.preventDefault();
-      // Enter/Space: activate chart view (this button's view)
-      switchView('chart');
+
+  /**
+   * Show the builder while it sets r, lock the r input to its result and
+   * spell out the sum
+   */
+  function syncCapmControls() {
+    const isCapm = usesCapm(state);
+    const toggle = $('#capm-toggle-btn', root);
+    const builder = $('#capm-builder', root);
+    const capmGroup = $('#capm-group', root);
+    const returnInput = $('#required-return', root);
+    
+    // The builder belongs to r, so it goes when r is the unknown
+    if (capmGroup) capmGroup.hidden = !getInputFields(state.solveFor, state.model).includes('requiredReturn');
+    if (toggle) {
+      toggle.classList.toggle('active', isCapm);
+      toggle.setAttribute('aria-pressed', isCapm ? 'true' : 'false');
     }
-  });
-  
-  // Keyboard handlers for Table button
-  listen(tableBtn, 'keydown', (e) => {
-    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
-      e.preventDefault();
-      // Arrow keys: move to chart button and switch to chart view
-      chartBtn.focus();
-      switchView('chart');
-    } else if (e.key === 'Enter' || e.key === ' ') {
-      e.preventDefault();
-      // Enter/Space: activate table view (this button's view)
-      switchView('table');
+    if (builder) builder.hidden = !isCapm;
+    if (returnInput) {
+      returnInput.readOnly = isCapm;
+      if (isCapm) returnInput.value = String(Math.round(state.requiredReturn * 100) / 100);
     }
-  });
-}
+    
+    const summary = $('#capm-result', root);
+    if (summary && isCapm) {
+      const invalid = CAPM_FIELDS.some(field => validateField(field, state[field]));
+      const capm = invalid ? null : calculateCapmReturn(state);
+      summary.textContent = capm
+        ? `𝑟 = ${formatPercentage(capm.riskFreeRate)} + ${capm.beta.toFixed(2)} × ${formatPercentage(capm.equityRiskPremium)}` +
+          `${capm.specificRiskPremium ? ` + ${formatPercentage(capm.specificRiskPremium)}` : ''} = ${formatPercentage(capm.requiredReturn)}`
+        : 'Correct the CAPM components to build 𝑟.';
+    }
+    
+    syncLockedFields();
+  }
 
-/**
- * Switch between chart and table views
- * @param {string} view - 'chart' or 'table'
- */
-function switchView(view) {
-  const chartBtn = $('#chart-view-btn');
-  const tableBtn = $('#table-view-btn');
-  const chartContainer = $('#chart-container');
-  const tableContainer = $('#table-container');
-  const legend = $('#chart-legend');
-  
-  // Update state
-  setState({ viewMode: view });
-  
-  // Update button states
-  if (view === 'chart') {
-    chartBtn.classList.add('active');
-    chartBtn.setAttribute('aria-pressed', 'true');
-    tableBtn.classList.remove('active');
-    tableBtn.setAttribute('aria-pressed', 'false');
-    
-    // Show chart, hide table
-    chartContainer.style.display = 'block';
-    tableContainer.style.display = 'none';
-    legend.style.display = 'flex';
+  /**
+   * Write state values into the input fields (used when state is restored
+   * rather than typed)
+   */
+  function syncInputValues() {
+    INPUT_FIELDS.forEach(({ id, field, optional }) => {
+      const input = $(`#${id}`, root);
+      if (input && Number.isFinite(state[field])) {
+        input.value = String(state[field]);
+      } else if (input && optional && state[field] === null) {
+        input.value = '';
+      }
+    });
+  }
+
+  /**
+   * Mark the inputs named in an error object; a stage period that does not
+   * fit inside the projection horizon marks both inputs
+   * @param {Object} errors - Error object
+   */
+  function syncFieldErrors(errors) {
+    INPUT_FIELDS.forEach(({ id, field }) => {
+      const crossFieldError = (field === 'highGrowthYears' || field === 'horizonYears') && errors.horizon;
+      updateFieldError(id, errors[field] || crossFieldError || null, root);
+    });
+  }
+
+  /**
+   * Apply a new input mode (model and/or solve-for): show the inputs it uses,
+   * revalidate them, and recalculate
+   * @param {Object} updates - { model?, solveFor? }
+   */
+  function applyInputMode(updates) {
+    const prevFields = getInputFields(state.solveFor, state.model);
+    const next = { solveFor: state.solveFor, model: state.model, ...updates };
+    const activeFields = getInputFields(next.solveFor, next.model);
     
-    // Announce change
-    announceToScreenReader('Chart view active');
+    // Seed newly exposed inputs with the last solved value so the
+    // scenario carries over instead of jumping back to stale defaults
+    const seeded = {};
+    const calc = state.growthCalculations;
+    if (calc) {
+      const solvedValues = {
+        marketPrice: calc.marketPrice,
+        requiredReturn: calc.requiredReturn,
+        growthRate: calc.impliedGrowth
+      };
+      Object.entries(solvedValues).forEach(([field, value]) => {
+        if (activeFields.includes(field) && !prevFields.includes(field)) {
+          seeded[field] = Math.round(value * 10) / 10;
+        }
+      });
+    }
     
-  } else {
-    tableBtn.classList.add('active');
-    tableBtn.setAttribute('aria-pressed', 'true');
-    chartBtn.classList.remove('active');
-    chartBtn.setAttribute('aria-pressed', 'false');
+    INPUT_FIELDS.forEach(({ id, field }) => {
+      const input = $(`#${id}`, root);
+      if (input && seeded[field] !== undefined) input.value = seeded[field].toFixed(1);
+      updateFieldError(id, null, root);
+    });
     
-    // Show table, hide chart
-    tableContainer.style.display = 'block';
-    chartContainer.style.display = 'none';
-    legend.style.display = 'none';
+    // Revalidate only the fields that are inputs in the new mode
+    const nextState = { ...state, ...seeded, ...next };
+    const errors = {};
+    activeFields.forEach(field => {
+      const error = validateField(field, nextState[field]);
+      if (error) {
+        errors[field] = error;
+        const entry = INPUT_FIELDS.find(f => f.field === field);
+        if (entry) updateFieldError(entry.id, error, root);
+      }
+    });
     
-    // Announce change
-    announceToScreenReader('Table view active');
+    setState({ ...seeded, ...next, errors, ...capmReturnUpdate(nextState) });
+    syncModeControls();
+    updateValidationSummary(errors, root);
+    updateCalculations();
   }
-}
-
-// =============================================================================
-// RENDERING
-// =============================================================================
 
-/**
- * Handle state changes and update UI
- * @param {Object} newState - Updated state
- */
-function handleStateChange(newState) {
-  const { growthCalculations, viewMode } = newState;
-  
-  if (!growthCalculations) {
-    // Clear displays if no calculations
-    return;
-  }
-  
-  // Update results section
-  renderResults(growthCalculations, {
-    marketPrice: newState.marketPrice,
-    currentDividend: newState.currentDividend,
-    requiredReturn: newState.requiredReturn
-  });
-  
-  // Update dynamic equation
-  renderDynamicEquation(growthCalculations, {
-    marketPrice: newState.marketPrice,
-    currentDividend: newState.currentDividend,
-    requiredReturn: newState.requiredReturn
-  });
-  
-  // Update chart if in chart view
-  if (viewMode === 'chart') {
-    const showLabels = shouldShowLabels();
-    renderChart(
-      growthCalculations.cashFlows, 
-      showLabels, 
-      growthCalculations.impliedGrowth
-    );
+  /**
+   * Switch which Gordon variable is solved for
+   * @param {string} solveFor - 'growth', 'return' or 'price'
+   */
+  function switchSolveFor(solveFor) {
+    if (solveFor === state.solveFor) return;
+    
+    applyInputMode({ solveFor });
+    
+    const labels = { growth: 'growth rate', return: 'required return', price: 'market price' };
+    announceToScreenReader(`Solving for ${labels[solveFor]}`, root);
   }
-  
-  // Always update table (even if hidden)
-  renderTable(
-    growthCalculations.cashFlows,
-    growthCalculations.impliedGrowth
-  );
-}
 
-// =============================================================================
-// WINDOW RESIZE HANDLING
-// =============================================================================
+  /**
+   * Switch dividend discount model
+   * @param {string} model - 'gordon', 'twoStage' or 'hModel'
+   */
+  function switchModel(model) {
+    if (model === state.model) return;
+    
+    applyInputMode(isMultiStageModel(model) ? { model, solveFor: 'growth' } : { model });
+    
+    const labels = { gordon: 'Constant growth', twoStage: 'Two-stage', hModel: 'H-model' };
+    announceToScreenReader(`${labels[model]} model selected`, root);
+  }
 
-/**
- * Set up window resize listener for responsive chart labels
- */
-function setupResizeListener() {
-  let resizeTimeout;
-  
-  listen(window, 'resize', () => {
-    // Debounce resize events
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      handleResponsiveView();
-      
-      if (state.viewMode === 'chart' && state.growthCalculations) {
-        const showLabels = shouldShowLabels();
-        renderChart(
-          state.growthCalculations.cashFlows, 
-          showLabels,
-          state.growthCalculations.impliedGrowth
-        );
-      }
-    }, 250);
-  });
-  
-  // Initial check
-  handleResponsiveView();
-}
+  // =============================================================================
+  // SHAREABLE URL STATE
+  // =============================================================================
 
-/**
- * Handle responsive view switching based on viewport width
- */
-function handleResponsiveView() {
-  const chartBtn = $('#chart-view-btn');
-  const tableBtn = $('#table-view-btn');
-  const helper = $('#chart-helper-text');
-  const viewportWidth = window.innerWidth;
-  
-  // At very narrow widths (< 600px), force table view and disable chart button
-  if (viewportWidth < 600) {
-    if (state.viewMode === 'chart') {
-      switchView('table');
+  /**
+   * Restore inputs and view settings from the page URL, falling back to the
+   * defaults (with a visible notice) when the link is invalid or tampered with.
+   * Without a shared scenario in the URL, the last session is restored.
+   * Only the primary calculator reads the URL and session; the others show
+   * the state their store started with.
+   */
+  function restoreUrlState() {
+    let { updates, notice } = primary ? readUrlState(DEFAULTS) : { updates: {}, notice: initialNotice };
+    if (primary && Object.keys(updates).length === 0 && !notice) {
+      ({ updates, notice } = readSession(DEFAULTS));
     }
     
-    if (chartBtn) {
-      chartBtn.disabled = true;
-      chartBtn.setAttribute('aria-disabled', 'true');
-      chartBtn.setAttribute('aria-describedby', 'chart-helper-text');
-      chartBtn.removeAttribute('title');
-    }
-    if (tableBtn) {
-      tableBtn.disabled = false;
-      tableBtn.removeAttribute('aria-disabled');
-      tableBtn.removeAttribute('title');
+    if (Object.keys(updates).length > 0) {
+      setState(updates);
     }
-    if (helper) helper.style.display = 'block';
-  } else {
-    if (chartBtn) {
-      chartBtn.disabled = false;
-      chartBtn.removeAttribute('aria-disabled');
-      chartBtn.removeAttribute('aria-describedby');
-      chartBtn.removeAttribute('title');
+    
+    syncInputValues();
+    syncModeControls();
+    syncValueBasis();
+    updateSelectorButtons('priceBar', state.priceBar);
+    updateSelectorButtons('rateBasis', state.rateBasis);
+    syncSimulationControls();
+    
+    if (state.viewMode !== 'chart') {
+      switchView(state.viewMode);
     }
-    if (tableBtn) {
-      tableBtn.removeAttribute('title');
+    
+    const noticeEl = $('#url-state-notice', root);
+    if (noticeEl && notice) {
+      noticeEl.textContent = notice;
+      noticeEl.hidden = false;
     }
-    if (helper) helper.style.display = 'none';
   }
-}
 
-// =============================================================================
-// SELF-TESTS
-// =============================================================================
+  // =============================================================================
+  // SESSION PERSISTENCE
+  // =============================================================================
 
-/**
- * Run self-tests to verify calculations
- */
-function runSelfTests() {
-  console.log('Running self-tests...');
-  
-  const tests = [
-    {
-      name: 'Default values (100, 5, 7%)',
-      inputs: { marketPrice: 100, currentDividend: 5, requiredReturn: 7 },
-      expected: { impliedGrowth: 1.90 } // (0.07*100 - 5)/(100 + 5) = 2/105 = 1.90%
-    },
-    {
-      name: 'Higher growth scenario',
-      inputs: { marketPrice: 50, currentDividend: 2, requiredReturn: 10 },
-      expected: { impliedGrowth: 5.77 } // (0.1*50 - 2)/(50 + 2) = 3/52 = 5.77%
-    },
-    {
-      name: 'Lower growth scenario',
-      inputs: { marketPrice: 100, currentDividend: 3, requiredReturn: 12 },
-      expected: { impliedGrowth: 8.74 } // (0.12*100 - 3)/(100 + 3) = 9/103 = 8.74%
-    }
-  ];
-  
-  tests.forEach(test => {
-    try {
-      const result = calculateGrowthMetrics(test.inputs);
-      
-      if (test.expected.impliedGrowth !== undefined) {
-        const diff = Math.abs(result.impliedGrowth - test.expected.impliedGrowth);
-        if (diff <= 0.1) {
-          console.log(`âœ“ ${test.name} passed`);
-        } else {
-          console.warn(`✗ ${test.name} failed: expected ${test.expected.impliedGrowth}%, got ${result.impliedGrowth.toFixed(2)}%`);
+  /**
+   * Remember the inputs and view settings for the next visit, and wire the
+   * reset to the curriculum defaults
+   */
+  function setupSessionPersistence() {
+    // Like the URL, the stored session follows the last valid scenario of
+    // the primary calculator
+    if (primary) {
+      subscribe(debounce((currentState) => {
+        if (!hasErrors(currentState.errors) && currentState.growthCalculations) {
+          writeSession(currentState, DEFAULTS);
         }
-      }
-    } catch (error) {
-      console.error(`✗ ${test.name} threw error:`, error);
+      }, 300));
     }
-  });
-  
-  console.log('Self-tests complete');
-}
+    
+    on('#reset-defaults-btn', 'click', resetToDefaults);
+  }
 
-// =============================================================================
-// CLEANUP
-// =============================================================================
+  /**
+   * Put every input and view setting back to the curriculum baseline
+   * (USD 100 price, USD 5 dividend, 7% required return). Saved scenarios and
+   * an imported dividend history are kept, and the reset can be undone.
+   */
+  function resetToDefaults() {
+    const baseline = withLockedFields({ ...DEFAULTS, dividendHistory: state.dividendHistory });
+    const errors = validateAllInputs(baseline);
+    
+    setState({ ...baseline, errors, compareMode: false });
+    syncInputValues();
+    syncModeControls();
+    syncCompareControls();
+    syncValueBasis();
+    updateSelectorButtons('priceBar', state.priceBar);
+    updateSelectorButtons('rateBasis', state.rateBasis);
+    syncSimulationControls();
+    syncFieldErrors(errors);
+    updateValidationSummary(errors, root);
+    showView(baseline.viewMode);
+    
+    const noticeEl = $('#url-state-notice', root);
+    if (noticeEl) noticeEl.hidden = true;
+    
+    updateCalculations();
+    announceToScreenReader('Inputs reset to the curriculum defaults', root);
+  }
 
-/**
- * Cleanup function (called on page unload)
- */
-function cleanup() {
-  destroyChart();
-  console.log('Calculator cleanup complete');
-}
+  /**
+   * Switch to a restored view, using the table where the chart is unavailable
+   * (narrow screens)
+   * @param {string} viewMode - View to show
+   */
+  function showView(viewMode) {
+    const chartBtn = $('#chart-view-btn', root);
+    const view = viewMode === 'chart' && chartBtn && chartBtn.disabled ? 'table' : viewMode;
+    if (view !== state.viewMode) {
+      switchView(view);
+    }
+  }
 
-// Register cleanup
-window.addEventListener('beforeunload', cleanup);
+  // =============================================================================
+  // HOST MESSAGES
+  // =============================================================================
 
-// =============================================================================
-// START THE APPLICATION
-// =============================================================================
+  /** Origins answered (see modules/host-messages.js) */
+  let hostOrigins = new Set();
+
+  /** Windows that completed the handshake, with their origin */
+  const hostWindows = new Map();
+
+  /** Inputs a host has locked against editing */
+  let lockedFields = [];
+
+  /** Last implied g and errors sent to hosts, so each change is sent once */
+  let hostGrowth = null;
+  let hostErrorText = null;
+
+  /**
+   * Answer protocol requests from allowed hosts and notify them of changes
+   */
+  function setupHostMessages() {
+    const meta = document.querySelector('meta[name="host-origins"]');
+    hostOrigins = parseAllowedOrigins(meta ? meta.content : '', window.location.origin);
+    
+    on(window, 'message', handleHostMessage);
+    subscribe(notifyHosts);
+  }
+
+  /**
+   * Handle one protocol request
+   * @param {MessageEvent} event - Message event
+   */
+  function handleHostMessage(event) {
+    const message = readHostMessage(event, hostOrigins);
+    if (!message) return;
+    
+    const { source, origin } = event;
+    const reply = (type, payload) => source.postMessage(createHostMessage(type, payload, message.id), origin);
+    
+    const refusal = checkHostRequest(message, hostWindows.get(source) === origin);
+    if (refusal) {
+      reply('error', refusal);
+      return;
+    }
+    
+    if (message.type === 'hello') {
+      hostWindows.set(source, origin);
+      reply('ready', { fields: [...HOST_FIELDS], locked: [...lockedFields] });
+    } else if (message.type === 'setInputs') {
+      const { values, invalid } = parseStateValues(message.inputs, HOST_FIELDS);
+      if (invalid.length > 0) {
+        reply('error', { code: 'invalidInputs', message: `Unknown fields or values of the wrong type: ${invalid.join(', ')}`, fields: invalid });
+        return;
+      }
+      applyInputs(values);
+      reply('results', buildResultsPayload(state, lockedFields));
+    } else if (message.type === 'lockFields') {
+      const { fields, invalid } = parseLockedFields(message.fields);
+      if (invalid.length > 0) {
+        reply('error', { code: 'invalidFields', message: `Unknown fields: ${invalid.join(', ')}`, fields: invalid });
+        return;
+      }
+      lockedFields = fields;
+      syncModeControls();
+      reply('locked', { fields: [...lockedFields] });
+    } else {
+      reply('results', buildResultsPayload(state, lockedFields));
+    }
+  }
+
+  /**
+   * Set inputs sent by a host or changed on the element. Locked fields are
+   * only locked for the learner, so a host can still set them.
+   * @param {Object} values - Checked input values
+   */
+  function applyInputs(values) {
+    const next = { ...state, ...values };
+    const errors = validateAllInputs(next);
+    
+    setState({ ...values, errors, compareMode: false, ...capmReturnUpdate(next) });
+    syncInputValues();
+    syncModeControls();
+    syncCompareControls();
+    syncFieldErrors(errors);
+    updateValidationSummary(errors, root);
+    updateCalculations();
+  }
+
+  /**
+   * Tell every host that completed the handshake when implied g changes or
+   * the inputs stop giving a result
+   * @param {Object} currentState - Application state
+   */
+  function notifyHosts(currentState) {
+    if (hostWindows.size === 0) return;
+    const { growthCalculations, errors } = currentState;
+    let message = null;
+    
+    if (hasErrors(errors)) {
+      hostGrowth = null;
+      const errorText = JSON.stringify(errors);
+      if (errorText !== hostErrorText) {
+        hostErrorText = errorText;
+        message = createHostMessage('validationerror', { errors: { ...errors } });
+      }
+    } else if (growthCalculations) {
+      hostErrorText = null;
+      if (!Object.is(growthCalculations.impliedGrowth, hostGrowth)) {
+        hostGrowth = growthCalculations.impliedGrowth;
+        message = createHostMessage('growthchange', summarizeGrowth(growthCalculations));
+      }
+    }
+    
+    if (message) {
+      hostWindows.forEach((origin, target) => target.postMessage(message, origin));
+    }
+  }
+
+  /**
+   * Carry the current values of locked fields into inputs being restored
+   * (scenario, batch row, undo step or reset)
+   * @param {Object} inputs - Inputs to apply
+   * @returns {Object} Inputs with the locked fields kept as they are
+   */
+  function withLockedFields(inputs) {
+    if (lockedFields.length === 0) return inputs;
+    return { ...inputs, ...Object.fromEntries(lockedFields.map(field => [field, state[field]])) };
+  }
+
+  /**
+   * Make locked inputs read-only and disable the buttons that set locked
+   * choices (model, solve-for, payment convention, CAPM switch)
+   */
+  function syncLockedFields() {
+    const isLocked = (field) => lockedFields.includes(field);
+    
+    INPUT_FIELDS.forEach(({ id, field }) => {
+      const input = $(`#${id}`, root);
+      if (!input) return;
+      // r stays read-only while the CAPM builder sets it
+      input.readOnly = isLocked(field) || (field === 'requiredReturn' && usesCapm(state));
+      if (isLocked(field)) {
+        input.setAttribute('aria-readonly', 'true');
+      } else {
+        input.removeAttribute('aria-readonly');
+      }
+    });
+    
+    const capmToggle = $('#capm-toggle-btn', root);
+    if (capmToggle) capmToggle.disabled = isLocked('returnSource');
+    
+    ['model', 'paymentFrequency', 'returnCompounding', 'dividendTiming', 'solveFor'].forEach(field => {
+      root.querySelectorAll(`[data-${field.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}]`).forEach(btn => {
+        if (isLocked(field)) {
+          btn.disabled = true;
+        } else if (field !== 'solveFor') {
+          // syncModeControls sets the solve-for buttons for the model
+          btn.disabled = false;
+        }
+      });
+    });
+  }
+
+  // =============================================================================
+  // UNDO HISTORY
+  // =============================================================================
+
+  /** Inputs and view at each step (see modules/undo-history.js) */
+  let undoHistory = null;
+  let historyRecordPending = false;
+
+  /**
+   * Start the history, wire the buttons and shortcuts, and record every later
+   * change of the inputs or view
+   */
+  function setupUndoHistory() {
+    undoHistory = createHistory(takeSnapshot(state), getImpliedGrowth());
+    subscribe(scheduleHistoryRecord);
+    
+    on('#undo-btn', 'click', () => stepHistory('undo'));
+    on('#redo-btn', 'click', () => stepHistory('redo'));
+    // The primary calculator answers shortcuts anywhere on the page, the
+    // others only while focus is inside them
+    on(primary ? document : root, 'keydown', handleHistoryShortcut);
+    
+    syncUndoControls();
+  }
+
+  /**
+   * Implied g of the current result
+   * @returns {number|null} Percentage, or null without a result
+   */
+  function getImpliedGrowth() {
+    return state.growthCalculations ? state.growthCalculations.impliedGrowth : null;
+  }
+
+  /**
+   * Ctrl+Z undoes and Ctrl+Shift+Z (or Ctrl+Y) redoes; Cmd on macOS. A box
+   * holding an edit the state has not taken yet keeps its own undo, so that
+   * edit is never replaced by the previous snapshot.
+   * @param {KeyboardEvent} e - Key event
+   */
+  function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+    if (!isUndo && !isRedo) return;
+    
+    // e.target is the host element for keys pressed inside the shadow root
+    if (hasPendingEdit(e.composedPath()[0])) return;
+    
+    e.preventDefault();
+    stepHistory(isUndo ? 'undo' : 'redo');
+  }
+
+  /**
+   * Whether a focused box holds text the state does not have yet: a number
+   * input whose value differs from its state field (still waiting on the
+   * input debounce, or invalid), or any text in a box outside the history
+   * (scenario name, pasted rows, filters)
+   * @param {Element} target - Element the key was pressed in
+   * @returns {boolean} True to leave the shortcut to the browser
+   */
+  function hasPendingEdit(target) {
+    if (target.tagName !== 'INPUT' && target.tagName !== 'TEXTAREA') return false;
+    if (target.tagName === 'INPUT' && !['text', 'number', 'search'].includes(target.type)) return false;
+    
+    const bound = [...INPUT_FIELDS, ...SIMULATION_CONTROLS].find(({ id }) => id === target.id);
+    if (!bound) return target.value !== '';
+    
+    const value = target.value.trim() === '' ? null : parseFloat(target.value);
+    const stored = state[bound.field] ?? null;
+    return !Object.is(value, stored);
+  }
+
+  /**
+   * Record the state once the current task is done, so an action that sets
+   * state several times (inputs, then the result) is a single step
+   */
+  function scheduleHistoryRecord() {
+    if (historyRecordPending) return;
+    historyRecordPending = true;
+    
+    setTimeout(() => {
+      historyRecordPending = false;
+      const previous = undoHistory;
+      undoHistory = recordSnapshot(undoHistory, takeSnapshot(state), getImpliedGrowth());
+      if (undoHistory === previous) return;
+      
+      syncUndoControls();
+      if (undoHistory.present.snapshot !== previous.present.snapshot) {
+        const change = buildChangeLog(undoHistory, 1)[0];
+        announceToScreenReader(`Changed ${change.description}; ${describeGrowthMove(change)}`, root);
+      }
+    }, 0);
+  }
+
+  /**
+   * Undo or redo one step
+   * @param {string} direction - 'undo' or 'redo'
+   */
+  function stepHistory(direction) {
+    const previous = undoHistory;
+    undoHistory = direction === 'undo' ? undo(previous) : redo(previous);
+    if (undoHistory === previous) return;
+    
+    applySnapshot(undoHistory.present.snapshot);
+    syncUndoControls();
+    announceToScreenReader(`${direction === 'undo' ? 'Undid' : 'Redid'}: ` +
+      `${describeChange(previous.present.snapshot, undoHistory.present.snapshot)}`, root);
+  }
+
+  /**
+   * Put the inputs and view of a step back on screen
+   * @param {Object} snapshot - takeSnapshot result
+   */
+  function applySnapshot(snapshot) {
+    const { viewMode, ...snapshotInputs } = snapshot;
+    const inputs = withLockedFields(snapshotInputs);
+    const errors = validateAllInputs(inputs);
+    
+    setState({ ...inputs, errors });
+    syncInputValues();
+    syncModeControls();
+    syncFieldErrors(errors);
+    updateValidationSummary(errors, root);
+    showView(viewMode);
+    updateCalculations();
+  }
+
+  /**
+   * Enable the buttons that have a step to go to, and list the latest changes
+   */
+  function syncUndoControls() {
+    const undoBtn = $('#undo-btn', root);
+    const redoBtn = $('#redo-btn', root);
+    if (undoBtn) undoBtn.disabled = undoHistory.past.length === 0;
+    if (redoBtn) redoBtn.disabled = undoHistory.future.length === 0;
+    
+    const list = $('#change-log', root);
+    const empty = $('#change-log-empty', root);
+    if (!list) return;
+    
+    // Newest first
+    const changes = buildChangeLog(undoHistory).reverse();
+    list.innerHTML = '';
+    changes.forEach(change => {
+      const item = createElement('li', { className: 'change-log-item' });
+      item.appendChild(createElement('span', { className: 'change-log-description' }, change.description));
+      item.appendChild(createElement('span', { className: 'change-log-growth' }, describeGrowthMove(change)));
+      list.appendChild(item);
+    });
+    if (empty) empty.hidden = changes.length > 0;
+  }
+
+  // =============================================================================
+  // SAVED SCENARIOS AND COMPARISON
+  // =============================================================================
+
+  /**
+   * Set up the save form, the delegated scenario actions and the compare toggle
+   */
+  function setupScenarioManager() {
+    const form = $('#scenario-save-form', root);
+    const list = $('#scenario-list', root);
+    const compareBtn = $('#compare-toggle-btn', root);
+    
+    if (form) {
+      on(form, 'submit', (e) => {
+        e.preventDefault();
+        const nameInput = $('#scenario-name', root);
+        const scenario = saveScenario(nameInput ? nameInput.value : '', state);
+        if (nameInput) nameInput.value = '';
+        refreshScenarioList();
+        announceToScreenReader(`Saved scenario ${scenario.name}`, root);
+      });
+    }
+    
+    if (list) {
+      on(list, 'click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (btn) handleScenarioAction(btn.dataset.action, btn.dataset.id);
+      });
+      on(list, 'change', (e) => {
+        if (e.target.dataset.action === 'compare') {
+          toggleCompared(e.target.dataset.id, e.target.checked);
+        }
+      });
+    }
+    
+    if (compareBtn) {
+      on(compareBtn, 'click', () => {
+        setCompareMode(!state.compareMode);
+      });
+    }
+    
+    refreshScenarioList();
+  }
+
+  /**
+   * Run a load, rename, duplicate or delete action on a saved scenario
+   * @param {string} action - data-action of the clicked button
+   * @param {string} id - Scenario id
+   */
+  function handleScenarioAction(action, id) {
+    const scenario = getScenario(id);
+    if (!scenario) return;
+    
+    switch (action) {
+      case 'load':
+        loadScenario(scenario);
+        break;
+      case 'rename': {
+        const name = window.prompt('Rename scenario', scenario.name);
+        if (name === null) return;
+        const renamed = renameScenario(id, name);
+        refreshScenarioList();
+        announceToScreenReader(`Renamed to ${renamed.name}`, root);
+        break;
+      }
+      case 'duplicate': {
+        const copy = duplicateScenario(id);
+        refreshScenarioList();
+        announceToScreenReader(`Created ${copy.name}`, root);
+        break;
+      }
+      case 'delete':
+        if (!window.confirm(`Delete scenario "${scenario.name}"?`)) return;
+        deleteScenario(id);
+        toggleCompared(id, false);
+        refreshScenarioList();
+        announceToScreenReader(`Deleted scenario ${scenario.name}`, root);
+        break;
+    }
+    
+    // Names and membership feed the comparison view
+    if (state.compareMode) handleStateChange(state);
+  }
+
+  /**
+   * Load a saved scenario into the calculator inputs
+   * @param {Object} scenario - Saved scenario
+   */
+  function loadScenario(scenario) {
+    const inputs = withLockedFields(scenario.inputs);
+    const errors = validateAllInputs(inputs);
+    
+    setState({ ...inputs, errors, compareMode: false });
+    syncInputValues();
+    syncModeControls();
+    syncCompareControls();
+    syncFieldErrors(errors);
+    updateValidationSummary(errors, root);
+    updateCalculations();
+    
+    announceToScreenReader(`Loaded scenario ${scenario.name}`, root);
+  }
+
+  /**
+   * Tick or untick a scenario for comparison
+   * @param {string} id - Scenario id
+   * @param {boolean} compared - Whether it should be compared
+   */
+  function toggleCompared(id, compared) {
+    const ids = state.comparedScenarioIds.filter(existing => existing !== id);
+    if (compared && ids.length < MAX_COMPARED) ids.push(id);
+    
+    setState({
+      comparedScenarioIds: ids,
+      // Leave comparison mode once nothing is left to compare
+      compareMode: state.compareMode && ids.length > 0
+    });
+    refreshScenarioList();
+  }
+
+  /**
+   * Show the compared scenarios (true) or the current inputs (false) in the
+   * chart and results
+   * @param {boolean} enabled - Comparison mode
+   */
+  function setCompareMode(enabled) {
+    setState({ compareMode: enabled && state.comparedScenarioIds.length > 0 });
+    syncCompareControls();
+    announceToScreenReader(state.compareMode
+      ? `Comparing ${state.comparedScenarioIds.length} scenarios`
+      : 'Showing current inputs', root);
+  }
+
+  /**
+   * Re-render the scenario list and compare controls
+   */
+  function refreshScenarioList() {
+    renderScenarioList(getScenarios(), state.comparedScenarioIds, root);
+    syncCompareControls();
+  }
+
+  /**
+   * Bring the compare toggle and legends in line with state
+   */
+  function syncCompareControls() {
+    const compareBtn = $('#compare-toggle-btn', root);
+    if (compareBtn) {
+      compareBtn.disabled = state.comparedScenarioIds.length === 0;
+      compareBtn.classList.toggle('active', state.compareMode);
+      compareBtn.setAttribute('aria-pressed', state.compareMode ? 'true' : 'false');
+    }
+    
+    const projectionLegend = $('#projection-legend', root);
+    const comparisonLegend = $('#comparison-legend', root);
+    if (projectionLegend) projectionLegend.hidden = state.compareMode;
+    if (comparisonLegend) comparisonLegend.hidden = !state.compareMode;
+  }
+
+  /**
+   * Get the scenarios the chart and results should compare
+   * @returns {Array} buildComparisons result, empty outside comparison mode
+   */
+  function getActiveComparisons() {
+    return state.compareMode ? buildComparisons(state.comparedScenarioIds) : [];
+  }
+
+  /**
+   * Update growth calculations based on current state
+   */
+  function updateCalculations() {
+    const {
+      marketPrice, currentDividend, requiredReturn, growthRate, solveFor,
+      model, highGrowthRate, highGrowthYears, horizonYears, earningsPerShare,
+      returnOnEquity, payoutRatio, inflationRate, returnSource, riskFreeRate, beta,
+      equityRiskPremium, specificRiskPremium, dividendHistory, paymentFrequency,
+      returnCompounding, dividendTiming, errors
+    } = state;
+    
+    // Don't calculate if there are validation errors
+    if (hasErrors(errors)) {
+      setState({ growthCalculations: null });
+      return;
+    }
+    
+    // Validate financial logic and the stage/horizon check first: some
+    // inputs (e.g. g ≥ r when solving for PV_t) have no result to show
+    const allErrors = validateAllInputs(state);
+    syncFieldErrors(allErrors);
+    
+    if (hasErrors(allErrors)) {
+      setState({ errors: allErrors, growthCalculations: null });
+      updateValidationSummary(allErrors, root);
+      return;
+    }
+    
+    try {
+      // Calculate growth metrics
+      const calculations = calculateGrowthMetrics({
+        solveFor,
+        marketPrice,
+        currentDividend,
+        requiredReturn,
+        growthRate,
+        model,
+        highGrowthRate,
+        highGrowthYears,
+        horizonYears,
+        earningsPerShare,
+        returnOnEquity,
+        payoutRatio,
+        inflationRate,
+        returnSource,
+        riskFreeRate,
+        beta,
+        equityRiskPremium,
+        specificRiskPremium,
+        dividendHistory,
+        paymentFrequency,
+        returnCompounding,
+        dividendTiming
+      });
+      
+      // Clear errors and update calculations
+      setState({ 
+        errors: {},  // Explicitly clear errors
+        growthCalculations: calculations 
+      });
+      updateValidationSummary({}, root);  // Explicitly hide error display
+      
+    } catch (error) {
+      console.error('Calculation error:', error);
+      const calculationErrors = { financial: `Calculation failed: ${error.message}` };
+      setState({ errors: calculationErrors, growthCalculations: null });
+      updateValidationSummary(calculationErrors, root);
+    }
+  }
+
+  // =============================================================================
+  // VIEW TOGGLE (CHART/TABLE)
+  // =============================================================================
+
+  /**
+   * Set up chart/table/heatmap/simulation view toggle with arrow key navigation
+   */
+  function setupViewToggle() {
+    const buttons = VIEWS.map(({ buttonId }) => $(`#${buttonId}`, root));
+    
+    if (buttons.some(btn => !btn)) {
+      console.error('Toggle buttons not found');
+      return;
+    }
+    
+    buttons.forEach((btn, index) => {
+      const { view } = VIEWS[index];
+      
+      // Click handler
+      on(btn, 'click', () => {
+        switchView(view);
+      });
+      
+      // Keyboard handler
+      on(btn, 'keydown', (e) => {
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+          e.preventDefault();
+          // Arrow keys: move to the neighbouring enabled button and switch to its view
+          const step = e.key === 'ArrowRight' ? 1 : -1;
+          let next = index;
+          do {
+            next = (next + step + buttons.length) % buttons.length;
+          } while (buttons[next].disabled && next !== index);
+          buttons[next].focus();
+          switchView(VIEWS[next].view);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          // Enter/Space: activate this button's view
+          switchView(view);
+        }
+      });
+    });
+  }
+
+  /**
+   * Set up the nominal / present-value buttons for the chart and table
+   */
+  function setupValueBasisSelector() {
+    root.querySelectorAll('[data-basis]').forEach(btn => {
+      on(btn, 'click', () => {
+        const { basis } = btn.dataset;
+        if (basis === state.valueBasis) return;
+        setState({ valueBasis: basis });
+        syncValueBasis();
+        announceToScreenReader(basis === 'present'
+          ? 'Showing cash flows discounted at the required return'
+          : 'Showing nominal cash flows', root);
+      });
+    });
+  }
+
+  /**
+   * Mark the active value basis and show its legend entries
+   */
+  function syncValueBasis() {
+    const { valueBasis } = state;
+    root.querySelectorAll('[data-basis]').forEach(btn => {
+      const isActive = btn.dataset.basis === valueBasis;
+      btn.classList.toggle('active', isActive);
+      btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+    root.querySelectorAll('[data-legend-basis]').forEach(item => {
+      item.hidden = item.dataset.legendBasis !== valueBasis;
+    });
+  }
+
+  /**
+   * Set up the buttons that split the year-0 market price bar into the
+   * no-growth value and PVGO
+   */
+  function setupPriceBarSelector() {
+    root.querySelectorAll('[data-price-bar]').forEach(btn => {
+      on(btn, 'click', () => {
+        const { priceBar } = btn.dataset;
+        if (priceBar === state.priceBar) return;
+        setState({ priceBar });
+        updateSelectorButtons('priceBar', priceBar);
+        announceToScreenReader(priceBar === 'pvgo'
+          ? 'Market price bar split into no-growth value and present value of growth opportunities'
+          : 'Market price bar shown as a single value', root);
+      });
+    });
+  }
+
+  /**
+   * Set up the nominal / real buttons for the projection, shown once an
+   * inflation rate is entered
+   */
+  function setupRateBasisSelector() {
+    root.querySelectorAll('[data-rate-basis]').forEach(btn => {
+      on(btn, 'click', () => {
+        const { rateBasis } = btn.dataset;
+        if (rateBasis === state.rateBasis) return;
+        setState({ rateBasis });
+        updateSelectorButtons('rateBasis', rateBasis);
+        announceToScreenReader(rateBasis === 'real'
+          ? 'Showing dividends in constant dollars and real growth'
+          : 'Showing nominal dividends and growth', root);
+      });
+    });
+  }
+
+  /**
+   * Real projection settings for the chart and table, or null without an
+   * inflation rate. Present values are the same in real and nominal terms,
+   * so the present-value view has none.
+   * @param {Object} currentState - State with growthCalculations
+   * @returns {Object|null} { basis, growthRate, inflationRate } with the real
+   *   g (or g_L)
+   */
+  function getActiveRealBasis(currentState) {
+    const { growthCalculations, rateBasis, valueBasis } = currentState;
+    if (!growthCalculations || !growthCalculations.inflation || valueBasis === 'present') return null;
+    const { realGrowth, inflationRate } = growthCalculations.inflation;
+    return { basis: rateBasis, growthRate: realGrowth, inflationRate };
+  }
+
+  /**
+   * Show the nominal / real buttons and the legend entries that apply. The
+   * buttons stay in the present-value view, where they set the headline.
+   * @param {Object} currentState - Application state
+   * @param {Object|null} real - getActiveRealBasis result
+   */
+  function syncRateBasis(currentState, real) {
+    const selector = $('#rate-basis-selector', root);
+    if (selector) {
+      const isProjection = currentState.viewMode === 'chart' || currentState.viewMode === 'table';
+      selector.hidden = !currentState.growthCalculations.inflation || !isProjection;
+    }
+    const isReal = Boolean(real) && real.basis === 'real';
+    root.querySelectorAll('[data-legend-constant]').forEach(item => {
+      item.hidden = !isReal;
+    });
+    root.querySelectorAll('[data-legend-real-line]').forEach(item => {
+      // The line shows the series the bars do not
+      item.hidden = !real || item.dataset.legendRealLine === real.basis;
+    });
+  }
+
+  /**
+   * Price breakdown to draw in the year-0 bar, or null. A negative PVGO
+   * cannot be stacked inside the price, so it is left to the results card.
+   * @param {Object} currentState - State with growthCalculations
+   * @returns {Object|null} decomposePrice result
+   */
+  function getActivePriceBreakdown(currentState) {
+    const { growthCalculations, priceBar } = currentState;
+    if (priceBar !== 'pvgo' || !growthCalculations) return null;
+    const { priceBreakdown } = growthCalculations;
+    return priceBreakdown && priceBreakdown.pvgo >= 0 ? priceBreakdown : null;
+  }
+
+  /**
+   * Sustainable growth rate to mark on the chart, or null without the inputs
+   * @param {Object|null} growthCalculations - Growth calculations
+   * @returns {number|null} b × ROE percentage
+   */
+  function getSustainableGrowthRate(growthCalculations) {
+    return growthCalculations && growthCalculations.sustainableGrowth
+      ? growthCalculations.sustainableGrowth.sustainableGrowth
+      : null;
+  }
+
+  /**
+   * Annual dividend history to draw before year 0, or null without one
+   * @param {Object} currentState - State with growthCalculations
+   * @returns {Array<Object>|null} { year, dividend } per calendar year
+   */
+  function getActiveHistory(currentState) {
+    const { growthCalculations, dividendHistory } = currentState;
+    if (!growthCalculations || !growthCalculations.historicalGrowth) return null;
+    // Annual history bars only line up with an annual projection
+    const { payments } = growthCalculations;
+    return !payments || payments.perYear === 1 ? dividendHistory : null;
+  }
+
+  /**
+   * Present-value reconciliation to draw, or null for the nominal view
+   * @param {Object} currentState - State with growthCalculations
+   * @returns {Object|null} reconcilePrice result
+   */
+  function getActiveReconciliation(currentState) {
+    const { growthCalculations, valueBasis } = currentState;
+    return valueBasis === 'present' && growthCalculations ? growthCalculations.reconciliation : null;
+  }
+
+  /**
+   * Switch between chart, table, heatmap and simulation views
+   * @param {string} view - 'chart', 'table', 'heatmap' or 'simulation'
+   * @param {Object} options
+   * @param {boolean} options.userInitiated - False for a switch the page
+   *   makes itself (narrow screens), which is kept out of the undo history
+   */
+  function switchView(view, { userInitiated = true } = {}) {
+    const legend = $('#chart-legend', root);
+    const horizonNote = $('#horizon-note', root);
+    
+    // Update state
+    setState({ viewMode: view });
+    if (!userInitiated && undoHistory) {
+      undoHistory = amendPresent(undoHistory, { viewMode: view });
+    }
+    
+    // Update button states and show only the active view
+    VIEWS.forEach(({ view: candidate, buttonId, containerId }) => {
+      const isActive = candidate === view;
+      const btn = $(`#${buttonId}`, root);
+      const container = $(`#${containerId}`, root);
+      btn.classList.toggle('active', isActive);
+      btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+      container.style.display = isActive ? 'block' : 'none';
+    });
+    
+    // The legend and image downloads belong to the chart; the horizon note
+    // to the projection
+    legend.style.display = view === 'chart' ? 'flex' : 'none';
+    const chartExport = $('#chart-export-actions', root);
+    if (chartExport) chartExport.hidden = view !== 'chart';
+    const isProjection = view === 'chart' || view === 'table';
+    if (horizonNote) horizonNote.hidden = !isProjection;
+    const basisSelector = $('#basis-selector', root);
+    if (basisSelector) basisSelector.hidden = !isProjection;
+    const priceBarSelector = $('#price-bar-selector', root);
+    if (priceBarSelector) priceBarSelector.hidden = view !== 'chart';
+    
+    // Announce change
+    const labels = { chart: 'Chart', table: 'Table', heatmap: 'Heatmap', simulation: 'Simulation' };
+    announceToScreenReader(`${labels[view]} view active`, root);
+  }
+
+  // =============================================================================
+  // MONTE CARLO SIMULATION
+  // =============================================================================
+
+  /**
+   * Controller of the run in progress, and the inputs the shown (or running)
+   * simulation was centred on
+   */
+  let simulationController = null;
+  let simulationInputsKey = null;
+
+  /**
+   * Set up the simulation form: run on submit, cancel from the button
+   */
+  function setupSimulation() {
+    on('#simulation-form', 'submit', (e) => {
+      e.preventDefault();
+      startSimulation();
+    });
+    
+    on('#simulation-cancel-btn', 'click', () => {
+      if (simulationController) simulationController.abort();
+    });
+  }
+
+  /**
+   * Fill the simulation form from state
+   */
+  function syncSimulationControls() {
+    SIMULATION_CONTROLS.forEach(({ id, field }) => {
+      const control = $(`#${id}`, root);
+      if (control) control.value = state[field];
+    });
+  }
+
+  /**
+   * Stage inputs a multi-stage simulation holds fixed while it solves for g_L
+   * @param {Object} currentState - State
+   * @returns {Object|null} { model, highGrowthRate, highGrowthYears }, or
+   *   null for the constant growth model
+   */
+  function getSimulationStages({ model, highGrowthRate, highGrowthYears }) {
+    return isMultiStageModel(model) ? { model, highGrowthRate, highGrowthYears } : null;
+  }
+
+  /**
+   * Identify the inputs a simulation is centred on, to spot stale results
+   * @param {Object} params - Display params
+   * @param {Object|null} stages - getSimulationStages result
+   * @returns {string} Key
+   */
+  function getSimulationInputsKey(params, stages) {
+    return [
+      params.marketPrice, params.currentDividend, params.requiredReturn,
+      params.paymentFrequency, params.returnCompounding, params.dividendTiming,
+      ...(stages ? [stages.model, stages.highGrowthRate, stages.highGrowthYears] : [])
+    ].join('|');
+  }
+
+  /**
+   * Set the status line under the simulation form
+   * @param {string} message - Status text
+   */
+  function setSimulationStatus(message) {
+    const status = $('#simulation-status', root);
+    if (status) status.textContent = message;
+  }
+
+  /**
+   * Show or hide the progress bar and cancel button of a run, and hold the
+   * run button while one is in progress
+   * @param {boolean} running - True while a run is in progress
+   */
+  function setSimulationRunning(running) {
+    const progress = $('#simulation-progress', root);
+    const runBtn = $('#simulation-run-btn', root);
+    const cancelBtn = $('#simulation-cancel-btn', root);
+    if (progress) {
+      progress.hidden = !running;
+      progress.value = 0;
+    }
+    if (runBtn) runBtn.disabled = running;
+    if (cancelBtn) cancelBtn.hidden = !running;
+  }
+
+  /**
+   * Validate the settings, store them and run the simulation around the
+   * current inputs; a new run cancels any run still in progress
+   */
+  async function startSimulation() {
+    if (!state.growthCalculations) {
+      setSimulationStatus('Correct the inputs before running the simulation');
+      return;
+    }
+    
+    const updates = {};
+    const errors = [];
+    SIMULATION_CONTROLS.forEach(({ id, field, numeric }) => {
+      const control = $(`#${id}`, root);
+      if (!control) return;
+      const value = numeric ? parseFloat(control.value) : control.value;
+      const error = SIMULATION_FIELDS.includes(field) ? validateField(field, value) : null;
+      updateFieldError(id, error, root);
+      if (error) {
+        errors.push(error);
+      } else {
+        updates[field] = value;
+      }
+    });
+    
+    if (errors.length > 0) {
+      setSimulationStatus(errors.join('. '));
+      return;
+    }
+    setState(updates);
+    
+    if (simulationController) simulationController.abort();
+    const controller = new AbortController();
+    simulationController = controller;
+    
+    const params = getDisplayParams(state);
+    const stages = getSimulationStages(state);
+    simulationInputsKey = getSimulationInputsKey(params, stages);
+    clearSimulationResults(root);
+    setSimulationRunning(true);
+    setSimulationStatus(`Running ${state.simulationDraws.toLocaleString('en-US')} draws…`);
+    
+    try {
+      const result = await runCalculation('simulation', {
+        marketPrice: params.marketPrice,
+        requiredReturn: {
+          type: state.simulationReturnDist,
+          center: params.requiredReturn,
+          spread: state.simulationReturnSpread
+        },
+        currentDividend: {
+          type: state.simulationDividendDist,
+          center: params.currentDividend,
+          spread: state.simulationDividendSpread
+        },
+        draws: state.simulationDraws,
+        seed: state.simulationSeed,
+        convention: {
+          paymentFrequency: params.paymentFrequency,
+          returnCompounding: params.returnCompounding,
+          dividendTiming: params.dividendTiming
+        },
+        ...(stages ? { stages } : {})
+      }, {
+        channel: channels.simulation,
+        onProgress: (fraction) => {
+          const progress = $('#simulation-progress', root);
+          if (progress) progress.value = fraction;
+        },
+        signal: controller.signal
+      });
+      
+      renderSimulationResults(result, root);
+      const excluded = result.draws - result.valid;
+      setSimulationStatus(`Simulation finished: ${result.valid.toLocaleString('en-US')} valid draws` +
+        (excluded > 0 ? `, ${excluded.toLocaleString('en-US')} excluded` : ''));
+    } catch (error) {
+      // A newer run owns the status line
+      if (simulationController === controller) {
+        if (isAbortError(error)) {
+          setSimulationStatus('Simulation cancelled');
+        } else {
+          console.error('Simulation error:', error);
+          setSimulationStatus(`Simulation failed: ${error.message}`);
+        }
+      }
+    } finally {
+      if (simulationController === controller) {
+        simulationController = null;
+        setSimulationRunning(false);
+      }
+    }
+  }
+
+  /**
+   * Cancel a run and hide results once the inputs they were centred on change
+   * @param {Object|null} params - Current display params, or null when invalid
+   * @param {Object|null} stages - Current getSimulationStages result
+   */
+  function invalidateSimulation(params, stages = null) {
+    if (simulationInputsKey === null) return;
+    if (params && getSimulationInputsKey(params, stages) === simulationInputsKey) return;
+    
+    simulationInputsKey = null;
+    if (simulationController) {
+      const controller = simulationController;
+      simulationController = null;
+      controller.abort();
+      setSimulationRunning(false);
+    }
+    clearSimulationResults(root);
+    setSimulationStatus('Inputs changed; run the simulation again');
+  }
+
+  // =============================================================================
+  // BATCH SCREENING
+  // =============================================================================
+
+  /**
+   * Results of the last batch and how the table is sorted
+   */
+  let batchResults = [];
+  let batchSort = { key: null, direction: 'ascending' };
+
+  /**
+   * Set up the batch upload and paste form, the table controls and the
+   * delegated sort and load buttons
+   */
+  function setupBatch() {
+    on('#batch-form', 'submit', (e) => {
+      e.preventDefault();
+      const input = $('#batch-input', root);
+      calculateBatch(input ? input.value : '');
+    });
+    
+    on('#batch-file', 'change', async (e) => {
+      const [file] = e.target.files;
+      if (!file) return;
+      let text;
+      try {
+        text = await file.text();
+      } catch (error) {
+        const status = $('#batch-status', root);
+        if (status) status.textContent = `Could not read ${file.name}: ${error.message}`;
+        return;
+      }
+      const input = $('#batch-input', root);
+      if (input) input.value = text;
+      calculateBatch(text);
+    });
+    
+    on('#batch-filter', 'input', debounce(refreshBatchTable, 150));
+    on('#batch-status-filter', 'change', refreshBatchTable);
+    
+    on('#batch-table-wrapper', 'click', (e) => {
+      const sortBtn = e.target.closest('button[data-sort]');
+      if (sortBtn) {
+        sortBatch(sortBtn.dataset.sort);
+        return;
+      }
+      // The ticker button is the keyboard route; the rest of the row is a
+      // larger target for pointer users
+      const row = e.target.closest('tr[data-line]');
+      if (row) loadBatchRow(Number(row.dataset.line));
+    });
+    
+    on('#batch-download-btn', 'click', () => {
+      const rows = getVisibleBatchRows();
+      const csv = '\uFEFF' + batchToCsv(rows);
+      downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), 'implied-growth-batch.csv');
+      announceToScreenReader('CSV download started', root);
+    });
+  }
+
+  /**
+   * Parse the rows and compute them with the calculation service; a new
+   * batch replaces one still running
+   * @param {string} text - CSV or pasted table
+   */
+  async function calculateBatch(text) {
+    const status = $('#batch-status', root);
+    const { rows, error } = parseBatchText(text);
+    
+    if (error) {
+      if (status) status.textContent = error;
+      return;
+    }
+    
+    if (status) status.textContent = `Calculating ${rows.length} ${rows.length === 1 ? 'row' : 'rows'}…`;
+    
+    try {
+      batchResults = await runCalculation('batch', { rows, horizonYears: DEFAULTS.horizonYears }, {
+        channel: channels.batch,
+        onProgress: (fraction) => {
+          if (status) status.textContent = `Calculating… ${Math.round(fraction * 100)}%`;
+        }
+      });
+    } catch (err) {
+      // A newer batch owns the status line
+      if (isAbortError(err)) return;
+      console.error('Batch error:', err);
+      if (status) status.textContent = `Batch calculation failed: ${err.message}`;
+      return;
+    }
+    
+    batchSort = { key: null, direction: 'ascending' };
+    const results = $('#batch-results', root);
+    if (results) results.hidden = false;
+    refreshBatchTable();
+    
+    const failed = batchResults.filter(row => row.errors.length > 0).length;
+    if (status) {
+      status.textContent = `Calculated ${batchResults.length} ${batchResults.length === 1 ? 'row' : 'rows'}` +
+        (failed > 0 ? `; ${failed} could not be calculated` : '');
+    }
+  }
+
+  /**
+   * Batch rows that pass the filters, in the current sort order
+   * @returns {Array<Object>} Rows
+   */
+  function getVisibleBatchRows() {
+    const query = $('#batch-filter', root);
+    const statusFilter = $('#batch-status-filter', root);
+    const filtered = filterBatchResults(batchResults, {
+      query: query ? query.value : '',
+      status: statusFilter ? statusFilter.value : 'all'
+    });
+    return sortBatchResults(filtered, batchSort.key, batchSort.direction);
+  }
+
+  /**
+   * Re-render the batch table and its summary
+   */
+  function refreshBatchTable() {
+    const rows = getVisibleBatchRows();
+    renderBatchTable(rows, batchSort, root);
+    const summary = $('#batch-summary', root);
+    if (summary) summary.textContent = describeBatch(rows.length, batchResults);
+  }
+
+  /**
+   * Sort by a column: ascending first, then descending
+   * @param {string} key - Column key
+   */
+  function sortBatch(key) {
+    const direction = batchSort.key === key && batchSort.direction === 'ascending' ? 'descending' : 'ascending';
+    batchSort = { key, direction };
+    refreshBatchTable();
+    
+    // Re-rendering replaced the button; keep focus on the column just sorted
+    const btn = root.querySelector(`#batch-table-wrapper button[data-sort="${key}"]`);
+    if (btn) btn.focus();
+    announceToScreenReader(`Sorted by ${btn ? btn.firstChild.textContent : key}, ${direction}`, root);
+  }
+
+  /**
+   * Load a batch row into the calculator as a constant growth, solve-for-g
+   * scenario with a typed required return
+   * @param {number} line - Line number of the row
+   */
+  function loadBatchRow(line) {
+    const row = batchResults.find(result => result.line === line);
+    if (!row || !isLoadableRow(row)) return;
+    
+    const inputs = withLockedFields({
+      ...state,
+      solveFor: 'growth',
+      model: 'gordon',
+      returnSource: 'input',
+      marketPrice: row.marketPrice,
+      currentDividend: row.currentDividend,
+      requiredReturn: row.requiredReturn
+    });
+    const errors = validateAllInputs(inputs);
+    
+    setState({
+      solveFor: inputs.solveFor,
+      model: inputs.model,
+      returnSource: inputs.returnSource,
+      marketPrice: inputs.marketPrice,
+      currentDividend: inputs.currentDividend,
+      requiredReturn: inputs.requiredReturn,
+      errors,
+      compareMode: false
+    });
+    syncInputValues();
+    syncModeControls();
+    syncCompareControls();
+    syncFieldErrors(errors);
+    updateValidationSummary(errors, root);
+    updateCalculations();
+    
+    announceToScreenReader(`Loaded ${batchRowName(row)} into the calculator`, root);
+    focusElement($('#market-price', root));
+  }
+
+  // =============================================================================
+  // EXPORT
+  // =============================================================================
+
+  /**
+   * Set up the CSV and Excel download buttons
+   */
+  function setupExportButtons() {
+    const formats = [
+      { id: 'export-csv-btn', download: downloadCsv, label: 'CSV' },
+      { id: 'export-xlsx-btn', download: downloadXlsx, label: 'Excel' }
+    ];
+    
+    formats.forEach(({ id, download, label }) => {
+      on(`#${id}`, 'click', () => {
+        if (!state.growthCalculations) {
+          announceToScreenReader('Correct the inputs before downloading the projection', root);
+          return;
+        }
+        download(state.growthCalculations, getDisplayParams(state));
+        announceToScreenReader(`${label} download started`, root);
+      });
+    });
+    
+    // Chart images: only offered in chart view, where the chart is current
+    on('#export-png-btn', 'click', async () => {
+      const ratioSelect = $('#png-pixel-ratio', root);
+      const ratio = ratioSelect ? Number(ratioSelect.value) : 2;
+      const blob = await chartToPng(chartView, ratio);
+      if (!blob) {
+        announceToScreenReader('No chart to download', root);
+        return;
+      }
+      downloadBlob(blob, `implied-growth-chart@${ratio}x.png`);
+      announceToScreenReader('PNG download started', root);
+    });
+    
+    on('#export-svg-btn', 'click', () => {
+      const svg = chartToSvg(chartView);
+      if (!svg) {
+        announceToScreenReader('No chart to download', root);
+        return;
+      }
+      downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'implied-growth-chart.svg');
+      announceToScreenReader('SVG download started', root);
+    });
+  }
+
+  // =============================================================================
+  // PRINT REPORT
+  // =============================================================================
+
+  /**
+   * True between beforeprint and afterprint, while the page is laid out for
+   * paper; resize handling is paused so the print layout cannot switch views
+   */
+  let isPrinting = false;
+
+  /**
+   * Set up the print button and fill the report whenever the page is printed,
+   * including from the browser's own print command
+   */
+  function setupPrintReport() {
+    on('#print-report-btn', 'click', () => window.print());
+    
+    on(window, 'beforeprint', () => {
+      isPrinting = true;
+      const params = state.growthCalculations ? getDisplayParams(state) : null;
+      buildPrintReport(state, params, chartView);
+      
+      // The report chart was drawn into the shared canvas; put the screen chart back
+      if (state.viewMode === 'chart') {
+        handleStateChange(state);
+      } else {
+        destroyChart(chartView);
+      }
+    });
+    
+    on(window, 'afterprint', () => {
+      isPrinting = false;
+    });
+  }
+
+  // =============================================================================
+  // RENDERING
+  // =============================================================================
+
+  /**
+   * Input parameters as displayed. PV_t and r come from the calculations so
+   * the solved unknown is shown.
+   * @param {Object} currentState - State with growthCalculations
+   * @returns {Object} { marketPrice, currentDividend, requiredReturn } and
+   *   the payment convention, with the nominal or real rate basis
+   */
+  function getDisplayParams(currentState) {
+    const { growthCalculations } = currentState;
+    return {
+      marketPrice: growthCalculations.marketPrice,
+      currentDividend: currentState.currentDividend,
+      requiredReturn: growthCalculations.requiredReturn,
+      paymentFrequency: currentState.paymentFrequency,
+      returnCompounding: currentState.returnCompounding,
+      dividendTiming: currentState.dividendTiming,
+      rateBasis: currentState.rateBasis
+    };
+  }
+
+  /**
+   * Write the projection horizon into the chart description and the note
+   * under the visualizer
+   * @param {number} years - Projected years
+   */
+  function renderHorizonText(years) {
+    root.querySelectorAll('.horizon-text').forEach(el => {
+      el.textContent = formatYears(years);
+    });
+    
+    const note = $('#horizon-note', root);
+    if (note) {
+      note.textContent = `Note: Cash flows continue until infinity, but only the first ${years === 1 ? 'year is' : `${years} years are`} shown.`;
+    }
+  }
+
+  /**
+   * Handle state changes and update UI
+   * @param {Object} newState - Updated state
+   */
+  function handleStateChange(newState) {
+    const { growthCalculations, viewMode } = newState;
+    
+    if (!growthCalculations) {
+      // Clear displays if no calculations
+      invalidateSimulation(null);
+      cancelCalculation(channels.sensitivity);
+      return;
+    }
+    
+    const params = getDisplayParams(newState);
+    invalidateSimulation(params, getSimulationStages(newState));
+    
+    const comparisons = getActiveComparisons();
+    const reconciliation = getActiveReconciliation(newState);
+    
+    // Update results section
+    renderResults(growthCalculations, params, comparisons, root);
+    
+    // Update dynamic equation
+    renderDynamicEquation(growthCalculations, params, root);
+    
+    // Update comparison legend
+    const comparisonLegend = $('#comparison-legend', root);
+    if (comparisonLegend) {
+      comparisonLegend.innerHTML = '';
+      if (comparisons.length > 0) {
+        comparisonLegend.appendChild(createComparisonLegend(comparisons));
+      }
+    }
+    
+    // The PVGO, sustainable growth and history legend entries follow the chart
+    const priceBreakdown = getActivePriceBreakdown(newState);
+    root.querySelectorAll('[data-legend-price-bar]').forEach(item => {
+      item.hidden = !priceBreakdown;
+    });
+    const sustainableGrowth = getSustainableGrowthRate(growthCalculations);
+    root.querySelectorAll('[data-legend-sustainable]').forEach(item => {
+      item.hidden = sustainableGrowth === null || sustainableGrowth < 0;
+    });
+    const history = getActiveHistory(newState);
+    root.querySelectorAll('[data-legend-history]').forEach(item => {
+      item.hidden = !history;
+    });
+    const real = getActiveRealBasis(newState);
+    syncRateBasis(newState, real);
+    
+    // Update chart if in chart view
+    if (viewMode === 'chart') {
+      const showLabels = shouldShowLabels();
+      renderChart(
+        chartView,
+        growthCalculations.cashFlows, 
+        showLabels, 
+        growthCalculations.impliedGrowth,
+        comparisons,
+        reconciliation,
+        priceBreakdown,
+        sustainableGrowth,
+        history,
+        real
+      );
+    }
+    
+    // Always update table (even if hidden)
+    renderTable(
+      growthCalculations.cashFlows,
+      growthCalculations.impliedGrowth,
+      reconciliation,
+      real,
+      root
+    );
+    
+    // Keep the chart description and horizon note on the projected years
+    renderHorizonText(growthCalculations.cashFlows.length - 1);
+    
+    // The grid is only built while the results box or the heatmap shows it;
+    // switching to the heatmap sets viewMode, which brings it up to date
+    // through this handler
+    const showResultsGrid = comparisons.length === 0;
+    if (showResultsGrid || viewMode === 'heatmap') {
+      updateSensitivityGrid(growthCalculations, params, { results: showResultsGrid, heatmap: viewMode === 'heatmap' });
+    } else {
+      cancelCalculation(channels.sensitivity);
+    }
+  }
 
-// Wait for DOM to be ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
-} else {
-  // DOM is already ready
+  /** Last sensitivity grid built and the inputs it was built from */
+  let sensitivityGrid = null;
+
+  /**
+   * Draw the sensitivity grid in the results and/or the heatmap, building it
+   * in the calculation service when the inputs behind it have changed; a
+   * newer state cancels a grid still pending
+   * @param {Object} growthCalculations - Current result
+   * @param {Object} params - Display parameters
+   * @param {Object} targets - { results, heatmap }: where to draw it
+   */
+  function updateSensitivityGrid(growthCalculations, params, { results, heatmap }) {
+    const note = getSensitivityNote(growthCalculations);
+    const draw = (grid) => {
+      if (results) renderSensitivityTable(grid, note, root);
+      if (heatmap) renderHeatmap(grid, note, root);
+    };
+    
+    const { marketPrice, currentDividend, requiredReturn, paymentFrequency, returnCompounding, dividendTiming } = params;
+    const key = JSON.stringify([marketPrice, currentDividend, requiredReturn, paymentFrequency, returnCompounding, dividendTiming]);
+    if (sensitivityGrid && sensitivityGrid.key === key) {
+      cancelCalculation(channels.sensitivity);
+      draw(sensitivityGrid.grid);
+      return;
+    }
+    
+    runCalculation('sensitivityGrid', params, { channel: channels.sensitivity })
+      .then(grid => {
+        sensitivityGrid = { key, grid };
+        draw(grid);
+      })
+      .catch(error => {
+        if (!isAbortError(error)) console.error('Sensitivity grid error:', error);
+      });
+  }
+
+  // =============================================================================
+  // WINDOW RESIZE HANDLING
+  // =============================================================================
+
+  /**
+   * Set up window resize listener for responsive chart labels
+   */
+  function setupResizeListener() {
+    let resizeTimeout;
+    
+    on(window, 'resize', () => {
+      // Debounce resize events
+      clearTimeout(resizeTimeout);
+      resizeTimeout = setTimeout(() => {
+        // Printing resizes the window to the page; that must not change the view
+        if (isPrinting) return;
+        
+        handleResponsiveView();
+        
+        if (state.viewMode === 'chart' && state.growthCalculations) {
+          const showLabels = shouldShowLabels();
+          renderChart(
+            chartView,
+            state.growthCalculations.cashFlows, 
+            showLabels,
+            state.growthCalculations.impliedGrowth,
+            getActiveComparisons(),
+            getActiveReconciliation(state),
+            getActivePriceBreakdown(state),
+            getSustainableGrowthRate(state.growthCalculations),
+            getActiveHistory(state),
+            getActiveRealBasis(state)
+          );
+        }
+      }, 250);
+    });
+    
+    // Initial check
+    handleResponsiveView();
+  }
+
+  /**
+   * Handle responsive view switching based on viewport width
+   */
+  function handleResponsiveView() {
+    const chartBtn = $('#chart-view-btn', root);
+    const tableBtn = $('#table-view-btn', root);
+    const helper = $('#chart-helper-text', root);
+    const viewportWidth = window.innerWidth;
+    
+    // At very narrow widths (< 600px), force table view and disable chart button
+    if (viewportWidth < 600) {
+      if (state.viewMode === 'chart') {
+        switchView('table', { userInitiated: false });
+      }
+      
+      if (chartBtn) {
+        chartBtn.disabled = true;
+        chartBtn.setAttribute('aria-disabled', 'true');
+        chartBtn.setAttribute('aria-describedby', 'chart-helper-text');
+        chartBtn.removeAttribute('title');
+      }
+      if (tableBtn) {
+        tableBtn.disabled = false;
+        tableBtn.removeAttribute('aria-disabled');
+        tableBtn.removeAttribute('title');
+      }
+      if (helper) helper.style.display = 'block';
+    } else {
+      if (chartBtn) {
+        chartBtn.disabled = false;
+        chartBtn.removeAttribute('aria-disabled');
+        chartBtn.removeAttribute('aria-describedby');
+        chartBtn.removeAttribute('title');
+      }
+      if (tableBtn) {
+        tableBtn.removeAttribute('title');
+      }
+      if (helper) helper.style.display = 'none';
+    }
+  }
+
+
+  // =============================================================================
+  // CLEANUP
+  // =============================================================================
+
+  /**
+   * Cleanup function (called when the element leaves the page): remove the
+   * listeners and chart, and drop any calculation still running
+   */
+  function cleanup() {
+    listeners.abort();
+    if (simulationController) simulationController.abort();
+    Object.values(channels).forEach(channel => cancelCalculation(channel));
+    destroyChart(chartView);
+    console.log('Calculator cleanup complete');
+  }
+  
   init();
+  
+  return {
+    state,
+    applyInputs,
+    destroy: cleanup
+  };
 }
 
-// Export for potential external use
-export { state, setState, updateCalculations };
\ No newline at end of file
+// =============================================================================
+// SELF-TESTS
+// =============================================================================
+
+/**
+ * Run self-tests to verify calculations
+ */
+function runSelfTests() {
+  console.log('Running self-tests...');
+  
+  runSelfTestCases().forEach(({ name, passed, message, error }) => {
+    if (passed) {
+      console.log(`âœ“ ${name} passed`);
+    } else if (error) {
+      console.error(`✗ ${name} threw error:`, error);
+    } else {
+      console.warn(`✗ ${name} failed: ${message}`);
+    }
+  });
+  
+  console.log('Self-tests complete');
+}
@@ -0,0 +1,131 @@
+/**
+ * Batch Panel Module
+ * Renders the batch results table with sortable column headers, per-row
+ * errors and a load button on each row
+ */
+
+import { createElement, formatNumber, formatPercentage, applyTableRoles } from './utils.js';
+
+/** Column headers as displayed, with the value formatting of each column */
+const DISPLAY_COLUMNS = [
+  { key: 'marketPrice', label: 'Market price (USD)', format: formatNumber },
+  { key: 'currentDividend', label: 'Current dividend (USD)', format: formatNumber },
+  { key: 'requiredReturn', label: 'Required return (𝑟)', format: formatPercentage, className: 'table-var-3' },
+  { key: 'impliedGrowth', label: 'Implied growth (𝑔)', format: formatPercentage, className: 'table-var-5' },
+  { key: 'expectedD1', label: 'Expected next dividend (USD)', format: formatNumber, className: 'table-var-2' },
+  { key: 'dividendYield', label: 'Dividend yield', format: formatPercentage }
+];
+
+/**
+ * Ticker as shown, falling back to the line number for blank tickers
+ * @param {Object} row - Batch result
+ * @returns {string} Name
+ */
+export function batchRowName(row) {
+  return row.ticker || `Line ${row.line}`;
+}
+
+/**
+ * Check whether a row has numbers to load into the calculator
+ * @param {Object} row - Batch result
+ * @returns {boolean} True when price, dividend and r were all read
+ */
+export function isLoadableRow(row) {
+  return [row.marketPrice, row.currentDividend, row.requiredReturn].every(Number.isFinite);
+}
+
+/**
+ * Render the results table. Header buttons carry data-sort and row buttons
+ * data-line so the caller handles them with delegated listeners.
+ * @param {Array<Object>} rows - Filtered, sorted batch results
+ * @param {Object} sort - { key, direction } of the active sort (key null for file order)
+ * @param {Document|ShadowRoot} root - Calculator to render into
+ */
+export function renderBatchTable(rows, { key: sortKey = null, direction = 'ascending' } = {}, root = document) {
+  const wrapper = root.getElementById('batch-table-wrapper');
+  if (!wrapper) {
+    console.error('Batch table wrapper not found');
+    return;
+  }
+
+  const table = createElement('table', { className: 'data-table batch-table', id: 'batch-table' });
+  table.appendChild(createElement('caption', { className: 'sr-only' },
+    'Implied growth of each batch row under the constant growth model, with any validation errors. ' +
+    'Column header buttons sort the table; the ticker button loads a row into the calculator.'
+  ));
+
+  const thead = createElement('thead');
+  const headRow = createElement('tr');
+  [{ key: 'ticker', label: 'Ticker' }, ...DISPLAY_COLUMNS].forEach(({ key, label }) => {
+    const isSorted = key === sortKey;
+    const th = createElement('th', {
+      scope: 'col',
+      className: key === 'ticker' ? 'text-left' : 'text-right',
+      ...(isSorted ? { 'aria-sort': direction } : {})
+    });
+    const btn = createElement('button', { type: 'button', className: 'batch-sort-btn', 'data-sort': key }, label);
+    btn.appendChild(createElement('span', { className: 'batch-sort-indicator', 'aria-hidden': 'true' },
+      isSorted ? (direction === 'ascending' ? '▲' : '▼') : '↕'
+    ));
+    th.appendChild(btn);
+    headRow.appendChild(th);
+  });
+  headRow.appendChild(createElement('th', { scope: 'col', className: 'text-left' }, 'Errors'));
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = createElement('tbody');
+  rows.forEach(row => {
+    const name = batchRowName(row);
+    const hasErrors = row.errors.length > 0;
+    const tr = createElement('tr', {
+      className: hasErrors ? 'batch-row batch-row-error' : 'batch-row',
+      'data-line': row.line
+    });
+
+    const th = createElement('th', { scope: 'row', className: 'text-left', 'data-label': 'Ticker' });
+    const loadBtn = createElement('button', {
+      type: 'button',
+      className: 'batch-load-btn',
+      'data-line': row.line,
+      'aria-label': `Load ${name} into the calculator`
+    }, name);
+    if (!isLoadableRow(row)) loadBtn.disabled = true;
+    th.appendChild(loadBtn);
+    tr.appendChild(th);
+
+    DISPLAY_COLUMNS.forEach(({ key, label, format, className }) => {
+      const value = row[key];
+      const td = createElement('td', { className: 'text-right', 'data-label': label });
+      td.appendChild(createElement('span', { className: className ? `cell-value ${className}` : 'cell-value' },
+        Number.isFinite(value) ? format(value) : '—'
+      ));
+      tr.appendChild(td);
+    });
+
+    const errorCell = createElement('td', { className: 'text-left', 'data-label': 'Errors' });
+    errorCell.appendChild(createElement('span', { className: 'cell-value batch-errors' },
+      hasErrors ? row.errors.join('. ') : '—'
+    ));
+    tr.appendChild(errorCell);
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+
+  applyTableRoles(table);
+  wrapper.innerHTML = '';
+  wrapper.appendChild(table);
+}
+
+/**
+ * Describe what the table shows
+ * @param {number} shown - Rows after filtering
+ * @param {Array<Object>} results - All batch results
+ * @returns {string} Summary
+ */
+export function describeBatch(shown, results) {
+  const failed = results.filter(row => row.errors.length > 0).length;
+  const total = results.length;
+  return `Showing ${shown} of ${total} ${total === 1 ? 'row' : 'rows'}; ` +
+    `${failed} with ${failed === 1 ? 'an error' : 'errors'}`;
+}
@@ -0,0 +1,220 @@
+/**
+ * Batch Module
+ * Parses a CSV or pasted table of dividend payers and computes the implied
+ * growth of each row with the constant growth model
+ */
+
+import { calculateImpliedGrowth } from './calculations.js';
+import { validateAllInputs } from './validation.js';
+import { toCsv } from './export.js';
+import { detectCsvDelimiter, splitCsvLine, parseSpreadsheetNumber } from './utils.js';
+
+/** Largest batch accepted in one go */
+export const MAX_BATCH_ROWS = 1000;
+
+/** Rows per slice; the runner yields between slices */
+const CHUNK_SIZE = 200;
+
+/**
+ * Batch table columns. Input columns carry the header names recognised in
+ * an uploaded file (lower case, compared without punctuation).
+ */
+export const BATCH_COLUMNS = [
+  { key: 'ticker', label: 'Ticker', type: 'text', aliases: ['ticker', 'symbol', 'name', 'company'] },
+  { key: 'marketPrice', label: 'Market price (PV_t) (USD)', type: 'number', aliases: ['price', 'market price', 'pv', 'pvt', 'pv t'] },
+  { key: 'currentDividend', label: 'Current dividend (Div_t) (USD)', type: 'number', aliases: ['dividend', 'current dividend', 'div', 'divt', 'div t', 'd0'] },
+  { key: 'requiredReturn', label: 'Required return (r)', type: 'percent', aliases: ['required return', 'return', 'r', 'k', 'cost of equity'] },
+  { key: 'impliedGrowth', label: 'Implied growth (g)', type: 'percent' },
+  { key: 'expectedD1', label: 'Expected next dividend (Div_t+1) (USD)', type: 'number' },
+  { key: 'dividendYield', label: 'Dividend yield (Div_t+1 / PV_t)', type: 'percent' }
+];
+
+/** Columns read from the file, in the order assumed without a header row */
+const INPUT_KEYS = ['ticker', 'marketPrice', 'currentDividend', 'requiredReturn'];
+
+/**
+ * Parse CSV text or a table pasted from a spreadsheet (tab separated).
+ * A header row is optional; without one the columns are taken as ticker,
+ * price, dividend, required return.
+ * @param {string} text - File or pasted contents
+ * @returns {Object} { rows, error } where rows are { line, ticker,
+ *   marketPrice, currentDividend, requiredReturn } and error is a message
+ *   when the table as a whole cannot be read
+ */
+export function parseBatchText(text) {
+  const lines = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r\n|\n|\r/)
+    .map((content, index) => ({ content, line: index + 1 }))
+    .filter(({ content }) => content.trim() !== '');
+
+  if (lines.length === 0) {
+    return { rows: [], error: 'Add at least one row: ticker, price, dividend, required return' };
+  }
+
+  const delimiter = detectCsvDelimiter(lines[0].content);
+  let records = lines.map(({ content, line }) => ({ cells: splitCsvLine(content, delimiter), line }));
+
+  // Header row: map the named columns; otherwise assume the default order
+  let columnIndex = Object.fromEntries(INPUT_KEYS.map((key, index) => [key, index]));
+  const header = readHeader(records[0].cells);
+  if (header) {
+    const missing = INPUT_KEYS.filter(key => key !== 'ticker' && header[key] === undefined);
+    if (missing.length > 0) {
+      const labels = missing.map(key => BATCH_COLUMNS.find(col => col.key === key).aliases[0]);
+      return { rows: [], error: `Missing column: ${labels.join(', ')}` };
+    }
+    columnIndex = header;
+    records = records.slice(1);
+  }
+
+  if (records.length > MAX_BATCH_ROWS) {
+    return { rows: [], error: `A batch can have at most ${MAX_BATCH_ROWS.toLocaleString('en-US')} rows` };
+  }
+
+  const rows = records.map(({ cells, line }) => {
+    const cell = (key) => (columnIndex[key] === undefined ? '' : (cells[columnIndex[key]] || '').trim());
+    return {
+      line,
+      ticker: cell('ticker'),
+      marketPrice: parseSpreadsheetNumber(cell('marketPrice')),
+      currentDividend: parseSpreadsheetNumber(cell('currentDividend')),
+      requiredReturn: parseSpreadsheetNumber(cell('requiredReturn'))
+    };
+  });
+
+  return { rows, error: rows.length === 0 ? 'The table has a header but no rows' : null };
+}
+
+/**
+ * Read a header row
+ * @param {Array<string>} cells - First row
+ * @returns {Object|null} Column index by key, or null when the row is data
+ */
+function readHeader(cells) {
+  const columnIndex = {};
+  cells.forEach((cell, index) => {
+    const name = cell.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+    const column = BATCH_COLUMNS.find(col => col.aliases && col.aliases.includes(name));
+    if (column && columnIndex[column.key] === undefined) {
+      columnIndex[column.key] = index;
+    }
+  });
+  return Object.keys(columnIndex).length > 0 ? columnIndex : null;
+}
+
+/**
+ * Validate one row and compute its implied growth, expected D1 and yield
+ * @param {Object} row - parseBatchText row
+ * @param {number} horizonYears - Projection horizon the calculator validates with
+ * @returns {Object} Row with impliedGrowth, expectedD1, dividendYield (null
+ *   when invalid) and errors (messages)
+ */
+export function evaluateBatchRow(row, horizonYears) {
+  const { marketPrice, currentDividend, requiredReturn } = row;
+  const errors = validateAllInputs({
+    solveFor: 'growth',
+    model: 'gordon',
+    horizonYears,
+    marketPrice,
+    currentDividend,
+    requiredReturn
+  });
+  const messages = Object.values(errors);
+
+  if (messages.length > 0) {
+    return { ...row, impliedGrowth: null, expectedD1: null, dividendYield: null, errors: messages };
+  }
+
+  const { impliedGrowth, expectedD1, dividendYield } = calculateImpliedGrowth({ marketPrice, currentDividend, requiredReturn });
+  return { ...row, impliedGrowth, expectedD1, dividendYield, errors: [] };
+}
+
+/**
+ * Evaluate every row in slices
+ * @param {Object} params - { rows, horizonYears }
+ * @param {Object} options - { onProgress, signal } (see runSimulation)
+ * @returns {Promise<Array<Object>>} evaluateBatchRow results
+ */
+export async function runBatch({ rows, horizonYears }, { onProgress = () => {}, signal = null } = {}) {
+  const results = [];
+
+  for (let start = 0; start < rows.length; start += CHUNK_SIZE) {
+    if (signal && signal.aborted) {
+      throw new DOMException('Batch cancelled', 'AbortError');
+    }
+
+    const end = Math.min(start + CHUNK_SIZE, rows.length);
+    for (let i = start; i < end; i++) {
+      results.push(evaluateBatchRow(rows[i], horizonYears));
+    }
+
+    onProgress(end / rows.length);
+    if (end < rows.length) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Sort results by a column. Rows without a value (errors, blank tickers)
+ * stay at the bottom in either direction; ties keep the file order.
+ * @param {Array<Object>} results - Batch results
+ * @param {string|null} key - Column key, or null for file order
+ * @param {string} direction - 'ascending' or 'descending'
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortBatchResults(results, key, direction = 'ascending') {
+  if (!key) return [...results].sort((a, b) => a.line - b.line);
+
+  const sign = direction === 'descending' ? -1 : 1;
+  const isMissing = (value) => value === null || value === '' || Number.isNaN(value);
+
+  return [...results].sort((a, b) => {
+    const x = a[key];
+    const y = b[key];
+    if (isMissing(x) || isMissing(y)) {
+      return (isMissing(x) - isMissing(y)) || a.line - b.line;
+    }
+    const order = typeof x === 'string' ? x.localeCompare(y, 'en-US', { sensitivity: 'base' }) : x - y;
+    return sign * order || a.line - b.line;
+  });
+}
+
+/**
+ * Filter results by ticker text and status
+ * @param {Array<Object>} results - Batch results
+ * @param {Object} filter - { query, status } with status 'all', 'valid' or 'errors'
+ * @returns {Array<Object>} Matching rows
+ */
+export function filterBatchResults(results, { query = '', status = 'all' } = {}) {
+  const needle = query.trim().toLowerCase();
+  return results.filter(row => {
+    if (status === 'valid' && row.errors.length > 0) return false;
+    if (status === 'errors' && row.errors.length === 0) return false;
+    return !needle || row.ticker.toLowerCase().includes(needle);
+  });
+}
+
+/**
+ * Serialize results as CSV: inputs, results and any error messages
+ * @param {Array<Object>} results - Batch results
+ * @returns {string} CSV text
+ */
+export function batchToCsv(results) {
+  const cell = (value, type) => {
+    if (type === 'text') return value;
+    if (value === null || Number.isNaN(value)) return null;
+    return type === 'percent' ? { value: value / 100, style: 'percent' } : { value, style: 'number' };
+  };
+
+  return toCsv([
+    [...BATCH_COLUMNS.map(col => col.label), 'Errors'],
+    ...results.map(row => [
+      ...BATCH_COLUMNS.map(col => cell(row[col.key], col.type)),
+      row.errors.join('; ')
+    ])
+  ]);
+}
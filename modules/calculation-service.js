@@ -0,0 +1,226 @@
+/**
+ * Calculation Service Module
+ * Promise API over the calculation tasks. Tasks run in a Web Worker so
+ * grids, simulations and batches leave the page responsive; without worker
+ * support they run on the main thread instead.
+ */
+
+import { runTask } from './calculation-tasks.js';
+
+let worker = null;
+let workerUnavailable = false;
+let nextRequestId = 1;
+
+/** Requests still waiting for a result, by id */
+const pending = new Map();
+
+/** Latest request of each channel, by channel name */
+const channels = new Map();
+
+/**
+ * Error a cancelled request rejects with
+ * @returns {DOMException} AbortError
+ */
+function createAbortError() {
+  return new DOMException('Calculation cancelled', 'AbortError');
+}
+
+/**
+ * Check whether a rejection only means the request was cancelled
+ * @param {*} error - Rejection reason
+ * @returns {boolean} True for an AbortError
+ */
+export function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Start the worker on first use
+ * @returns {Worker|null} Worker, or null when calculating on the main thread
+ */
+function getWorker() {
+  if (worker || workerUnavailable) return worker;
+
+  if (typeof Worker === 'undefined') {
+    workerUnavailable = true;
+    return null;
+  }
+
+  try {
+    worker = new Worker(new URL('./calculation-worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.warn('Calculation worker unavailable; calculating on the main thread', error);
+    workerUnavailable = true;
+    return null;
+  }
+
+  worker.addEventListener('message', handleWorkerMessage);
+  worker.addEventListener('error', handleWorkerError);
+  return worker;
+}
+
+/**
+ * Route a worker message to its request
+ * @param {MessageEvent} event - { id, progress } or { id, result } or { id, error }
+ */
+function handleWorkerMessage(event) {
+  const { id, progress, result, error } = event.data;
+  const request = pending.get(id);
+  // Cancelled requests may still report back; their promise is settled
+  if (!request) return;
+
+  if (progress !== undefined) {
+    request.onProgress(progress);
+    return;
+  }
+
+  settle(request);
+  if (error) {
+    request.reject(error.name === 'AbortError' ? createAbortError() : new Error(error.message));
+  } else {
+    request.resolve(result);
+  }
+}
+
+/**
+ * The worker failed to load (e.g. no module worker support) or crashed:
+ * stop using it and finish the outstanding requests on the main thread
+ * @param {ErrorEvent} event - Worker error
+ */
+function handleWorkerError(event) {
+  event.preventDefault();
+  console.warn('Calculation worker failed; calculating on the main thread', event.message);
+  worker.terminate();
+  worker = null;
+  workerUnavailable = true;
+  pending.forEach(runOnMainThread);
+}
+
+/**
+ * Fallback: run a request's task on the main thread
+ * @param {Object} request - Pending request
+ */
+function runOnMainThread(request) {
+  const isCurrent = () => pending.get(request.id) === request;
+
+  runTask(request.type, request.payload, {
+    onProgress: (progress) => {
+      if (isCurrent()) request.onProgress(progress);
+    },
+    signal: request.controller.signal
+  }).then(
+    (result) => {
+      if (!isCurrent()) return;
+      settle(request);
+      request.resolve(result);
+    },
+    (error) => {
+      if (!isCurrent()) return;
+      settle(request);
+      request.reject(error);
+    }
+  );
+}
+
+/**
+ * Forget a request once its promise is settled
+ * @param {Object} request - Pending request
+ */
+function settle(request) {
+  pending.delete(request.id);
+  if (request.channel && channels.get(request.channel) === request.id) {
+    channels.delete(request.channel);
+  }
+  request.detachSignal();
+}
+
+/**
+ * Cancel a pending request: stop the task and reject with an AbortError
+ * @param {number} id - Request id
+ */
+function cancelRequest(id) {
+  const request = pending.get(id);
+  if (!request) return;
+
+  settle(request);
+  request.controller.abort();
+  if (worker) {
+    worker.postMessage({ id, type: 'cancel' });
+  }
+  request.reject(createAbortError());
+}
+
+/**
+ * Run a calculation task
+ * @param {string} type - 'growthMetrics', 'sensitivityGrid', 'simulation' or 'batch'
+ * @param {Object} payload - Task input (must be structured-cloneable)
+ * @param {Object} options - Request options
+ * @param {string} options.channel - Requests on one channel replace each
+ *   other: starting one cancels the previous, which is stale
+ * @param {Function} options.onProgress - Called with the completed fraction
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<*>} Task result; rejects with an AbortError when cancelled
+ */
+export function runCalculation(type, payload, { channel = null, onProgress = () => {}, signal = null } = {}) {
+  if (signal && signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+  if (channel) {
+    cancelCalculation(channel);
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    const onAbort = () => cancelRequest(id);
+    const request = {
+      id,
+      type,
+      payload,
+      channel,
+      onProgress,
+      resolve,
+      reject,
+      controller: new AbortController(),
+      detachSignal: () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    pending.set(id, request);
+    if (channel) channels.set(channel, id);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const target = getWorker();
+    if (!target) {
+      runOnMainThread(request);
+      return;
+    }
+
+    try {
+      target.postMessage({ id, type, payload });
+    } catch (error) {
+      // Payload could not be cloned
+      settle(request);
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Cancel the pending request of a channel, if any
+ * @param {string} channel - Channel name
+ */
+export function cancelCalculation(channel) {
+  const id = channels.get(channel);
+  if (id !== undefined) {
+    cancelRequest(id);
+  }
+}
+
+/**
+ * Where tasks currently run
+ * @returns {string} 'worker' or 'main'
+ */
+export function getCalculationMode() {
+  return getWorker() ? 'worker' : 'main';
+}
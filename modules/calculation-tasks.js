@@ -0,0 +1,36 @@
+/**
+ * Calculation Tasks Module
+ * The calculations the calculation service can run, shared by the worker
+ * and the main-thread fallback
+ */
+
+import { calculateGrowthMetrics } from './calculations.js';
+import { buildSensitivityGrid } from './sensitivity.js';
+import { runSimulation } from './simulation.js';
+import { runBatch } from './batch.js';
+
+/**
+ * Task handlers by name. Each takes a structured-cloneable payload and
+ * { onProgress, signal }, and returns (or resolves to) a cloneable result.
+ */
+export const TASKS = {
+  growthMetrics: (params) => calculateGrowthMetrics(params),
+  sensitivityGrid: (params) => buildSensitivityGrid(params),
+  simulation: (params, options) => runSimulation(params, options),
+  batch: (params, options) => runBatch(params, options)
+};
+
+/**
+ * Run a task by name
+ * @param {string} type - Key of TASKS
+ * @param {Object} payload - Task input
+ * @param {Object} options - { onProgress, signal }
+ * @returns {Promise<*>} Task result
+ */
+export async function runTask(type, payload, options = {}) {
+  const task = TASKS[type];
+  if (!task) {
+    throw new Error(`Unknown calculation task: ${type}`);
+  }
+  return task(payload, options);
+}
@@ -0,0 +1,37 @@
+/**
+ * Calculation Worker
+ * Runs calculation tasks off the main thread for the calculation service.
+ *
+ * Messages in:  { id, type, payload } to start, { id, type: 'cancel' } to stop
+ * Messages out: { id, progress }, { id, result } or { id, error: { name, message } }
+ */
+
+import { runTask } from './calculation-tasks.js';
+
+/** AbortController of each running task, by request id */
+const controllers = new Map();
+
+self.addEventListener('message', async (event) => {
+  const { id, type, payload } = event.data;
+
+  if (type === 'cancel') {
+    const controller = controllers.get(id);
+    if (controller) controller.abort();
+    return;
+  }
+
+  const controller = new AbortController();
+  controllers.set(id, controller);
+
+  try {
+    const result = await runTask(type, payload, {
+      onProgress: (progress) => self.postMessage({ id, progress }),
+      signal: controller.signal
+    });
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: { name: error.name, message: error.message } });
+  } finally {
+    controllers.delete(id);
+  }
+});
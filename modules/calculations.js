@@ -3,6 +3,15 @@
  * Pure functions for Gordon Growth Model mathematics
  */
 
+import { solveImpliedRate } from './solver.js';
+
+/** Dividend payments a year for each payment frequency */
+export const PAYMENTS_PER_YEAR = {
+  annual: 1,
+  semiannual: 2,
+  quarterly: 4
+};
+
 /**
  * Calculate implied growth rate using Gordon Growth Model
  * 
@@ -16,16 +25,33 @@
  *   g(PV_t + Div_t)/PV_t = (r*PV_t - Div_t)/PV_t
  *   g = (r*PV_t - Div_t) / (PV_t + Div_t)
  * 
+ * When the entered dividend is already the forward Div_{t+1}, no growth
+ * is applied to it and g = r - Div_{t+1}/PV_t directly.
+ * 
  * @param {Object} params - Model parameters
  * @param {number} params.marketPrice - Current market price (PV_t)
- * @param {number} params.currentDividend - Current dividend (Div_t)
+ * @param {number} params.currentDividend - Current dividend (Div_t), or
+ *   Div_{t+1} with forward timing
  * @param {number} params.requiredReturn - Required return (r, as percentage)
+ * @param {string} [params.dividendTiming] - 'trailing' (default) or 'forward'
  * @returns {Object} Calculation results
  */
-export function calculateImpliedGrowth({ marketPrice, currentDividend, requiredReturn }) {
+export function calculateImpliedGrowth({ marketPrice, currentDividend, requiredReturn, dividendTiming = 'trailing' }) {
   // Convert required return from percentage to decimal
   const r = requiredReturn / 100;
   
+  if (dividendTiming === 'forward') {
+    // g = r - Div_{t+1}/PV_t
+    const impliedGrowth = r - currentDividend / marketPrice;
+    return {
+      impliedGrowth: impliedGrowth * 100,
+      impliedGrowthDecimal: impliedGrowth,
+      expectedD1: currentDividend,
+      dividendYield: (currentDividend / marketPrice) * 100,
+      isValid: impliedGrowth < r && impliedGrowth >= 0
+    };
+  }
+  
   // Calculate implied growth rate using solved formula
   // g = (r*PV_t - Div_t) / (PV_t + Div_t)
   const impliedGrowth = (r * marketPrice - currentDividend) / (marketPrice + currentDividend);
@@ -47,72 +73,944 @@ export function calculateImpliedGrowth({ marketPrice, currentDividend, requiredR
 }
 
 /**
- * Generate dividend cash flow projections
+ * Calculate implied required return from a pinned growth rate
+ * 
+ * Rearranging the curriculum formula for r:
+ *   r = Div_t(1+g)/PV_t + g
+ * 
+ * @param {Object} params - Model parameters
+ * @param {number} params.marketPrice - Current market price (PV_t)
+ * @param {number} params.currentDividend - Current dividend (Div_t), or
+ *   Div_{t+1} with forward timing
+ * @param {number} params.growthRate - Growth rate (g, as percentage)
+ * @param {string} [params.dividendTiming] - 'trailing' (default) or 'forward'
+ * @returns {Object} Calculation results
+ */
+export function calculateImpliedReturn({ marketPrice, currentDividend, growthRate, dividendTiming = 'trailing' }) {
+  const g = growthRate / 100;
+  
+  // Div_{t+1} = Div_t × (1 + g)
+  const expectedD1 = getNextDividend(currentDividend, g, dividendTiming);
+  
+  // r = Div_{t+1}/PV_t + g
+  const r = expectedD1 / marketPrice + g;
+  
+  return {
+    impliedReturn: r * 100, // Convert to percentage
+    impliedReturnDecimal: r,
+    expectedD1,
+    dividendYield: (expectedD1 / marketPrice) * 100,
+    isValid: g < r && g >= 0
+  };
+}
+
+/**
+ * Calculate implied market price from a pinned growth rate and required return
+ * 
+ * The Gordon price:
+ *   PV_t = Div_t(1+g) / (r - g)
+ * 
+ * @param {Object} params - Model parameters
+ * @param {number} params.currentDividend - Current dividend (Div_t), or
+ *   Div_{t+1} with forward timing
+ * @param {number} params.requiredReturn - Required return (r, as percentage)
+ * @param {number} params.growthRate - Growth rate (g, as percentage)
+ * @param {string} [params.dividendTiming] - 'trailing' (default) or 'forward'
+ * @returns {Object} Calculation results; when g ≥ r, isValid is false and
+ *   error says why
+ */
+export function calculateImpliedPrice({ currentDividend, requiredReturn, growthRate, dividendTiming = 'trailing' }) {
+  const r = requiredReturn / 100;
+  const g = growthRate / 100;
+  
+  const expectedD1 = getNextDividend(currentDividend, g, dividendTiming);
+  
+  // No finite price unless g < r; report it like an invalid implied g
+  if (g >= r) {
+    return {
+      impliedPrice: NaN,
+      expectedD1,
+      dividendYield: NaN,
+      isValid: false,
+      error: 'Growth rate must be less than required return'
+    };
+  }
+  
+  const impliedPrice = calculateGordonPrice(expectedD1, r, g);
+  
+  return {
+    impliedPrice,
+    expectedD1,
+    dividendYield: (expectedD1 / impliedPrice) * 100,
+    isValid: g >= 0
+  };
+}
+
+/**
+ * Next dividend from the entered one: Div_t(1+g) for a trailing dividend,
+ * unchanged when it is already the forward Div_{t+1}
+ * @param {number} dividend - Entered dividend
+ * @param {number} g - Growth rate (decimal)
+ * @param {string} dividendTiming - 'trailing' or 'forward'
+ * @returns {number} Div_{t+1}
+ */
+function getNextDividend(dividend, g, dividendTiming) {
+  return dividendTiming === 'forward' ? dividend : dividend * (1 + g);
+}
+
+/**
+ * Payment frequency, how r is quoted and whether the entered dividend is
+ * trailing or forward. With one payment a year an effective and a nominal
+ * rate are the same, so the quote only matters for more frequent payments.
+ * @param {Object} params - Input parameters
+ * @returns {Object} { frequency, perYear, compounding, timing }
+ */
+export function getPaymentConvention({ paymentFrequency = 'annual', returnCompounding = 'effective', dividendTiming = 'trailing' }) {
+  const frequency = PAYMENTS_PER_YEAR[paymentFrequency] ? paymentFrequency : 'annual';
+  const perYear = PAYMENTS_PER_YEAR[frequency];
+  return {
+    frequency,
+    perYear,
+    compounding: perYear === 1 ? 'effective' : returnCompounding,
+    timing: dividendTiming === 'forward' ? 'forward' : 'trailing'
+  };
+}
+
+/**
+ * Check for the curriculum convention: one year-end payment with Div_t entered
+ * @param {Object} convention - getPaymentConvention result
+ * @returns {boolean} True for annual payments and a trailing dividend
+ */
+export function isAnnualTrailing({ perYear, timing }) {
+  return perYear === 1 && timing === 'trailing';
+}
+
+/**
+ * Rate per payment period. An effective annual rate compounds over the
+ * periods, (1 + r)^(1/m) - 1; a nominal annual rate is split, r/m.
+ * @param {number} annualRate - Annual rate (decimal)
+ * @param {number} perYear - Payments a year (m)
+ * @param {string} compounding - 'effective' or 'nominal'
+ * @returns {number} Periodic rate (decimal)
+ */
+export function toPeriodicRate(annualRate, perYear, compounding) {
+  if (perYear === 1) return annualRate;
+  return compounding === 'nominal'
+    ? annualRate / perYear
+    : Math.pow(1 + annualRate, 1 / perYear) - 1;
+}
+
+/**
+ * Annual rate quoted the same way as r, from a rate per payment period
+ * @param {number} periodicRate - Periodic rate (decimal)
+ * @param {number} perYear - Payments a year (m)
+ * @param {string} compounding - 'effective' or 'nominal'
+ * @returns {number} Annual rate (decimal)
+ */
+export function toAnnualRate(periodicRate, perYear, compounding) {
+  if (perYear === 1) return periodicRate;
+  return compounding === 'nominal'
+    ? periodicRate * perYear
+    : Math.pow(1 + periodicRate, perYear) - 1;
+}
+
+/**
+ * Restate the inputs per payment period so the annual formulas apply
+ * unchanged: rates become periodic, the high-growth years become periods,
+ * and the entered dividend (an annual rate) is split into equal payments.
+ * A forward dividend is the first payment; the multi-stage models grow
+ * from the payment before it, Div_{t+1}/(1 + g_S).
+ * @param {Object} params - Input parameters (rates as percentages)
+ * @returns {Object} Parameters per payment period
+ */
+export function toPeriodicParams(params) {
+  const { perYear, compounding, timing } = getPaymentConvention(params);
+  const isMultiStage = params.model === 'twoStage' || params.model === 'hModel';
+  const rate = (value) => (perYear === 1 || !Number.isFinite(value)
+    ? value
+    : toPeriodicRate(value / 100, perYear, compounding) * 100);
+  const highGrowthRate = rate(params.highGrowthRate);
+  const payment = params.currentDividend / perYear;
+  
+  return {
+    ...params,
+    requiredReturn: rate(params.requiredReturn),
+    growthRate: rate(params.growthRate),
+    highGrowthRate,
+    highGrowthYears: params.highGrowthYears * perYear,
+    currentDividend: timing === 'forward' && isMultiStage ? payment / (1 + highGrowthRate / 100) : payment,
+    dividendTiming: isMultiStage ? 'trailing' : timing
+  };
+}
+
+/**
+ * Implied growth under the payment convention, restated as an annual rate
+ * quoted like r (for the sensitivity grid and the simulation). The
+ * multi-stage models solve for the long-run rate g_L.
+ * @param {Object} params - marketPrice, currentDividend, requiredReturn,
+ *   the convention fields (see getPaymentConvention) and, for a multi-stage
+ *   model, model, highGrowthRate and highGrowthYears
+ * @returns {number} Implied growth (as percentage); for a multi-stage model
+ *   with no g_L in the search range, Infinity when it would have to reach r,
+ *   -Infinity when it would fall below the range and NaN if the solver fails
+ */
+export function calculateConventionGrowth(params) {
+  const { perYear, compounding } = getPaymentConvention(params);
+  const periodic = toPeriodicParams(params);
+  
+  if (params.model === 'twoStage' || params.model === 'hModel') {
+    const solver = solveImpliedGrowth(periodic);
+    if (solver.root === null) {
+      if (solver.reason !== 'no-sign-change') return NaN;
+      // Still below the market price at the top of the range: g_L ≥ r
+      return solver.bracketValues[1] < 0 ? Infinity : -Infinity;
+    }
+    return toAnnualRate(solver.root, perYear, compounding) * 100;
+  }
+  
+  const { impliedGrowthDecimal } = calculateImpliedGrowth(periodic);
+  return toAnnualRate(impliedGrowthDecimal, perYear, compounding) * 100;
+}
+
+/**
+ * Year-by-year growth path for the multi-stage models
+ * 
+ * Two-stage: g_S for years 1..N, then g_L
+ * H-model:   g declines linearly from g_S to g_L over 2H = N years, then g_L
+ * 
+ * @param {string} model - 'twoStage' or 'hModel'
+ * @param {number} gS - High (short-term) growth rate (decimal)
+ * @param {number} gL - Long-run growth rate (decimal)
+ * @param {number} n - High-growth years (N, or 2H for the H-model)
+ * @returns {Function} year => { growth, stage }
+ */
+export function getStageGrowth(model, gS, gL, n) {
+  if (model === 'hModel') {
+    return (year) => year <= n
+      ? { growth: gS - (gS - gL) * (year - 1) / n, stage: 'transition' }
+      : { growth: gL, stage: 'stable' };
+  }
+  
+  return (year) => year <= n
+    ? { growth: gS, stage: 'high' }
+    : { growth: gL, stage: 'stable' };
+}
+
+/**
+ * Two-stage DDM price
+ * PV_0 = Σ_{t=1}^{N} D_0(1+g_S)^t/(1+r)^t + D_0(1+g_S)^N(1+g_L) / ((r - g_L)(1+r)^N)
+ * 
+ * @param {Object} params - Model parameters (rates as decimals)
+ * @returns {number} Theoretical stock price
+ */
+export function calculateTwoStagePrice({ currentDividend, r, gS, gL, n }) {
+  let pv = 0;
+  let dividend = currentDividend;
+  
+  for (let year = 1; year <= n; year++) {
+    dividend *= 1 + gS;
+    pv += dividend / Math.pow(1 + r, year);
+  }
+  
+  const terminalValue = calculateGordonPrice(dividend * (1 + gL), r, gL);
+  return pv + terminalValue / Math.pow(1 + r, n);
+}
+
+/**
+ * H-model price, with half-life H = N/2
+ * PV_0 = D_0(1+g_L)/(r - g_L) + D_0·H·(g_S - g_L)/(r - g_L)
+ * 
+ * @param {Object} params - Model parameters (rates as decimals)
+ * @returns {number} Theoretical stock price
+ */
+export function calculateHModelPrice({ currentDividend, r, gS, gL, n }) {
+  const h = n / 2;
+  return calculateGordonPrice(currentDividend * (1 + gL), r, gL) +
+    currentDividend * h * (gS - gL) / (r - gL);
+}
+
+/**
+ * Pricing function for each dividend discount model (rates as decimals).
+ * Implied rates are backed out of these by the solver, so a new model only
+ * needs an entry here rather than a hand-derived rearrangement.
+ */
+export const PRICING_MODELS = {
+  gordon: ({ currentDividend, r, g, dividendTiming }) => calculateGordonPrice(getNextDividend(currentDividend, g, dividendTiming), r, g),
+  twoStage: ({ currentDividend, r, g, gS, n }) => calculateTwoStagePrice({ currentDividend, r, gS, gL: g, n }),
+  hModel: ({ currentDividend, r, g, gS, n }) => calculateHModelPrice({ currentDividend, r, gS, gL: g, n })
+};
+
+/** Lowest growth rate searched; model prices approach zero here */
+const GROWTH_SEARCH_FLOOR = -0.99;
+
+/** Gap kept from g = r, where every model price diverges */
+const RATE_GAP = 1e-9;
+
+/** Highest required return searched, as a spread over g */
+const RETURN_SEARCH_SPAN = 1;
+
+/**
+ * Model-specific pricing inputs shared by the implied-rate solvers
+ * @param {Object} params - Input parameters from state
+ * @returns {Object} Pricing parameters (rates as decimals)
+ */
+function getPricingParams({ currentDividend, dividendTiming = 'trailing', highGrowthRate, highGrowthYears }) {
+  return {
+    currentDividend,
+    dividendTiming,
+    gS: highGrowthRate / 100,
+    n: highGrowthYears
+  };
+}
+
+/**
+ * Solve any pricing model numerically for the implied growth rate.
+ * Price rises monotonically in g towards infinity as g → r, so the root
+ * is bracketed between a deep negative rate and just below r.
+ * 
+ * @param {Object} params - Model parameters
+ * @param {string} params.model - Key of PRICING_MODELS (default 'gordon')
+ * @param {number} params.marketPrice - Current market price (PV_t)
+ * @param {number} params.currentDividend - Current dividend (Div_t)
+ * @param {number} params.requiredReturn - Required return (r, as percentage)
+ * @param {number} [params.highGrowthRate] - High growth rate (g_S, as percentage)
+ * @param {number} [params.highGrowthYears] - High-growth years (N)
+ * @returns {Object} Solver result; root is the implied g (decimal) or null
+ */
+export function solveImpliedGrowth(params) {
+  const { model = 'gordon', marketPrice, requiredReturn } = params;
+  const pricer = PRICING_MODELS[model];
+  const pricing = getPricingParams(params);
+  const r = requiredReturn / 100;
+  
+  return solveImpliedRate(
+    (g) => pricer({ ...pricing, r, g }),
+    marketPrice,
+    { lo: GROWTH_SEARCH_FLOOR, hi: r - RATE_GAP }
+  );
+}
+
+/**
+ * Solve any pricing model numerically for the implied required return.
+ * Price falls monotonically in r, from infinity just above g.
+ * 
+ * @param {Object} params - Model parameters (growthRate replaces requiredReturn)
+ * @returns {Object} Solver result; root is the implied r (decimal) or null
+ */
+export function solveImpliedReturn(params) {
+  const { model = 'gordon', marketPrice, growthRate } = params;
+  const pricer = PRICING_MODELS[model];
+  const pricing = getPricingParams(params);
+  const g = growthRate / 100;
+  
+  return solveImpliedRate(
+    (r) => pricer({ ...pricing, r, g }),
+    marketPrice,
+    { lo: g + RATE_GAP, hi: g + RETURN_SEARCH_SPAN }
+  );
+}
+
+/**
+ * Calculate implied long-run growth for a two-stage or H-model DDM
+ * @param {Object} params - Model parameters (see solveImpliedGrowth)
+ * @returns {Object} Calculation results
+ */
+export function calculateMultiStageGrowth(params) {
+  const { model, marketPrice, currentDividend, requiredReturn, highGrowthRate, highGrowthYears } = params;
+  const r = requiredReturn / 100;
+  const gS = highGrowthRate / 100;
+  const solver = solveImpliedGrowth(params);
+  const gL = solver.root;
+  
+  if (gL === null) {
+    return {
+      solveFor: 'growth',
+      model,
+      marketPrice,
+      requiredReturn,
+      highGrowthRate,
+      highGrowthYears,
+      impliedGrowth: NaN,
+      impliedGrowthDecimal: NaN,
+      expectedD1: NaN,
+      dividendYield: NaN,
+      isValid: false,
+      solver
+    };
+  }
+  
+  // Div_{t+1} grows at the first-year stage rate, not at g_L
+  const firstYear = getStageGrowth(model, gS, gL, highGrowthYears)(1);
+  const expectedD1 = currentDividend * (1 + firstYear.growth);
+  
+  return {
+    solveFor: 'growth',
+    model,
+    marketPrice,
+    requiredReturn,
+    highGrowthRate,
+    highGrowthYears,
+    impliedGrowth: gL * 100,
+    impliedGrowthDecimal: gL,
+    expectedD1,
+    dividendYield: (expectedD1 / marketPrice) * 100,
+    isValid: gL < r && gL >= 0,
+    solver
+  };
+}
+
+/** Period letters in the axis labels, by payments a year */
+const PERIOD_LETTERS = { 2: 'H', 4: 'Q' };
+
+/** Period names for screen readers, by payments a year */
+const PERIOD_NAMES = { 2: 'half', 4: 'quarter' };
+
+/**
+ * Label a payment period: the year for annual payments, otherwise the year
+ * and the half or quarter within it (e.g. Y2 Q3)
+ * @param {number} period - Payment period (0 for the purchase)
+ * @param {number} perYear - Payments a year
+ * @returns {Object} { label, periodName } for axes and screen readers
+ */
+export function getPeriodLabels(period, perYear) {
+  if (perYear === 1 || period === 0) {
+    return { label: String(period / perYear), periodName: `Year ${period / perYear}` };
+  }
+  const year = Math.ceil(period / perYear);
+  const part = period - (year - 1) * perYear;
+  return {
+    label: `Y${year} ${PERIOD_LETTERS[perYear]}${part}`,
+    periodName: `Year ${year}, ${PERIOD_NAMES[perYear]} ${part}`
+  };
+}
+
+/**
+ * Generate dividend cash flow projections, one row per payment. Rates are
+ * per payment period; each row's growthRate is restated as an annual rate
+ * quoted like r, and year is the time in years (a fraction between annual
+ * dates when dividends are paid more often).
  * @param {Object} params - Calculation parameters
  * @param {number} params.marketPrice - Initial investment
- * @param {number} params.currentDividend - Current dividend (D₀)
- * @param {number} params.impliedGrowthDecimal - Growth rate (as decimal)
- * @param {number} params.years - Number of years to project (default 10)
+ * @param {number} params.currentDividend - Current dividend payment (D₀)
+ * @param {number} params.impliedGrowthDecimal - Growth rate per period (as decimal)
+ * @param {number} [params.years] - Number of years to project (default 10)
+ * @param {Function} [params.stageGrowth] - period => { growth, stage } for multi-stage models
+ * @param {number} [params.requiredReturnDecimal] - Discount rate r per period;
+ *   adds the discount factor, PV of each dividend and cumulative PV to every row
+ * @param {number} [params.paymentsPerYear] - Payments a year (default 1)
+ * @param {string} [params.compounding] - How r is quoted: 'effective' or 'nominal'
+ * @param {number} [params.inflationDecimal] - Annual inflation; adds each
+ *   dividend in constant (year 0) dollars and the real growth rate to every row
  * @returns {Array} Array of cash flow objects
  */
-export function generateCashFlows({ marketPrice, currentDividend, impliedGrowthDecimal, years = 10 }) {
+export function generateCashFlows({ marketPrice, currentDividend, impliedGrowthDecimal, years = 10, stageGrowth = null, requiredReturnDecimal = null, paymentsPerYear = 1, compounding = 'effective', inflationDecimal = null }) {
   const cashFlows = [];
+  const discount = requiredReturnDecimal !== null;
+  const deflate = inflationDecimal !== null;
+  const annualGrowth = (growth) => toAnnualRate(growth, paymentsPerYear, compounding) * 100;
+  const realGrowth = (growth) => toRealRate(annualGrowth(growth), inflationDecimal * 100);
   
   // Year 0: Initial investment (negative cash flow)
   cashFlows.push({
     year: 0,
+    period: 0,
+    ...getPeriodLabels(0, paymentsPerYear),
     dividend: 0,
     investment: -marketPrice,
     totalCashFlow: -marketPrice,
-    cumulativeCashFlow: -marketPrice
+    cumulativeCashFlow: -marketPrice,
+    growthRate: annualGrowth(impliedGrowthDecimal),
+    stage: null,
+    ...(discount ? { discountFactor: 1, pvDividend: 0, cumulativePV: -marketPrice } : {}),
+    ...(deflate ? { realDividend: 0, realGrowthRate: realGrowth(impliedGrowthDecimal) } : {})
   });
   
-  // Years 1 to n: Dividend payments growing at rate g
+  // Periods 1 to n: Dividend payments growing at rate g
   let cumulativeTotal = -marketPrice;
+  let cumulativePV = -marketPrice;
+  let dividend = currentDividend;
   
-  for (let year = 1; year <= years; year++) {
-    // D_t = D₀ × (1 + g)^t
-    const dividend = currentDividend * Math.pow(1 + impliedGrowthDecimal, year);
+  for (let period = 1; period <= years * paymentsPerYear; period++) {
+    // D_t = D_{t-1} × (1 + g_t); with a constant g this is D₀ × (1 + g)^t
+    const { growth, stage } = stageGrowth
+      ? stageGrowth(period)
+      : { growth: impliedGrowthDecimal, stage: null };
+    dividend = stageGrowth
+      ? dividend * (1 + growth)
+      : currentDividend * Math.pow(1 + impliedGrowthDecimal, period);
     cumulativeTotal += dividend;
     
-    cashFlows.push({
-      year,
+    const cashFlow = {
+      year: period / paymentsPerYear,
+      period,
+      ...getPeriodLabels(period, paymentsPerYear),
       dividend,
       investment: 0,
       totalCashFlow: dividend,
-      cumulativeCashFlow: cumulativeTotal
-    });
+      cumulativeCashFlow: cumulativeTotal,
+      growthRate: annualGrowth(growth),
+      stage
+    };
+    
+    if (discount) {
+      // PV(Div_t) = Div_t / (1 + r)^t
+      const discountFactor = 1 / Math.pow(1 + requiredReturnDecimal, period);
+      const pvDividend = dividend * discountFactor;
+      cumulativePV += pvDividend;
+      Object.assign(cashFlow, { discountFactor, pvDividend, cumulativePV });
+    }
+    
+    if (deflate) {
+      // Constant dollars: Div_t / (1 + π)^t, with t in years
+      const realDividend = dividend / Math.pow(1 + inflationDecimal, cashFlow.year);
+      Object.assign(cashFlow, { realDividend, realGrowthRate: realGrowth(growth) });
+    }
+    
+    cashFlows.push(cashFlow);
   }
   
   return cashFlows;
 }
 
 /**
- * Calculate all growth model metrics
+ * Reconcile the projection with the price: the PV of the projected
+ * dividends plus the PV of the terminal value at the horizon.
+ * 
+ * Beyond the horizon dividends grow at the long-run rate, so
+ *   TV_H = Div_H(1+g_L) / (r - g_L)
+ *   PV_t = Σ_{t=1}^{H} Div_t/(1+r)^t + TV_H/(1+r)^H
+ * 
+ * This is exact for the constant growth and two-stage models. The H-model
+ * price is a closed-form approximation of its declining growth path, so it
+ * leaves a small difference.
+ * 
+ * @param {Object} params - Reconciliation parameters
+ * @param {Array} params.cashFlows - Cash flows with PV fields (see generateCashFlows)
+ * @param {number} params.marketPrice - Market price (PV_t)
+ * @param {number} params.requiredReturnDecimal - Required return (decimal)
+ * @param {number} params.longRunGrowthDecimal - Growth after the horizon (decimal)
+ * @returns {Object} { horizon, pvDividends, terminalValue, pvTerminalValue, total, marketPrice, difference }
+ */
+export function reconcilePrice({ cashFlows, marketPrice, requiredReturnDecimal, longRunGrowthDecimal }) {
+  const last = cashFlows[cashFlows.length - 1];
+  const pvDividends = cashFlows.reduce((sum, cf) => sum + cf.pvDividend, 0);
+  const terminalValue = calculateGordonPrice(
+    last.dividend * (1 + longRunGrowthDecimal),
+    requiredReturnDecimal,
+    longRunGrowthDecimal
+  );
+  const pvTerminalValue = terminalValue * last.discountFactor;
+  const total = pvDividends + pvTerminalValue;
+  
+  return {
+    horizon: last.year,
+    pvDividends,
+    terminalValue,
+    pvTerminalValue,
+    total,
+    marketPrice,
+    difference: total - marketPrice
+  };
+}
+
+/**
+ * Split the price into the value of the firm with no growth and the
+ * present value of growth opportunities (PVGO):
+ *   PV_t = E_{t+1}/r + PVGO
+ * 
+ * Without earnings, Div_{t+1}/r (the next dividend paid forever) stands in
+ * for the no-growth value, and the implied P/E is not available.
+ * 
+ * @param {Object} params - Breakdown parameters
+ * @param {number} params.marketPrice - Market price (PV_t)
+ * @param {number} params.requiredReturnDecimal - Required return (decimal)
+ * @param {number} params.expectedD1 - Next dividend (Div_{t+1})
+ * @param {number|null} params.nextEarnings - Next-year earnings per share (E_{t+1})
+ * @returns {Object} { basis, noGrowthValue, pvgo, pvgoShare, impliedPE, dividendYield }
+ */
+export function decomposePrice({ marketPrice, requiredReturnDecimal, expectedD1, nextEarnings = null }) {
+  const hasEarnings = Number.isFinite(nextEarnings) && nextEarnings > 0;
+  const noGrowthValue = (hasEarnings ? nextEarnings : expectedD1) / requiredReturnDecimal;
+  const pvgo = marketPrice - noGrowthValue;
+  
+  return {
+    basis: hasEarnings ? 'earnings' : 'dividend',
+    noGrowthValue,
+    pvgo,
+    pvgoShare: (pvgo / marketPrice) * 100,
+    // Leading P/E, PV_t / E_{t+1}
+    impliedPE: hasEarnings ? marketPrice / nextEarnings : null,
+    // Justified dividend yield, Div_{t+1} / PV_t (r - g for constant growth)
+    dividendYield: (expectedD1 / marketPrice) * 100
+  };
+}
+
+/**
+ * Resolve the unknown selected by `solveFor` so every mode returns the same
+ * shape: PV_t, r and g are always populated, whichever one was solved.
  * @param {Object} params - Input parameters from state
- * @returns {Object} Complete growth calculations
+ * @returns {Object} Resolved model values (rates as percentages)
  */
-export function calculateGrowthMetrics(params) {
-  const { marketPrice, currentDividend, requiredReturn } = params;
+export function solveGordonModel(params) {
+  const { solveFor = 'growth', marketPrice, currentDividend, requiredReturn, growthRate, dividendTiming } = params;
+  
+  if (solveFor === 'return') {
+    const result = calculateImpliedReturn({ marketPrice, currentDividend, growthRate, dividendTiming });
+    return {
+      solveFor,
+      marketPrice,
+      requiredReturn: result.impliedReturn,
+      impliedGrowth: growthRate,
+      impliedGrowthDecimal: growthRate / 100,
+      expectedD1: result.expectedD1,
+      dividendYield: result.dividendYield,
+      isValid: result.isValid
+    };
+  }
   
-  // Calculate implied growth
-  const growthData = calculateImpliedGrowth({
+  if (solveFor === 'price') {
+    const result = calculateImpliedPrice({ currentDividend, requiredReturn, growthRate, dividendTiming });
+    return {
+      solveFor,
+      marketPrice: result.impliedPrice,
+      requiredReturn,
+      impliedGrowth: growthRate,
+      impliedGrowthDecimal: growthRate / 100,
+      expectedD1: result.expectedD1,
+      dividendYield: result.dividendYield,
+      isValid: result.isValid,
+      ...(result.error ? { error: result.error } : {})
+    };
+  }
+  
+  const result = calculateImpliedGrowth({ marketPrice, currentDividend, requiredReturn, dividendTiming });
+  return {
+    solveFor: 'growth',
     marketPrice,
-    currentDividend,
-    requiredReturn
-  });
+    requiredReturn,
+    ...result
+  };
+}
+
+/**
+ * Fundamental (sustainable) growth from the firm's own reinvestment:
+ *   g = b × ROE, with retention b = 1 - payout ratio
+ * 
+ * The payout ratio is an input, or Div_{t+1}/E_{t+1} when only next-year
+ * earnings are given.
+ * 
+ * @param {Object} params - Sustainable growth parameters
+ * @param {number|null} params.returnOnEquity - ROE (as percentage)
+ * @param {number|null} params.payoutRatio - Payout ratio (as percentage)
+ * @param {number|null} params.nextEarnings - Next-year earnings per share (E_{t+1})
+ * @param {number} params.expectedD1 - Next dividend (Div_{t+1})
+ * @param {number} params.impliedGrowth - Market-implied growth (as percentage)
+ * @returns {Object|null} { returnOnEquity, payoutRatio, payoutSource,
+ *   retentionRatio, sustainableGrowth, gap } or null without ROE and a payout
+ */
+export function calculateSustainableGrowth({ returnOnEquity, payoutRatio = null, nextEarnings = null, expectedD1, impliedGrowth }) {
+  if (!Number.isFinite(returnOnEquity)) return null;
   
-  // Generate cash flow projections
+  let payout = payoutRatio;
+  let payoutSource = 'input';
+  if (!Number.isFinite(payout)) {
+    if (!Number.isFinite(nextEarnings) || nextEarnings <= 0) return null;
+    payout = (expectedD1 / nextEarnings) * 100;
+    payoutSource = 'earnings';
+  }
+  
+  const retentionRatio = 100 - payout;
+  const sustainableGrowth = (retentionRatio / 100) * returnOnEquity;
+  
+  return {
+    returnOnEquity,
+    payoutRatio: payout,
+    payoutSource,
+    retentionRatio,
+    sustainableGrowth,
+    // Percentage points of growth the price implies beyond b × ROE
+    gap: impliedGrowth - sustainableGrowth
+  };
+}
+
+/**
+ * Real rate from a nominal rate and inflation (Fisher relation):
+ *   (1 + real) = (1 + nominal) / (1 + π)
+ * @param {number} nominalRate - Nominal rate (as percentage)
+ * @param {number} inflationRate - Inflation (as percentage)
+ * @returns {number} Real rate (as percentage)
+ */
+export function toRealRate(nominalRate, inflationRate) {
+  return ((1 + nominalRate / 100) / (1 + inflationRate / 100) - 1) * 100;
+}
+
+/**
+ * Implied growth and required return in real terms. Both are annual rates,
+ * so r - g keeps its sign: real r exceeds real g whenever r exceeds g.
+ * 
+ * @param {Object} params - Real rate parameters
+ * @param {number|null} params.inflationRate - Expected inflation (as percentage)
+ * @param {number} params.impliedGrowth - Nominal growth, g or g_L (as percentage)
+ * @param {number} params.requiredReturn - Nominal required return (as percentage)
+ * @param {number|null} params.highGrowthRate - Nominal g_S of the multi-stage models
+ * @returns {Object|null} { inflationRate, realGrowth, realReturn,
+ *   realHighGrowthRate } or null without inflation
+ */
+export function calculateRealRates({ inflationRate, impliedGrowth, requiredReturn, highGrowthRate = null }) {
+  if (!Number.isFinite(inflationRate)) return null;
+  
+  return {
+    inflationRate,
+    realGrowth: toRealRate(impliedGrowth, inflationRate),
+    realReturn: toRealRate(requiredReturn, inflationRate),
+    realHighGrowthRate: Number.isFinite(highGrowthRate) ? toRealRate(highGrowthRate, inflationRate) : null
+  };
+}
+
+/** Years spanned by each rolling growth rate */
+export const ROLLING_GROWTH_YEARS = 3;
+
+/**
+ * Realized dividend growth from an annual dividend history, three ways:
+ *   CAGR        (Div_last / Div_first)^(1/years) - 1
+ *   Log-linear  e^b - 1, where b is the slope of ln(Div) regressed on year
+ *   Rolling     CAGR over each ROLLING_GROWTH_YEARS-year window
+ * 
+ * CAGR only uses the end points; the regression weighs every year, so a
+ * single cut or special dividend moves it less.
+ * 
+ * @param {Object} params - History parameters
+ * @param {Array<Object>|null} params.dividendHistory - { year, dividend } per
+ *   calendar year, oldest first
+ * @param {number} params.impliedGrowth - Market-implied growth (as percentage)
+ * @returns {Object|null} { firstYear, lastYear, cagr, regressionGrowth,
+ *   rSquared, rolling, gap } (rates as percentages, null where a rate needs
+ *   positive dividends it does not have) or null with fewer than two years
+ */
+export function fitDividendGrowth({ dividendHistory, impliedGrowth }) {
+  if (!Array.isArray(dividendHistory) || dividendHistory.length < 2) return null;
+  
+  const first = dividendHistory[0];
+  const last = dividendHistory[dividendHistory.length - 1];
+  const growthBetween = (from, to) => (from.dividend > 0 && to.dividend > 0
+    ? (Math.pow(to.dividend / from.dividend, 1 / (to.year - from.year)) - 1) * 100
+    : null);
+  
+  // Least squares of ln(Div) on the year, over the years that paid
+  const points = dividendHistory
+    .filter(entry => entry.dividend > 0)
+    .map(entry => ({ x: entry.year, y: Math.log(entry.dividend) }));
+  let regressionGrowth = null;
+  let rSquared = null;
+  if (points.length >= 2) {
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const syy = points.reduce((sum, p) => sum + (p.y - meanY) ** 2, 0);
+    const slope = sxy / sxx;
+    regressionGrowth = (Math.exp(slope) - 1) * 100;
+    // A perfectly level history is a perfect fit
+    rSquared = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+  }
+  
+  const rolling = dividendHistory
+    .slice(ROLLING_GROWTH_YEARS)
+    .map((entry, i) => ({
+      startYear: dividendHistory[i].year,
+      endYear: entry.year,
+      growth: growthBetween(dividendHistory[i], entry)
+    }));
+  
+  const cagr = growthBetween(first, last);
+  
+  return {
+    firstYear: first.year,
+    lastYear: last.year,
+    cagr,
+    regressionGrowth,
+    rSquared,
+    rolling,
+    // Percentage points of growth the price implies beyond the realized CAGR
+    gap: cagr === null ? null : impliedGrowth - cagr
+  };
+}
+
+/**
+ * Required return from the capital asset pricing model, with an optional
+ * size or company-specific premium on top:
+ *   r = r_f + β × ERP + premium
+ * 
+ * @param {Object} params - CAPM components
+ * @param {number} params.riskFreeRate - Risk-free rate (r_f, as percentage)
+ * @param {number} params.beta - Equity beta (β)
+ * @param {number} params.equityRiskPremium - Equity risk premium (as percentage)
+ * @param {number|null} params.specificRiskPremium - Size/specific-risk premium (as percentage)
+ * @returns {Object} { riskFreeRate, beta, equityRiskPremium, specificRiskPremium,
+ *   systematicPremium, requiredReturn }
+ */
+export function calculateCapmReturn({ riskFreeRate, beta, equityRiskPremium, specificRiskPremium = null }) {
+  const premium = Number.isFinite(specificRiskPremium) ? specificRiskPremium : 0;
+  const systematicPremium = beta * equityRiskPremium;
+  
+  return {
+    riskFreeRate,
+    beta,
+    equityRiskPremium,
+    specificRiskPremium: premium,
+    systematicPremium,
+    requiredReturn: riskFreeRate + systematicPremium + premium
+  };
+}
+
+/**
+ * Check whether r comes from the CAPM builder. When solving for r it is
+ * the unknown, so the builder does not apply.
+ * @param {Object} params - Input parameters
+ * @returns {boolean} True when the CAPM builder sets r
+ */
+export function usesCapm({ returnSource, solveFor = 'growth', model = 'gordon' }) {
+  const isMultiStage = model === 'twoStage' || model === 'hModel';
+  return returnSource === 'capm' && (isMultiStage || solveFor !== 'return');
+}
+
+/**
+ * Calculate all growth model metrics
+ * @param {Object} rawParams - Input parameters from state
+ * @returns {Object} Complete growth calculations
+ */
+export function calculateGrowthMetrics(rawParams) {
+  // The CAPM builder replaces the entered required return
+  const capm = usesCapm(rawParams) ? calculateCapmReturn(rawParams) : null;
+  const params = capm ? { ...rawParams, requiredReturn: capm.requiredReturn } : rawParams;
+  const { model = 'gordon' } = params;
+  const isMultiStage = model === 'twoStage' || model === 'hModel';
+  
+  // The models run per payment period, then rates are restated annually
+  const convention = getPaymentConvention(params);
+  const { perYear, compounding } = convention;
+  const periodic = toPeriodicParams(params);
+  const inflationRate = Number.isFinite(params.inflationRate) ? params.inflationRate : null;
+  
+  // Multi-stage models solve numerically for g_L; the Gordon model solves
+  // for whichever of g, r or PV_t is unknown
+  const periodicData = isMultiStage
+    ? calculateMultiStageGrowth(periodic)
+    : { model: 'gordon', ...solveGordonModel(periodic) };
+  const growthData = toAnnualResult(periodicData, params, convention);
+  
+  // A forward Div_{t+1} is the first payment; the projection grows from
+  // the payment before it
+  const periodReturn = periodicData.requiredReturn / 100;
+  const periodGrowth = periodicData.impliedGrowthDecimal;
+  const baseDividend = periodic.dividendTiming === 'forward'
+    ? periodicData.expectedD1 / (1 + periodGrowth)
+    : periodic.currentDividend;
+  
+  // Generate cash flow projections, discounted at r
   const cashFlows = generateCashFlows({
-    marketPrice,
-    currentDividend,
-    impliedGrowthDecimal: growthData.impliedGrowthDecimal,
-    years: 10
+    marketPrice: growthData.marketPrice,
+    currentDividend: baseDividend,
+    impliedGrowthDecimal: periodGrowth,
+    years: params.horizonYears,
+    stageGrowth: isMultiStage
+      ? getStageGrowth(model, periodic.highGrowthRate / 100, periodGrowth, periodic.highGrowthYears)
+      : null,
+    requiredReturnDecimal: periodReturn,
+    paymentsPerYear: perYear,
+    compounding,
+    inflationDecimal: inflationRate === null ? null : inflationRate / 100
   });
   
+  // No terminal value without a long-run rate below r
+  const reconciliation = periodGrowth < periodReturn
+    ? reconcilePrice({
+      cashFlows,
+      marketPrice: growthData.marketPrice,
+      requiredReturnDecimal: periodReturn,
+      longRunGrowthDecimal: periodGrowth
+    })
+    : null;
+  
+  // The no-growth value is the next payment as a perpetuity, (Div_{t+1}/m)/r_period
+  const priceBreakdown = decomposePrice({
+    marketPrice: growthData.marketPrice,
+    requiredReturnDecimal: periodReturn * perYear,
+    expectedD1: growthData.expectedD1,
+    nextEarnings: params.earningsPerShare ?? null
+  });
+  
+  const sustainableGrowth = calculateSustainableGrowth({
+    returnOnEquity: params.returnOnEquity ?? null,
+    payoutRatio: params.payoutRatio ?? null,
+    nextEarnings: params.earningsPerShare ?? null,
+    expectedD1: growthData.expectedD1,
+    impliedGrowth: growthData.impliedGrowth
+  });
+  
+  const historicalGrowth = fitDividendGrowth({
+    dividendHistory: params.dividendHistory ?? null,
+    impliedGrowth: growthData.impliedGrowth
+  });
+  
+  const inflation = calculateRealRates({
+    inflationRate,
+    impliedGrowth: growthData.impliedGrowth,
+    requiredReturn: growthData.requiredReturn,
+    highGrowthRate: isMultiStage ? growthData.highGrowthRate : null
+  });
+  
+  // Per-payment figures behind the annual results, for the equation and
+  // results; null under the curriculum convention
+  const payments = isAnnualTrailing(convention) ? null : {
+    ...convention,
+    requiredReturn: periodicData.requiredReturn,
+    impliedGrowth: periodicData.impliedGrowth,
+    highGrowthRate: isMultiStage ? periodic.highGrowthRate : null,
+    highGrowthPeriods: isMultiStage ? periodic.highGrowthYears : null,
+    dividend: baseDividend,
+    nextDividend: periodicData.expectedD1
+  };
+  
   return {
     ...growthData,
-    cashFlows
+    cashFlows,
+    reconciliation,
+    priceBreakdown,
+    sustainableGrowth,
+    historicalGrowth,
+    capm,
+    payments,
+    inflation
+  };
+}
+
+/**
+ * Restate per-period model results as annual figures: the solved rate
+ * quoted like r (inputs are returned as entered), and Div_{t+1} as the
+ * annual rate of the next payment, m × Div_{t+1}/m
+ * @param {Object} data - Results per payment period
+ * @param {Object} params - Input parameters
+ * @param {Object} convention - getPaymentConvention result
+ * @returns {Object} Annual results
+ */
+function toAnnualResult(data, params, { perYear, compounding }) {
+  if (perYear === 1) return data;
+  
+  const annual = (percent) => toAnnualRate(percent / 100, perYear, compounding) * 100;
+  const isMultiStage = data.model === 'twoStage' || data.model === 'hModel';
+  const requiredReturn = data.solveFor === 'return' ? annual(data.requiredReturn) : params.requiredReturn;
+  const impliedGrowth = data.solveFor === 'growth' ? annual(data.impliedGrowth) : params.growthRate;
+  const expectedD1 = data.expectedD1 * perYear;
+  
+  return {
+    ...data,
+    requiredReturn,
+    impliedGrowth,
+    impliedGrowthDecimal: impliedGrowth / 100,
+    expectedD1,
+    dividendYield: (expectedD1 / data.marketPrice) * 100,
+    ...(isMultiStage ? { highGrowthRate: params.highGrowthRate, highGrowthYears: params.highGrowthYears } : {})
   };
 }
 
@@ -0,0 +1,786 @@
+/**
+ * Calculator Markup Module
+ * The calculator's cards (inputs, equations, visualizer, results, saved
+ * scenarios, batch screening) and the print report, mounted into the
+ * shadow root of each <implied-growth-calculator> (see
+ * modules/implied-growth-element.js). Ids are unique within one calculator.
+ */
+
+const CARDS = `
+
+    <!-- Card 1: Calculator -->
+    <section class="card" id="calculator" tabindex="-1">
+      <h4 class="card-title">Implied Growth Rate Calculator</h4>
+      <div class="card-content">
+        <p class="equation-intro">
+          Enter your stock details below. The calculations and visualizations will update automatically as you change the values.
+        </p>
+        <div class="input-section" id="data-entry" tabindex="-1">
+          <p class="sr-only" id="inputHelp">
+            Enter values and the calculator updates results and the chart automatically.
+          </p>
+
+          <!-- Validation summary -->
+          <div id="validation-summary" class="validation-summary" role="alert" style="display: none;">
+            <div class="validation-title">Please correct the following:</div>
+            <ul id="validation-list"></ul>
+          </div>
+
+          <!-- Shown when a shared link could not be restored as-is -->
+          <p id="url-state-notice" class="url-state-notice" role="status" hidden></p>
+
+          <div class="undo-controls button-group" role="group" aria-label="Undo, redo or reset input changes">
+            <button type="button" class="toggle-btn" id="undo-btn" aria-keyshortcuts="Control+Z" title="Undo (Ctrl+Z)" disabled>Undo</button>
+            <button type="button" class="toggle-btn" id="redo-btn" aria-keyshortcuts="Control+Shift+Z" title="Redo (Ctrl+Shift+Z)" disabled>Redo</button>
+            <button type="button" class="toggle-btn" id="reset-defaults-btn" title="Price USD 100, dividend USD 5, required return 7%">Reset to curriculum defaults</button>
+          </div>
+
+          <div class="model-selector" role="group" aria-labelledby="model-label">
+            <span class="control-label" id="model-label">Model:</span>
+            <div class="button-group">
+              <button type="button" class="model-btn active" data-model="gordon" aria-pressed="true">Constant growth</button>
+              <button type="button" class="model-btn" data-model="twoStage" aria-pressed="false">Two-stage</button>
+              <button type="button" class="model-btn" data-model="hModel" aria-pressed="false">H-model</button>
+            </div>
+          </div>
+
+          <div class="model-selector" role="group" aria-labelledby="solve-for-label" id="solve-for-selector">
+            <span class="control-label" id="solve-for-label">Solve for:</span>
+            <div class="button-group">
+              <button type="button" class="model-btn active" data-solve-for="growth" aria-pressed="true">Growth rate (<span class="label-var-growth">𝑔</span>)</button>
+              <button type="button" class="model-btn" data-solve-for="return" aria-pressed="false">Required return (<span class="label-var-return">𝑟</span>)</button>
+              <button type="button" class="model-btn" data-solve-for="price" aria-pressed="false">Market price (<span class="label-var-price">PV<sub>𝑡</sub></span>)</button>
+            </div>
+          </div>
+
+          <div class="model-selector" role="group" aria-labelledby="payment-frequency-label">
+            <span class="control-label" id="payment-frequency-label">Dividends paid:</span>
+            <div class="button-group">
+              <button type="button" class="model-btn active" data-payment-frequency="annual" aria-pressed="true">Annually</button>
+              <button type="button" class="model-btn" data-payment-frequency="semiannual" aria-pressed="false">Semiannually</button>
+              <button type="button" class="model-btn" data-payment-frequency="quarterly" aria-pressed="false">Quarterly</button>
+            </div>
+          </div>
+
+          <div class="model-selector" role="group" aria-labelledby="return-compounding-label" aria-describedby="return-compounding-hint" id="return-compounding-selector" hidden>
+            <span class="control-label" id="return-compounding-label">Required return (<span class="label-var-return">𝑟</span>) quoted as:</span>
+            <div class="button-group">
+              <button type="button" class="model-btn active" data-return-compounding="effective" aria-pressed="true">Effective annual rate</button>
+              <button type="button" class="model-btn" data-return-compounding="nominal" aria-pressed="false">Nominal annual rate</button>
+            </div>
+            <p id="return-compounding-hint" class="sr-only">An effective rate compounds to 𝑟 over the year; a nominal rate is 𝑟 divided evenly between the payments. Growth is quoted the same way.</p>
+          </div>
+
+          <div class="model-selector" role="group" aria-labelledby="dividend-timing-label">
+            <span class="control-label" id="dividend-timing-label">Dividend entered:</span>
+            <div class="button-group">
+              <button type="button" class="model-btn active" data-dividend-timing="trailing" aria-pressed="true">Current (<span class="label-var-dividend">Div<sub>𝑡</sub></span>)</button>
+              <button type="button" class="model-btn" data-dividend-timing="forward" aria-pressed="false">Next (<span class="label-var-dividend">Div<sub>𝑡+1</sub></span>)</button>
+            </div>
+          </div>
+
+          <div class="input-group-inline">
+            <div class="input-inline" id="market-price-group">
+              <label for="market-price" class="input-label-inline">
+                Market price (<span class="label-var-price">PV<sub>𝑡</sub></span>):
+              </label>
+              <div class="input-with-suffix-inline">
+                <span class="input-prefix-inline">USD</span>
+                <input 
+                  type="number" 
+                  id="market-price" 
+                  class="input-field-inline input-with-prefix"
+                  inputmode="decimal"
+                  min="1" max="500" step="0.1" value="100.0">
+              </div>
+            </div>
+
+            <div class="input-inline" id="current-dividend-group">
+              <label for="current-dividend" class="input-label-inline" id="current-dividend-label">
+                Current dividend (<span class="label-var-dividend">Div<sub>𝑡</sub></span>):
+              </label>
+              <div class="input-with-suffix-inline">
+                <span class="input-prefix-inline">USD</span>
+                <input 
+                  type="number" 
+                  id="current-dividend" 
+                  class="input-field-inline input-with-prefix"
+                  inputmode="decimal"
+                  min="0" max="50" step="0.1" value="5.0">
+              </div>
+            </div>
+
+            <div class="input-inline" id="required-return-group">
+              <label for="required-return" class="input-label-inline">
+                Required return (<span class="label-var-return">𝑟</span>):
+              </label>
+              <div class="input-with-suffix-inline">
+                <input 
+                  type="number" 
+                  id="required-return" 
+                  class="input-field-inline"
+                  inputmode="decimal"
+                  min="0.1" max="25" step="0.1" value="7.0">
+                <span class="input-suffix-inline">%</span>
+              </div>
+            </div>
+
+            <div class="capm-group" id="capm-group">
+              <button type="button" class="toggle-btn" id="capm-toggle-btn" aria-pressed="false" aria-controls="capm-builder">
+                Build <span class="label-var-return">𝑟</span> from CAPM
+              </button>
+              <fieldset class="capm-builder" id="capm-builder" hidden>
+                <legend class="capm-legend"><span class="label-var-return">𝑟</span> = 𝑟<sub>f</sub> + β × ERP + premium</legend>
+                <div class="input-inline">
+                  <label for="risk-free-rate" class="input-label-inline">
+                    Risk-free rate (𝑟<sub>f</sub>):
+                  </label>
+                  <div class="input-with-suffix-inline">
+                    <input 
+                      type="number" 
+                      id="risk-free-rate" 
+                      class="input-field-inline"
+                      inputmode="decimal"
+                      min="0" max="15" step="0.1" value="3.0">
+                    <span class="input-suffix-inline">%</span>
+                  </div>
+                </div>
+                <div class="input-inline">
+                  <label for="beta" class="input-label-inline">
+                    Beta (β):
+                  </label>
+                  <div class="input-with-suffix-inline">
+                    <input 
+                      type="number" 
+                      id="beta" 
+                      class="input-field-inline"
+                      inputmode="decimal"
+                      min="0" max="3" step="0.05" value="1.00">
+                  </div>
+                </div>
+                <div class="input-inline">
+                  <label for="equity-risk-premium" class="input-label-inline">
+                    Equity risk premium (ERP):
+                  </label>
+                  <div class="input-with-suffix-inline">
+                    <input 
+                      type="number" 
+                      id="equity-risk-premium" 
+                      class="input-field-inline"
+                      inputmode="decimal"
+                      min="0" max="15" step="0.1" value="4.0">
+                    <span class="input-suffix-inline">%</span>
+                  </div>
+                </div>
+                <div class="input-inline">
+                  <label for="specific-risk-premium" class="input-label-inline">
+                    Size or specific-risk premium, optional:
+                  </label>
+                  <div class="input-with-suffix-inline">
+                    <input 
+                      type="number" 
+                      id="specific-risk-premium" 
+                      class="input-field-inline"
+                      inputmode="decimal"
+                      min="0" max="10" step="0.1" value="">
+                    <span class="input-suffix-inline">%</span>
+                  </div>
+                </div>
+                <p class="capm-result" id="capm-result" aria-live="polite"></p>
+              </fieldset>
+            </div>
+
+            <div class="input-inline" id="growth-rate-group" hidden>
+              <label for="growth-rate" class="input-label-inline">
+                Growth rate (<span class="label-var-growth">𝑔</span>):
+              </label>
+              <div class="input-with-suffix-inline">
+                <input 
+                  type="number" 
+                  id="growth-rate" 
+                  class="input-field-inline"
+                  inputmode="decimal"
+                  min="0" max="24.9" step="0.1" value="2.0">
+                <span class="input-suffix-inline">%</span>
+              </div>
+            </div>
+
+            <div class="input-inline" id="high-growth-rate-group" hidden>
+              <label for="high-growth-rate" class="input-label-inline">
+                High growth rate (<span class="label-var-growth">𝑔<sub>S</sub></span>):
+              </label>
+              <div class="input-with-suffix-inline">
+                <input 
+                  type="number" 
+                  id="high-growth-rate" 
+                  class="input-field-inline"
+                  inputmode="decimal"
+                  min="0" max="30" step="0.1" value="4.0">
+                <span class="input-suffix-inline">%</span>
+              </div>
+            </div>
+
+            <div class="input-inline" id="high-growth-years-group" hidden>
+              <label for="high-growth-years" class="input-label-inline" id="high-growth-years-label">
+                High-growth years (<span class="label-var-growth">𝑁</span>):
+              </label>
+              <div class="input-with-suffix-inline input-with-suffix-wide">
+                <input 
+                  type="number" 
+                  id="high-growth-years" 
+                  class="input-field-inline"
+                  inputmode="numeric"
+                  min="1" max="99" step="1" value="5">
+                <span class="input-suffix-inline">years</span>
+              </div>
+            </div>
+
+            <div class="input-inline" id="horizon-years-group">
+              <label for="horizon-years" class="input-label-inline">
+                Projection horizon:
+              </label>
+              <div class="input-with-suffix-inline input-with-suffix-wide">
+                <input 
+                  type="number" 
+                  id="horizon-years" 
+                  class="input-field-inline"
+                  inputmode="numeric"
+                  min="1" max="100" step="1" value="10">
+                <span class="input-suffix-inline">years</span>
+              </div>
+            </div>
+
+            <div class="input-inline" id="earnings-per-share-group">
+              <label for="earnings-per-share" class="input-label-inline">
+                Next-year EPS (𝐸<sub>𝑡+1</sub>), optional:
+              </label>
+              <div class="input-with-suffix-inline">
+                <span class="input-prefix-inline">USD</span>
+                <input 
+                  type="number" 
+                  id="earnings-per-share" 
+                  class="input-field-inline input-with-prefix"
+                  inputmode="decimal"
+                  min="0.01" max="100" step="0.1" value=""
+                  aria-describedby="earnings-per-share-hint">
+              </div>
+              <p id="earnings-per-share-hint" class="sr-only">Used for the PVGO breakdown and implied P/E. Leave blank to use the next dividend instead.</p>
+            </div>
+
+            <div class="input-inline" id="return-on-equity-group">
+              <label for="return-on-equity" class="input-label-inline">
+                Return on equity (ROE), optional:
+              </label>
+              <div class="input-with-suffix-inline">
+                <input 
+                  type="number" 
+                  id="return-on-equity" 
+                  class="input-field-inline"
+                  inputmode="decimal"
+                  min="0" max="100" step="0.1" value=""
+                  aria-describedby="sustainable-growth-hint">
+                <span class="input-suffix-inline">%</span>
+              </div>
+            </div>
+
+            <div class="input-inline" id="payout-ratio-group">
+              <label for="payout-ratio" class="input-label-inline">
+                Payout ratio, optional:
+              </label>
+              <div class="input-with-suffix-inline">
+                <input 
+                  type="number" 
+                  id="payout-ratio" 
+                  class="input-field-inline"
+                  inputmode="decimal"
+                  min="0" max="100" step="0.1" value=""
+                  aria-describedby="sustainable-growth-hint">
+                <span class="input-suffix-inline">%</span>
+              </div>
+              <p id="sustainable-growth-hint" class="sr-only">With return on equity and a payout ratio, or next-year EPS in place of the payout ratio, the results compare implied growth with sustainable growth, retention ratio times ROE.</p>
+            </div>
+
+            <div class="input-inline" id="inflation-rate-group">
+              <label for="inflation-rate" class="input-label-inline">
+                Expected inflation (𝜋), optional:
+              </label>
+              <div class="input-with-suffix-inline">
+                <input 
+                  type="number" 
+                  id="inflation-rate" 
+                  class="input-field-inline"
+                  inputmode="decimal"
+                  min="-5" max="20" step="0.1" value=""
+                  aria-describedby="inflation-rate-hint">
+                <span class="input-suffix-inline">%</span>
+              </div>
+              <p id="inflation-rate-hint" class="sr-only">Restates implied growth and the required return in real terms with the Fisher relation, (1 + real rate) = (1 + nominal rate) / (1 + inflation), and adds constant-dollar dividends to the projection.</p>
+            </div>
+
+            <div class="history-group" id="history-group">
+              <button type="button" class="toggle-btn" id="history-toggle-btn" aria-expanded="false" aria-controls="history-import">
+                Import dividend history
+              </button>
+              <fieldset class="history-import" id="history-import" hidden>
+                <legend class="history-legend">Dividend history</legend>
+                <p class="text-xs text-gray-500" id="history-hint">
+                  CSV with a date and a dividend per payment (YYYY-MM-DD), or JSON such as
+                  [{"date": "2024-03-15", "dividend": 0.485}]. Payments are summed by calendar year.
+                </p>
+                <div class="input-inline">
+                  <label for="history-file" class="input-label-inline">File:</label>
+                  <input type="file" id="history-file" accept=".csv,.json,.txt,text/csv,application/json,text/plain" aria-describedby="history-hint">
+                </div>
+                <label for="history-input" class="input-label-inline">Or paste:</label>
+                <textarea
+                  id="history-input"
+                  class="input-field-inline history-input"
+                  rows="4"
+                  spellcheck="false"
+                  aria-describedby="history-hint"
+                  placeholder="date,dividend&#10;2023-03-15,0.46&#10;2023-06-15,0.46"></textarea>
+                <div class="button-group">
+                  <button type="button" class="toggle-btn" id="history-import-btn">Import</button>
+                  <button type="button" class="toggle-btn" id="history-clear-btn" disabled>Clear history</button>
+                </div>
+                <p class="history-status text-sm" id="history-status" role="status"></p>
+              </fieldset>
+            </div>
+
+            <div class="change-log-group">
+              <h5 class="change-log-title" id="change-log-title">Recent changes</h5>
+              <p class="text-xs text-gray-500" id="change-log-empty">No changes yet. Edits to the inputs and view are listed here with how each moved implied growth.</p>
+              <ul class="change-log" id="change-log" aria-labelledby="change-log-title"></ul>
+            </div>
+          </div>
+        </div>
+      </div>
+    </section>
+
+    <!-- Card 2: Dynamic Equation -->
+    <section id="equation-card" class="card" style="min-height: 320px;">
+      <h4 class="card-title" id="equation-card-title">Constant Dividend Growth Model Equation</h4>
+      <p class="equation-intro">
+        Using your values, the equations become:
+      </p>
+      
+      <div class="equation-container" role="region" aria-label="Gordon Growth Model with your values" id="dynamic-equation-container">
+        <div id="dynamic-equation">
+          <!-- Populated by JavaScript -->
+        </div>
+      </div>
+      
+      <p class="equation-intro equation-intro-tight" id="solved-equation-intro">
+        Solving for <span style="color: #15803d; font-style: italic;">g</span>:
+      </p>
+      <div class="equation-container" role="region" aria-label="Solved Gordon Growth Model with your values" id="dynamic-solved-equation-container">
+        <div id="dynamic-solved-equation">
+          <!-- Populated by JavaScript -->
+        </div>
+      </div>
+      
+      <div id="capm-equation-block" hidden>
+        <p class="equation-intro equation-intro-tight" id="capm-equation-intro">
+          where the required return (<span style="color: #7a46ff; font-style: italic;">r</span>) is built with the CAPM:
+        </p>
+        <div class="equation-container" role="region" aria-label="CAPM required return with your values" id="dynamic-capm-equation-container">
+          <div id="dynamic-capm-equation">
+            <!-- Populated by JavaScript -->
+          </div>
+        </div>
+      </div>
+
+      <div id="payment-equation-block" hidden>
+        <p class="equation-intro equation-intro-tight" id="payment-equation-intro">
+          The formulas above use rates and dividends per payment; from the annual figures:
+        </p>
+        <div class="equation-container" role="region" aria-label="Rates and dividends per payment with your values" id="dynamic-payment-equation-container">
+          <div id="dynamic-payment-equation">
+            <!-- Populated by JavaScript -->
+          </div>
+        </div>
+      </div>
+    </section>
+
+    <!-- Card 3: Visualizer -->
+    <section class="card" id="visualizer" tabindex="-1">
+      <h4 class="card-title">Dividend Growth Projection</h4>
+      <div class="card-content">
+        <div class="view-controls">
+          <div id="chart-legend" role="region" aria-label="Chart legend">
+            <ul class="legend" id="projection-legend">
+              <li class="legend-item">
+                <span class="legend-color" style="background-color: #b95b1d;"></span>
+                <span class="legend-item-label">Initial investment / Market price <span class="legend-var-wrap"><span class="legend-paren">(</span><span class="legend-var" style="color: #b95b1d;">PV<sub>𝑡</sub></span><span class="legend-paren">)</span></span></span>
+              </li>
+              <li class="legend-item" data-legend-price-bar="pvgo" hidden>
+                <span class="legend-color" style="background-color: #7c3d13;"></span>
+                <span class="legend-item-label">Present value of growth opportunities (PVGO)</span>
+              </li>
+              <li class="legend-item" data-legend-history hidden>
+                <span class="legend-color" style="background-color: #0079a6;"></span>
+                <span class="legend-item-label">Dividends paid, by calendar year</span>
+              </li>
+              <li class="legend-item" data-legend-basis="nominal">
+                <span class="legend-color" style="background-color: #3c6ae5;"></span>
+                <span class="legend-item-label">Dividend cash flow <span class="legend-var-wrap"><span class="legend-paren">(</span><span class="legend-var" style="color: #3c6ae5;">Div<sub>𝑡</sub></span><span class="legend-paren">)</span></span><span data-legend-constant hidden>, in constant dollars</span></span>
+              </li>
+              <li class="legend-item" data-legend-real-line="real" hidden>
+                <span class="legend-color legend-solid-line" style="border-bottom: 2px solid #06005a; background: none; width: 1.5rem; height: 0; border-left: none; border-right: none; border-top: none;"></span>
+                <span class="legend-item-label">Dividend in constant dollars</span>
+              </li>
+              <li class="legend-item" data-legend-real-line="nominal" hidden>
+                <span class="legend-color legend-solid-line" style="border-bottom: 2px solid #06005a; background: none; width: 1.5rem; height: 0; border-left: none; border-right: none; border-top: none;"></span>
+                <span class="legend-item-label">Nominal dividend</span>
+              </li>
+              <li class="legend-item" data-legend-basis="present" hidden>
+                <span class="legend-color" style="background-color: #3c6ae5;"></span>
+                <span class="legend-item-label">Present value of dividend <span class="legend-var-wrap"><span class="legend-paren">(</span><span class="legend-var" style="color: #3c6ae5;">Div<sub>𝑡</sub></span><span class="legend-paren">)</span></span></span>
+              </li>
+              <li class="legend-item" data-legend-basis="present" hidden>
+                <span class="legend-color" style="background-color: #6b7280;"></span>
+                <span class="legend-item-label">Present value of terminal value</span>
+              </li>
+              <li class="legend-item" data-legend-basis="present" hidden>
+                <span class="legend-color legend-solid-line" style="border-bottom: 2px solid #06005a; background: none; width: 1.5rem; height: 0; border-left: none; border-right: none; border-top: none;"></span>
+                <span class="legend-item-label">Cumulative present value</span>
+              </li>
+              <li class="legend-item">
+                <span class="legend-color legend-dashed-line" style="border-bottom: 2px dashed #15803d; background: none; width: 1.5rem; height: 0; border-left: none; border-right: none; border-top: none;"></span>
+                <span class="legend-item-label">Dividend growth rate <span class="legend-var-wrap"><span class="legend-paren">(</span><span class="legend-var" style="color: #15803d;">𝑔</span><span class="legend-paren">)</span></span><span data-legend-constant hidden>, real</span></span>
+              </li>
+              <li class="legend-item" data-legend-sustainable hidden>
+                <span class="legend-color legend-dashed-line" style="border-bottom: 2px dotted #15803d; background: none; width: 1.5rem; height: 0; border-left: none; border-right: none; border-top: none;"></span>
+                <span class="legend-item-label">Sustainable growth <span class="legend-var-wrap"><span class="legend-paren">(</span><span class="legend-var" style="color: #15803d;">𝑏 × ROE</span><span class="legend-paren">)</span></span></span>
+              </li>
+            </ul>
+            <div id="comparison-legend" hidden>
+              <!-- Populated by JavaScript in comparison mode -->
+            </div>
+          </div>
+          
+          <div class="button-group" role="group" aria-label="Visualization view toggle">
+            <button id="chart-view-btn" class="toggle-btn active" aria-pressed="true">Chart</button>
+            <button id="table-view-btn" class="toggle-btn" aria-pressed="false">Table</button>
+            <button id="heatmap-view-btn" class="toggle-btn" aria-pressed="false">Heatmap</button>
+            <button id="simulation-view-btn" class="toggle-btn" aria-pressed="false">Simulation</button>
+          </div>
+        </div>
+        <p id="chart-helper-text" class="text-xs text-gray-500" style="display: none; margin-bottom: 0.75rem;">
+          Chart view is not available at narrow screen widths. Showing table view.
+        </p>
+
+        <div class="model-selector basis-selector" role="group" aria-labelledby="basis-label" id="basis-selector">
+          <span class="control-label" id="basis-label">Cash flows:</span>
+          <div class="button-group">
+            <button type="button" class="toggle-btn active" data-basis="nominal" aria-pressed="true">Nominal</button>
+            <button type="button" class="toggle-btn" data-basis="present" aria-pressed="false">Present value at <span class="label-var-return">𝑟</span></button>
+          </div>
+        </div>
+
+        <div class="model-selector basis-selector" role="group" aria-labelledby="rate-basis-label" id="rate-basis-selector" hidden>
+          <span class="control-label" id="rate-basis-label">Dividends and growth:</span>
+          <div class="button-group">
+            <button type="button" class="toggle-btn active" data-rate-basis="nominal" aria-pressed="true">Nominal</button>
+            <button type="button" class="toggle-btn" data-rate-basis="real" aria-pressed="false">Real (constant dollars)</button>
+          </div>
+        </div>
+
+        <div class="model-selector basis-selector" role="group" aria-labelledby="price-bar-label" id="price-bar-selector">
+          <span class="control-label" id="price-bar-label">Market price bar:</span>
+          <div class="button-group">
+            <button type="button" class="toggle-btn active" data-price-bar="total" aria-pressed="true">Total</button>
+            <button type="button" class="toggle-btn" data-price-bar="pvgo" aria-pressed="false">No-growth value + PVGO</button>
+          </div>
+        </div>
+
+        <div class="sr-only" aria-live="polite" aria-atomic="true" id="view-announcement"></div>
+
+        <div class="sr-only" id="growth-chart-desc">
+          <h4 id="growth-chart-title">Dividend growth projection over time</h4>
+          <p>
+            This chart displays the projected dividend cash flows over <span class="horizon-text">10 years</span> using the implied growth rate.
+            At year 0, the initial stock purchase price is shown as a negative cash flow (money paid out).
+            Then, at each subsequent year, dividend payments grow at the calculated implied growth rate.
+            The dashed green line shows the growth rate percentage on the right axis.
+          </p>
+          <!-- hidden: prevents screen readers stumbling on this when browsing the page;
+               keyboard nav instructions are conveyed via the canvas aria-label only -->
+          <p hidden>
+            Keyboard navigation: Use Left and Right arrow keys to move between years.
+            Press Home to jump to year 0, or End to jump to the final year.
+            Each year will announce its dividend amount, growth rate, and total cash flow.
+          </p>
+        </div>
+
+        <div id="chart-container" class="chart-wrapper" 
+             role="region" 
+             aria-labelledby="growth-chart-title"
+             tabindex="-1">
+          <!-- Widened by the chart when the horizon has more bars than fit -->
+          <div id="chart-scroll-area" class="chart-scroll-area">
+            <canvas id="growth-chart"></canvas>
+          </div>
+        </div>
+
+        <div id="table-container" class="table-wrapper table-card-layout" style="display: none;"
+             role="region"
+             aria-label="Dividend growth projection table"
+             tabindex="0">
+          <table id="cash-flow-table" class="data-table">
+            <!-- Populated by JavaScript -->
+          </table>
+        </div>
+        <div id="heatmap-container" style="display: none;">
+          <p class="text-sm text-gray-700 heatmap-intro">
+            Sensitivity of the implied growth rate to the market price (columns) and required return (rows).
+            Darker cells imply faster growth; the current inputs are outlined.
+          </p>
+          <div id="heatmap-table-wrapper" class="table-wrapper"
+               role="region"
+               aria-label="Implied growth sensitivity heatmap"
+               tabindex="0">
+            <!-- Populated by JavaScript -->
+          </div>
+          <p id="heatmap-scale" class="heatmap-scale text-sm"></p>
+        </div>
+        <div id="simulation-container" style="display: none;">
+          <p class="text-sm text-gray-700 simulation-intro">
+            Monte Carlo distribution of the implied growth rate (𝑔) when the required return and the current dividend
+            are uncertain. Each draw takes both from the distributions below, centred on your inputs, and solves the
+            selected model at the current market price (the multi-stage models for the long-run rate 𝑔<sub>L</sub>,
+            with the high-growth inputs held fixed). The same seed always reproduces the same run.
+          </p>
+          <form id="simulation-form" class="simulation-form" novalidate>
+            <fieldset class="simulation-variable">
+              <legend>Required return (<span class="label-var-return">𝑟</span>)</legend>
+              <div class="input-inline">
+                <label for="simulation-return-dist" class="input-label-inline">Distribution:</label>
+                <select id="simulation-return-dist" class="input-field-inline export-select">
+                  <option value="normal">Normal</option>
+                  <option value="uniform">Uniform</option>
+                  <option value="triangular">Triangular</option>
+                </select>
+              </div>
+              <div class="input-inline">
+                <label for="simulation-return-spread" class="input-label-inline">Spread:</label>
+                <div class="input-with-suffix-inline input-with-suffix-wide">
+                  <input type="number" id="simulation-return-spread" class="input-field-inline"
+                    inputmode="decimal" min="0" max="10" step="0.1" value="1.0">
+                  <span class="input-suffix-inline">pp</span>
+                </div>
+              </div>
+            </fieldset>
+            <fieldset class="simulation-variable">
+              <legend>Current dividend (<span class="label-var-dividend">Div<sub>𝑡</sub></span>)</legend>
+              <div class="input-inline">
+                <label for="simulation-dividend-dist" class="input-label-inline">Distribution:</label>
+                <select id="simulation-dividend-dist" class="input-field-inline export-select">
+                  <option value="normal">Normal</option>
+                  <option value="uniform">Uniform</option>
+                  <option value="triangular">Triangular</option>
+                </select>
+              </div>
+              <div class="input-inline">
+                <label for="simulation-dividend-spread" class="input-label-inline">Spread:</label>
+                <div class="input-with-suffix-inline">
+                  <span class="input-prefix-inline">USD</span>
+                  <input type="number" id="simulation-dividend-spread" class="input-field-inline input-with-prefix"
+                    inputmode="decimal" min="0" max="10" step="0.1" value="0.5">
+                </div>
+              </div>
+            </fieldset>
+            <fieldset class="simulation-variable">
+              <legend>Run</legend>
+              <div class="input-inline">
+                <label for="simulation-draws" class="input-label-inline">Draws:</label>
+                <input type="number" id="simulation-draws" class="input-field-inline"
+                  inputmode="numeric" min="100" max="100000" step="100" value="10000">
+              </div>
+              <div class="input-inline">
+                <label for="simulation-seed" class="input-label-inline">Seed:</label>
+                <input type="number" id="simulation-seed" class="input-field-inline"
+                  inputmode="numeric" min="0" max="2147483647" step="1" value="42">
+              </div>
+            </fieldset>
+            <div class="button-group simulation-actions">
+              <button type="submit" class="toggle-btn" id="simulation-run-btn">Run simulation</button>
+              <button type="button" class="toggle-btn" id="simulation-cancel-btn" hidden>Cancel</button>
+            </div>
+          </form>
+          <p class="text-xs text-gray-500 simulation-help">
+            Normal: the spread is one standard deviation. Uniform: any value within the input ± the spread is equally
+            likely. Triangular: from the input − spread to the input + spread, most likely at the input.
+          </p>
+          <progress id="simulation-progress" class="simulation-progress" max="1" value="0" aria-label="Simulation progress" hidden></progress>
+          <p id="simulation-status" class="text-sm" role="status"></p>
+          <div id="simulation-results" hidden>
+            <div class="simulation-histogram">
+              <canvas id="simulation-histogram" role="img" aria-label="Histogram of simulated implied growth rates"></canvas>
+            </div>
+            <div class="table-wrapper" role="region" aria-label="Simulated implied growth percentiles" tabindex="0">
+              <table id="simulation-table" class="data-table">
+                <!-- Populated by JavaScript -->
+              </table>
+            </div>
+          </div>
+        </div>
+
+        <p class="table-note" id="horizon-note">
+          Note: Cash flows continue until infinity, but only the first 10 years are shown.
+        </p>
+
+        <div class="button-group export-actions" id="chart-export-actions" role="group" aria-label="Download chart image">
+          <label for="png-pixel-ratio" class="input-label-inline">PNG resolution:</label>
+          <select id="png-pixel-ratio" class="input-field-inline export-select">
+            <option value="1">1× (screen size)</option>
+            <option value="2" selected>2×</option>
+            <option value="3">3×</option>
+            <option value="4">4×</option>
+          </select>
+          <button type="button" id="export-png-btn" class="toggle-btn">Download PNG</button>
+          <button type="button" id="export-svg-btn" class="toggle-btn">Download SVG</button>
+        </div>
+
+        <div class="button-group export-actions" role="group" aria-label="Download projection">
+          <button type="button" id="export-csv-btn" class="toggle-btn">Download CSV</button>
+          <button type="button" id="export-xlsx-btn" class="toggle-btn">Download Excel (.xlsx)</button>
+        </div>
+      </div>
+    </section>
+
+    <!-- Card 4: Results & Analysis -->
+    <section class="card" id="results-card">
+      <h4 class="card-title">Results and Analysis</h4>
+      <div class="card-content">
+        <div id="results-content">
+          <!-- Populated by JavaScript -->
+        </div>
+        <div class="button-group export-actions" role="group" aria-label="Print">
+          <button type="button" id="print-report-btn" class="toggle-btn">Print report</button>
+        </div>
+      </div>
+    </section>
+
+    <!-- Card 5: Saved Scenarios -->
+    <section class="card" id="scenarios-card" aria-labelledby="scenarios-card-title">
+      <h4 class="card-title" id="scenarios-card-title">Saved Scenarios</h4>
+      <div class="card-content">
+        <form id="scenario-save-form" class="scenario-save-form">
+          <div class="input-inline">
+            <label for="scenario-name" class="input-label-inline">Scenario name:</label>
+            <input
+              type="text"
+              id="scenario-name"
+              class="input-field-inline scenario-name-input"
+              maxlength="40"
+              placeholder="e.g. Base case"
+              autocomplete="off">
+          </div>
+          <button type="submit" class="toggle-btn">Save current inputs</button>
+        </form>
+
+        <p id="scenario-empty" class="text-sm text-gray-500">
+          No saved scenarios yet. Save the current inputs to compare them with other assumptions.
+        </p>
+        <ul id="scenario-list" class="scenario-list" aria-label="Saved scenarios">
+          <!-- Populated by JavaScript -->
+        </ul>
+
+        <div class="scenario-compare-controls">
+          <button id="compare-toggle-btn" type="button" class="toggle-btn" aria-pressed="false" disabled>
+            Compare selected
+          </button>
+          <span id="compare-count" class="text-sm text-gray-500"></span>
+        </div>
+      </div>
+    </section>
+
+    <!-- Card 6: Batch Screening -->
+    <section class="card" id="batch-card" aria-labelledby="batch-card-title">
+      <h4 class="card-title" id="batch-card-title">Batch Screening</h4>
+      <div class="card-content">
+        <p class="text-sm text-gray-700">
+          Compute the implied growth rate (<span class="label-var-growth">𝑔</span>) and expected next dividend
+          (<span class="label-var-dividend">Div<sub>𝑡+1</sub></span>) of many dividend payers at once with the
+          constant growth model. Upload a CSV file or paste a table with the columns ticker, price, dividend and
+          required return (%); a header row is optional.
+        </p>
+        <form id="batch-form" class="batch-form">
+          <div class="input-inline">
+            <label for="batch-file" class="input-label-inline">CSV file:</label>
+            <input type="file" id="batch-file" class="batch-file-input" accept=".csv,.tsv,.txt,text/csv,text/plain">
+          </div>
+          <label for="batch-input" class="input-label-inline">Or paste rows:</label>
+          <textarea
+            id="batch-input"
+            class="input-field-inline batch-input"
+            rows="5"
+            spellcheck="false"
+            placeholder="ticker,price,dividend,required return&#10;KO,60,1.94,6.5&#10;PG,165,3.76,7"></textarea>
+          <div class="button-group">
+            <button type="submit" class="toggle-btn">Calculate batch</button>
+          </div>
+        </form>
+        <p id="batch-status" class="text-sm" role="status"></p>
+
+        <div id="batch-results" class="batch-results" hidden>
+          <div class="batch-controls">
+            <div class="input-inline">
+              <label for="batch-filter" class="input-label-inline">Filter tickers:</label>
+              <input type="search" id="batch-filter" class="input-field-inline" autocomplete="off">
+            </div>
+            <div class="input-inline">
+              <label for="batch-status-filter" class="input-label-inline">Show:</label>
+              <select id="batch-status-filter" class="input-field-inline export-select">
+                <option value="all">All rows</option>
+                <option value="valid">Valid rows</option>
+                <option value="errors">Rows with errors</option>
+              </select>
+            </div>
+            <button type="button" id="batch-download-btn" class="toggle-btn">Download CSV</button>
+          </div>
+          <p id="batch-summary" class="text-sm text-gray-500" aria-live="polite"></p>
+          <div id="batch-table-wrapper" class="table-wrapper table-card-layout"
+               role="region"
+               aria-label="Batch implied growth results"
+               tabindex="0">
+            <!-- Populated by JavaScript -->
+          </div>
+        </div>
+      </div>
+    </section>
+
+    <!-- Print-only report, filled just before printing -->
+    <section id="print-report" class="print-report" aria-label="Printable scenario report" hidden>
+      <!-- Populated by JavaScript -->
+    </section>
+`;
+
+/** Skip links to the inputs and the data table; one set per page */
+const SKIP_LINKS = `
+  <!-- Skip Links for Accessibility -->
+  <nav role="navigation" aria-label="Skip links">
+    <a href="#data-entry" class="skip-link">Skip to data entry</a>
+    <a href="#table-view-btn" class="skip-link">Skip to data table</a>
+  </nav>
+`;
+
+/**
+ * Markup for one calculator. Only the page's primary calculator is the main
+ * landmark with skip links; any others are labelled regions, so a page with
+ * several has one <main> and one set of skip links.
+ * @param {Object} options
+ * @param {boolean} options.primary - Whether this is the page's main calculator
+ * @returns {string} HTML for the shadow root
+ */
+export function calculatorMarkup({ primary = false } = {}) {
+  const content = primary
+    ? `<main class="content">${CARDS}</main>`
+    : `<section class="content" aria-label="Implied growth calculator">${CARDS}</section>`;
+  return `
+<div class="container">${primary ? SKIP_LINKS : ''}
+  ${content}
+</div>
+`;
+}
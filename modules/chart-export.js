@@ -0,0 +1,231 @@
+/**
+ * Chart Export Module
+ * Saves the current chart as a PNG at a chosen pixel ratio, or as a vector
+ * SVG rebuilt from the Chart.js layout (bars, growth lines, axes and labels)
+ */
+
+import { getChartSnapshot } from './chart.js';
+import { getChartTypography } from '../chart-typography.js';
+
+/** Chart.js defaults the SVG mirrors when placing tick labels */
+const TICK_PADDING = 3;
+const TICK_MARK_LENGTH = 8;
+const TITLE_PADDING = 4;
+
+/** Canvas textAlign and textBaseline values in SVG terms */
+const TEXT_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+const BASELINES = { top: 'text-before-edge', middle: 'central', bottom: 'text-after-edge', alphabetic: 'alphabetic' };
+
+/**
+ * Render the current chart to PNG. The chart is redrawn at the requested
+ * pixel ratio, copied onto a white background (slides rarely want
+ * transparency) and then restored.
+ * @param {Object} view - createChartView result
+ * @param {number} pixelRatio - Output pixels per CSS pixel
+ * @returns {Promise<Blob|null>} PNG, or null when there is no chart
+ */
+export function chartToPng(view, pixelRatio = 2) {
+  const snapshot = getChartSnapshot(view);
+  if (!snapshot) return Promise.resolve(null);
+
+  const { chart } = snapshot;
+  const previousRatio = chart.options.devicePixelRatio;
+
+  chart.options.devicePixelRatio = pixelRatio;
+  chart.resize();
+  chart.draw();
+
+  const output = document.createElement('canvas');
+  output.width = chart.canvas.width;
+  output.height = chart.canvas.height;
+  const ctx = output.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, output.width, output.height);
+  ctx.drawImage(chart.canvas, 0, 0);
+
+  chart.options.devicePixelRatio = previousRatio;
+  chart.resize();
+  chart.draw();
+
+  return new Promise(resolve => output.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * Rebuild the current chart as SVG
+ * @param {Object} view - createChartView result
+ * @param {string} title - Accessible title for the SVG
+ * @returns {string|null} SVG markup, or null when there is no chart
+ */
+export function chartToSvg(view, title = 'Dividend growth projection') {
+  const snapshot = getChartSnapshot(view);
+  if (!snapshot) return null;
+
+  const { chart } = snapshot;
+  // Settle any running animation so elements are read at their final positions
+  chart.stop();
+  chart.update('none');
+  const { overlays, titles } = getChartSnapshot(view);
+  const typography = getChartTypography('curriculum');
+  const { width, height, chartArea } = chart;
+  const parts = [];
+
+  parts.push(`<rect x="0" y="0" width="${width}" height="${height}" fill="#ffffff"/>`);
+
+  // Horizontal grid lines of the cash flow axis
+  const yScale = chart.scales.y;
+  if (yScale.options.grid.display !== false) {
+    yScale.ticks.forEach((tick, i) => {
+      const y = num(yScale.getPixelForTick(i));
+      parts.push(`<line x1="${num(chartArea.left)}" y1="${y}" x2="${num(chartArea.right)}" y2="${y}" stroke="${yScale.options.grid.color}" stroke-width="1"/>`);
+    });
+  }
+
+  // Datasets: bars first, then lines, as Chart.js orders them
+  const metas = chart.data.datasets.map((dataset, i) => ({ dataset, meta: chart.getDatasetMeta(i) }))
+    .filter(({ meta }) => !meta.hidden);
+  metas.filter(({ meta }) => meta.type === 'bar').forEach(({ dataset, meta }) => {
+    meta.data.forEach(bar => {
+      const top = Math.min(bar.y, bar.base);
+      const barHeight = Math.abs(bar.base - bar.y);
+      if (barHeight === 0) return;
+      parts.push(`<rect x="${num(bar.x - bar.width / 2)}" y="${num(top)}" width="${num(bar.width)}" height="${num(barHeight)}" fill="${dataset.backgroundColor}"/>`);
+    });
+  });
+  metas.filter(({ meta }) => meta.type === 'line').forEach(({ dataset, meta }) => {
+    const points = meta.data
+      .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y))
+      .map(point => `${num(point.x)},${num(point.y)}`)
+      .join(' ');
+    const dash = dataset.borderDash && dataset.borderDash.length > 0
+      ? ` stroke-dasharray="${dataset.borderDash.join(' ')}"`
+      : '';
+    parts.push(`<polyline points="${points}" fill="none" stroke="${dataset.borderColor}" stroke-width="${dataset.borderWidth}"${dash}/>`);
+  });
+
+  parts.push(axesSvg(chart, typography));
+  parts.push(shapesToSvg(overlays));
+  parts.push(shapesToSvg(titles));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="chart-svg-title">
+<title id="chart-svg-title">${escapeXml(title)}</title>
+${parts.filter(Boolean).join('\n')}
+</svg>`;
+}
+
+/**
+ * Axis lines, tick labels and axis titles
+ */
+function axesSvg(chart, typography) {
+  const { chartArea } = chart;
+  const font = typography.fontCss;
+  const parts = [];
+
+  Object.values(chart.scales).forEach(scale => {
+    const { options } = scale;
+    const isX = scale.axis === 'x';
+    const isLeft = scale.position === 'left';
+
+    // Axis line
+    if (options.border && options.border.display !== false) {
+      const stroke = options.border.color;
+      const strokeWidth = options.border.width;
+      if (isX) {
+        parts.push(lineSvg(chartArea.left, chartArea.bottom, chartArea.right, chartArea.bottom, stroke, strokeWidth));
+      } else {
+        const x = isLeft ? chartArea.left : chartArea.right;
+        parts.push(lineSvg(x, chartArea.top, x, chartArea.bottom, stroke, strokeWidth));
+      }
+    }
+
+    // Tick labels
+    if (options.ticks.display !== false) {
+      const tickMark = options.grid.display !== false ? TICK_MARK_LENGTH : 0;
+      scale.ticks.forEach((tick, i) => {
+        const label = Array.isArray(tick.label) ? tick.label.join(' ') : String(tick.label ?? '');
+        if (!label) return;
+        const position = scale.getPixelForTick(i);
+        const shape = isX
+          ? { x: position, y: scale.top + tickMark + TICK_PADDING, align: 'center', baseline: 'top' }
+          : isLeft
+            ? { x: scale.right - tickMark - TICK_PADDING, y: position, align: 'right', baseline: 'middle' }
+            : { x: scale.left + tickMark + TICK_PADDING, y: position, align: 'left', baseline: 'middle' };
+        parts.push(shapesToSvg([{ type: 'text', text: label, font, fill: options.ticks.color, ...shape }]));
+      });
+    }
+
+    // Axis title (the right-hand title is drawn by the chart as an overlay)
+    if (options.title && options.title.display) {
+      const size = typography.font.size;
+      const text = { type: 'text', text: options.title.text, font, fill: options.title.color, align: 'center', baseline: 'middle' };
+      if (isX) {
+        parts.push(shapesToSvg([{ ...text, x: (chartArea.left + chartArea.right) / 2, y: scale.bottom - TITLE_PADDING - size / 2 }]));
+      } else {
+        parts.push(shapesToSvg([{
+          type: 'group',
+          x: scale.left + TITLE_PADDING + size / 2,
+          y: (chartArea.top + chartArea.bottom) / 2,
+          rotate: -Math.PI / 2,
+          shapes: [{ ...text, x: 0, y: 0 }]
+        }]));
+      }
+    }
+  });
+
+  return parts.join('\n');
+}
+
+/**
+ * Serialize chart shapes (see drawShapes in chart.js) as SVG
+ * @param {Array<Object>} shapes - Shapes
+ * @returns {string} SVG markup
+ */
+function shapesToSvg(shapes) {
+  return shapes.map(shape => {
+    switch (shape.type) {
+      case 'group': {
+        const degrees = ((shape.rotate || 0) * 180) / Math.PI;
+        return `<g transform="translate(${num(shape.x)} ${num(shape.y)}) rotate(${num(degrees)})">${shapesToSvg(shape.shapes)}</g>`;
+      }
+      case 'rect': {
+        const fill = shape.fill ? ` fill="${shape.fill}"` : ' fill="none"';
+        const stroke = shape.stroke ? ` stroke="${shape.stroke}" stroke-width="${shape.lineWidth || 1}"` : '';
+        return `<rect x="${num(shape.x)}" y="${num(shape.y)}" width="${num(shape.width)}" height="${num(shape.height)}"${fill}${stroke}/>`;
+      }
+      case 'line': {
+        const dash = shape.dash && shape.dash.length > 0 ? ` stroke-dasharray="${shape.dash.join(' ')}"` : '';
+        const points = shape.points.map(([x, y]) => `${num(x)},${num(y)}`).join(' ');
+        return `<polyline points="${points}" fill="none" stroke="${shape.stroke}" stroke-width="${shape.lineWidth || 1}"${dash}/>`;
+      }
+      case 'text':
+        return `<text x="${num(shape.x)}" y="${num(shape.y)}" fill="${shape.fill}" text-anchor="${TEXT_ANCHORS[shape.align] || 'start'}" dominant-baseline="${BASELINES[shape.baseline] || 'alphabetic'}" style="font: ${escapeXml(shape.font)}; white-space: pre">${escapeXml(shape.text)}</text>`;
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Straight line
+ */
+function lineSvg(x1, y1, x2, y2, stroke, strokeWidth) {
+  return `<line x1="${num(x1)}" y1="${num(y1)}" x2="${num(x2)}" y2="${num(y2)}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
+}
+
+/**
+ * Round coordinates so the SVG stays compact
+ */
+function num(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -9,8 +9,8 @@
  * - Green #15803d: Growth Rates (g)
  */
 
-import { formatCurrency, formatPercentage } from './utils.js';
-import { getChartTypography, fillTightParenVar } from '../chart-typography.js';
+import { formatCurrency, formatPercentage, formatYears, getPaymentsPerYear } from './utils.js';
+import { getChartTypography, mathItalicParenKernPx } from '../chart-typography.js';
 
 /** Curriculum chart label convention: 13px / 600 / Lato at the 18px design root. */
 const CHART_FONT = { family: '', size: 13, weight: '600' };
@@ -45,35 +45,585 @@ const COLORS = {
   dividend: '#3c6ae5',    // Blue - Dividends (D)
   return: '#7a46ff',      // Purple - Required return (r)
   growth: '#15803d',      // Green - Growth rate (g)
+  terminal: '#6b7280',    // Gray - Terminal value (everything past the horizon)
+  pvgo: '#7c3d13',        // Dark orange - PVGO, the growth part of the price
+  history: '#0079a6',     // Teal - Dividends already paid (left of year 0)
   darkText: '#06005a'
 };
 
-let chartInstance = null;
-let currentFocusIndex = 0;
-let isKeyboardMode = false;
+/** Scenario colours in the comparison view; growth lines also differ by dash */
+const COMPARISON_SERIES = [
+  { color: '#3c6ae5', dash: [5, 5] },
+  { color: '#0079a6', dash: [12, 4] },
+  { color: '#06005a', dash: [2, 3] },
+  { color: '#6b7280', dash: [12, 3, 3, 3] }
+];
+
+/**
+ * Chart state of one calculator: the Chart.js instance, the year with
+ * keyboard focus, and the layouts of the in-chart labels (chart => shapes)
+ * @param {Document|ShadowRoot} root - Calculator the chart belongs to
+ * @returns {Object} View to pass to renderChart and the other chart functions
+ */
+export function createChartView(root = document) {
+  return {
+    root,
+    chart: null,
+    focusIndex: 0,
+    keyboardMode: false,
+    overlayLayouts: []
+  };
+}
+
+/**
+ * Width each year needs for its bar total to stay readable. Longer horizons
+ * widen the chart past its container, which then scrolls sideways.
+ */
+export const MIN_LABELLED_BAR_SLOT = 72;
+
+/** X-axis title by dividend payments a year */
+const X_AXIS_TITLES = {
+  1: 'Years',
+  2: 'Year and half-year',
+  4: 'Year and quarter'
+};
+
+/**
+ * Shared axes: years, cash flows (USD) on the left, growth rate (%) on the right
+ * @param {number} maxGrowth - Highest growth rate plotted (percentage)
+ * @param {number} paymentsPerYear - Payments a year, for the x-axis title
+ * @returns {Object} Chart.js scales config
+ */
+function buildScales(maxGrowth, paymentsPerYear = 1) {
+  return {
+    x: {
+      title: {
+        display: true,
+        text: X_AXIS_TITLES[paymentsPerYear] || X_AXIS_TITLES[1],
+        color: '#000000',
+        font: {
+          size: CHART_FONT.size,
+          weight: '600',
+          family: CHART_FONT.family
+        }
+      },
+      ticks: {
+        color: '#000000',
+        font: {
+          size: CHART_FONT.size,
+          weight: '600',
+          family: CHART_FONT.family
+        }
+      },
+      grid: {
+        display: false
+      },
+      border: {
+        color: '#000000',
+        width: 2
+      }
+    },
+    y: {
+      title: {
+        display: true,
+        text: 'Cash flows (USD)',
+        color: '#000000',
+        font: {
+          size: CHART_FONT.size,
+          weight: '600',
+          family: CHART_FONT.family
+        }
+      },
+      position: 'left',
+      ticks: {
+        callback: function(value) {
+          // Format without USD prefix since it's in the axis title
+          const absValue = Math.abs(value);
+          const formatted = absValue.toLocaleString('en-US', {
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+          });
+          return value < 0 ? `−${formatted}` : formatted;
+        },
+        color: '#000000',
+        autoSkip: true,
+        maxRotation: 0,
+        minRotation: 0,
+        font: {
+          size: CHART_FONT.size,
+          weight: '600',
+          family: CHART_FONT.family
+        }
+      },
+      grid: {
+        color: 'rgba(0, 0, 0, 0.05)'
+      },
+      border: {
+        color: '#000000',
+        width: 2
+      }
+    },
+    y2: {
+      title: { display: false },
+      position: 'right',
+      min: 0,
+      max: maxGrowth ? Math.max(12, maxGrowth * 1.5) : 12,
+      ticks: {
+        callback: function(value) {
+          // Return just the number without % sign
+          return value.toFixed(1);
+        },
+        color: COLORS.growth,
+        autoSkip: true,
+        maxRotation: 0,
+        minRotation: 0,
+        font: {
+          size: CHART_FONT.size,
+          weight: '600',
+          family: CHART_FONT.family
+        }
+      },
+      grid: {
+        display: false
+      },
+      border: {
+        color: COLORS.growth,
+        width: 2
+      }
+    }
+  };
+}
+
+/**
+ * In-chart labels are laid out as plain shapes so the canvas plugins and the
+ * SVG export draw exactly the same thing:
+ *   { type: 'text', text, x, y, font, fill, align, baseline }
+ *   { type: 'rect', x, y, width, height, fill?, stroke?, lineWidth? }
+ *   { type: 'line', points: [[x, y], ...], stroke, lineWidth, dash? }
+ *   { type: 'group', x, y, rotate, shapes }
+ */
+
+/**
+ * Draw shapes on a canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array<Object>} shapes - Shapes to draw
+ */
+function drawShapes(ctx, shapes) {
+  shapes.forEach(shape => {
+    ctx.save();
+    switch (shape.type) {
+      case 'group':
+        ctx.translate(shape.x, shape.y);
+        ctx.rotate(shape.rotate || 0);
+        drawShapes(ctx, shape.shapes);
+        break;
+      case 'rect':
+        if (shape.fill) {
+          ctx.fillStyle = shape.fill;
+          ctx.fillRect(shape.x, shape.y, shape.width, shape.height);
+        }
+        if (shape.stroke) {
+          ctx.strokeStyle = shape.stroke;
+          ctx.lineWidth = shape.lineWidth || 1;
+          ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
+        }
+        break;
+      case 'line':
+        ctx.strokeStyle = shape.stroke;
+        ctx.lineWidth = shape.lineWidth || 1;
+        ctx.setLineDash(shape.dash || []);
+        ctx.beginPath();
+        shape.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.stroke();
+        break;
+      case 'text':
+        ctx.font = shape.font;
+        ctx.fillStyle = shape.fill;
+        ctx.textAlign = shape.align || 'left';
+        ctx.textBaseline = shape.baseline || 'alphabetic';
+        ctx.fillText(shape.text, shape.x, shape.y);
+        break;
+    }
+    ctx.restore();
+  });
+}
+
+/**
+ * Lay out `before + italic + after` with tight parentheses, as
+ * fillTightParenVar draws it
+ * @returns {Array<Object>} Text shapes
+ */
+function tightParenVarShapes(ctx, before, italic, after, x, y, style, align = 'left') {
+  const kern = mathItalicParenKernPx();
+  ctx.save();
+  ctx.font = style.font;
+  const wBefore = ctx.measureText(before).width;
+  const wVar = ctx.measureText(italic).width;
+  const width = wBefore + wVar + ctx.measureText(after).width - 2 * kern;
+  ctx.restore();
+  
+  const left = align === 'center' ? x - width / 2 : x;
+  return [
+    [before, left],
+    [italic, left + wBefore - kern],
+    [after, left + wBefore - kern + wVar - kern]
+  ].map(([text, textX]) => ({ type: 'text', text, x: textX, y, align: 'left', ...style }));
+}
+
+/**
+ * Rotated "Dividend growth rate (g) %" title for the right-hand axis
+ * @param {Object} chart - Chart.js instance
+ * @returns {Array<Object>} Shapes
+ */
+function y2TitleShapes(chart) {
+  const chartArea = chart.chartArea;
+  return [{
+    type: 'group',
+    x: chartArea.right + 48,
+    y: (chartArea.top + chartArea.bottom) / 2,
+    rotate: Math.PI / 2,
+    shapes: tightParenVarShapes(chart.ctx, 'Dividend growth rate (', ITALIC_g, ') %', 0, 0,
+      { font: CHART_FONT_CSS, fill: COLORS.growth, baseline: 'middle' }, 'center')
+  }];
+}
+
+const verticalY2TitlePlugin = {
+  id: 'verticalY2Title',
+  afterDraw: (chart) => drawShapes(chart.ctx, y2TitleShapes(chart))
+};
+
+/**
+ * Draws the overlay layouts registered for a view's current chart
+ * @param {Object} view - createChartView result
+ * @returns {Object} Chart.js plugin
+ */
+function createOverlayPlugin(view) {
+  return {
+    id: 'overlayLabels',
+    afterDatasetsDraw: (chart) => {
+      view.overlayLayouts.forEach(layout => drawShapes(chart.ctx, layout(chart)));
+    }
+  };
+}
+
+/**
+ * Everything needed to reproduce the current chart outside the canvas
+ * @param {Object} view - createChartView result
+ * @returns {Object|null} { chart, overlays } where overlays are the in-chart
+ *   label shapes (drawn over the datasets) and titles (drawn over the axes)
+ */
+export function getChartSnapshot(view) {
+  if (!view.chart) return null;
+  return {
+    chart: view.chart,
+    overlays: view.overlayLayouts.flatMap(layout => layout(view.chart)),
+    titles: y2TitleShapes(view.chart)
+  };
+}
+
+/**
+ * Dashed divider where the multi-stage growth path reaches g_L
+ * @param {Object} chart - Chart.js instance
+ * @param {number} stableIndex - Index of the first stable-growth year (-1 if none)
+ * @returns {Array<Object>} Shapes
+ */
+function stageBoundaryShapes(chart, stableIndex) {
+  if (stableIndex <= 0) return [];
+  
+  const meta = chart.getDatasetMeta(1);
+  const prev = meta.data[stableIndex - 1];
+  const next = meta.data[stableIndex];
+  if (!prev || !next) return [];
+  
+  const chartArea = chart.chartArea;
+  const x = (prev.x + next.x) / 2;
+  
+  return [
+    {
+      type: 'line',
+      points: [[x, chartArea.top], [x, chartArea.bottom]],
+      stroke: LABEL_TEXT_COLOR,
+      lineWidth: 1.5,
+      dash: [4, 4]
+    },
+    {
+      type: 'text',
+      text: 'Stable growth',
+      x: x + 4,
+      y: chartArea.top + 2,
+      font: CHART_FONT_CSS,
+      fill: LABEL_TEXT_COLOR,
+      align: 'left',
+      baseline: 'top'
+    }
+  ];
+}
+
+/**
+ * Top of the stacked bars for a year
+ * @param {Object} chart - Chart.js instance
+ * @param {Array<number>} stackIndices - Datasets in the cash flow stack
+ * @param {number} index - Year index
+ * @returns {number|null} Pixel y, or null when a bar is missing
+ */
+function stackTop(chart, stackIndices, index) {
+  const bars = stackIndices.map(i => chart.getDatasetMeta(i).data[index]);
+  if (bars.some(bar => !bar)) return null;
+  return Math.min(...bars.map(bar => bar.y).filter(Number.isFinite));
+}
+
+/**
+ * Totals on top of the stacked bars; negative totals sit level with the
+ * highest positive label so they stay clear of the bars
+ * @param {Object} chart - Chart.js instance
+ * @param {Array<number>} totalData - Total cash flow per year
+ * @param {Array<number>} stackIndices - Datasets in the cash flow stack
+ * @returns {Array<Object>} Shapes
+ */
+function barTotalShapes(chart, totalData, stackIndices = [0, 1]) {
+  const meta1 = chart.getDatasetMeta(1);
+  
+  let maxPositiveY = chart.scales.y.top;
+  chart.data.labels.forEach((label, index) => {
+    const total = totalData[index];
+    const topY = stackTop(chart, stackIndices, index);
+    if (total > 0 && topY !== null) {
+      maxPositiveY = Math.max(maxPositiveY, topY);
+    }
+  });
+  
+  const shapes = [];
+  chart.data.labels.forEach((label, index) => {
+    const total = totalData[index];
+    if (Math.abs(total) < 0.01) return;
+    
+    const topY = stackTop(chart, stackIndices, index);
+    if (topY === null) return;
+    
+    const bar1 = meta1.data[index];
+    const y = total < 0 ? maxPositiveY - 5 : topY - 5;
+    
+    // Format as bare number without USD, 2 decimal places
+    const absValue = Math.abs(total);
+    const formatted = absValue.toLocaleString('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+    
+    shapes.push({
+      type: 'text',
+      text: total < 0 ? `−${formatted}` : formatted,
+      x: bar1.x,
+      y,
+      font: CHART_FONT_CSS,
+      fill: '#000000', // Same black as primary y-axis
+      align: 'center',
+      baseline: 'bottom'
+    });
+  });
+  
+  return shapes;
+}
+
+/**
+ * "g = X.XX%" pill over the growth line; multi-stage models label g_L over
+ * the stable segment
+ * @param {Object} chart - Chart.js instance
+ * @param {number|null} growthRate - Growth rate percentage
+ * @param {number} stableIndex - Index of the first stable-growth year (-1 if none)
+ * @param {number} startIndex - Index of year 0 (after any dividend history)
+ * @returns {Array<Object>} Shapes
+ */
+function growthPillShapes(chart, growthRate, stableIndex, startIndex = 0) {
+  if (growthRate === null || growthRate === undefined) return [];
+  
+  const meta = chart.getDatasetMeta(2); // Growth rate line dataset
+  if (!meta.data || meta.data.length === 0) return [];
+  
+  const ctx = chart.ctx;
+  const chartArea = chart.chartArea;
+  const typography = getChartTypography('curriculum');
+  const subFontCss = `600 ${typography.subscript.size}px ${CHART_FONT.family}`;
+  const gSubText = stableIndex > 0 ? 'L' : '';
+  const gValueText = ` = ${growthRate.toFixed(2)}%`;
+  
+  ctx.save();
+  ctx.font = CHART_FONT_CSS;
+  const gVarWidth = ctx.measureText(ITALIC_g).width;
+  const gValueWidth = ctx.measureText(gValueText).width;
+  ctx.font = subFontCss;
+  const gSubWidth = gSubText ? ctx.measureText(gSubText).width : 0;
+  ctx.restore();
+  
+  const gTextWidth = gVarWidth + gSubWidth + gValueWidth;
+  const boxWidth = gTextWidth + LABEL_PAD_X * 2;
+  const boxHeight = LABEL_BOX_HEIGHT;
+  
+  // Position at the center of the line (or of its stable part)
+  const firstIndex = stableIndex > 0 ? stableIndex : startIndex;
+  const gPoint = meta.data[Math.floor((firstIndex + meta.data.length - 1) / 2)];
+  const labelCenterX = firstIndex > 0 ? gPoint.x : (chartArea.left + chartArea.right) / 2;
+  const gBoxY = gPoint.y - boxHeight - 8;
+  const textY = gBoxY + boxHeight / 2;
+  const textX = labelCenterX - gTextWidth / 2;
+  const text = { type: 'text', align: 'left', baseline: 'middle' };
+  
+  return [
+    // White background, green border
+    {
+      type: 'rect',
+      x: labelCenterX - boxWidth / 2,
+      y: gBoxY,
+      width: boxWidth,
+      height: boxHeight,
+      fill: 'white',
+      stroke: COLORS.growth,
+      lineWidth: 2
+    },
+    // Green variable, neutral operator and value
+    { ...text, text: ITALIC_g, x: textX, y: textY, font: CHART_FONT_CSS, fill: COLORS.growth },
+    ...(gSubText
+      ? [{ ...text, text: gSubText, x: textX + gVarWidth, y: textY + typography.subscript.shift, font: subFontCss, fill: COLORS.growth }]
+      : []),
+    { ...text, text: gValueText, x: textX + gVarWidth + gSubWidth, y: textY, font: CHART_FONT_CSS, fill: LABEL_TEXT_COLOR }
+  ];
+}
+
+/**
+ * Sustainable growth (b × ROE) marked on the growth axis, with a dotted
+ * guide across the chart so it reads against the implied growth line
+ * @param {Object} chart - Chart.js instance
+ * @param {number|null} sustainableGrowth - Sustainable growth percentage
+ * @param {boolean} showLabel - Whether to label the guide
+ * @returns {Array<Object>} Shapes
+ */
+function sustainableGrowthShapes(chart, sustainableGrowth, showLabel) {
+  // The growth axis starts at zero
+  if (sustainableGrowth === null || sustainableGrowth < 0) return [];
+  
+  const chartArea = chart.chartArea;
+  const y = chart.scales.y2.getPixelForValue(sustainableGrowth);
+  
+  return [
+    {
+      type: 'line',
+      points: [[chartArea.left, y], [chartArea.right, y]],
+      stroke: COLORS.growth,
+      lineWidth: 2,
+      dash: [2, 4]
+    },
+    // Tick across the axis line
+    {
+      type: 'line',
+      points: [[chartArea.right - 8, y], [chartArea.right + 8, y]],
+      stroke: COLORS.growth,
+      lineWidth: 4
+    },
+    ...(showLabel
+      ? [{
+        type: 'text',
+        text: `Sustainable ${ITALIC_g} = ${sustainableGrowth.toFixed(2)}%`,
+        x: chartArea.right - 12,
+        y: y - 4,
+        font: CHART_FONT_CSS,
+        fill: LABEL_TEXT_COLOR,
+        align: 'right',
+        baseline: 'bottom'
+      }]
+      : [])
+  ];
+}
 
 /**
  * Create or update dividend growth chart
+ * @param {Object} view - createChartView result
  * @param {Array} cashFlows - Array of cash flow objects
  * @param {boolean} showLabels - Whether to show value labels
  * @param {number} growthRate - Implied growth rate percentage
+ * @param {Array} comparisons - Scenarios to overlay instead (see buildComparisons)
+ * @param {Object|null} reconciliation - reconcilePrice result; when given the
+ *   bars show present values, with the terminal value at the horizon and a
+ *   cumulative PV line that climbs from −PV_t back to zero
+ * @param {Object|null} priceBreakdown - decomposePrice result; when given the
+ *   year-0 bar is split into the no-growth value and PVGO
+ * @param {number|null} sustainableGrowth - b × ROE percentage to mark on the growth axis
+ * @param {Array<Object>|null} history - Annual dividends paid ({ year, dividend },
+ *   oldest first), drawn left of year 0 and labelled with their calendar year
+ * @param {Object|null} real - { basis, growthRate, inflationRate } with an
+ *   inflation rate: the bars show nominal or constant-dollar dividends
+ *   (basis 'nominal' or 'real', with the real g on the growth line), and a
+ *   line marks the other series. Cash flows then carry realDividend.
  */
-export function renderChart(cashFlows, showLabels = true, growthRate = null) {
+export function renderChart(view, cashFlows, showLabels = true, growthRate = null, comparisons = [], reconciliation = null, priceBreakdown = null, sustainableGrowth = null, history = null, real = null) {
   syncChartTypography();
-  const canvas = document.getElementById('growth-chart');
+  const canvas = view.root.getElementById('growth-chart');
   
   if (!canvas) {
     console.error('Chart canvas not found');
     return;
   }
   
+  const comparable = comparisons.filter(c => c.calculations);
+  if (comparable.length > 0) {
+    renderComparisonChart(view, canvas, comparable);
+    return;
+  }
+  
   // Make canvas focusable for keyboard navigation
   canvas.setAttribute('tabindex', '0');
   canvas.setAttribute('role', 'img');
   canvas.setAttribute('aria-roledescription', 'interactive chart');
+  // Dividend history runs left of year 0; offset is the index of year 0
+  const historyFlows = (history || []).map(({ year, dividend }) => ({ year, dividend, historical: true }));
+  const offset = historyFlows.length;
+  const chartFlows = [...historyFlows, ...cashFlows];
+  
+  // Multi-stage models: index of the first stable-growth year, if any
+  const hasStages = cashFlows.some(cf => cf.stage);
+  const stableYear = hasStages ? cashFlows.findIndex(cf => cf.stage === 'stable') : -1;
+  const stableIndex = stableYear > 0 ? offset + stableYear : -1;
+  const stageNote = stableYear > 0
+    ? ` Growth settles at the long-run rate from ${cashFlows[stableYear].periodName.replace(/^Year/, 'year')}.`
+    : '';
+  const paymentsPerYear = getPaymentsPerYear(cashFlows);
+  const paymentNote = paymentsPerYear > 1
+    ? ` Dividends are paid ${paymentsPerYear === 4 ? 'quarterly' : 'twice a year'}; each bar is one payment.`
+    : '';
+  const isPresentValue = reconciliation !== null;
+  const lastIndex = cashFlows.length - 1;
+  const pvNote = isPresentValue
+    ? ` Dividends are shown at their present value, with the present value of the terminal value in year ${reconciliation.horizon}; ` +
+      `the cumulative present value line rises from the negative market price to ${Math.abs(reconciliation.difference) < 0.005 ? 'zero' : formatCurrency(reconciliation.difference)}.`
+    : '';
+  const pvgoNote = priceBreakdown
+    ? ` The year 0 market price is split into the no-growth value, ${formatCurrency(priceBreakdown.noGrowthValue)}, ` +
+      `and the present value of growth opportunities, ${formatCurrency(priceBreakdown.pvgo)}.`
+    : '';
+  const historyNote = offset > 0
+    ? ` Annual dividends paid from ${historyFlows[0].year} to ${historyFlows[offset - 1].year} are shown before year 0.`
+    : '';
+  const isReal = real !== null && real.basis === 'real';
+  const realNote = real
+    ? isReal
+      ? ` Dividends are shown in constant dollars at ${formatPercentage(real.inflationRate)} inflation, with the real growth rate; a line marks the nominal dividends.`
+      : ` A line marks the dividends in constant dollars at ${formatPercentage(real.inflationRate)} inflation.`
+    : '';
+  const sustainableNote = sustainableGrowth !== null
+    ? ` Sustainable growth, retention ratio times return on equity, is ${formatPercentage(sustainableGrowth)}` +
+      `${sustainableGrowth < 0 ? ', below the growth axis' : ' and is marked on the growth axis'}.`
+    : '';
+  
   canvas.setAttribute(
     'aria-label',
-    'Interactive dividend growth chart showing initial investment and projected dividend payments over 10 years. Use Left and Right arrow keys to navigate between years once focused. Press Home to jump to year 0, or End to jump to the final year.'
+    `Interactive dividend growth chart showing initial investment and projected dividend payments over ${formatYears(cashFlows[lastIndex].year)}.` +
+    paymentNote +
+    stageNote +
+    pvNote +
+    pvgoNote +
+    realNote +
+    sustainableNote +
+    historyNote +
+    ` Use Left and Right arrow keys to navigate between years once focused. Press Home to jump to ${offset > 0 ? 'the first year shown' : 'year 0'}, or End to jump to the final year.`
   );
 
   const ctx = canvas.getContext('2d');
@@ -82,29 +632,90 @@ export function renderChart(cashFlows, showLabels = true, growthRate = null) {
   const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
   
   // Prepare data for Chart.js
-  const labels = cashFlows.map(cf => cf.year.toString());
+  const labels = chartFlows.map(cf => (cf.historical ? String(cf.year) : cf.label));
+  const finalIndex = chartFlows.length - 1;
+  
+  // Separate dividend and investment data; paid dividends are their own
+  // series and are never discounted
+  const barDividend = (cf) => (isReal ? cf.realDividend : cf.dividend);
+  const dividendData = chartFlows.map(cf => (cf.historical ? null : isPresentValue ? cf.pvDividend : barDividend(cf)));
+  // With inflation, a line marks the series the bars do not show
+  const otherDividendData = real
+    ? chartFlows.map((cf, i) => (cf.historical || i === offset ? null : isReal ? cf.dividend : cf.realDividend))
+    : [];
+  const historyData = chartFlows.map(cf => (cf.historical ? cf.dividend : null));
+  const investmentData = chartFlows.map((cf, i) => {
+    if (cf.historical) return null;
+    return priceBreakdown && i === offset ? -priceBreakdown.noGrowthValue : cf.investment;
+  });
+  // PVGO stacks under the no-growth value so the year-0 bar still reaches −PV_t
+  const pvgoData = priceBreakdown
+    ? chartFlows.map((cf, i) => (i === offset ? -priceBreakdown.pvgo : null))
+    : [];
   
-  // Separate dividend and investment data
-  const dividendData = cashFlows.map(cf => cf.dividend);
-  const investmentData = cashFlows.map(cf => cf.investment);
+  // Present values: the terminal value stacks on the last year's dividend,
+  // and the cumulative line includes it so the horizon lands on PV_t
+  const terminalData = isPresentValue
+    ? chartFlows.map((cf, i) => (i === finalIndex ? reconciliation.pvTerminalValue : null))
+    : [];
+  const cumulativePVData = isPresentValue
+    ? chartFlows.map((cf, i) => (cf.historical ? null : cf.cumulativePV + (i === finalIndex ? reconciliation.pvTerminalValue : 0)))
+    : [];
+  const pvgoIndex = isPresentValue ? 5 : 3;
+  const historyIndex = pvgoIndex + (priceBreakdown ? 1 : 0);
+  const stackIndices = [
+    0, 1,
+    ...(isPresentValue ? [3] : []),
+    ...(priceBreakdown ? [pvgoIndex] : []),
+    ...(offset > 0 ? [historyIndex] : [])
+  ];
   
   // Calculate total for labels
-  const totalData = cashFlows.map(cf => cf.totalCashFlow);
+  const totalData = chartFlows.map((cf, i) => {
+    if (cf.historical) return cf.dividend;
+    if (isPresentValue) return cf.investment + cf.pvDividend + (terminalData[i] || 0);
+    return isReal ? cf.investment + cf.realDividend : cf.totalCashFlow;
+  });
+  const presentValueAt = (index) => (isPresentValue && !chartFlows[index].historical
+    ? { pvDividend: dividendData[index], pvTerminalValue: terminalData[index], cumulativePV: cumulativePVData[index] }
+    : null);
   
-  // Get required return from first cash flow (it's constant)
-  const requiredReturn = growthRate !== null ? 
-    parseFloat((dividendData[1] / cashFlows[1].totalCashFlow * 100 + growthRate).toFixed(2)) : 7.40;
+  // Growth line: constant g, or the stage-specific path (year 0 takes the
+  // first projected rate so the line starts level); none over the history.
+  // In constant dollars the line shows real growth.
+  const lineGrowth = isReal ? real.growthRate : growthRate;
+  const rowGrowth = (cf) => (isReal ? cf.realGrowthRate : cf.growthRate);
+  const growthData = chartFlows.map((cf, i) => {
+    if (cf.historical) return null;
+    if (!hasStages) return lineGrowth;
+    return rowGrowth(i === offset ? cashFlows[1] : cf);
+  });
+  const maxGrowth = Math.max(...growthData.filter(v => v !== null && Number.isFinite(v)), sustainableGrowth || 0, 0);
   
   // Destroy existing chart instance
-  if (chartInstance) {
-    chartInstance.destroy();
+  if (view.chart) {
+    view.chart.destroy();
   }
   
-  // Reset focus index
-  currentFocusIndex = 0;
+  // Reset focus index to year 0
+  view.focusIndex = offset;
+  
+  setScrollWidth(canvas, showLabels ? chartFlows.length * MIN_LABELLED_BAR_SLOT : 0);
+  
+  // In-chart labels: stage divider, bar totals and the g pill
+  view.overlayLayouts = [
+    (chart) => stageBoundaryShapes(chart, stableIndex),
+    (chart) => sustainableGrowthShapes(chart, sustainableGrowth, showLabels),
+    ...(showLabels
+      ? [
+        (chart) => barTotalShapes(chart, totalData, stackIndices),
+        (chart) => growthPillShapes(chart, lineGrowth, stableIndex, offset)
+      ]
+      : [])
+  ];
   
   // Create new chart
-  chartInstance = new Chart(ctx, {
+  view.chart = new Chart(ctx, {
     type: 'bar',
     data: {
       labels: labels,
@@ -119,7 +730,7 @@ export function renderChart(cashFlows, showLabels = true, growthRate = null) {
           order: 1
         },
         {
-          label: 'Dividend cash flow',
+          label: isPresentValue ? 'Present value of dividend' : isReal ? 'Dividend in constant dollars' : 'Dividend cash flow',
           data: dividendData,
           backgroundColor: COLORS.dividend,
           borderWidth: 0,
@@ -130,7 +741,7 @@ export function renderChart(cashFlows, showLabels = true, growthRate = null) {
         // Growth rate horizontal line
         {
           label: 'Dividend growth rate (g)',
-          data: labels.map(() => growthRate),
+          data: growthData,
           type: 'line',
           borderColor: COLORS.growth,
           borderWidth: 3,
@@ -140,7 +751,79 @@ export function renderChart(cashFlows, showLabels = true, growthRate = null) {
           fill: false,
           yAxisID: 'y2',
           order: 0
-        }
+        },
+        // Present-value view only: terminal value bar and cumulative PV line
+        ...(isPresentValue
+          ? [
+            {
+              label: 'Present value of terminal value',
+              data: terminalData,
+              backgroundColor: COLORS.terminal,
+              borderWidth: 0,
+              stack: 'cashflow',
+              yAxisID: 'y',
+              order: 1
+            },
+            {
+              label: 'Cumulative present value',
+              data: cumulativePVData,
+              type: 'line',
+              borderColor: COLORS.darkText,
+              borderWidth: 2,
+              pointRadius: 0,
+              pointHoverRadius: 0,
+              fill: false,
+              yAxisID: 'y',
+              order: 0
+            }
+          ]
+          : []),
+        // Market price split: PVGO below the no-growth value at year 0
+        ...(priceBreakdown
+          ? [
+            {
+              label: 'Present value of growth opportunities',
+              data: pvgoData,
+              backgroundColor: COLORS.pvgo,
+              borderWidth: 0,
+              stack: 'cashflow',
+              yAxisID: 'y',
+              order: 1
+            }
+          ]
+          : []),
+        // Imported history: dividends paid before year 0
+        ...(offset > 0
+          ? [
+            {
+              label: 'Historical dividend',
+              data: historyData,
+              backgroundColor: COLORS.history,
+              borderWidth: 0,
+              stack: 'cashflow',
+              yAxisID: 'y',
+              order: 1
+            }
+          ]
+          : []),
+        // Inflation: the nominal or constant-dollar dividends the bars do not show
+        ...(real
+          ? [
+            {
+              label: isReal ? 'Nominal dividend' : 'Dividend in constant dollars',
+              data: otherDividendData,
+              type: 'line',
+              borderColor: COLORS.darkText,
+              backgroundColor: COLORS.darkText,
+              borderWidth: 2,
+              pointRadius: 2,
+              pointHoverRadius: 4,
+              fill: false,
+              yAxisID: 'y',
+              order: 0
+            }
+          ]
+          : [])
       ]
     },
     options: {
@@ -153,12 +836,12 @@ export function renderChart(cashFlows, showLabels = true, growthRate = null) {
       },
       onHover: (event, activeElements) => {
         // Skip if keyboard focus already active
-        if (isKeyboardMode && document.activeElement === canvas) return;
+        if (view.keyboardMode && view.root.activeElement === canvas) return;
 
         // Announce hovered data point
         if (activeElements.length > 0) {
           const index = activeElements[0].index;
-          announceDataPoint(cashFlows[index], totalData[index], growthRate);
+          announceDataPoint(view, chartFlows[index], totalData[index], growthData[index], presentValueAt(index), isReal);
         }
       },
       plugins: {
@@ -170,19 +853,31 @@ export function renderChart(cashFlows, showLabels = true, growthRate = null) {
         },
         tooltip: {
           usePointStyle: true,
+          // The terminal value bar only has a value at the horizon
+          filter: (item) => item.parsed.y !== null,
           callbacks: {
             title: (context) => {
-              const index = context[0].dataIndex;
-              return `Year: ${cashFlows[index].year}`;
+              const { year, historical, periodName } = chartFlows[context[0].dataIndex];
+              if (historical) return `Year: ${year} (paid)`;
+              return paymentsPerYear > 1 ? periodName : `Year: ${year}`;
             },
             label: (context) => {
               const value = context.parsed.y;
               const index = context.dataIndex;
-              const isInitialYear = index === 0;
+              const isInitialYear = index === offset;
               
               // Growth rate line
               if (context.dataset.label === 'Dividend growth rate (g)') {
-                return `Dividend growth rate (g): ${formatPercentage(value)}`;
+                return `${isReal ? 'Real dividend growth rate' : 'Dividend growth rate'} (g): ${formatPercentage(value)}`;
+              }
+              
+              // Split price bar: the orange part is the no-growth value
+              if (isInitialYear && priceBreakdown && context.dataset.label === 'Initial investment / Market price') {
+                const source = priceBreakdown.basis === 'earnings' ? 'E\u209C\u208A\u2081/r' : 'Div\u209C\u208A\u2081/r';
+                return `No-growth value (${source}): ${formatCurrency(value, true)}`;
+              }
+              if (context.dataset.label === 'Present value of growth opportunities') {
+                return `Present value of growth opportunities (PVGO): ${formatCurrency(value, true)}`;
               }
               
               // For year 0, show "Initial investment / Market price" with subscript t
@@ -197,6 +892,15 @@ export function renderChart(cashFlows, showLabels = true, growthRate = null) {
               if (context.dataset.label === 'Dividend cash flow') {
                 return `Dividend (Div\u209C): ${formatCurrency(value, true)}`;
               }
+              if (context.dataset.label === 'Present value of dividend') {
+                return `Present value of dividend (Div\u209C): ${formatCurrency(value, true)}`;
+              }
+              if (context.dataset.label === 'Historical dividend') {
+                return `Dividends paid in ${chartFlows[index].year}: ${formatCurrency(value, true)}`;
+              }
+              if (context.dataset.label === 'Present value of terminal value') {
+                return `Present value of terminal value (TV ${formatCurrency(reconciliation.terminalValue)}): ${formatCurrency(value, true)}`;
+              }
               
               return `${context.dataset.label}: ${formatCurrency(value, true)}`;
             },
@@ -212,103 +916,7 @@ export function renderChart(cashFlows, showLabels = true, growthRate = null) {
           }
         }
       },
-      scales: {
-        x: {
-          title: {
-            display: true,
-            text: 'Years',
-            color: '#000000',
-            font: {
-              size: CHART_FONT.size,
-              weight: '600',
-              family: CHART_FONT.family
-            }
-          },
-          ticks: {
-            color: '#000000',
-            font: {
-              size: CHART_FONT.size,
-              weight: '600',
-              family: CHART_FONT.family
-            }
-          },
-          grid: {
-            display: false
-          },
-          border: {
-            color: '#000000',
-            width: 2
-          }
-        },
-        y: {
-          title: {
-            display: true,
-            text: 'Cash flows (USD)',
-            color: '#000000',
-            font: {
-              size: CHART_FONT.size,
-              weight: '600',
-              family: CHART_FONT.family
-            }
-          },
-          position: 'left',
-          ticks: {
-            callback: function(value) {
-              // Format without USD prefix since it's in the axis title
-              const absValue = Math.abs(value);
-              const formatted = absValue.toLocaleString('en-US', {
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0
-              });
-              return value < 0 ? `−${formatted}` : formatted;
-            },
-            color: '#000000',
-            autoSkip: true,
-            maxRotation: 0,
-            minRotation: 0,
-            font: {
-              size: CHART_FONT.size,
-              weight: '600',
-              family: CHART_FONT.family
-            }
-          },
-          grid: {
-            color: 'rgba(0, 0, 0, 0.05)'
-          },
-          border: {
-            color: '#000000',
-            width: 2
-          }
-        },
-        y2: {
-          title: { display: false },
-          position: 'right',
-          min: 0,
-          max: growthRate ? Math.max(12, growthRate * 1.5) : 12,
-          ticks: {
-            callback: function(value) {
-              // Return just the number without % sign
-              return value.toFixed(1);
-            },
-            color: COLORS.growth,
-            autoSkip: true,
-            maxRotation: 0,
-            minRotation: 0,
-            font: {
-              size: CHART_FONT.size,
-              weight: '600',
-              family: CHART_FONT.family
-            }
-          },
-          grid: {
-            display: false
-          },
-          border: {
-            color: COLORS.growth,
-            width: 2
-          }
-        }
-      },
+      scales: buildScales(maxGrowth, paymentsPerYear),
       layout: {
         padding: {
           left: 10,
@@ -318,153 +926,23 @@ export function renderChart(cashFlows, showLabels = true, growthRate = null) {
         }
       }
     },
-    plugins: [{
-      id: 'verticalY2Title',
-      afterDraw: (chart) => {
-        const ctx = chart.ctx;
-        const chartArea = chart.chartArea;
-        ctx.save();
-        ctx.fillStyle = COLORS.growth;
-        ctx.font = CHART_FONT_CSS;
-        ctx.textBaseline = 'middle';
-        const x = chartArea.right + 48;
-        const y = (chartArea.top + chartArea.bottom) / 2;
-        ctx.translate(x, y);
-        ctx.rotate(Math.PI / 2);
-        fillTightParenVar(ctx, 'Dividend growth rate (', ITALIC_g, ') %', 0, 0, 'center');
-        ctx.restore();
-      }
-    },
-    {
-      // Custom plugin to draw labels on top of stacked bars
-      id: 'stackedBarLabels',
-      afterDatasetsDraw: (chart) => {
-        if (!showLabels) return;
-        
-        const ctx = chart.ctx;
-        ctx.save();
-        ctx.font = CHART_FONT_CSS;
-        ctx.fillStyle = '#000000'; // Same black as primary y-axis
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'bottom';
-        
-        const meta0 = chart.getDatasetMeta(0);
-        const meta1 = chart.getDatasetMeta(1);
-        
-        let maxPositiveY = chart.scales.y.top;
-        chart.data.labels.forEach((label, index) => {
-          const total = totalData[index];
-          if (total > 0 && meta0.data[index] && meta1.data[index]) {
-            const topY = Math.min(meta0.data[index].y, meta1.data[index].y);
-            maxPositiveY = Math.max(maxPositiveY, topY);
-          }
-        });
-        
-        chart.data.labels.forEach((label, index) => {
-          const total = totalData[index];
-          if (Math.abs(total) < 0.01) return;
-          
-          if (!meta0.data[index] || !meta1.data[index]) return;
-          
-          const bar0 = meta0.data[index];
-          const bar1 = meta1.data[index];
-          
-          const x = bar1.x;
-          let y;
-          
-          if (total < 0) {
-            y = maxPositiveY - 5;
-          } else {
-            y = Math.min(bar0.y, bar1.y) - 5;
-          }
-          
-          // Format as bare number without USD, 2 decimal places
-          const absValue = Math.abs(total);
-          const formatted = absValue.toLocaleString('en-US', {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-          });
-          const displayValue = total < 0 ? `−${formatted}` : formatted;
-          
-          ctx.fillText(displayValue, x, y);
-        });
-        
-        ctx.restore();
-      }
-    },
-    {
-      // Custom plugin to draw "g = X.XX%" label
-      id: 'gLabel',
-      afterDatasetsDraw: (chart) => {
-        if (!showLabels) return;
-        if (growthRate === null || growthRate === undefined) return;
-        
-        const ctx = chart.ctx;
-        const meta = chart.getDatasetMeta(2); // Growth rate line dataset
-        
-        if (!meta.data || meta.data.length === 0) return;
-        
-        // Get chart dimensions
-        const chartWidth = chart.width;
-        const chartArea = chart.chartArea;
-        const centerX = (chartArea.left + chartArea.right) / 2;
-        
-        ctx.save();
-        ctx.font = CHART_FONT_CSS;
-        
-        // Draw g label (growth rate) - centered
-        const gVarText = ITALIC_g;
-        const gValueText = ` = ${growthRate.toFixed(2)}%`;
-        const gVarWidth = ctx.measureText(gVarText).width;
-        const gValueWidth = ctx.measureText(gValueText).width;
-        const gTextWidth = gVarWidth + gValueWidth;
-        const boxWidth = gTextWidth + LABEL_PAD_X * 2;
-        const boxHeight = LABEL_BOX_HEIGHT;
-        
-        // Position g label at center of the line
-        const gPoint = meta.data[Math.floor(meta.data.length / 2)];
-        const gBoxX = centerX - boxWidth / 2;
-        const gBoxY = gPoint.y - boxHeight - 8;
-        
-        // White background
-        ctx.fillStyle = 'white';
-        ctx.fillRect(gBoxX, gBoxY, boxWidth, boxHeight);
-        
-        // Green border
-        ctx.strokeStyle = COLORS.growth;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(gBoxX, gBoxY, boxWidth, boxHeight);
-        
-        // Green variable, neutral operator and value
-        const textY = gBoxY + boxHeight / 2;
-        let textX = centerX - gTextWidth / 2;
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'middle';
-        ctx.fillStyle = COLORS.growth;
-        ctx.fillText(gVarText, textX, textY);
-        textX += gVarWidth;
-        ctx.fillStyle = LABEL_TEXT_COLOR;
-        ctx.fillText(gValueText, textX, textY);
-        
-        ctx.restore();
-      }
-    },
+    plugins: [
+    createOverlayPlugin(view),
+    verticalY2TitlePlugin,
     {
       // Keyboard focus highlight plugin
       id: 'keyboardFocus',
       afterDatasetsDraw: (chart) => {
-        if (document.activeElement !== canvas) return;
+        if (view.root.activeElement !== canvas) return;
         
         const ctx = chart.ctx;
-        const meta0 = chart.getDatasetMeta(0);
-        const meta1 = chart.getDatasetMeta(1);
+        const bars = stackIndices.map(i => chart.getDatasetMeta(i).data[view.focusIndex]);
         
-        if (!meta0.data[currentFocusIndex] || !meta1.data[currentFocusIndex]) return;
+        if (bars.some(bar => !bar)) return;
         
-        const bar0 = meta0.data[currentFocusIndex];
-        const bar1 = meta1.data[currentFocusIndex];
+        const bar1 = bars[1];
         
-        const allYValues = [bar0.y, bar0.base, bar1.y, bar1.base];
+        const allYValues = bars.flatMap(bar => [bar.y, bar.base]).filter(Number.isFinite);
         const topY = Math.min(...allYValues);
         const bottomY = Math.max(...allYValues);
         
@@ -485,34 +963,238 @@ export function renderChart(cashFlows, showLabels = true, growthRate = null) {
   });
   
   // Add keyboard navigation
-  setupKeyboardNavigation(canvas, cashFlows, totalData, growthRate, requiredReturn);
+  setupKeyboardNavigation(view, canvas, chartFlows.length, (index) => {
+    announceDataPoint(view, chartFlows[index], totalData[index], growthData[index], presentValueAt(index), isReal);
+  }, offset > 0 ? [0, 1, historyIndex] : undefined);
 }
 
 /**
- * Setup keyboard navigation for the chart
+ * Overlay several scenarios: one bar series (PV_t at year 0, then
+ * dividends) and one growth line per scenario, told apart by colour and dash
+ * @param {Object} view - createChartView result
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @param {Array} comparisons - Scenarios with calculations
  */
-function setupKeyboardNavigation(canvas, cashFlows, totalData, growthRate, requiredReturn) {
-  const oldListener = canvas._keydownListener;
-  if (oldListener) {
-    canvas.removeEventListener('keydown', oldListener);
+function renderComparisonChart(view, canvas, comparisons) {
+  const names = comparisons.map(c => c.name).join(', ');
+  // Scenarios may use different horizons; the overlay covers the shortest
+  const yearCount = Math.min(...comparisons.map(c => c.calculations.cashFlows.length));
+  canvas.setAttribute('tabindex', '0');
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-roledescription', 'interactive chart');
+  canvas.setAttribute(
+    'aria-label',
+    `Interactive comparison chart of ${comparisons.length} scenarios (${names}) showing each initial investment and its projected dividend payments over ${formatYears(comparisons[0].calculations.cashFlows[yearCount - 1].year)}, with each growth rate on the right axis. ` +
+    'Use Left and Right arrow keys to navigate between years once focused. Press Home to jump to year 0, or End to jump to the final year.'
+  );
+  
+  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  const labels = comparisons[0].calculations.cashFlows.slice(0, yearCount).map(cf => cf.label);
+  
+  const growthSeries = comparisons.map(({ calculations }) => {
+    const flows = calculations.cashFlows;
+    return flows.slice(0, yearCount).map((cf, i) =>
+      i === 0 && cf.stage === null && flows[1] && flows[1].stage ? flows[1].growthRate : cf.growthRate
+    );
+  });
+  const maxGrowth = Math.max(...growthSeries.flat().filter(Number.isFinite), 0);
+  
+  const barDatasets = comparisons.map(({ name, calculations }, i) => ({
+    label: name,
+    data: calculations.cashFlows.slice(0, yearCount).map(cf => cf.totalCashFlow),
+    backgroundColor: COMPARISON_SERIES[i].color,
+    borderWidth: 0,
+    yAxisID: 'y',
+    order: 1
+  }));
+  const lineDatasets = comparisons.map(({ name }, i) => ({
+    label: `${name} growth rate`,
+    data: growthSeries[i],
+    type: 'line',
+    borderColor: COMPARISON_SERIES[i].color,
+    borderWidth: 3,
+    borderDash: COMPARISON_SERIES[i].dash,
+    pointRadius: 0,
+    pointHoverRadius: 0,
+    fill: false,
+    yAxisID: 'y2',
+    order: 0
+  }));
+  const barIndices = barDatasets.map((_, i) => i);
+  
+  const announceAt = (index) => {
+    const parts = comparisons.map(({ name, calculations }, i) => {
+      const cf = calculations.cashFlows[index];
+      const flow = cf.year === 0
+        ? `initial investment ${formatCurrency(cf.investment, true)}`
+        : `dividend ${formatCurrency(cf.dividend, true)}`;
+      return `${name}: ${flow}, growth rate ${formatPercentage(growthSeries[i][index])}`;
+    });
+    announce(view, `Year ${labels[index]}. ${parts.join('. ')}.`);
+  };
+  
+  if (view.chart) {
+    view.chart.destroy();
   }
+  view.focusIndex = 0;
+  view.overlayLayouts = [];
+  setScrollWidth(canvas, 0);
+  
+  view.chart = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [...barDatasets, ...lineDatasets]
+    },
+    options: {
+      animation: prefersReducedMotion ? { duration: 0 } : { duration: 400 },
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      onHover: (event, activeElements) => {
+        if (view.keyboardMode && view.root.activeElement === canvas) return;
+        if (activeElements.length > 0) {
+          announceAt(activeElements[0].index);
+        }
+      },
+      plugins: {
+        title: { display: false },
+        legend: { display: false }, // Comparison legend is rendered in HTML
+        tooltip: {
+          usePointStyle: true,
+          callbacks: {
+            title: (context) => `Year: ${labels[context[0].dataIndex]}`,
+            label: (context) => context.dataset.type === 'line'
+              ? `${context.dataset.label}: ${formatPercentage(context.parsed.y)}`
+              : `${context.dataset.label}: ${formatCurrency(context.parsed.y, true)}`
+          }
+        }
+      },
+      scales: buildScales(maxGrowth, getPaymentsPerYear(comparisons[0].calculations.cashFlows)),
+      layout: {
+        padding: {
+          left: 10,
+          right: 55,
+          top: 25,
+          bottom: 10
+        }
+      }
+    },
+    plugins: [
+      verticalY2TitlePlugin,
+      {
+        // Keyboard focus highlight around every scenario's bar for the year
+        id: 'keyboardFocus',
+        afterDatasetsDraw: (chart) => {
+          if (view.root.activeElement !== canvas) return;
+          
+          const bars = barIndices
+            .map(i => chart.getDatasetMeta(i).data[view.focusIndex])
+            .filter(Boolean);
+          if (bars.length === 0) return;
+          
+          const ys = bars.flatMap(bar => [bar.y, bar.base]);
+          const left = Math.min(...bars.map(bar => bar.x - bar.width / 2));
+          const right = Math.max(...bars.map(bar => bar.x + bar.width / 2));
+          const topY = Math.min(...ys);
+          const bottomY = Math.max(...ys);
+          
+          const ctx = chart.ctx;
+          ctx.save();
+          ctx.strokeStyle = COLORS.darkText;
+          ctx.lineWidth = 3;
+          ctx.setLineDash([5, 5]);
+          ctx.strokeRect(left - 4, topY - 4, right - left + 8, bottomY - topY + 8);
+          ctx.restore();
+        }
+      }
+    ]
+  });
+  
+  setupKeyboardNavigation(view, canvas, labels.length, announceAt, barIndices);
+}
+
+/**
+ * Render the HTML legend for the comparison view
+ * @param {Array} comparisons - Scenarios with calculations
+ * @returns {Element} Legend list
+ */
+export function createComparisonLegend(comparisons) {
+  const list = document.createElement('ul');
+  list.className = 'legend';
+  
+  comparisons.filter(c => c.calculations).forEach(({ name }, i) => {
+    const { color, dash } = COMPARISON_SERIES[i];
+    const item = document.createElement('li');
+    item.className = 'legend-item';
+    
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-color';
+    swatch.style.backgroundColor = color;
+    
+    // SVG so the legend sample uses the exact dash pattern of the line
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const line = document.createElementNS(svgNS, 'svg');
+    line.setAttribute('class', 'legend-line-sample');
+    line.setAttribute('width', '28');
+    line.setAttribute('height', '6');
+    line.setAttribute('aria-hidden', 'true');
+    const path = document.createElementNS(svgNS, 'line');
+    path.setAttribute('x1', '0');
+    path.setAttribute('x2', '28');
+    path.setAttribute('y1', '3');
+    path.setAttribute('y2', '3');
+    path.setAttribute('stroke', color);
+    path.setAttribute('stroke-width', '2');
+    path.setAttribute('stroke-dasharray', dash.join(' '));
+    line.appendChild(path);
+    
+    const label = document.createElement('span');
+    label.className = 'legend-item-label';
+    label.textContent = name;
+    
+    item.append(swatch, line, label);
+    list.appendChild(item);
+  });
+  
+  return list;
+}
+
+/**
+ * Setup keyboard navigation for the chart
+ * @param {Object} view - createChartView result
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @param {number} pointCount - Number of years on the x-axis
+ * @param {Function} announceAt - index => announce that year to screen readers
+ * @param {Array<number>} tooltipDatasets - Datasets whose tooltip shows on focus
+ */
+function setupKeyboardNavigation(view, canvas, pointCount, announceAt, tooltipDatasets = [0, 1]) {
+  ['keydown', 'focus', 'blur', 'mousemove'].forEach(type => {
+    const key = `_${type === 'mousemove' ? 'mouseMove' : type}Listener`;
+    if (canvas[key]) {
+      canvas.removeEventListener(type, canvas[key]);
+    }
+  });
   
   const keydownListener = (e) => {
-    const maxIndex = cashFlows.length - 1;
-    let newIndex = currentFocusIndex;
+    const maxIndex = pointCount - 1;
+    let newIndex = view.focusIndex;
     
-    isKeyboardMode = true;
+    view.keyboardMode = true;
     
     switch(e.key) {
       case 'ArrowRight':
       case 'ArrowDown':
         e.preventDefault();
-        newIndex = Math.min(currentFocusIndex + 1, maxIndex);
+        newIndex = Math.min(view.focusIndex + 1, maxIndex);
         break;
       case 'ArrowLeft':
       case 'ArrowUp':
         e.preventDefault();
-        newIndex = Math.max(currentFocusIndex - 1, 0);
+        newIndex = Math.max(view.focusIndex - 1, 0);
         break;
       case 'Home':
         e.preventDefault();
@@ -526,11 +1208,12 @@ function setupKeyboardNavigation(canvas, cashFlows, totalData, growthRate, requi
         return;
     }
     
-    if (newIndex !== currentFocusIndex) {
-      currentFocusIndex = newIndex;
-      chartInstance.update('none');
-      announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex], growthRate);
-      showTooltipAtIndex(currentFocusIndex);
+    if (newIndex !== view.focusIndex) {
+      view.focusIndex = newIndex;
+      scrollToIndex(view, canvas, view.focusIndex, tooltipDatasets[0]);
+      view.chart.update('none');
+      announceAt(view.focusIndex);
+      showTooltipAtIndex(view, view.focusIndex, tooltipDatasets);
     }
   };
   
@@ -538,14 +1221,14 @@ function setupKeyboardNavigation(canvas, cashFlows, totalData, growthRate, requi
   canvas.addEventListener('keydown', keydownListener);
   
   const focusListener = () => {
-    isKeyboardMode = true;
-    showTooltipAtIndex(currentFocusIndex);
-    announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex], growthRate);
+    view.keyboardMode = true;
+    showTooltipAtIndex(view, view.focusIndex, tooltipDatasets);
+    announceAt(view.focusIndex);
   };
   
   const blurListener = () => {
-    chartInstance.tooltip.setActiveElements([], {x: 0, y: 0});
-    chartInstance.update('none');
+    view.chart.tooltip.setActiveElements([], {x: 0, y: 0});
+    view.chart.update('none');
   };
   
   canvas._focusListener = focusListener;
@@ -554,59 +1237,125 @@ function setupKeyboardNavigation(canvas, cashFlows, totalData, growthRate, requi
   canvas.addEventListener('blur', blurListener);
   
   const mouseMoveListener = () => {
-    isKeyboardMode = false;
+    view.keyboardMode = false;
   };
   
   canvas._mouseMoveListener = mouseMoveListener;
   canvas.addEventListener('mousemove', mouseMoveListener);
 }
 
+/**
+ * Set the width the chart is drawn at; past the container width the
+ * container scrolls. Zero fits the chart to the container.
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @param {number} width - Minimum width in CSS pixels
+ */
+function setScrollWidth(canvas, width) {
+  const area = canvas.parentElement;
+  if (area) area.style.minWidth = width > 0 ? `${width}px` : '';
+}
+
+/**
+ * Scroll a wide chart so the year at an index is in view
+ * @param {Object} view - createChartView result
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @param {number} index - Year index
+ * @param {number} datasetIndex - Dataset whose bar marks the year
+ */
+function scrollToIndex(view, canvas, index, datasetIndex) {
+  const scroller = canvas.closest('#chart-container');
+  const bar = view.chart.getDatasetMeta(datasetIndex).data[index];
+  if (!scroller || !bar || scroller.scrollWidth <= scroller.clientWidth) return;
+  
+  const margin = MIN_LABELLED_BAR_SLOT;
+  const x = canvas.parentElement.offsetLeft + bar.x;
+  if (x - margin < scroller.scrollLeft) {
+    scroller.scrollLeft = x - margin;
+  } else if (x + margin > scroller.scrollLeft + scroller.clientWidth) {
+    scroller.scrollLeft = x + margin - scroller.clientWidth;
+  }
+}
+
 /**
  * Show tooltip at a specific data index
+ * @param {Object} view - createChartView result
+ * @param {number} index - Year index
+ * @param {Array<number>} datasetIndices - Datasets to activate
  */
-function showTooltipAtIndex(index) {
-  if (!chartInstance) return;
+function showTooltipAtIndex(view, index, datasetIndices = [0, 1]) {
+  if (!view.chart) return;
   
-  const meta0 = chartInstance.getDatasetMeta(0);
-  const meta1 = chartInstance.getDatasetMeta(1);
+  const metas = datasetIndices.map(i => view.chart.getDatasetMeta(i));
   
-  if (!meta0.data[index] || !meta1.data[index]) return;
+  if (metas.some(meta => !meta.data[index])) return;
   
-  chartInstance.tooltip.setActiveElements([
-    {datasetIndex: 0, index: index},
-    {datasetIndex: 1, index: index}
-  ], {
-    x: meta1.data[index].x,
-    y: meta1.data[index].y
-  });
+  // Datasets without a value in this year (e.g. history vs projection) stay out
+  const shown = datasetIndices.filter(i => view.chart.data.datasets[i].data[index] !== null);
+  if (shown.length === 0) return;
+  
+  const anchor = view.chart.getDatasetMeta(shown[shown.length - 1]).data[index];
+  view.chart.tooltip.setActiveElements(
+    shown.map(datasetIndex => ({ datasetIndex, index })),
+    { x: anchor.x, y: anchor.y }
+  );
   
-  chartInstance.update('none');
+  view.chart.update('none');
 }
 
 /**
- * Announce data point for screen readers
+ * Write to the chart's live region, creating it on first use
+ * @param {Object} view - createChartView result
+ * @param {string} message - Announcement
  */
-function announceDataPoint(cashFlow, total, growthRate) {
-  let liveRegion = document.getElementById('chart-live-region');
+function announce(view, message) {
+  let liveRegion = view.root.getElementById('chart-live-region');
   if (!liveRegion) {
     liveRegion = document.createElement('div');
     liveRegion.id = 'chart-live-region';
     liveRegion.setAttribute('aria-live', 'polite');
     liveRegion.setAttribute('aria-atomic', 'true');
     liveRegion.className = 'sr-only';
-    document.body.appendChild(liveRegion);
+    (view.root.body || view.root).appendChild(liveRegion);
+  }
+  
+  liveRegion.textContent = message;
+}
+
+/**
+ * Announce data point for screen readers
+ * @param {Object} view - createChartView result
+ * @param {Object} cashFlow - Cash flow for the year, or a historical year
+ * @param {number} total - Total shown for the year
+ * @param {number} growthRate - Growth rate percentage
+ * @param {Object|null} presentValue - { pvDividend, pvTerminalValue, cumulativePV } in the present-value view
+ * @param {boolean} isReal - Whether the chart shows constant dollars and real growth
+ */
+function announceDataPoint(view, cashFlow, total, growthRate, presentValue = null, isReal = false) {
+  if (cashFlow.historical) {
+    announce(view, `${cashFlow.year}, before year 0. Dividends paid: ${formatCurrency(cashFlow.dividend, true)}.`);
+    return;
   }
   
   const isInitialYear = cashFlow.year === 0;
+  const stageLabels = { high: 'High growth stage. ', transition: 'Declining growth stage. ', stable: 'Stable growth stage. ' };
   const investmentLabel = isInitialYear ? 'Initial investment / Market price (PVₜ)' : 'No investment';
   
-  const announcement = `Year ${cashFlow.year}. ` +
-    `Growth rate (g): ${growthRate ? formatPercentage(growthRate) : '0%'}. ` +
+  const announcement = `${cashFlow.periodName}. ` +
+    (stageLabels[cashFlow.stage] || '') +
+    `${isReal ? 'Real growth rate' : 'Growth rate'} (g): ${growthRate ? formatPercentage(growthRate) : '0%'}. ` +
     `${investmentLabel}: ${formatCurrency(cashFlow.investment, true)}. ` +
     `Dividend (Div\u209C): ${formatCurrency(cashFlow.dividend, true)}. ` +
+    (cashFlow.realDividend !== undefined && !presentValue && !isInitialYear
+      ? `Dividend in constant dollars: ${formatCurrency(cashFlow.realDividend, true)}. `
+      : '') +
+    (presentValue
+      ? `Present value of dividend: ${formatCurrency(presentValue.pvDividend, true)}. ` +
+        (presentValue.pvTerminalValue ? `Present value of terminal value: ${formatCurrency(presentValue.pvTerminalValue, true)}. ` : '') +
+        `Cumulative present value: ${formatCurrency(presentValue.cumulativePV, true)}. `
+      : '') +
     `Total: ${formatCurrency(total, true)}.`;
   
-  liveRegion.textContent = announcement;
+  announce(view, announcement);
 }
 
 /**
@@ -619,10 +1368,11 @@ export function shouldShowLabels() {
 
 /**
  * Cleanup chart resources
+ * @param {Object} view - createChartView result
  */
-export function destroyChart() {
-  if (chartInstance) {
-    chartInstance.destroy();
-    chartInstance = null;
+export function destroyChart(view) {
+  if (view.chart) {
+    view.chart.destroy();
+    view.chart = null;
   }
 }
\ No newline at end of file
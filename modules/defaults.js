@@ -0,0 +1,108 @@
+/**
+ * Defaults Module
+ * Curriculum defaults and the fields that make up a scenario. Plain data
+ * with no imports, shared by the page state and the headless package.
+ */
+
+/**
+ * Curriculum default inputs and view settings
+ */
+export const DEFAULTS = Object.freeze({
+  // Implied growth parameters
+  marketPrice: 100.0,
+  currentDividend: 5.0,
+  requiredReturn: 7.0,
+  
+  // Where r comes from: 'input' (typed) or 'capm' (r_f + β × ERP + premium)
+  returnSource: 'input',
+  riskFreeRate: 3.0,
+  beta: 1.0,
+  equityRiskPremium: 4.0,
+  specificRiskPremium: null, // Optional size or company-specific premium (%)
+  growthRate: 2.0, // Only an input when solving for r or PV_t
+  
+  // Which Gordon variable is unknown: 'growth', 'return' or 'price'
+  solveFor: 'growth',
+  
+  // Dividend discount model: 'gordon', 'twoStage' or 'hModel'
+  model: 'gordon',
+  highGrowthRate: 4.0,  // g_S, multi-stage models only
+  highGrowthYears: 5,   // N (two-stage) or 2H (H-model)
+  
+  // Years of dividends projected in the chart and table
+  horizonYears: 10,
+  
+  // Payment convention: dividends a year ('annual', 'semiannual' or
+  // 'quarterly'), how r is quoted when paid more often ('effective' or
+  // 'nominal' compounded per payment), and whether the entered dividend is
+  // the trailing Div_t or the forward Div_{t+1} ('trailing' or 'forward')
+  paymentFrequency: 'annual',
+  returnCompounding: 'effective',
+  dividendTiming: 'trailing',
+  
+  // Optional next-year earnings per share (E_{t+1}) for the PVGO breakdown
+  earningsPerShare: null,
+  
+  // Optional fundamentals for the sustainable growth cross-check (b × ROE)
+  returnOnEquity: null, // ROE (%)
+  payoutRatio: null,    // Payout (%); falls back to Div_{t+1}/E_{t+1}
+  
+  // Optional expected inflation (%) for real growth and returns (Fisher)
+  inflationRate: null,
+  
+  // Imported dividend history, summed by calendar year ({ year, dividend },
+  // oldest first), for realized growth and the bars left of year 0
+  dividendHistory: null,
+  
+  // Monte Carlo settings: how r (percentage points) and Div_t (USD) vary
+  // around the inputs, and the draws and seed that reproduce a run
+  simulationReturnDist: 'normal', // 'normal', 'uniform' or 'triangular'
+  simulationReturnSpread: 1.0,
+  simulationDividendDist: 'uniform',
+  simulationDividendSpread: 0.5,
+  simulationDraws: 10000,
+  simulationSeed: 42,
+  
+  // UI state
+  viewMode: 'chart', // 'chart', 'table', 'heatmap' or 'simulation'
+  valueBasis: 'nominal', // 'nominal' or 'present' (discounted at r) cash flows
+  priceBar: 'total', // 'total' or 'pvgo' (year-0 bar split into no-growth value and PVGO)
+  rateBasis: 'nominal' // 'nominal' or 'real' (constant-dollar) projection, with inflation
+});
+
+/** State fields that make up a scenario */
+export const SCENARIO_FIELDS = [
+  'marketPrice',
+  'currentDividend',
+  'requiredReturn',
+  'returnSource',
+  'riskFreeRate',
+  'beta',
+  'equityRiskPremium',
+  'specificRiskPremium',
+  'growthRate',
+  'solveFor',
+  'model',
+  'highGrowthRate',
+  'highGrowthYears',
+  'horizonYears',
+  'paymentFrequency',
+  'returnCompounding',
+  'dividendTiming',
+  'earningsPerShare',
+  'returnOnEquity',
+  'payoutRatio',
+  'inflationRate'
+];
+
+/**
+ * Pick the scenario fields from a state-like object
+ * @param {Object} source - State or inputs
+ * @returns {Object} Scenario inputs
+ */
+export function pickScenarioInputs(source) {
+  return SCENARIO_FIELDS.reduce((inputs, field) => {
+    inputs[field] = source[field];
+    return inputs;
+  }, {});
+}
@@ -0,0 +1,176 @@
+/**
+ * Dividend History Module
+ * Reads a dated dividend history (CSV or JSON) and sums it into calendar
+ * years for the realized growth fit (see fitDividendGrowth)
+ */
+
+import { detectCsvDelimiter, splitCsvLine, parseSpreadsheetNumber } from './utils.js';
+
+/** Header names recognised for each column (lower case) */
+const DATE_HEADERS = ['date', 'ex date', 'ex-date', 'ex dividend date', 'pay date', 'payment date', 'year'];
+const AMOUNT_HEADERS = ['dividend', 'dividends', 'amount', 'div', 'dividend per share', 'dps'];
+
+/** Accepted date forms: 2024, 2024-03, 2024-03-15 and 03/15/2024 */
+const ISO_DATE = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+/** Longest history accepted, in payments */
+export const MAX_HISTORY_PAYMENTS = 2000;
+
+/**
+ * Parse a dividend history. CSV has a date and an amount per line, with an
+ * optional header; JSON is an array of { date, dividend } objects (or
+ * [date, dividend] pairs), optionally under a "dividends" key.
+ * @param {string} text - File or pasted contents
+ * @returns {Object} { payments, error } where payments are { date, year,
+ *   dividend } oldest first
+ */
+export function parseDividendHistory(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!source) {
+    return { payments: [], error: 'Add a dividend history: a date and a dividend per line' };
+  }
+
+  const parsed = source.startsWith('[') || source.startsWith('{')
+    ? readJson(source)
+    : readCsv(source);
+  if (parsed.error) return { payments: [], error: parsed.error };
+
+  const payments = [];
+  for (const { date, amount, where } of parsed.records) {
+    const year = readYear(date);
+    if (year === null) {
+      return { payments: [], error: `${where}: "${date}" is not a date (use YYYY-MM-DD)` };
+    }
+    const dividend = typeof amount === 'number' ? amount : parseSpreadsheetNumber(amount);
+    if (!Number.isFinite(dividend) || dividend < 0) {
+      return { payments: [], error: `${where}: the dividend must be a number of zero or more` };
+    }
+    payments.push({ date: String(date).trim(), year, dividend });
+  }
+
+  if (payments.length === 0) {
+    return { payments: [], error: 'The history has no dividends' };
+  }
+  if (payments.length > MAX_HISTORY_PAYMENTS) {
+    return { payments: [], error: `A history can have at most ${MAX_HISTORY_PAYMENTS.toLocaleString('en-US')} payments` };
+  }
+
+  // Only the year matters from here; the stable sort keeps file order within it
+  payments.sort((a, b) => a.year - b.year);
+  return { payments, error: null };
+}
+
+/**
+ * Read CSV or tab-separated lines of date and amount
+ * @param {string} source - Text
+ * @returns {Object} { records, error }
+ */
+function readCsv(source) {
+  const lines = source.split(/\r\n|\n|\r/)
+    .map((content, index) => ({ content, line: index + 1 }))
+    .filter(({ content }) => content.trim() !== '');
+  const delimiter = detectCsvDelimiter(lines[0].content);
+  let rows = lines.map(({ content, line }) => ({ cells: splitCsvLine(content, delimiter).map(cell => cell.trim()), line }));
+
+  let dateIndex = 0;
+  let amountIndex = 1;
+  const header = rows[0].cells.map(cell => cell.toLowerCase());
+  const headerDate = header.findIndex(name => DATE_HEADERS.includes(name));
+  const headerAmount = header.findIndex(name => AMOUNT_HEADERS.includes(name));
+  if (headerDate !== -1 || headerAmount !== -1) {
+    if (headerDate === -1 || headerAmount === -1) {
+      return { error: `Missing column: ${headerDate === -1 ? 'date' : 'dividend'}` };
+    }
+    dateIndex = headerDate;
+    amountIndex = headerAmount;
+    rows = rows.slice(1);
+  }
+
+  return {
+    records: rows.map(({ cells, line }) => ({
+      date: cells[dateIndex] || '',
+      amount: cells[amountIndex] || '',
+      where: `Line ${line}`
+    }))
+  };
+}
+
+/**
+ * Read a JSON history
+ * @param {string} source - Text
+ * @returns {Object} { records, error }
+ */
+function readJson(source) {
+  let data;
+  try {
+    data = JSON.parse(source);
+  } catch (error) {
+    return { error: 'The JSON could not be read' };
+  }
+
+  const list = Array.isArray(data) ? data : data && data.dividends;
+  if (!Array.isArray(list)) {
+    return { error: 'The JSON must be an array of { date, dividend } entries' };
+  }
+
+  return {
+    records: list.map((entry, index) => {
+      const where = `Entry ${index + 1}`;
+      if (Array.isArray(entry)) {
+        return { date: entry[0], amount: entry[1], where };
+      }
+      const item = entry || {};
+      const dateKey = Object.keys(item).find(key => DATE_HEADERS.includes(key.toLowerCase()));
+      const amountKey = Object.keys(item).find(key => AMOUNT_HEADERS.includes(key.toLowerCase()));
+      return { date: dateKey ? item[dateKey] : '', amount: amountKey ? item[amountKey] : '', where };
+    })
+  };
+}
+
+/**
+ * Calendar year of a date
+ * @param {string|number} date - Date text or year
+ * @returns {number|null} Year, or null when not a recognised date
+ */
+function readYear(date) {
+  const text = String(date ?? '').trim();
+  const match = text.match(ISO_DATE) || text.match(US_DATE);
+  if (!match) return null;
+  return Number(match[0].includes('/') ? match[3] : match[1]);
+}
+
+/**
+ * Sum payments into calendar years. A first or last year with fewer
+ * payments than the usual count is a part year (the history starts or
+ * ends mid-year) and is left out so it does not read as a dividend cut.
+ * @param {Array<Object>} payments - parseDividendHistory payments
+ * @returns {Object} { years, partialYears } where years are { year,
+ *   dividend, payments } oldest first
+ */
+export function annualizeDividends(payments) {
+  const byYear = new Map();
+  payments.forEach(({ year, dividend }) => {
+    const entry = byYear.get(year) || { year, dividend: 0, payments: 0 };
+    entry.dividend += dividend;
+    entry.payments += 1;
+    byYear.set(year, entry);
+  });
+  const years = [...byYear.values()].sort((a, b) => a.year - b.year);
+
+  // Most common number of payments a year (ties go to the larger count)
+  const frequency = new Map();
+  years.forEach(({ payments: count }) => frequency.set(count, (frequency.get(count) || 0) + 1));
+  const usual = [...frequency.entries()]
+    .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0];
+
+  const partialYears = [];
+  if (years.length > 2 && years[years.length - 1].payments < usual) {
+    partialYears.push(years.pop().year);
+  }
+  if (years.length > 2 && years[0].payments < usual) {
+    partialYears.unshift(years.shift().year);
+  }
+
+  return { years, partialYears };
+}
@@ -3,27 +3,258 @@
  * Renders Gordon Growth Model equation with actual calculated values using MathJax
  */
 
-import { formatCurrency, formatPercentage } from './utils.js';
+import { formatCurrency, formatPercentage, describePaymentConvention } from './utils.js';
 
-// Track the tallest height the equation card has ever reached so it never
+// Track the tallest height each equation card has ever reached so it never
 // shrinks and causes a layout jump on subsequent recalculations.
-let equationCardMinHeight = 0;
+const equationCardMinHeights = new WeakMap();
+
+/** Result wording and intro markup for each solve-for mode */
+const SOLVE_FOR_RESULTS = {
+  growth: {
+    label: 'Implied growth rate',
+    introHtml: '<span style="color: #15803d; font-style: italic;">g</span>'
+  },
+  return: {
+    label: 'Implied required return',
+    introHtml: '<span style="color: #7a46ff; font-style: italic;">r</span>'
+  },
+  price: {
+    label: 'Implied market price',
+    introHtml: '<span style="color: #b95b1d;">PV<sub><i>t</i></sub></span>'
+  }
+};
+
+/** Equation card title for each dividend discount model */
+const MODEL_TITLES = {
+  gordon: 'Constant Dividend Growth Model Equation',
+  twoStage: 'Two-Stage Dividend Discount Model Equation',
+  hModel: 'H-Model Equation'
+};
+
+/** Result wording and intro markup for the multi-stage models (always g_L) */
+const MULTI_STAGE_RESULT = {
+  label: 'Implied long-run growth rate',
+  introHtml: '<span style="color: #15803d; font-style: italic;">g</span><sub style="color: #15803d;">L</sub>'
+};
+
+/** Subscript marking a rate per payment, by payments a year */
+const PERIOD_SUBSCRIPTS = { 2: 'h', 4: 'q' };
+
+/** Wording for the payment frequency in the equation intro */
+const PERIOD_NAMES = { 2: 'half-year', 4: 'quarter' };
+
+/**
+ * Symbol for a rate per payment: r becomes r_q, g_L becomes g_{L,q}
+ * @param {string} symbol - Annual symbol ('r', 'g', 'g_L' or 'g_S')
+ * @param {string} period - Period subscript, '' for annual payments
+ * @returns {string} LaTeX
+ */
+function periodSymbol(symbol, period) {
+  if (!period) return symbol;
+  const [letter, index] = symbol.split('_');
+  return index ? `${letter}_{${index},${period}}` : `${letter}_{${period}}`;
+}
+
+/**
+ * Build the multi-stage pricing formula with g_L symbolic, and the implied
+ * g_L. The two-stage model has no closed form, so its result is the
+ * numerical root; the H-model result is shown through its rearrangement.
+ * @param {string} model - 'twoStage' or 'hModel'
+ * @param {Object} values - LaTeX-escaped formatted values
+ * @param {string} period - Period subscript when the rates are per payment
+ * @returns {{originalLatex: string, solvedLatex: string}}
+ */
+function buildMultiStageLatex(model, { rClean, gClean, gsClean, divtClean, pvtClean, n }, period = '') {
+  const gL = `\\color{#15803d}{${periodSymbol('g_L', period)}}`;
+  const r = `\\color{#7a46ff}{${rClean}}`;
+  const gS = `\\color{#15803d}{${gsClean}}`;
+  const div = `\\color{#3c6ae5}{${divtClean}}`;
+  const pv = `\\color{#b95b1d}{${pvtClean}}`;
+
+  if (model === 'hModel') {
+    // PV_t = Div_t(1+g_L)/(r-g_L) + Div_t·H·(g_S-g_L)/(r-g_L), H = N/2
+    // g_L = (PV_t·r - Div_t - Div_t·H·g_S) / (PV_t + Div_t - Div_t·H)
+    const h = n / 2;
+    return {
+      originalLatex: `${pv} = \\frac{${div}(1+${gL})}{${r} - ${gL}} + \\frac{${div} \\times ${h} \\times (${gS} - ${gL})}{${r} - ${gL}}`,
+      solvedLatex: `${gL} = \\frac{${pv} \\times ${r} - ${div} - ${div} \\times ${h} \\times ${gS}}{${pv} + ${div} - ${div} \\times ${h}} = \\color{#15803d}{\\mathbf{${gClean}}}`
+    };
+  }
+
+  // PV_t = Σ Div_t(1+g_S)^t/(1+r)^t + Div_t(1+g_S)^N(1+g_L) / ((r-g_L)(1+r)^N)
+  return {
+    originalLatex: `${pv} = \\sum_{t=1}^{${n}} \\frac{${div}(1+${gS})^t}{(1+${r})^t} + \\frac{${div}(1+${gS})^{${n}}(1+${gL})}{(${r} - ${gL})(1+${r})^{${n}}}`,
+    solvedLatex: `${gL} \\approx \\color{#15803d}{\\mathbf{${gClean}}}`
+  };
+}
+
+/**
+ * Build the curriculum formula and its rearrangement for the unknown.
+ * The unknown stays symbolic in the original formula; the solved form
+ * ends with the bold result. A forward dividend is already Div_{t+1}, so
+ * it is not grown by (1+g).
+ * @param {string} solveFor - 'growth', 'return' or 'price'
+ * @param {Object} values - LaTeX-escaped formatted values
+ * @param {Object} options - { forward, period } where period is the
+ *   subscript of rates per payment ('' for annual payments)
+ * @returns {{originalLatex: string, solvedLatex: string}}
+ */
+function buildEquationLatex(solveFor, { rClean, gClean, divtClean, pvtClean }, { forward = false, period = '' } = {}) {
+  const r = periodSymbol('r', period);
+  const g = periodSymbol('g', period);
+  const div = `\\color{#3c6ae5}{${divtClean}}`;
+  // Div_{t+1}: the dividend grown at g, or as entered when forward
+  const next = (growth) => (forward ? div : `${div}(1+\\color{#15803d}{${growth}})`);
+
+  if (solveFor === 'return') {
+    // Original formula:  g = r - Div_t(1+g)/PV_t, r unknown
+    // Solved formula:    r = Div_t(1+g)/PV_t + g = result
+    return {
+      originalLatex: `\\color{#15803d}{${gClean}} = \\color{#7a46ff}{${r}} - \\frac{${next(gClean)}}{\\color{#b95b1d}{${pvtClean}}}`,
+      solvedLatex: `\\color{#7a46ff}{${r}} = \\frac{${next(gClean)}}{\\color{#b95b1d}{${pvtClean}}} + \\color{#15803d}{${gClean}} = \\color{#7a46ff}{\\mathbf{${rClean}}}`
+    };
+  }
+
+  if (solveFor === 'price') {
+    // Original formula:  g = r - Div_t(1+g)/PV_t, PV_t unknown
+    // Solved formula:    PV_t = Div_t(1+g)/(r - g) = result
+    return {
+      originalLatex: `\\color{#15803d}{${gClean}} = \\color{#7a46ff}{${rClean}} - \\frac{${next(gClean)}}{\\color{#b95b1d}{PV_t}}`,
+      solvedLatex: `\\color{#b95b1d}{PV_t} = \\frac{${next(gClean)}}{\\color{#7a46ff}{${rClean}} - \\color{#15803d}{${gClean}}} = \\color{#b95b1d}{\\mathbf{${pvtClean}}}`
+    };
+  }
+
+  if (forward) {
+    // Original formula:  g = r - Div_{t+1}/PV_t = result, already solved
+    const latex = `\\color{#15803d}{${g}} = \\color{#7a46ff}{${rClean}} - \\frac{${div}}{\\color{#b95b1d}{${pvtClean}}} = \\color{#15803d}{\\mathbf{${gClean}}}`;
+    return { originalLatex: latex, solvedLatex: latex };
+  }
+
+  // Original formula:  g = r - Div_t(1+g)/PV_t = result
+  // Solved formula:    g = (r·PV_t − Div_t) / (PV_t + Div_t) = result
+  return {
+    originalLatex: `\\color{#15803d}{${g}} = \\color{#7a46ff}{${rClean}} - \\frac{${next(g)}}{\\color{#b95b1d}{${pvtClean}}} = \\color{#15803d}{\\mathbf{${gClean}}}`,
+    solvedLatex: `\\color{#15803d}{${g}} = \\frac{\\color{#7a46ff}{${rClean}} \\times \\color{#b95b1d}{${pvtClean}} - ${div}}{\\color{#b95b1d}{${pvtClean}} + ${div}} = \\color{#15803d}{\\mathbf{${gClean}}}`
+  };
+}
+
+/**
+ * Build the lines linking the per-payment figures to the annual inputs and
+ * result: each entered rate restated per payment, the entered dividend
+ * split into payments, and the solved rate restated annually (in bold)
+ * @param {Object} calculations - Growth calculations with payments
+ * @param {Object} params - Input parameters
+ * @returns {Array<string>} LaTeX lines
+ */
+function buildPaymentLatex(calculations, params) {
+  const { payments, solveFor = 'growth', model = 'gordon' } = calculations;
+  const { perYear, compounding, timing } = payments;
+  const isMultiStage = model === 'twoStage' || model === 'hModel';
+  const period = PERIOD_SUBSCRIPTS[perYear] || '';
+  const pct = (value) => formatPercentage(value).replace('%', '\\%');
+  const usd = (value) => formatCurrency(value).replace('USD', '\\text{USD}').replace('−', '-');
+  const lines = [];
+
+  // Annual rate to the rate per payment, or back for the solved rate
+  const rateLine = (symbol, color, annual, perPayment, solved) => {
+    const a = `\\color{${color}}{${symbol}}`;
+    const p = `\\color{${color}}{${periodSymbol(symbol, period)}}`;
+    if (solved) {
+      const result = `\\color{${color}}{\\mathbf{${pct(annual)}}}`;
+      return compounding === 'nominal'
+        ? `${a} = ${perYear} \\times ${p} = ${perYear} \\times ${pct(perPayment)} = ${result}`
+        : `${a} = (1 + ${p})^{${perYear}} - 1 = (1 + ${pct(perPayment)})^{${perYear}} - 1 = ${result}`;
+    }
+    return compounding === 'nominal'
+      ? `${p} = \\frac{${a}}{${perYear}} = \\frac{${pct(annual)}}{${perYear}} = ${pct(perPayment)}`
+      : `${p} = (1 + ${a})^{1/${perYear}} - 1 = (1 + ${pct(annual)})^{1/${perYear}} - 1 = ${pct(perPayment)}`;
+  };
+
+  if (perYear > 1) {
+    lines.push(rateLine('r', '#7a46ff', calculations.requiredReturn, payments.requiredReturn, !isMultiStage && solveFor === 'return'));
+    if (isMultiStage) {
+      lines.push(rateLine('g_S', '#15803d', calculations.highGrowthRate, payments.highGrowthRate, false));
+    } else if (solveFor !== 'growth') {
+      lines.push(rateLine('g', '#15803d', calculations.impliedGrowth, payments.impliedGrowth, false));
+    }
+  }
+
+  // The entered dividend as the payment the formula uses
+  const entered = timing === 'forward' ? '\\text{Div}_{t+1}' : '\\text{Div}_t';
+  const split = perYear > 1 ? perYear : '';
+  if (isMultiStage && timing === 'forward') {
+    // Multi-stage models grow from the payment before Div_{t+1}
+    const gS = `\\color{#15803d}{${periodSymbol('g_S', period)}}`;
+    lines.push(`\\color{#3c6ae5}{\\text{Div}_t} = \\frac{${entered}}{${split}(1 + ${gS})} = ` +
+      `\\frac{${usd(params.currentDividend)}}{${split}(1 + ${pct(payments.highGrowthRate)})} = \\color{#3c6ae5}{${usd(payments.dividend)}}`);
+  } else if (perYear > 1) {
+    lines.push(`\\frac{${entered}}{${perYear}} = \\frac{${usd(params.currentDividend)}}{${perYear}} = ` +
+      `\\color{#3c6ae5}{${usd(timing === 'forward' ? payments.nextDividend : payments.dividend)}}`);
+  }
+
+  if (perYear > 1 && (isMultiStage || solveFor === 'growth')) {
+    lines.push(rateLine(isMultiStage ? 'g_L' : 'g', '#15803d', calculations.impliedGrowth, payments.impliedGrowth, true));
+  }
+
+  return lines;
+}
+
+/**
+ * Build the CAPM line for r: r = r_f + β × ERP (+ premium) = result
+ * @param {Object} capm - calculateCapmReturn result
+ * @returns {string} LaTeX
+ */
+function buildCapmLatex({ riskFreeRate, beta, equityRiskPremium, specificRiskPremium, requiredReturn }) {
+  const pct = (value) => formatPercentage(value).replace('%', '\\%');
+  const premium = specificRiskPremium ? ` + ${pct(specificRiskPremium)}` : '';
+  const premiumSymbol = specificRiskPremium ? ' + \\text{premium}' : '';
+  return `\\color{#7a46ff}{r} = r_f + \\beta \\times \\text{ERP}${premiumSymbol} = ` +
+    `${pct(riskFreeRate)} + ${beta.toFixed(2)} \\times ${pct(equityRiskPremium)}${premium} = \\color{#7a46ff}{\\mathbf{${pct(requiredReturn)}}}`;
+}
+
+/**
+ * MathJax writes its output styles into the document head, which does not
+ * reach into a shadow root; copy them next to the equations
+ * @param {Element} container - Typeset container
+ */
+function adoptMathJaxStyles(container) {
+  const root = container.getRootNode();
+  if (root === document) return;
+
+  document.head.querySelectorAll('style[id^="MJX"], style[id^="MathJax"]').forEach(style => {
+    const copyId = `${style.id}-copy`;
+    let copy = root.getElementById(copyId);
+    if (!copy) {
+      copy = document.createElement('style');
+      copy.id = copyId;
+      root.appendChild(copy);
+    }
+    if (copy.textContent !== style.textContent) copy.textContent = style.textContent;
+  });
+}
 
 /**
  * Render dynamic equation with user's values
  * @param {Object} calculations - Growth calculations
  * @param {Object} params - Input parameters
+ * @param {Document|ShadowRoot} root - Calculator to render into
  */
-export function renderDynamicEquation(calculations, params) {
-  const originalContainer = document.getElementById('dynamic-equation');
-  const solvedContainer = document.getElementById('dynamic-solved-equation');
+export function renderDynamicEquation(calculations, params, root = document) {
+  const originalContainer = root.getElementById('dynamic-equation');
+  const solvedContainer = root.getElementById('dynamic-solved-equation');
+  const capmBlock = root.getElementById('capm-equation-block');
+  const capmContainer = root.getElementById('dynamic-capm-equation');
+  const paymentBlock = root.getElementById('payment-equation-block');
+  const paymentContainer = root.getElementById('dynamic-payment-equation');
 
   if (!originalContainer || !solvedContainer) {
     console.error('Dynamic equation containers not found');
     return;
   }
 
-  const { impliedGrowth } = calculations;
+  const { impliedGrowth, solveFor = 'growth', model = 'gordon', payments } = calculations;
+  const isMultiStage = model === 'twoStage' || model === 'hModel';
   const { requiredReturn, currentDividend, marketPrice } = params;
 
   // Format values for display
@@ -32,20 +263,62 @@ export function renderDynamicEquation(calculations, params) {
   const divtFormatted = formatCurrency(currentDividend);
   const pvtFormatted  = formatCurrency(marketPrice);
 
+  // With more than one payment a year the formulas run per payment: rates
+  // per period and the dividend as one payment (see buildPaymentLatex)
+  const perYear = payments ? payments.perYear : 1;
+  const period = PERIOD_SUBSCRIPTS[perYear] || '';
+  const forward = Boolean(payments) && payments.timing === 'forward';
+  const formula = perYear > 1
+    ? {
+      r: payments.requiredReturn,
+      g: payments.impliedGrowth,
+      gS: payments.highGrowthRate,
+      n: payments.highGrowthPeriods,
+      dividend: forward && !isMultiStage ? payments.nextDividend : payments.dividend
+    }
+    : {
+      r: requiredReturn,
+      g: impliedGrowth,
+      gS: calculations.highGrowthRate,
+      n: calculations.highGrowthYears,
+      dividend: forward && isMultiStage ? payments.dividend : currentDividend
+    };
+
   // Escape special characters in formatted values
-  const rClean    = rFormatted.replace('%', '\\%');
-  const gClean    = gFormatted.replace('%', '\\%');
-  const divtClean = divtFormatted.replace('USD', '\\text{USD}').replace('−', '-');
+  const rClean    = formatPercentage(formula.r).replace('%', '\\%');
+  const gClean    = formatPercentage(formula.g).replace('%', '\\%');
+  const divtClean = formatCurrency(formula.dividend).replace('USD', '\\text{USD}').replace('−', '-');
   const pvtClean  = pvtFormatted.replace('USD', '\\text{USD}');
 
-  // Original formula:  g = r - Div_t(1+g)/PV_t = result
-  const originalLatex = `\\color{#15803d}{g} = \\color{#7a46ff}{${rClean}} - \\frac{\\color{#3c6ae5}{${divtClean}}(1+\\color{#15803d}{g})}{\\color{#b95b1d}{${pvtClean}}} = \\color{#15803d}{\\mathbf{${gClean}}}`;
+  const { originalLatex, solvedLatex } = isMultiStage
+    ? buildMultiStageLatex(model, {
+      rClean,
+      gClean,
+      gsClean: formatPercentage(formula.gS).replace('%', '\\%'),
+      divtClean,
+      pvtClean,
+      n: formula.n
+    }, period)
+    : buildEquationLatex(solveFor, { rClean, gClean, divtClean, pvtClean }, { forward, period });
+  const paymentLines = payments ? buildPaymentLatex(calculations, params) : [];
+  const result = isMultiStage
+    ? MULTI_STAGE_RESULT
+    : SOLVE_FOR_RESULTS[solveFor] || SOLVE_FOR_RESULTS.growth;
+  const resultFormatted = { growth: gFormatted, return: rFormatted, price: pvtFormatted }[solveFor] || gFormatted;
 
-  // Solved formula:  g = (r·PV_t − Div_t) / (PV_t + Div_t) = result
-  const solvedLatex = `\\color{#15803d}{g} = \\frac{\\color{#7a46ff}{${rClean}} \\times \\color{#b95b1d}{${pvtClean}} - \\color{#3c6ae5}{${divtClean}}}{\\color{#b95b1d}{${pvtClean}} + \\color{#3c6ae5}{${divtClean}}} = \\color{#15803d}{\\mathbf{${gClean}}}`;
+  const modelTitle = MODEL_TITLES[model] || MODEL_TITLES.gordon;
+  const title = root.getElementById('equation-card-title');
+  if (title) {
+    title.textContent = modelTitle;
+  }
+
+  const intro = root.getElementById('solved-equation-intro');
+  if (intro) {
+    intro.innerHTML = `Solving for ${result.introHtml}:`;
+  }
 
   // ─── Layout-shift prevention ───────────────────────────────────────────────
-  const card = document.getElementById('equation-card');
+  const card = root.getElementById('equation-card');
   const isFirstRender = originalContainer.offsetHeight === 0;
 
   if (!isFirstRender && card) {
@@ -64,24 +337,68 @@ export function renderDynamicEquation(calculations, params) {
   originalContainer.textContent = '$$' + originalLatex + '$$';
   solvedContainer.textContent   = '$$' + solvedLatex   + '$$';
 
+  // The CAPM line only appears while the builder sets r
+  const { capm } = calculations;
+  if (capmBlock && capmContainer) {
+    capmBlock.hidden = !capm;
+    capmContainer.style.visibility = 'hidden';
+    capmContainer.textContent = capm ? '$$' + buildCapmLatex(capm) + '$$' : '';
+  }
+
+  // The payment lines only appear when the convention changes the figures
+  const hasPaymentLines = paymentLines.length > 0;
+  if (paymentBlock && paymentContainer) {
+    paymentBlock.hidden = !hasPaymentLines;
+    paymentContainer.style.visibility = 'hidden';
+    paymentContainer.textContent = paymentLines.map(line => '$$' + line + '$$').join('');
+    const paymentIntro = root.getElementById('payment-equation-intro');
+    if (paymentIntro) {
+      paymentIntro.textContent = perYear > 1
+        ? `The formulas above use rates and dividends per ${PERIOD_NAMES[perYear]}; from the annual figures:`
+        : 'The formula grows the current dividend, found from the next dividend entered:';
+    }
+  }
+
   if (window.MathJax && window.MathJax.Hub) {
+    MathJax.Hub.Queue([adoptMathJaxStyles, originalContainer]);
     MathJax.Hub.Queue(['Typeset', MathJax.Hub, originalContainer]);
     MathJax.Hub.Queue(['Typeset', MathJax.Hub, solvedContainer]);
+    if (capm && capmContainer) {
+      MathJax.Hub.Queue(['Typeset', MathJax.Hub, capmContainer]);
+    }
+    if (hasPaymentLines && paymentContainer) {
+      MathJax.Hub.Queue(['Typeset', MathJax.Hub, paymentContainer]);
+    }
     MathJax.Hub.Queue(function () {
+      // The first typeset is what adds the output styles
+      adoptMathJaxStyles(originalContainer);
+      // The page's MathJax hook cannot see inside a shadow root
+      [originalContainer, solvedContainer, capmContainer, paymentContainer].forEach(container => {
+        if (container) container.querySelectorAll('[tabindex]').forEach(el => el.removeAttribute('tabindex'));
+      });
+
       // Reveal rendered math.
       originalContainer.style.visibility = 'visible';
       solvedContainer.style.visibility   = 'visible';
+      if (capmContainer) capmContainer.style.visibility = 'visible';
+      if (paymentContainer) paymentContainer.style.visibility = 'visible';
 
       // Update the section's aria-label so screen readers immediately hear
       // the result on first load — no input change required.
       // This also stays current on every recalculation.
       if (card) {
         card.setAttribute('aria-label',
-          'Constant Dividend Growth Model Equation. ' +
-          'Implied growth rate result: ' + gFormatted + '. ' +
+          modelTitle + '. ' +
+          result.label + ' result: ' + resultFormatted + '. ' +
+          'Growth rate: ' + gFormatted + '. ' +
           'Required return: ' + rFormatted + '. ' +
           'Current dividend: ' + divtFormatted + '. ' +
-          'Market price: ' + pvtFormatted + '.'
+          'Market price: ' + pvtFormatted + '.' +
+          (capm ? ' Required return built with the CAPM from a risk-free rate of ' + formatPercentage(capm.riskFreeRate) +
+            ', beta ' + capm.beta.toFixed(2) + ' and an equity risk premium of ' + formatPercentage(capm.equityRiskPremium) +
+            (capm.specificRiskPremium ? ', plus a ' + formatPercentage(capm.specificRiskPremium) + ' premium' : '') + '.' : '') +
+          (payments ? ' ' + describePaymentConvention(payments) + '.' +
+            (perYear > 1 ? ' Growth per payment: ' + formatPercentage(payments.impliedGrowth) + '.' : '') : '')
         );
       }
 
@@ -94,17 +411,17 @@ export function renderDynamicEquation(calculations, params) {
         // tallest it has ever naturally rendered. This means small value
         // changes (fewer digits → shorter equation) never cause the card to
         // shrink, eliminating the residual few-pixel jump.
-        const renderedH = card.offsetHeight;
-        if (renderedH > equationCardMinHeight) {
-          equationCardMinHeight = renderedH;
-        }
-        card.style.minHeight = equationCardMinHeight + 'px';
+        const minHeight = Math.max(card.offsetHeight, equationCardMinHeights.get(card) || 0);
+        equationCardMinHeights.set(card, minHeight);
+        card.style.minHeight = minHeight + 'px';
       }
     });
   } else {
     // MathJax unavailable — just show content.
     originalContainer.style.visibility = 'visible';
     solvedContainer.style.visibility   = 'visible';
+    if (capmContainer) capmContainer.style.visibility = 'visible';
+    if (paymentContainer) paymentContainer.style.visibility = 'visible';
     if (card) {
       card.style.height   = '';
       card.style.overflow = '';
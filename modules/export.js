@@ -0,0 +1,256 @@
+/**
+ * Export Module
+ * Downloads the dividend projection, inputs and result as CSV or .xlsx
+ */
+
+import { createWorkbook } from './xlsx.js';
+import { STAGE_LABELS } from './table.js';
+import { describePaymentConvention } from './utils.js';
+
+const MODEL_NAMES = {
+  gordon: 'Constant growth',
+  twoStage: 'Two-stage',
+  hModel: 'H-model'
+};
+
+const SOLVE_FOR_NAMES = {
+  growth: 'Growth rate (g)',
+  return: 'Required return (r)',
+  price: 'Market price (PV_t)'
+};
+
+const FILE_NAME = 'implied-growth-projection';
+
+/**
+ * Lay out the export sheet: an inputs block, then the projection schedule.
+ *
+ * Cells carry both a value (for CSV and as the cached spreadsheet result)
+ * and, where the figure follows from other cells, a formula so the workbook
+ * stays live: D_t = D_0(1+g)^t for constant growth, and the unknown the
+ * calculator solved for is recomputed from the inputs. The multi-stage
+ * long-run growth rate has no closed form, so it is exported as a value,
+ * as is everything under a payment convention other than annual payments
+ * with Div_t entered (the formulas assume that convention).
+ *
+ * @param {Object} calculations - Growth calculations
+ * @param {Object} params - Input parameters (marketPrice, currentDividend, requiredReturn)
+ * @returns {Array<Array>} Rows of cells (see createWorkbook)
+ */
+export function buildExportRows(calculations, params) {
+  const { model = 'gordon', solveFor = 'growth', cashFlows, payments } = calculations;
+  const isMultiStage = model === 'twoStage' || model === 'hModel';
+  const isValuesOnly = isMultiStage || Boolean(payments);
+  const isPeriodic = Boolean(payments) && payments.perYear > 1;
+  const hasStages = cashFlows.some(cf => cf.stage);
+
+  // Input cells: column B of these rows
+  const PRICE = '$B$5';
+  const DIVIDEND = '$B$6';
+  const RETURN = '$B$7';
+  const GROWTH = '$B$8';
+  const HIGH_GROWTH = '$B$9';
+  const YEARS = '$B$10';
+
+  const r = calculations.requiredReturn / 100;
+  const g = calculations.impliedGrowth / 100;
+
+  const solvedFormula = (field) => {
+    if (isValuesOnly) return undefined;
+    if (field === 'growth' && solveFor === 'growth') return `(${RETURN}*${PRICE}-${DIVIDEND})/(${PRICE}+${DIVIDEND})`;
+    if (field === 'return' && solveFor === 'return') return `${DIVIDEND}*(1+${GROWTH})/${PRICE}+${GROWTH}`;
+    if (field === 'price' && solveFor === 'price') return `${DIVIDEND}*(1+${GROWTH})/(${RETURN}-${GROWTH})`;
+    return undefined;
+  };
+
+  const rows = [
+    [{ value: 'Implied Growth Rate Calculator: dividend projection', style: 'bold' }],
+    ['Model', MODEL_NAMES[model] || MODEL_NAMES.gordon],
+    ['Solved for', isMultiStage ? 'Long-run growth rate (g_L)' : SOLVE_FOR_NAMES[solveFor]],
+    [{ value: 'Inputs and result', style: 'bold' }],
+    ['Market price (PV_t) (USD)', { value: params.marketPrice, formula: solvedFormula('price'), style: 'number' }],
+    [payments && payments.timing === 'forward' ? 'Next dividend (Div_t+1) (USD)' : 'Current dividend (Div_t) (USD)',
+      { value: params.currentDividend, style: 'number' }],
+    ['Required return (r)', { value: r, formula: solvedFormula('return'), style: 'percent' }],
+    [isMultiStage ? 'Long-run growth rate (g_L)' : 'Growth rate (g)', { value: g, formula: solvedFormula('growth'), style: 'percent' }]
+  ];
+
+  if (isMultiStage) {
+    rows.push(
+      ['High growth rate (g_S)', { value: calculations.highGrowthRate / 100, style: 'percent' }],
+      [model === 'hModel' ? 'Growth decline years (2H)' : 'High-growth years (N)', calculations.highGrowthYears]
+    );
+  } else {
+    rows.push(
+      [isPeriodic ? 'Expected next dividend (Div_t+1), annual rate (USD)' : 'Expected next dividend (Div_t+1) (USD)', {
+        value: calculations.expectedD1,
+        formula: isValuesOnly ? undefined : `${DIVIDEND}*(1+${GROWTH})`,
+        style: 'number'
+      }],
+      ['Dividend yield (Div_t+1 / PV_t)', {
+        value: calculations.dividendYield / 100,
+        formula: isValuesOnly ? undefined : `B9/${PRICE}`,
+        style: 'percent'
+      }]
+    );
+  }
+
+  if (payments) {
+    rows.push(['Payment convention', describePaymentConvention(payments)]);
+  }
+
+  // Fisher relation: (1 + real) = (1 + nominal) / (1 + π)
+  const { inflation } = calculations;
+  const INFLATION = inflation ? `$B$${rows.length + 1}` : null;
+  if (inflation) {
+    rows.push(
+      ['Expected inflation (π)', { value: inflation.inflationRate / 100, style: 'percent' }],
+      [isMultiStage ? 'Real long-run growth rate (g_L)' : 'Real growth rate (g)', {
+        value: inflation.realGrowth / 100,
+        formula: `(1+${GROWTH})/(1+${INFLATION})-1`,
+        style: 'percent'
+      }],
+      ['Real required return (r)', {
+        value: inflation.realReturn / 100,
+        formula: `(1+${RETURN})/(1+${INFLATION})-1`,
+        style: 'percent'
+      }]
+    );
+  }
+
+  rows.push([]);
+
+  const header = [
+    isPeriodic ? 'Payment' : 'Year',
+    ...(hasStages ? ['Stage'] : []),
+    'Dividend growth rate (g)',
+    'Dividend (Div_t) (USD)',
+    'Initial investment / Market price (PV_t) (USD)',
+    'Total Cash Flow (USD)',
+    'Cumulative (USD)',
+    ...(inflation ? ['Dividend in constant dollars (USD)'] : [])
+  ].map(value => ({ value, style: 'bold' }));
+  rows.push(header);
+
+  // Column letters of the schedule, shifted right when there is a Stage column
+  const col = (offset) => String.fromCharCode(65 + offset + (hasStages ? 1 : 0));
+  const [G_COL, D_COL, I_COL, T_COL, C_COL] = [1, 2, 3, 4, 5].map(col);
+  // Constant dollars: Div_t / (1 + π)^t, with t the year (a value for
+  // payment rows, whose first column is a label)
+  const realFormula = (row, year) => `${D_COL}${row}/(1+${INFLATION})^${isPeriodic ? year : `A${row}`}`;
+  const firstRow = rows.length + 1;
+
+  cashFlows.forEach((cf, index) => {
+    const row = firstRow + index;
+    const year = `A${row}`;
+    const prev = row - 1;
+
+    let growthFormula = GROWTH;
+    let stageFormula;
+    if (model === 'hModel') {
+      growthFormula = `IF(${year}<=${YEARS},${HIGH_GROWTH}-(${HIGH_GROWTH}-${GROWTH})*(${year}-1)/${YEARS},${GROWTH})`;
+      stageFormula = `IF(${year}<=${YEARS},"${STAGE_LABELS.transition}","${STAGE_LABELS.stable}")`;
+    } else if (model === 'twoStage') {
+      growthFormula = `IF(${year}<=${YEARS},${HIGH_GROWTH},${GROWTH})`;
+      stageFormula = `IF(${year}<=${YEARS},"${STAGE_LABELS.high}","${STAGE_LABELS.stable}")`;
+    }
+
+    const dividendFormula = cf.year === 0 || payments
+      ? undefined
+      : isMultiStage
+        ? `${cf.year === 1 ? DIVIDEND : `${D_COL}${prev}`}*(1+${G_COL}${row})`
+        : `${DIVIDEND}*(1+${GROWTH})^${year}`;
+
+    rows.push([
+      isPeriodic ? cf.label : cf.year,
+      ...(hasStages
+        ? [cf.year === 0 ? null : { value: STAGE_LABELS[cf.stage] || '', formula: payments ? undefined : stageFormula }]
+        : []),
+      // Year 0 shows g (g_L for the multi-stage models), as in the table
+      { value: cf.growthRate / 100, formula: payments ? undefined : cf.year === 0 ? GROWTH : growthFormula, style: 'percent' },
+      { value: cf.dividend, formula: dividendFormula, style: 'number' },
+      { value: cf.investment, formula: cf.year === 0 ? `-${PRICE}` : undefined, style: 'number' },
+      { value: cf.totalCashFlow, formula: `${D_COL}${row}+${I_COL}${row}`, style: 'number' },
+      {
+        value: cf.cumulativeCashFlow,
+        formula: cf.year === 0 ? `${T_COL}${row}` : `${C_COL}${prev}+${T_COL}${row}`,
+        style: 'number'
+      },
+      ...(inflation ? [{ value: cf.realDividend, formula: realFormula(row, cf.year), style: 'number' }] : [])
+    ]);
+  });
+
+  return rows;
+}
+
+/**
+ * Serialize export rows as CSV. Values are rounded to two decimals like
+ * formatNumber, but written with a plain minus and no thousands separators
+ * so spreadsheets read them as numbers; rates are percentages.
+ * @param {Array<Array>} rows - buildExportRows result
+ * @returns {string} CSV text
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(cell => {
+    if (cell === null || cell === undefined) return '';
+    const { value, style } = typeof cell === 'object' ? cell : { value: cell };
+    if (typeof value === 'number') {
+      if (style === 'percent') return `${(value * 100).toFixed(2)}%`;
+      if (style === 'number') return value.toFixed(2);
+      return String(value);
+    }
+    return csvEscape(String(value ?? ''));
+  }).join(',')).join('\r\n');
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ */
+function csvEscape(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Download the projection as CSV
+ * @param {Object} calculations - Growth calculations
+ * @param {Object} params - Input parameters
+ */
+export function downloadCsv(calculations, params) {
+  // Byte order mark so Excel opens the file as UTF-8
+  const csv = '\uFEFF' + toCsv(buildExportRows(calculations, params));
+  downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${FILE_NAME}.csv`);
+}
+
+/**
+ * Download the projection as an .xlsx workbook with live formulas
+ * @param {Object} calculations - Growth calculations
+ * @param {Object} params - Input parameters
+ */
+export function downloadXlsx(calculations, params) {
+  const hasStages = calculations.cashFlows.some(cf => cf.stage);
+  const bytes = createWorkbook({
+    name: 'Projection',
+    rows: buildExportRows(calculations, params),
+    columnWidths: [30, ...(hasStages ? [18] : []), 24, 22, 40, 22, 18, ...(calculations.inflation ? [30] : [])]
+  });
+  downloadBlob(
+    new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+    `${FILE_NAME}.xlsx`
+  );
+}
+
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser time to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,79 @@
+/**
+ * Headless Module
+ * Package entry point: the pricing models, validation and exports without
+ * the page, for scripts, answer keys and the implied-growth command line.
+ * Nothing here touches the DOM.
+ */
+
+import { DEFAULTS, SCENARIO_FIELDS, pickScenarioInputs } from './defaults.js';
+import { calculateGrowthMetrics } from './calculations.js';
+import { validateAllInputs, hasErrors } from './validation.js';
+import { URL_PARAMS, parseUrlState } from './url-state.js';
+import { buildExportRows, toCsv } from './export.js';
+
+export {
+  calculateGrowthMetrics,
+  calculateImpliedGrowth,
+  calculateCapmReturn,
+  toRealRate
+} from './calculations.js';
+export { validateAllInputs, validateField, hasErrors, getInputFields } from './validation.js';
+export { buildExportRows, toCsv } from './export.js';
+export { SELF_TESTS, SELF_TEST_TOLERANCE, runSelfTestCases } from './self-tests.js';
+
+/** Curriculum default inputs (100 / 5 / 7%) */
+export const INPUT_DEFAULTS = Object.freeze(pickScenarioInputs(DEFAULTS));
+
+/**
+ * Command line option of each input: the shareable link parameter, so
+ * --price 100 and ?price=100 mean the same
+ */
+export const INPUT_OPTIONS = Object.freeze(SCENARIO_FIELDS.map(field => ({ field, ...URL_PARAMS[field] })));
+
+/**
+ * Validate inputs and calculate, as the page does
+ * @param {Object} inputs - Input values by state field; missing fields take
+ *   the curriculum defaults
+ * @returns {Object} { inputs, errors, calculations } with calculations null
+ *   when the inputs do not pass validation
+ */
+export function calculate(inputs = {}) {
+  const params = { ...INPUT_DEFAULTS, ...inputs };
+  const errors = validateAllInputs(params);
+  return {
+    inputs: params,
+    errors,
+    calculations: hasErrors(errors) ? null : calculateGrowthMetrics(params)
+  };
+}
+
+/**
+ * Read inputs given as option or query parameter names (e.g. { price: '100' })
+ * @param {Object} options - Raw string values by parameter name
+ * @returns {{inputs: Object, invalid: Array<string>}} Inputs by state field,
+ *   and the parameters that are unknown or not a number / allowed choice
+ */
+export function parseInputOptions(options) {
+  const known = new Set(INPUT_OPTIONS.map(({ param }) => param));
+  const unknown = Object.keys(options).filter(param => !known.has(param));
+  const query = new URLSearchParams(Object.entries(options).filter(([param]) => known.has(param)));
+  const { values, invalid } = parseUrlState(query.toString());
+
+  return {
+    inputs: values,
+    invalid: [...unknown, ...invalid.map(field => URL_PARAMS[field].param)]
+  };
+}
+
+/**
+ * The export sheet as CSV: the inputs block, then the projection (the same
+ * file as the page's CSV download)
+ * @param {Object} result - calculate result with calculations
+ * @returns {string} CSV text
+ */
+export function resultToCsv({ inputs, calculations }) {
+  return toCsv(buildExportRows(calculations, {
+    marketPrice: calculations.marketPrice,
+    currentDividend: inputs.currentDividend
+  }));
+}
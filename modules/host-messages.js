@@ -0,0 +1,160 @@
+/**
+ * Host Messages Module
+ * Versioned postMessage protocol for pages that frame the calculator
+ * (course players, quiz engines)
+ *
+ * Every message is an object { protocol: 'implied-growth', version, type, ... }.
+ * A request may carry an id, which the answer echoes as requestId.
+ *
+ * Host → calculator:
+ *   hello       { }          Handshake; answered with ready. Required before
+ *                            any other request.
+ *   setInputs   { inputs }   Input values by state field (see HOST_FIELDS);
+ *                            answered with results
+ *   lockFields  { fields }   Inputs the learner cannot edit, replacing the
+ *                            locked set ([] unlocks all); answered with locked
+ *   getResults  { }          Answered with results
+ *
+ * Calculator → host:
+ *   ready            { fields, locked }
+ *   results          { inputs, errors, results, locked } with results null
+ *                    while the inputs are invalid
+ *   locked           { fields }
+ *   growthchange     { impliedGrowth, requiredReturn, expectedD1,
+ *                    dividendYield } implied g changed
+ *   validationerror  { errors } the inputs stopped giving a result
+ *   error            { code, message } a request was refused
+ *
+ * Only origins on the allow-list are answered (the page's own origin and
+ * those in the host-origins meta tag); notifications go only to hosts that
+ * completed the handshake.
+ */
+
+import { SCENARIO_FIELDS, pickScenarioInputs } from './defaults.js';
+
+export const PROTOCOL = 'implied-growth';
+export const PROTOCOL_VERSION = 1;
+
+/** Fields a host can set and lock */
+export const HOST_FIELDS = SCENARIO_FIELDS;
+
+/** Request types the calculator answers */
+export const HOST_REQUESTS = ['hello', 'setInputs', 'lockFields', 'getResults'];
+
+/**
+ * Build the origin allow-list
+ * @param {string} content - Origins separated by spaces or commas
+ *   (e.g. the host-origins meta tag)
+ * @param {string} ownOrigin - The calculator's own origin, always allowed
+ * @returns {Set<string>} Allowed origins. Wildcards and opaque ('null')
+ *   origins are never allowed.
+ */
+export function parseAllowedOrigins(content, ownOrigin) {
+  const origins = new Set();
+  [ownOrigin, ...String(content || '').split(/[\s,]+/)].forEach(entry => {
+    if (!entry || entry === '*' || entry === 'null') return;
+    try {
+      origins.add(new URL(entry).origin);
+    } catch (error) {
+      console.warn(`Ignoring host origin "${entry}": not a URL`);
+    }
+  });
+  return origins;
+}
+
+/**
+ * Pick protocol requests out of incoming messages
+ * @param {MessageEvent} event - Message event
+ * @param {Set<string>} allowedOrigins - parseAllowedOrigins result
+ * @returns {Object|null} The message, or null when it is not for this
+ *   protocol or comes from an origin that is not allowed (ignored silently)
+ */
+export function readHostMessage(event, allowedOrigins) {
+  const { data, origin, source } = event;
+  if (!data || typeof data !== 'object' || data.protocol !== PROTOCOL) return null;
+  if (!source || !allowedOrigins.has(origin)) return null;
+  return data;
+}
+
+/**
+ * Check a request before it is handled
+ * @param {Object} message - readHostMessage result
+ * @param {boolean} isKnownHost - Whether the sender completed the handshake
+ * @returns {Object|null} { code, message } refusal, or null when the request
+ *   can be handled
+ */
+export function checkHostRequest(message, isKnownHost) {
+  if (message.version !== PROTOCOL_VERSION) {
+    return {
+      code: 'unsupportedVersion',
+      message: `Protocol version ${message.version} is not supported; use version ${PROTOCOL_VERSION}`
+    };
+  }
+  if (!HOST_REQUESTS.includes(message.type)) {
+    return { code: 'unknownType', message: `Unknown request type: ${message.type}` };
+  }
+  if (message.type !== 'hello' && !isKnownHost) {
+    return { code: 'handshakeRequired', message: 'Send hello before any other request' };
+  }
+  return null;
+}
+
+/**
+ * Check the field list of a lockFields request
+ * @param {*} fields - Requested fields
+ * @returns {{fields: Array<string>, invalid: Array<string>}} Known fields, and
+ *   the entries that are not host fields
+ */
+export function parseLockedFields(fields) {
+  const list = Array.isArray(fields) ? fields : [];
+  return {
+    fields: HOST_FIELDS.filter(field => list.includes(field)),
+    invalid: list.filter(field => !HOST_FIELDS.includes(field)).map(String)
+  };
+}
+
+/**
+ * Wrap a payload as a protocol message
+ * @param {string} type - Message type
+ * @param {Object} payload - Message fields
+ * @param {*} requestId - Id of the request answered, if any
+ * @returns {Object} Message
+ */
+export function createHostMessage(type, payload = {}, requestId = undefined) {
+  return {
+    protocol: PROTOCOL,
+    version: PROTOCOL_VERSION,
+    type,
+    ...(requestId === undefined ? {} : { requestId }),
+    ...payload
+  };
+}
+
+/**
+ * Headline figures of a calculation, as sent to hosts
+ * @param {Object} calculations - calculateGrowthMetrics result
+ * @returns {Object} { impliedGrowth, requiredReturn, marketPrice,
+ *   expectedD1, dividendYield }
+ */
+export function summarizeGrowth(calculations) {
+  const { impliedGrowth, requiredReturn, marketPrice, expectedD1, dividendYield } = calculations;
+  return { impliedGrowth, requiredReturn, marketPrice, expectedD1, dividendYield };
+}
+
+/**
+ * Payload of a results message
+ * @param {Object} state - Application state
+ * @param {Array<string>} locked - Locked fields
+ * @returns {Object} { inputs, errors, results, locked }
+ */
+export function buildResultsPayload(state, locked) {
+  const { growthCalculations, errors } = state;
+  return {
+    inputs: pickScenarioInputs(state),
+    errors: { ...errors },
+    results: growthCalculations
+      ? { ...summarizeGrowth(growthCalculations), model: growthCalculations.model }
+      : null,
+    locked: [...locked]
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Implied Growth Element Module
+ * <implied-growth-calculator>: the implied growth calculator as a custom
+ * element. Each instance mounts the calculator markup in its own Shadow DOM
+ * and runs it with its own store, so several can sit on one page.
+ *
+ * Attributes (each optional; a missing one takes the curriculum default):
+ *   The shareable link parameters (URL_PARAMS in modules/url-state.js), e.g.
+ *   price, dividend, return, growth, model, gs, n, years, view. They are
+ *   checked like a shared link when the element is connected; the inputs
+ *   (price to infl) also follow later changes.
+ *   primary   The page's own calculator (index.html): it is the page's main
+ *             landmark with the skip links, keeps the scenario in the page
+ *             URL and the stored session, answers host pages
+ *             (modules/host-messages.js), takes the undo shortcuts anywhere
+ *             on the page and runs the self-tests. One per page; others are
+ *             labelled regions.
+ *
+ * Properties (read only):
+ *   inputs        Current inputs, including edits made in the element
+ *   calculations  Latest calculateGrowthMetrics result, or null
+ *
+ * Events (bubble out of the shadow root):
+ *   growthchange     Implied g changed. detail: { impliedGrowth,
+ *                    requiredReturn, marketPrice, expectedD1,
+ *                    dividendYield, inputs }
+ *   validationerror  The inputs do not give a result. detail: { errors,
+ *                    inputs } with errors keyed by field
+ *
+ * Example:
+ *   <script type="module" src="modules/implied-growth-element.js"></script>
+ *   <implied-growth-calculator price="100" dividend="5" return="7"></implied-growth-calculator>
+ *
+ * The page loads Chart.js and, for the typeset equations, MathJax (see
+ * index.html).
+ */
+
+import { createCalculator } from '../implied-growth-calculator.js';
+import { calculatorMarkup } from './calculator-markup.js';
+import { DEFAULTS, createInitialState, createStore } from './state.js';
+import { pickScenarioInputs } from './defaults.js';
+import { URL_PARAMS, parseUrlState, validateRestoredState } from './url-state.js';
+import { HOST_FIELDS, summarizeGrowth } from './host-messages.js';
+import { hasErrors } from './validation.js';
+
+export const ELEMENT_NAME = 'implied-growth-calculator';
+
+/** Calculator stylesheets; page styles do not reach into the shadow root */
+const STYLESHEETS = [
+  { href: new URL('../cfa-base.css', import.meta.url).href, media: 'all' },
+  { href: new URL('../implied-growth-specific.css', import.meta.url).href, media: 'all' },
+  { href: new URL('../implied-growth-print.css', import.meta.url).href, media: 'print' }
+];
+
+/** What the page body gives the calculator in cfa-base.css */
+const HOST_STYLES = `
+  :host {
+    display: block;
+    font-family: 'Lato', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+    color: var(--color-gray-800);
+    line-height: 1.5;
+  }
+  :host([hidden]) { display: none; }
+`;
+
+/** Attributes followed after connection: the link parameters of the inputs */
+const INPUT_ATTRIBUTES = HOST_FIELDS.map(field => URL_PARAMS[field].param);
+
+/**
+ * Read link parameters given as attributes
+ * @param {Element} element - Calculator element
+ * @param {Array<string>} names - Attributes to read (default: every link parameter)
+ * @returns {{values: Object, invalid: Array<string>}} parseUrlState result
+ */
+function readAttributes(element, names = Object.values(URL_PARAMS).map(({ param }) => param)) {
+  const params = new URLSearchParams();
+  names.forEach(name => {
+    if (element.hasAttribute(name)) params.set(name, element.getAttribute(name));
+  });
+  return parseUrlState(params.toString());
+}
+
+/**
+ * The custom element. Each instance has its own store (see createStore)
+ * and calculator (see createCalculator), so inputs, results and chart are
+ * independent of the page and each other.
+ */
+export class ImpliedGrowthCalculatorElement extends HTMLElement {
+  static get observedAttributes() {
+    return INPUT_ATTRIBUTES;
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.store = null;
+    this.calculator = null;
+    this.lastGrowth = null;
+    this.lastErrorText = null;
+  }
+
+  /** Current inputs, including edits made in the element */
+  get inputs() {
+    return this.store ? pickScenarioInputs(this.store.state) : null;
+  }
+
+  /** Latest calculation result, or null while the inputs are invalid */
+  get calculations() {
+    return this.store ? this.store.state.growthCalculations : null;
+  }
+
+  connectedCallback() {
+    const primary = this.hasAttribute('primary');
+    let initial;
+    let notice = null;
+
+    if (this.store) {
+      // Moved on the page: carry on where the calculator was
+      initial = { ...this.store.state };
+    } else {
+      const { values, invalid } = readAttributes(this);
+      let updates;
+      ({ updates, notice } = validateRestoredState(values, invalid, DEFAULTS, 'element attributes'));
+      initial = { ...createInitialState(), ...updates };
+    }
+
+    this.store = createStore({ initial, urlSync: primary });
+    this.store.subscribe(state => this.notify(state));
+    this.render(primary);
+    this.calculator = createCalculator({ root: this.shadowRoot, store: this.store, primary, notice });
+  }
+
+  disconnectedCallback() {
+    if (this.calculator) {
+      this.calculator.destroy();
+      this.calculator = null;
+    }
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Attributes present on connection are read by connectedCallback
+    if (!this.calculator || oldValue === newValue) return;
+    const field = HOST_FIELDS.find(candidate => URL_PARAMS[candidate].param === name);
+    const { values } = readAttributes(this, [name]);
+    // A removed or unusable attribute puts the input back to its default
+    this.calculator.applyInputs({ [field]: field in values ? values[field] : DEFAULTS[field] });
+  }
+
+  /**
+   * Mount the stylesheets and the calculator markup in the shadow root
+   * @param {boolean} primary - Whether this is the page's main calculator
+   */
+  render(primary) {
+    const links = STYLESHEETS
+      .map(({ href, media }) => `<link rel="stylesheet" href="${href}" media="${media}">`)
+      .join('');
+    this.shadowRoot.innerHTML = `<style>${HOST_STYLES}</style>${links}${calculatorMarkup({ primary })}`;
+  }
+
+  /**
+   * Emit an event when implied g changes or the inputs stop giving a result
+   * @param {Object} state - Store state
+   */
+  notify({ errors, growthCalculations }) {
+    if (hasErrors(errors)) {
+      this.lastGrowth = null;
+      const errorText = JSON.stringify(errors);
+      if (errorText !== this.lastErrorText) {
+        this.lastErrorText = errorText;
+        this.emit('validationerror', { errors: { ...errors }, inputs: this.inputs });
+      }
+    } else if (growthCalculations) {
+      this.lastErrorText = null;
+      if (!Object.is(growthCalculations.impliedGrowth, this.lastGrowth)) {
+        this.lastGrowth = growthCalculations.impliedGrowth;
+        this.emit('growthchange', { ...summarizeGrowth(growthCalculations), inputs: this.inputs });
+      }
+    }
+  }
+
+  /**
+   * Dispatch an event that crosses the shadow boundary
+   * @param {string} type - Event name
+   * @param {Object} detail - Event detail
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get(ELEMENT_NAME)) {
+  customElements.define(ELEMENT_NAME, ImpliedGrowthCalculatorElement);
+}
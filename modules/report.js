@@ -0,0 +1,236 @@
+/**
+ * Report Module
+ * Builds the printable one-page scenario report: inputs, equations, results,
+ * a static chart and the projection table
+ */
+
+import { createElement, formatCurrency, formatPercentage, formatYears, describePaymentConvention } from './utils.js';
+import { getInputFields, CAPM_FIELDS } from './validation.js';
+import { usesCapm, getPaymentConvention, isAnnualTrailing } from './calculations.js';
+import { createModelInfoBox } from './results.js';
+import { renderChart, MIN_LABELLED_BAR_SLOT } from './chart.js';
+import { chartToSvg } from './chart-export.js';
+
+/** Size the chart is drawn at for print, independent of the viewport */
+const REPORT_CHART_WIDTH = 900;
+const REPORT_CHART_HEIGHT = 380;
+
+/** Input labels and formats for the report */
+const INPUT_LABELS = {
+  marketPrice: { label: 'Market price (PV𝑡)', format: formatCurrency },
+  currentDividend: { label: 'Current dividend (Div𝑡)', format: formatCurrency },
+  requiredReturn: { label: 'Required return (𝑟)', format: (v) => formatPercentage(v) },
+  growthRate: { label: 'Growth rate (𝑔)', format: (v) => formatPercentage(v) },
+  highGrowthRate: { label: 'High growth rate (𝑔S)', format: (v) => formatPercentage(v) },
+  highGrowthYears: { label: 'High-growth years (𝑁)', format: formatYears },
+  horizonYears: { label: 'Projection horizon', format: formatYears },
+  earningsPerShare: { label: 'Next-year EPS (E𝑡+1)', format: formatCurrency },
+  returnOnEquity: { label: 'Return on equity (ROE)', format: (v) => formatPercentage(v) },
+  payoutRatio: { label: 'Payout ratio', format: (v) => formatPercentage(v) },
+  inflationRate: { label: 'Expected inflation (𝜋)', format: (v) => formatPercentage(v) },
+  riskFreeRate: { label: 'Risk-free rate (𝑟f)', format: (v) => formatPercentage(v) },
+  beta: { label: 'Beta (β)', format: (v) => v.toFixed(2) },
+  equityRiskPremium: { label: 'Equity risk premium', format: (v) => formatPercentage(v) },
+  specificRiskPremium: { label: 'Size or specific-risk premium', format: (v) => formatPercentage(v) }
+};
+
+const MODEL_NAMES = {
+  gordon: 'Constant growth',
+  twoStage: 'Two-stage',
+  hModel: 'H-model'
+};
+
+/**
+ * Fill the print report from the current state. The chart is redrawn off
+ * screen at a fixed size, so neither the viewport width nor
+ * the active chart/table view changes what is printed; the caller re-renders
+ * the on-screen chart afterwards.
+ * @param {Object} currentState - Application state
+ * @param {Object} params - Input parameters as displayed
+ * @param {Object} view - createChartView result of the calculator
+ */
+export function buildPrintReport(currentState, params, view) {
+  const { root } = view;
+  const report = root.getElementById('print-report');
+  if (!report) {
+    console.error('Print report container not found');
+    return;
+  }
+
+  report.innerHTML = '';
+
+  const header = createElement('header', { className: 'print-report-header' });
+  header.appendChild(createElement('h1', {}, 'Implied Growth Rate Calculator: Scenario Report'));
+  header.appendChild(createElement('p', { className: 'print-report-meta' },
+    `${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })} · ${window.location.href}`
+  ));
+  report.appendChild(header);
+
+  const calculations = currentState.growthCalculations;
+  if (!calculations) {
+    report.appendChild(createElement('p', {},
+      'The current inputs do not form a valid scenario. Correct the inputs to print a report.'
+    ));
+    return;
+  }
+
+  // Inputs and results side by side, then the equations
+  const summary = createElement('div', { className: 'print-report-summary' });
+  summary.appendChild(createInputsSection(currentState));
+  summary.appendChild(createModelInfoBox(calculations, params, 'print-model-info-heading'));
+  report.appendChild(summary);
+
+  report.appendChild(createEquationsSection(root));
+
+  const chartSection = createElement('section', { className: 'print-report-chart' });
+  chartSection.appendChild(createElement('h2', {}, 'Dividend Growth Projection'));
+  const reconciliation = currentState.valueBasis === 'present' ? calculations.reconciliation : null;
+  const { priceBreakdown } = calculations;
+  const splitPrice = currentState.priceBar === 'pvgo' && priceBreakdown.pvgo >= 0 ? priceBreakdown : null;
+  const sustainableGrowth = calculations.sustainableGrowth ? calculations.sustainableGrowth.sustainableGrowth : null;
+  // Annual history bars only line up with an annual projection
+  const { payments } = calculations;
+  const history = calculations.historicalGrowth && (!payments || payments.perYear === 1)
+    ? currentState.dividendHistory
+    : null;
+  // Present values are the same in real terms, so only the nominal view deflates
+  const real = calculations.inflation && !reconciliation
+    ? { basis: currentState.rateBasis, growthRate: calculations.inflation.realGrowth, inflationRate: calculations.inflation.inflationRate }
+    : null;
+  const svg = captureChart(view, calculations, reconciliation, splitPrice, sustainableGrowth, history, real);
+  if (svg) {
+    const figure = createElement('figure');
+    // Inline markup so the printed chart keeps the page's fonts
+    figure.innerHTML = svg.replace(/^<\?xml[^>]*>\s*/, '');
+    chartSection.appendChild(figure);
+  }
+  report.appendChild(chartSection);
+
+  const table = root.getElementById('cash-flow-table');
+  if (table) {
+    const tableSection = createElement('section', { className: 'print-report-table' });
+    const copy = table.cloneNode(true);
+    copy.removeAttribute('id');
+    tableSection.appendChild(copy);
+    report.appendChild(tableSection);
+  }
+}
+
+/**
+ * Inputs for the active model and solve-for mode
+ * @param {Object} currentState - Application state
+ * @returns {Element} Inputs section
+ */
+function createInputsSection(currentState) {
+  const { solveFor, model } = currentState;
+  const section = createElement('section', { className: 'result-box print-report-inputs' });
+  section.appendChild(createElement('h5', { className: 'result-title' }, 'Inputs'));
+
+  const list = createElement('ul', { className: 'model-info-list' });
+  // Optional inputs left blank are not listed; the CAPM components are
+  // inputs while the builder sets r
+  const fields = [...getInputFields(solveFor, model), ...(usesCapm(currentState) ? CAPM_FIELDS : [])]
+    .filter(field => currentState[field] != null);
+  const convention = getPaymentConvention(currentState);
+  const rows = [
+    ['Model', MODEL_NAMES[model] || MODEL_NAMES.gordon],
+    ...(isAnnualTrailing(convention) ? [] : [['Dividend payments', describePaymentConvention(convention)]]),
+    ...fields.map(field => {
+      const { label, format } = INPUT_LABELS[field];
+      let displayLabel = label;
+      if (field === 'highGrowthYears' && model === 'hModel') {
+        displayLabel = 'Growth decline years (2𝐻)';
+      } else if (field === 'currentDividend' && convention.timing === 'forward') {
+        displayLabel = 'Next dividend (Div𝑡+1)';
+      }
+      return [displayLabel, format(currentState[field])];
+    })
+  ];
+  rows.forEach(([label, value]) => {
+    const item = createElement('li');
+    item.appendChild(createElement('strong', {}, `${label}:`));
+    item.appendChild(document.createTextNode(` ${value}`));
+    list.appendChild(item);
+  });
+  section.appendChild(list);
+
+  return section;
+}
+
+/**
+ * Copy the two typeset equations from the equation card
+ * @param {Document|ShadowRoot} root - Calculator the equations are copied from
+ * @returns {Element} Equations section
+ */
+function createEquationsSection(root) {
+  const section = createElement('section', { className: 'print-report-equations' });
+  const title = root.getElementById('equation-card-title');
+  section.appendChild(createElement('h2', {}, title ? title.textContent : 'Equation'));
+
+  [
+    ['dynamic-equation', null],
+    ['dynamic-solved-equation', 'solved-equation-intro'],
+    ['dynamic-capm-equation', 'capm-equation-intro'],
+    ['dynamic-payment-equation', 'payment-equation-intro']
+  ].forEach(([equationId, introId]) => {
+    // The CAPM and payment lines are hidden unless they apply
+    const equation = root.getElementById(equationId);
+    if (!equation || equation.closest('[hidden]')) return;
+    
+    const intro = introId && root.getElementById(introId);
+    if (intro) {
+      const introCopy = intro.cloneNode(true);
+      introCopy.removeAttribute('id');
+      section.appendChild(introCopy);
+    }
+
+    const copy = equation.cloneNode(true);
+    copy.removeAttribute('id');
+    // MathJax output carries ids of its own; the copy must not repeat them
+    copy.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+    copy.style.visibility = 'visible';
+    const container = createElement('div', { className: 'equation-container' });
+    container.appendChild(copy);
+    section.appendChild(container);
+  });
+
+  return section;
+}
+
+/**
+ * Draw the chart off screen at the report size and capture it as SVG
+ * @param {Object} view - createChartView result
+ * @param {Object} calculations - Growth calculations
+ * @param {Object|null} reconciliation - Draw the present-value chart when given
+ * @param {Object|null} priceBreakdown - Split the year-0 bar into PVGO when given
+ * @param {number|null} sustainableGrowth - b × ROE to mark on the growth axis
+ * @param {Array<Object>|null} history - Annual dividends paid, drawn before year 0
+ * @param {Object|null} real - Nominal or constant-dollar bars with inflation (see renderChart)
+ * @returns {string|null} SVG markup
+ */
+function captureChart(view, calculations, reconciliation, priceBreakdown, sustainableGrowth, history, real) {
+  const container = view.root.getElementById('chart-container');
+  if (!container) return null;
+
+  const savedStyle = container.getAttribute('style');
+  container.style.cssText =
+    `display: block; position: absolute; left: -10000px; top: 0; ` +
+    `width: ${REPORT_CHART_WIDTH}px; height: ${REPORT_CHART_HEIGHT}px; min-height: 0; margin: 0;`;
+
+  // Bar totals only when every year has room for one at the report width
+  const { cashFlows } = calculations;
+  const years = cashFlows.length + (history ? history.length : 0);
+  const showLabels = years * MIN_LABELLED_BAR_SLOT <= REPORT_CHART_WIDTH;
+  renderChart(view, cashFlows, showLabels, calculations.impliedGrowth, [], reconciliation, priceBreakdown, sustainableGrowth, history, real);
+  const svg = chartToSvg(view, reconciliation
+    ? 'Dividend growth projection: initial investment, present values of the projected dividends and terminal value, and cumulative present value'
+    : 'Dividend growth projection: initial investment and projected dividends, with the growth rate on the right axis');
+
+  if (savedStyle === null) {
+    container.removeAttribute('style');
+  } else {
+    container.setAttribute('style', savedStyle);
+  }
+
+  return svg;
+}
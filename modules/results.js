@@ -3,15 +3,39 @@
  * Renders implied growth rate and analysis results
  */
 
-import { formatCurrency, formatPercentage, createElement } from './utils.js';
+import { formatCurrency, formatPercentage, createElement, applyTableRoles, describePaymentConvention } from './utils.js';
+import { createSensitivityTable, PRICE_STEPS, RETURN_STEPS } from './sensitivity.js';
+import { ROLLING_GROWTH_YEARS } from './calculations.js';
+
+/** Headline result for each solve-for mode */
+const SOLVE_FOR_HEADLINES = {
+  growth: { title: 'Implied Growth Rate', format: (c) => formatPercentage(c.impliedGrowth) },
+  return: { title: 'Implied Required Return', format: (c) => formatPercentage(c.requiredReturn) },
+  price: { title: 'Implied Market Price', format: (c) => formatCurrency(c.marketPrice) }
+};
+
+/** Headline result in real terms, when an inflation rate is entered */
+const REAL_HEADLINES = {
+  growth: { title: 'Implied Real Growth Rate', format: (c) => formatPercentage(c.inflation.realGrowth) },
+  return: { title: 'Implied Real Required Return', format: (c) => formatPercentage(c.inflation.realReturn) }
+};
+
+/** Model info box title for each dividend discount model */
+const MODEL_TITLES = {
+  gordon: 'Constant Dividend Growth Model',
+  twoStage: 'Two-Stage Dividend Discount Model',
+  hModel: 'H-Model'
+};
 
 /**
  * Render results and analysis section
  * @param {Object} calculations - Growth calculations
  * @param {Object} params - Input parameters
+ * @param {Array} comparisons - Scenarios to show side by side instead (see buildComparisons)
+ * @param {Document|ShadowRoot} root - Calculator to render into
  */
-export function renderResults(calculations, params) {
-  const container = document.getElementById('results-content');
+export function renderResults(calculations, params, comparisons = [], root = document) {
+  const container = root.getElementById('results-content');
   
   if (!container) {
     console.error('Results container not found');
@@ -21,32 +45,143 @@ export function renderResults(calculations, params) {
   // Clear existing content
   container.innerHTML = '';
   
+  if (comparisons.length > 0) {
+    container.appendChild(createComparisonBox(comparisons));
+    return;
+  }
+  
   // Create growth rate box
-  const growthBox = createGrowthRateBox(calculations);
+  const growthBox = createGrowthRateBox(calculations, params.rateBasis);
   container.appendChild(growthBox);
   
   // Create model info box
   const infoBox = createModelInfoBox(calculations, params);
   container.appendChild(infoBox);
+  
+  // Create real versus nominal box
+  if (calculations.inflation) {
+    container.appendChild(createRealRatesBox(calculations));
+  }
+  
+  // Create PVGO breakdown box
+  if (calculations.priceBreakdown) {
+    container.appendChild(createPriceBreakdownBox(calculations));
+  }
+  
+  // Create sustainable growth cross-check box
+  if (calculations.sustainableGrowth) {
+    container.appendChild(createSustainableGrowthBox(calculations));
+  }
+  
+  // Create realized growth box
+  if (calculations.historicalGrowth) {
+    container.appendChild(createHistoricalGrowthBox(calculations));
+  }
+  
+  // Create price reconciliation box
+  if (calculations.reconciliation) {
+    container.appendChild(createReconciliationBox(calculations));
+  }
+  
+  // Create sensitivity grid box; the grid is filled in by
+  // renderSensitivityTable once the calculation service has built it
+  const sensitivityBox = createSensitivityBox(calculations);
+  container.appendChild(sensitivityBox);
+}
+
+/**
+ * Note shown with the sensitivity grid when the active model is not the
+ * constant growth model the grid is computed with
+ * @param {Object} calculations - Growth calculations
+ * @returns {string} Note, or '' for the constant growth model
+ */
+export function getSensitivityNote(calculations) {
+  return isMultiStage(calculations)
+    ? 'The grid uses the constant growth model, so its values differ from the multi-stage result above.'
+    : '';
+}
+
+/**
+ * Create the two-way sensitivity box (market price across, required return down)
+ * @param {Object} calculations - Growth calculations
+ * @returns {Element} Sensitivity box element, with the grid still to come
+ */
+function createSensitivityBox(calculations) {
+  const box = createElement('div', { className: 'result-box model-info' });
+  
+  const title = createElement('h5', { className: 'result-title model-info', id: 'sensitivity-heading' },
+    'Sensitivity of Implied Growth'
+  );
+  box.appendChild(title);
+  
+  const priceSpan = Math.max(...PRICE_STEPS);
+  const returnSpan = Math.max(...RETURN_STEPS);
+  const note = getSensitivityNote(calculations);
+  const description = createElement('p', { className: 'sensitivity-description' },
+    `Implied growth (𝑔) for market prices within ±${priceSpan}% and required returns within ` +
+    `±${returnSpan} percentage points of the current inputs (outlined). Flagged cells fail the ` +
+    `model's conditions (𝑔 < 0 or 𝑔 ≥ 𝑟).${note ? ` ${note}` : ''}`
+  );
+  box.appendChild(description);
+  
+  const wrapper = createElement('div', {
+    className: 'table-wrapper sensitivity-table-wrapper',
+    id: 'sensitivity-table-wrapper',
+    role: 'region',
+    'aria-labelledby': 'sensitivity-heading',
+    'aria-busy': 'true',
+    tabindex: '0'
+  });
+  wrapper.appendChild(createElement('p', { className: 'sensitivity-description' }, 'Building the grid…'));
+  box.appendChild(wrapper);
+  
+  return box;
 }
 
 /**
- * Create implied growth rate display box
+ * Fill the sensitivity box of the results with a built grid
+ * @param {Object} grid - buildSensitivityGrid result
+ * @param {string} note - Extra caption text (see getSensitivityNote)
+ * @param {Document|ShadowRoot} root - Calculator to render into
+ */
+export function renderSensitivityTable(grid, note = '', root = document) {
+  const wrapper = root.getElementById('sensitivity-table-wrapper');
+  if (!wrapper) return;
+  
+  wrapper.innerHTML = '';
+  wrapper.appendChild(createSensitivityTable(grid, { note }));
+  wrapper.removeAttribute('aria-busy');
+}
+
+/**
+ * Create headline result box for the solved unknown
  * @param {Object} calculations - Growth calculations
+ * @param {string} rateBasis - 'nominal', or 'real' to show a solved rate in
+ *   real terms when an inflation rate is entered
  * @returns {Element} Growth rate box element
  */
-function createGrowthRateBox(calculations) {
+function createGrowthRateBox(calculations, rateBasis = 'nominal') {
+  const solveFor = isMultiStage(calculations) ? 'growth' : calculations.solveFor;
+  const realHeadline = calculations.inflation && rateBasis === 'real' ? REAL_HEADLINES[solveFor] : null;
+  let headline = SOLVE_FOR_HEADLINES[solveFor] || SOLVE_FOR_HEADLINES.growth;
+  if (realHeadline) {
+    headline = isMultiStage(calculations)
+      ? { ...realHeadline, title: 'Implied Real Long-Run Growth Rate' }
+      : realHeadline;
+  } else if (isMultiStage(calculations)) {
+    headline = { title: 'Implied Long-Run Growth Rate', format: (c) => formatPercentage(c.impliedGrowth) };
+  }
   const box = createElement('div', { className: 'result-box growth-rate' });
   
   const title = createElement('h5', { className: 'result-title growth-rate' }, 
-    'Implied Growth Rate'
+    headline.title
   );
   box.appendChild(title);
   
   const valueContainer = createElement('div', { className: 'result-value' });
   
-  // Growth rate value - announcement handled by equation module
-  const growthValue = createElement('div', {}, formatPercentage(calculations.impliedGrowth));
+  // Solved value - announcement handled by equation module
+  const growthValue = createElement('div', {}, headline.format(calculations));
   valueContainer.appendChild(growthValue);
   
   box.appendChild(valueContainer);
@@ -58,24 +193,25 @@ function createGrowthRateBox(calculations) {
  * Create model information box
  * @param {Object} calculations - Growth calculations
  * @param {Object} params - Input parameters
+ * @param {string} headingId - Id for the box title (the print report renders a second copy)
  * @returns {Element} Model info box element
  */
-function createModelInfoBox(calculations, params) {
+export function createModelInfoBox(calculations, params, headingId = 'model-info-heading') {
   const box = createElement('div', { className: 'result-box model-info' });
   
   const title = createElement('h5', { className: 'result-title model-info' }, 
-    'Constant Dividend Growth Model'
+    MODEL_TITLES[calculations.model] || MODEL_TITLES.gordon
   );
   box.appendChild(title);
   
   const content = createElement('div', { 
     className: 'analysis-content',
     'role': 'region',
-    'aria-labelledby': 'model-info-heading'
+    'aria-labelledby': headingId
   });
   
   // Add ID to title for aria-labelledby
-  title.id = 'model-info-heading';
+  title.id = headingId;
   
   // Description
   const description = createElement('p', { 
@@ -87,21 +223,477 @@ function createModelInfoBox(calculations, params) {
   // Model details list (removed dividend yield line)
   const list = createElement('ul', { className: 'model-info-list' });
   
+  const { solveFor = 'growth' } = calculations;
   const items = [
-    { label: 'Required return (<i>r</i>)', value: formatPercentage(params.requiredReturn) },
-    { label: 'Implied growth (<i>g</i>)', value: formatPercentage(calculations.impliedGrowth) },
-    { label: 'Expected next dividend (<span style="color: #3c6ae5;">Div</span><sub style="color: var(--color-gray-700);"><i>t</i>+1</sub>)', value: formatCurrency(calculations.expectedD1) }
+    { label: 'Market price (<span style="color: #b95b1d;">PV</span><sub style="color: var(--color-gray-700);"><i>t</i></sub>)', value: formatCurrency(params.marketPrice) },
+    ...(calculations.capm ? capmItems(calculations.capm) : []),
+    { label: calculations.capm ? 'Required return (<i>r</i>), CAPM' : 'Required return (<i>r</i>)', value: formatPercentage(params.requiredReturn) },
+    ...(isMultiStage(calculations)
+      ? [
+        { label: 'High growth rate (<i>g</i><sub>S</sub>)', value: formatPercentage(calculations.highGrowthRate) },
+        calculations.model === 'hModel'
+          ? { label: 'Growth decline period (2<i>H</i>)', value: `${calculations.highGrowthYears} years` }
+          : { label: 'High-growth period (<i>N</i>)', value: `${calculations.highGrowthYears} years` },
+        { label: 'Implied long-run growth (<i>g</i><sub>L</sub>)', value: formatPercentage(calculations.impliedGrowth) }
+      ]
+      : [
+        { label: solveFor === 'growth' ? 'Implied growth (<i>g</i>)' : 'Growth rate (<i>g</i>)', value: formatPercentage(calculations.impliedGrowth) }
+      ]),
+    { label: 'Expected next dividend (<span style="color: #3c6ae5;">Div</span><sub style="color: var(--color-gray-700);"><i>t</i>+1</sub>)' +
+      (calculations.payments && calculations.payments.perYear > 1 ? ', annual rate' : ''), value: formatCurrency(calculations.expectedD1) },
+    ...(calculations.payments ? paymentItems(calculations.payments) : [])
+  ];
+  
+  items.forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    list.appendChild(li);
+  });
+  
+  content.appendChild(list);
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Model info rows for the CAPM components behind r
+ * @param {Object} capm - calculateCapmReturn result
+ * @returns {Array<Object>} { label, value } rows
+ */
+function capmItems({ riskFreeRate, beta, equityRiskPremium, specificRiskPremium, systematicPremium }) {
+  return [
+    { label: 'Risk-free rate (<i>r</i><sub>f</sub>)', value: formatPercentage(riskFreeRate) },
+    { label: 'Beta × equity risk premium (β × ERP)', value: `${beta.toFixed(2)} × ${formatPercentage(equityRiskPremium)} = ${formatPercentage(systematicPremium)}` },
+    ...(specificRiskPremium
+      ? [{ label: 'Size or specific-risk premium', value: formatPercentage(specificRiskPremium) }]
+      : [])
+  ];
+}
+
+/**
+ * Model info rows for the payment convention, with the per-payment figures
+ * the model ran on when dividends are paid more than once a year
+ * @param {Object} payments - calculateGrowthMetrics payments
+ * @returns {Array<Object>} { label, value } rows
+ */
+function paymentItems(payments) {
+  const { perYear, requiredReturn, impliedGrowth, nextDividend } = payments;
+  return [
+    { label: 'Dividend payments', value: describePaymentConvention(payments) },
+    ...(perYear > 1
+      ? [
+        { label: 'Required return per payment', value: formatPercentage(requiredReturn) },
+        { label: 'Growth per payment', value: formatPercentage(impliedGrowth) },
+        { label: 'Next dividend payment', value: formatCurrency(nextDividend) }
+      ]
+      : [])
   ];
+}
+
+/**
+ * Create the real versus nominal box: implied growth and the required
+ * return restated in real terms with the Fisher relation
+ * @param {Object} calculations - Growth calculations with inflation
+ * @returns {Element} Real rates box element
+ */
+function createRealRatesBox(calculations) {
+  const { inflationRate, realGrowth, realReturn, realHighGrowthRate } = calculations.inflation;
+  const box = createElement('div', { className: 'result-box model-info' });
   
+  const title = createElement('h5', { className: 'result-title model-info', id: 'real-rates-heading' },
+    'Real Versus Nominal Growth'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', {
+    className: 'analysis-content',
+    role: 'region',
+    'aria-labelledby': 'real-rates-heading'
+  });
+  
+  const description = createElement('p', { className: 'reconciliation-description' });
+  description.innerHTML = `At ${formatPercentage(inflationRate)} expected inflation (<i>π</i>), each rate is restated with the ` +
+    'Fisher relation, 1 + real rate = (1 + nominal rate) / (1 + <i>π</i>):';
+  content.appendChild(description);
+  
+  const growthSymbol = isMultiStage(calculations) ? '<i>g</i><sub>L</sub>' : '<i>g</i>';
+  const growthName = isMultiStage(calculations) ? 'long-run growth' : calculations.solveFor === 'growth' ? 'implied growth' : 'growth';
+  const list = createElement('ul', { className: 'model-info-list reconciliation-list' });
+  const items = [
+    { label: `Nominal ${growthName} (${growthSymbol})`, value: formatPercentage(calculations.impliedGrowth) },
+    { label: `Real ${growthName}`, value: formatPercentage(realGrowth) },
+    ...(realHighGrowthRate !== null
+      ? [{ label: 'Real high growth rate (<i>g</i><sub>S</sub>)', value: formatPercentage(realHighGrowthRate) }]
+      : []),
+    { label: 'Nominal required return (<i>r</i>)', value: formatPercentage(calculations.requiredReturn) },
+    { label: 'Real required return', value: formatPercentage(realReturn) }
+  ];
   items.forEach(item => {
     const li = createElement('li');
     li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
     list.appendChild(li);
   });
+  content.appendChild(list);
+  
+  const note = realGrowth < 0
+    ? 'The market price implies dividends that fall in real terms: they grow more slowly than inflation.'
+    : 'The market price implies dividends that keep pace with inflation.';
+  content.appendChild(createElement('p', { className: 'reconciliation-note' }, note));
+  
+  box.appendChild(content);
+  return box;
+}
+
+/**
+ * Create the PVGO breakdown box: the market price as the no-growth value
+ * plus the present value of growth opportunities, with the implied P/E and
+ * justified dividend yield
+ * @param {Object} calculations - Growth calculations with a priceBreakdown
+ * @returns {Element} Price breakdown box element
+ */
+function createPriceBreakdownBox(calculations) {
+  const { basis, noGrowthValue, pvgo, pvgoShare, impliedPE, dividendYield } = calculations.priceBreakdown;
+  const hasEarnings = basis === 'earnings';
+  const box = createElement('div', { className: 'result-box model-info' });
+  
+  const title = createElement('h5', { className: 'result-title model-info', id: 'price-breakdown-heading' },
+    'Growth Opportunities (PVGO)'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', {
+    className: 'analysis-content',
+    role: 'region',
+    'aria-labelledby': 'price-breakdown-heading'
+  });
+  
+  const priceLabel = '<span style="color: #b95b1d;">PV</span><sub style="color: var(--color-gray-700);"><i>t</i></sub>';
+  const noGrowthLabel = hasEarnings
+    ? '<i>E</i><sub><i>t</i>+1</sub>/<i>r</i>'
+    : '<span style="color: #3c6ae5;">Div</span><sub style="color: var(--color-gray-700);"><i>t</i>+1</sub>/<i>r</i>';
+  const description = createElement('p', { className: 'reconciliation-description' });
+  description.innerHTML = hasEarnings
+    ? `With no growth the firm would pay out next year's earnings forever, worth ${noGrowthLabel}. ` +
+      `The rest of the market price is what investors pay for growth (PVGO):`
+    : `Without earnings per share, the next dividend paid forever (${noGrowthLabel}) stands in for the no-growth value; ` +
+      `the rest of the market price is PVGO:`;
+  content.appendChild(description);
+  
+  const list = createElement('ul', { className: 'model-info-list reconciliation-list' });
+  const items = [
+    { label: `No-growth value (${noGrowthLabel})`, value: formatCurrency(noGrowthValue) },
+    { label: 'Present value of growth opportunities (PVGO)', value: formatCurrency(pvgo) },
+    { label: `Market price (${priceLabel})`, value: formatCurrency(calculations.marketPrice), className: 'reconciliation-total' },
+    { label: 'PVGO share of price', value: formatPercentage(pvgoShare) },
+    ...(hasEarnings
+      ? [{ label: `Implied P/E (${priceLabel}/<i>E</i><sub><i>t</i>+1</sub>)`, value: `${impliedPE.toFixed(2)}×` }]
+      : []),
+    { label: `Justified dividend yield (<span style="color: #3c6ae5;">Div</span><sub style="color: var(--color-gray-700);"><i>t</i>+1</sub>/${priceLabel})`, value: formatPercentage(dividendYield) }
+  ];
+  items.forEach(item => {
+    const li = createElement('li', item.className ? { className: item.className } : {});
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    list.appendChild(li);
+  });
+  content.appendChild(list);
+  
+  if (pvgo < 0) {
+    content.appendChild(createElement('p', { className: 'reconciliation-note' },
+      'PVGO is negative: the market price is below the no-growth value, so the expected growth destroys value at this required return.'
+    ));
+  }
+  
+  if (!hasEarnings) {
+    content.appendChild(createElement('p', { className: 'reconciliation-note' },
+      'Enter next-year earnings per share for the earnings-based split and the implied P/E.'
+    ));
+  }
+  
+  box.appendChild(content);
+  return box;
+}
+
+/**
+ * Create the sustainable growth cross-check: fundamental growth b × ROE
+ * against the growth implied by the market price
+ * @param {Object} calculations - Growth calculations with sustainableGrowth
+ * @returns {Element} Sustainable growth box element
+ */
+function createSustainableGrowthBox(calculations) {
+  const { returnOnEquity, payoutRatio, payoutSource, retentionRatio, sustainableGrowth, gap } = calculations.sustainableGrowth;
+  const box = createElement('div', { className: 'result-box model-info' });
+  
+  const title = createElement('h5', { className: 'result-title model-info', id: 'sustainable-growth-heading' },
+    'Sustainable Growth Cross-Check'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', {
+    className: 'analysis-content',
+    role: 'region',
+    'aria-labelledby': 'sustainable-growth-heading'
+  });
+  
+  const description = createElement('p', { className: 'reconciliation-description' });
+  description.innerHTML = 'A firm that reinvests the retained share of its earnings at its return on equity can grow ' +
+    'dividends at <i>g</i> = <i>b</i> × ROE without outside financing:';
+  content.appendChild(description);
+  
+  const impliedLabel = isMultiStage(calculations)
+    ? 'Implied long-run growth (<i>g</i><sub>L</sub>)'
+    : calculations.solveFor === 'growth' ? 'Implied growth (<i>g</i>)' : 'Growth rate (<i>g</i>)';
+  const payoutLabel = payoutSource === 'earnings'
+    ? 'Payout ratio (<span style="color: #3c6ae5;">Div</span><sub style="color: var(--color-gray-700);"><i>t</i>+1</sub>/<i>E</i><sub><i>t</i>+1</sub>)'
+    : 'Payout ratio';
+  const list = createElement('ul', { className: 'model-info-list reconciliation-list' });
+  const items = [
+    { label: 'Return on equity (ROE)', value: formatPercentage(returnOnEquity) },
+    { label: payoutLabel, value: formatPercentage(payoutRatio) },
+    { label: 'Retention ratio (<i>b</i>)', value: formatPercentage(retentionRatio) },
+    { label: 'Sustainable growth (<i>b</i> × ROE)', value: formatPercentage(sustainableGrowth) },
+    { label: impliedLabel, value: formatPercentage(calculations.impliedGrowth) },
+    { label: 'Implied minus sustainable', value: formatPercentagePoints(gap), className: 'reconciliation-total' }
+  ];
+  items.forEach(item => {
+    const li = createElement('li', item.className ? { className: item.className } : {});
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    list.appendChild(li);
+  });
+  content.appendChild(list);
+  
+  let note = 'The growth implied by the market price matches what the firm can fund from its own earnings.';
+  if (gap >= 0.005) {
+    note = `The market price implies ${formatPercentagePoints(gap, false)} more growth than reinvestment at this ROE can fund, ` +
+      'so it relies on a higher ROE, more retention or outside financing.';
+  } else if (gap <= -0.005) {
+    note = `The firm's fundamentals support ${formatPercentagePoints(gap, false)} more growth than the market price implies.`;
+  }
+  content.appendChild(createElement('p', { className: 'reconciliation-note' }, note));
+  
+  box.appendChild(content);
+  return box;
+}
+
+/**
+ * Create the realized growth box: growth fitted to the dividend history
+ * next to the growth the market price implies
+ * @param {Object} calculations - Growth calculations with historicalGrowth
+ * @returns {Element} Historical growth box element
+ */
+function createHistoricalGrowthBox(calculations) {
+  const { firstYear, lastYear, cagr, regressionGrowth, rSquared, rolling, gap } = calculations.historicalGrowth;
+  const box = createElement('div', { className: 'result-box model-info' });
+  
+  const title = createElement('h5', { className: 'result-title model-info', id: 'historical-growth-heading' },
+    'Realized Dividend Growth'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', {
+    className: 'analysis-content',
+    role: 'region',
+    'aria-labelledby': 'historical-growth-heading'
+  });
+  
+  content.appendChild(createElement('p', { className: 'reconciliation-description' },
+    `Growth of the annual dividends paid from ${firstYear} to ${lastYear}, against the growth the market price implies:`
+  ));
+  
+  const rate = (value) => (value === null ? 'n/a (needs positive dividends)' : formatPercentage(value));
+  const impliedLabel = isMultiStage(calculations)
+    ? 'Implied long-run growth (<i>g</i><sub>L</sub>)'
+    : calculations.solveFor === 'growth' ? 'Implied growth (<i>g</i>)' : 'Growth rate (<i>g</i>)';
+  const latest = rolling.length > 0 ? rolling[rolling.length - 1] : null;
+  const list = createElement('ul', { className: 'model-info-list reconciliation-list' });
+  const items = [
+    { label: `Compound annual growth (CAGR), ${firstYear}–${lastYear}`, value: rate(cagr) },
+    {
+      label: 'Log-linear regression growth',
+      value: regressionGrowth === null ? rate(null) : `${formatPercentage(regressionGrowth)} (<i>R</i><sup>2</sup> = ${rSquared.toFixed(2)})`
+    },
+    ...(latest
+      ? [{ label: `Latest ${ROLLING_GROWTH_YEARS}-year rolling growth, ${latest.startYear}–${latest.endYear}`, value: rate(latest.growth) }]
+      : []),
+    { label: impliedLabel, value: formatPercentage(calculations.impliedGrowth) },
+    ...(gap !== null
+      ? [{ label: 'Implied minus CAGR', value: formatPercentagePoints(gap), className: 'reconciliation-total' }]
+      : [])
+  ];
+  items.forEach(item => {
+    const li = createElement('li', item.className ? { className: item.className } : {});
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    list.appendChild(li);
+  });
+  content.appendChild(list);
+  
+  // Every rolling window, oldest first, when there is more than one
+  if (rolling.length > 1) {
+    content.appendChild(createElement('p', { className: 'reconciliation-note' },
+      `${ROLLING_GROWTH_YEARS}-year rolling growth: ` +
+      rolling.map(({ endYear, growth }) => `${endYear} ${growth === null ? 'n/a' : formatPercentage(growth)}`).join(', ')
+    ));
+  }
+  
+  if (gap !== null) {
+    let note = 'The market price implies the same growth the dividend has delivered.';
+    if (gap >= 0.005) {
+      note = `The market price implies ${formatPercentagePoints(gap, false)} a year more growth than the dividend has delivered.`;
+    } else if (gap <= -0.005) {
+      note = `The market price implies ${formatPercentagePoints(gap, false)} a year less growth than the dividend has delivered.`;
+    }
+    content.appendChild(createElement('p', { className: 'reconciliation-note' }, note));
+  }
+  
+  box.appendChild(content);
+  return box;
+}
+
+/**
+ * Format a difference between two rates in percentage points
+ * @param {number} value - Difference (percentage points)
+ * @param {boolean} signed - Prefix + or − (unsigned shows the magnitude)
+ * @returns {string} e.g. '+1.25 pp'
+ */
+function formatPercentagePoints(value, signed = true) {
+  const magnitude = `${Math.abs(value).toFixed(2)} pp`;
+  if (!signed || Math.abs(value) < 0.005) return magnitude;
+  return `${value > 0 ? '+' : '−'}${magnitude}`;
+}
+
+/**
+ * Create the price reconciliation box: PV of the projected dividends plus
+ * PV of the terminal value, against the market price
+ * @param {Object} calculations - Growth calculations with a reconciliation
+ * @returns {Element} Reconciliation box element
+ */
+function createReconciliationBox(calculations) {
+  const { horizon, pvDividends, terminalValue, pvTerminalValue, total, marketPrice, difference } = calculations.reconciliation;
+  const box = createElement('div', { className: 'result-box model-info' });
+  
+  const title = createElement('h5', { className: 'result-title model-info', id: 'reconciliation-heading' },
+    'Price Reconciliation'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', {
+    className: 'analysis-content',
+    role: 'region',
+    'aria-labelledby': 'reconciliation-heading'
+  });
+  
+  const growthLabel = isMultiStage(calculations) ? '<i>g</i><sub>L</sub>' : '<i>g</i>';
+  const description = createElement('p', { className: 'reconciliation-description' });
+  description.innerHTML = `Discounting each projected dividend at <i>r</i> and valuing the dividends after year ${horizon} ` +
+    `with the constant growth model at ${growthLabel} (the terminal value) recovers the market price:`;
+  content.appendChild(description);
   
+  const list = createElement('ul', { className: 'model-info-list reconciliation-list' });
+  const items = [
+    { label: `Present value of dividends, years 1–${horizon}`, value: formatCurrency(pvDividends) },
+    { label: `Terminal value at year ${horizon} (TV<sub>${horizon}</sub>)`, value: formatCurrency(terminalValue) },
+    { label: `Present value of terminal value`, value: formatCurrency(pvTerminalValue) },
+    { label: 'Sum of present values', value: formatCurrency(total), className: 'reconciliation-total' },
+    { label: 'Market price (<span style="color: #b95b1d;">PV</span><sub style="color: var(--color-gray-700);"><i>t</i></sub>)', value: formatCurrency(marketPrice) }
+  ];
+  items.forEach(item => {
+    const li = createElement('li', item.className ? { className: item.className } : {});
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    list.appendChild(li);
+  });
   content.appendChild(list);
   
+  // The H-model price is a closed-form approximation of its growth path
+  if (calculations.model === 'hModel' && Math.abs(difference) >= 0.005) {
+    content.appendChild(createElement('p', { className: 'reconciliation-note' },
+      `The H-model price approximates the value of its declining growth path, so the discounted dividends ` +
+      `come to ${formatCurrency(Math.abs(difference))} ${difference > 0 ? 'more' : 'less'} than the market price.`
+    ));
+  }
+  
   box.appendChild(content);
+  return box;
+}
+
+/**
+ * Check whether the calculations come from a multi-stage model
+ * @param {Object} calculations - Growth calculations
+ * @returns {boolean} True for two-stage and H-model
+ */
+function isMultiStage(calculations) {
+  return calculations.model === 'twoStage' || calculations.model === 'hModel';
+}
+
+/**
+ * Create side-by-side results for the compared scenarios
+ * @param {Array} comparisons - { name, inputs, calculations, errors }
+ * @returns {Element} Comparison box element
+ */
+function createComparisonBox(comparisons) {
+  const box = createElement('div', { className: 'result-box model-info' });
+  
+  const title = createElement('h5', { className: 'result-title model-info', id: 'comparison-heading' },
+    'Scenario Comparison'
+  );
+  box.appendChild(title);
+  
+  const wrapper = createElement('div', {
+    className: 'table-wrapper comparison-table-wrapper',
+    role: 'region',
+    'aria-labelledby': 'comparison-heading',
+    tabindex: '0'
+  });
+  const table = createElement('table', { className: 'data-table comparison-table' });
+  
+  const caption = createElement('caption', { className: 'sr-only' },
+    `Results for ${comparisons.length} saved scenarios, one column per scenario.`
+  );
+  table.appendChild(caption);
+  
+  const thead = createElement('thead');
+  const headRow = createElement('tr');
+  headRow.appendChild(createElement('th', { scope: 'col', className: 'text-left' }, 'Measure'));
+  comparisons.forEach(({ name }) => {
+    headRow.appendChild(createElement('th', { scope: 'col', className: 'text-right' }, name));
+  });
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+  
+  const rows = [
+    { label: 'Model', value: (c) => MODEL_TITLES[c.calculations.model] || MODEL_TITLES.gordon },
+    { label: 'Market price (PV𝑡)', value: (c) => formatCurrency(c.calculations.marketPrice) },
+    { label: 'Current dividend (Div𝑡)', value: (c) => formatCurrency(c.inputs.currentDividend) },
+    { label: 'Required return (𝑟)', value: (c) => formatPercentage(c.calculations.requiredReturn) },
+    { label: 'Growth rate (𝑔)', value: (c) => formatPercentage(c.calculations.impliedGrowth) },
+    { label: 'Expected next dividend (Div𝑡+1)', value: (c) => formatCurrency(c.calculations.expectedD1) },
+    { label: 'Dividend yield', value: (c) => formatPercentage(c.calculations.dividendYield) }
+  ];
+  
+  const tbody = createElement('tbody');
+  rows.forEach(({ label, value }, rowIndex) => {
+    const tr = createElement('tr');
+    tr.appendChild(createElement('th', { scope: 'row', className: 'text-left' }, label));
+    comparisons.forEach(comparison => {
+      const cell = createElement('td', { className: 'text-right', 'data-label': comparison.name });
+      if (comparison.calculations) {
+        cell.textContent = value(comparison);
+      } else if (rowIndex === 0) {
+        // Invalid scenarios show their first error once, in the top row
+        cell.textContent = Object.values(comparison.errors)[0];
+        cell.className = 'text-right table-var-red';
+      } else {
+        cell.textContent = '—';
+      }
+      tr.appendChild(cell);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  
+  wrapper.appendChild(table);
+  applyTableRoles(table);
+  box.appendChild(wrapper);
   
   return box;
 }
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Scenario Panel Module
+ * Renders the saved scenario list with its load/rename/duplicate/delete
+ * actions and compare checkboxes
+ */
+
+import { createElement, formatCurrency, formatPercentage } from './utils.js';
+import { MAX_COMPARED } from './scenarios.js';
+
+const MODEL_NAMES = {
+  gordon: 'Constant growth',
+  twoStage: 'Two-stage',
+  hModel: 'H-model'
+};
+
+const SOLVE_FOR_NAMES = {
+  growth: '𝑔',
+  return: '𝑟',
+  price: 'PV'
+};
+
+/**
+ * Render the saved scenario list. Buttons carry data-action and data-id so
+ * the caller handles every item with one delegated listener.
+ * @param {Array<Object>} scenarios - Saved scenarios
+ * @param {Array<string>} comparedIds - Ids ticked for comparison
+ * @param {Document|ShadowRoot} root - Calculator to render into
+ */
+export function renderScenarioList(scenarios, comparedIds, root = document) {
+  const list = root.getElementById('scenario-list');
+  const empty = root.getElementById('scenario-empty');
+  const count = root.getElementById('compare-count');
+
+  if (!list) {
+    console.error('Scenario list not found');
+    return;
+  }
+
+  list.innerHTML = '';
+  if (empty) empty.hidden = scenarios.length > 0;
+
+  const atLimit = comparedIds.length >= MAX_COMPARED;
+
+  scenarios.forEach(scenario => {
+    const { id, name, inputs } = scenario;
+    const isCompared = comparedIds.includes(id);
+    const checkboxId = `compare-${id}`;
+    const summaryId = `summary-${id}`;
+
+    const item = createElement('li', { className: 'scenario-item' });
+
+    const selector = createElement('div', { className: 'scenario-select' });
+    const checkbox = createElement('input', {
+      type: 'checkbox',
+      id: checkboxId,
+      'data-action': 'compare',
+      'data-id': id,
+      'aria-describedby': summaryId
+    });
+    checkbox.checked = isCompared;
+    // Unticked boxes lock once the comparison is full
+    checkbox.disabled = atLimit && !isCompared;
+    const label = createElement('label', { for: checkboxId, className: 'scenario-name' }, name);
+    selector.append(checkbox, label);
+
+    const summary = createElement('p', { className: 'scenario-summary', id: summaryId },
+      describeScenario(inputs)
+    );
+
+    const actions = createElement('div', {
+      className: 'scenario-actions',
+      role: 'group',
+      'aria-label': `Actions for ${name}`
+    });
+    [
+      ['load', 'Load'],
+      ['rename', 'Rename'],
+      ['duplicate', 'Duplicate'],
+      ['delete', 'Delete']
+    ].forEach(([action, text]) => {
+      actions.appendChild(createElement('button', {
+        type: 'button',
+        className: 'toggle-btn scenario-action',
+        'data-action': action,
+        'data-id': id,
+        'aria-label': `${text} ${name}`
+      }, text));
+    });
+
+    item.append(selector, summary, actions);
+    list.appendChild(item);
+  });
+
+  if (count) {
+    count.textContent = `${comparedIds.length} of ${MAX_COMPARED} selected for comparison`;
+  }
+}
+
+/**
+ * One-line summary of a scenario's inputs
+ * @param {Object} inputs - Scenario inputs
+ * @returns {string} Summary
+ */
+function describeScenario(inputs) {
+  const parts = [MODEL_NAMES[inputs.model] || MODEL_NAMES.gordon];
+
+  if (inputs.solveFor !== 'price') parts.push(`PV ${formatCurrency(inputs.marketPrice)}`);
+  parts.push(`Div ${formatCurrency(inputs.currentDividend)}`);
+  if (inputs.solveFor !== 'return') parts.push(`𝑟 ${formatPercentage(inputs.requiredReturn, 1)}`);
+
+  if (inputs.model === 'twoStage' || inputs.model === 'hModel') {
+    parts.push(`𝑔S ${formatPercentage(inputs.highGrowthRate, 1)}`);
+    parts.push(`${inputs.model === 'hModel' ? '2𝐻' : '𝑁'} ${inputs.highGrowthYears}`);
+  } else if (inputs.solveFor !== 'growth') {
+    parts.push(`𝑔 ${formatPercentage(inputs.growthRate, 1)}`);
+  }
+  parts.push(`${inputs.horizonYears} yrs`);
+
+  return `${parts.join(' · ')} — solves for ${SOLVE_FOR_NAMES[inputs.solveFor] || '𝑔'}`;
+}
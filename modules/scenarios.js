@@ -0,0 +1,170 @@
+/**
+ * Scenarios Module
+ * Named input sets saved in localStorage, and side-by-side comparisons
+ */
+
+import { DEFAULTS, SCENARIO_FIELDS, pickScenarioInputs } from './defaults.js';
+import { calculateGrowthMetrics } from './calculations.js';
+import { validateAllInputs, hasErrors } from './validation.js';
+
+const STORAGE_KEY = 'impliedGrowth.scenarios';
+const STORAGE_VERSION = 1;
+
+/** Most scenarios the comparison view overlays at once */
+export const MAX_COMPARED = 4;
+
+/** In-memory copy of the stored list */
+let scenarios = null;
+
+/**
+ * Read the stored scenarios. Storage that is unavailable (private mode,
+ * blocked cookies) or corrupt yields an empty list rather than an error.
+ * @returns {Array<Object>} Scenarios: { id, name, inputs, savedAt }
+ */
+function readStorage() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    if (!raw) return [];
+    const data = JSON.parse(raw);
+    if (!Array.isArray(data.scenarios)) return [];
+    // Scenarios saved before a field existed take its default
+    return data.scenarios.map(scenario => ({
+      ...scenario,
+      inputs: { ...pickScenarioInputs(DEFAULTS), ...scenario.inputs }
+    }));
+  } catch (error) {
+    console.warn('Saved scenarios could not be read:', error);
+    return [];
+  }
+}
+
+/**
+ * Write the scenario list to storage
+ * @returns {boolean} True if the list was stored
+ */
+function writeStorage() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      scenarios
+    }));
+    return true;
+  } catch (error) {
+    console.warn('Saved scenarios could not be stored:', error);
+    return false;
+  }
+}
+
+/**
+ * Create a unique scenario id
+ * @returns {string} Id
+ */
+function createId() {
+  return `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Get all saved scenarios, oldest first
+ * @returns {Array<Object>} Scenarios
+ */
+export function getScenarios() {
+  if (!scenarios) scenarios = readStorage();
+  return scenarios;
+}
+
+/**
+ * Get one saved scenario
+ * @param {string} id - Scenario id
+ * @returns {Object|undefined} Scenario
+ */
+export function getScenario(id) {
+  return getScenarios().find(scenario => scenario.id === id);
+}
+
+/**
+ * Save inputs as a new named scenario
+ * @param {string} name - Scenario name
+ * @param {Object} source - State-like object to take inputs from
+ * @returns {Object} The saved scenario
+ */
+export function saveScenario(name, source) {
+  const scenario = {
+    id: createId(),
+    name: name.trim() || `Scenario ${getScenarios().length + 1}`,
+    inputs: pickScenarioInputs(source),
+    savedAt: new Date().toISOString()
+  };
+  scenarios = [...getScenarios(), scenario];
+  writeStorage();
+  return scenario;
+}
+
+/**
+ * Rename a saved scenario
+ * @param {string} id - Scenario id
+ * @param {string} name - New name (ignored if blank)
+ * @returns {Object|undefined} The renamed scenario
+ */
+export function renameScenario(id, name) {
+  const trimmed = name.trim();
+  if (!trimmed) return getScenario(id);
+  scenarios = getScenarios().map(scenario =>
+    scenario.id === id ? { ...scenario, name: trimmed } : scenario
+  );
+  writeStorage();
+  return getScenario(id);
+}
+
+/**
+ * Duplicate a saved scenario, placing the copy right after the original
+ * @param {string} id - Scenario id
+ * @returns {Object|undefined} The copy
+ */
+export function duplicateScenario(id) {
+  const original = getScenario(id);
+  if (!original) return undefined;
+
+  const copy = {
+    id: createId(),
+    name: `${original.name} (copy)`,
+    inputs: { ...original.inputs },
+    savedAt: new Date().toISOString()
+  };
+  const list = [...getScenarios()];
+  list.splice(list.indexOf(original) + 1, 0, copy);
+  scenarios = list;
+  writeStorage();
+  return copy;
+}
+
+/**
+ * Delete a saved scenario
+ * @param {string} id - Scenario id
+ */
+export function deleteScenario(id) {
+  scenarios = getScenarios().filter(scenario => scenario.id !== id);
+  writeStorage();
+}
+
+/**
+ * Calculate each compared scenario. Scenarios whose inputs no longer pass
+ * validation are returned with their errors and no calculations.
+ * @param {Array<string>} ids - Scenario ids, in display order
+ * @returns {Array<Object>} { id, name, inputs, calculations, errors }
+ */
+export function buildComparisons(ids) {
+  return ids
+    .map(getScenario)
+    .filter(Boolean)
+    .slice(0, MAX_COMPARED)
+    .map(scenario => {
+      const errors = validateAllInputs(scenario.inputs);
+      return {
+        id: scenario.id,
+        name: scenario.name,
+        inputs: scenario.inputs,
+        errors,
+        calculations: hasErrors(errors) ? null : calculateGrowthMetrics(scenario.inputs)
+      };
+    });
+}
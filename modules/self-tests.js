@@ -0,0 +1,179 @@
+/**
+ * Self-Tests Module
+ * Known results of the pricing models, checked on page load (see
+ * runSelfTests) and by the command line (implied-growth --self-test)
+ */
+
+import { calculateGrowthMetrics } from './calculations.js';
+import { validateAllInputs } from './validation.js';
+import { DEFAULTS } from './defaults.js';
+import { createRandom } from './simulation.js';
+import { migrateSession, SESSION_VERSION } from './session-store.js';
+
+/**
+ * Largest difference from the expected value that passes, in the units of
+ * the result (0.001 percentage points, or USD 0.001)
+ */
+export const SELF_TEST_TOLERANCE = 0.001;
+
+/**
+ * Inputs and expected results. Dotted keys reach into nested results
+ * (e.g. reconciliation.total).
+ */
+export const SELF_TESTS = [
+  {
+    name: 'Default values (100, 5, 7%)',
+    inputs: { marketPrice: 100, currentDividend: 5, requiredReturn: 7 },
+    expected: { impliedGrowth: 1.9048 } // (0.07*100 - 5)/(100 + 5) = 2/105 = 1.9048%
+  },
+  {
+    name: 'Higher growth scenario',
+    inputs: { marketPrice: 50, currentDividend: 2, requiredReturn: 10 },
+    expected: { impliedGrowth: 5.7692 } // (0.1*50 - 2)/(50 + 2) = 3/52 = 5.7692%
+  },
+  {
+    name: 'Lower growth scenario',
+    inputs: { marketPrice: 100, currentDividend: 3, requiredReturn: 12 },
+    expected: { impliedGrowth: 8.7379 } // (0.12*100 - 3)/(100 + 3) = 9/103 = 8.7379%
+  },
+  {
+    name: 'Solve for required return',
+    inputs: { solveFor: 'return', marketPrice: 100, currentDividend: 5, growthRate: 2 },
+    expected: { requiredReturn: 7.10 } // 5*1.02/100 + 0.02 = 7.10%
+  },
+  {
+    name: 'Solve for market price',
+    inputs: { solveFor: 'price', currentDividend: 5, requiredReturn: 7, growthRate: 2 },
+    expected: { marketPrice: 102.00 } // 5*1.02/(0.07 - 0.02) = 102.00
+  },
+  {
+    name: 'H-model long-run growth',
+    inputs: { model: 'hModel', marketPrice: 100, currentDividend: 3, requiredReturn: 10, highGrowthRate: 10, highGrowthYears: 4 },
+    expected: { impliedGrowth: 6.5979 } // (100*0.1 - 3 - 3*2*0.1)/(100 + 3 - 3*2) = 6.4/97 = 6.5979%
+  },
+  {
+    name: 'Two-stage long-run growth',
+    inputs: { model: 'twoStage', marketPrice: 100, currentDividend: 3, requiredReturn: 10, highGrowthRate: 10, highGrowthYears: 5 },
+    expected: { impliedGrowth: 6.25 } // g_S = r, so PV of stage 1 is 5 × 3 = 15 and 3(1+g)/(0.1-g) = 85
+  },
+  {
+    name: 'Present values rebuild the market price',
+    inputs: { model: 'twoStage', marketPrice: 100, currentDividend: 3, requiredReturn: 10, highGrowthRate: 10, highGrowthYears: 5 },
+    expected: { 'reconciliation.total': 100.00 } // PV of years 1-10 dividends + PV of TV_10
+  },
+  {
+    name: 'PVGO from next-year earnings',
+    inputs: { marketPrice: 100, currentDividend: 5, requiredReturn: 7, earningsPerShare: 6 },
+    expected: { 'priceBreakdown.pvgo': 14.2857, 'priceBreakdown.impliedPE': 16.6667 } // 100 - 6/0.07 = 14.2857; 100/6 = 16.6667
+  },
+  {
+    name: 'Sustainable growth from ROE and payout',
+    inputs: { marketPrice: 100, currentDividend: 5, requiredReturn: 7, returnOnEquity: 12, payoutRatio: 60 },
+    expected: { 'sustainableGrowth.sustainableGrowth': 4.80, 'sustainableGrowth.gap': -2.8952 } // 0.4 × 12% = 4.80%; 1.9048% - 4.80%
+  },
+  {
+    name: 'CAPM required return',
+    inputs: { marketPrice: 100, currentDividend: 5, returnSource: 'capm', riskFreeRate: 3, beta: 1.2, equityRiskPremium: 5, specificRiskPremium: 1 },
+    expected: { requiredReturn: 10.00, impliedGrowth: 4.7619 } // 3% + 1.2 × 5% + 1% = 10%; (0.1*100 - 5)/105 = 4.7619%
+  },
+  {
+    name: 'Dividend history CAGR',
+    inputs: { marketPrice: 100, currentDividend: 5, requiredReturn: 7, dividendHistory: [{ year: 2020, dividend: 4 }, { year: 2022, dividend: 4.84 }] },
+    expected: { 'historicalGrowth.cagr': 10.00, 'historicalGrowth.gap': -8.0952 } // (4.84/4)^(1/2) - 1 = 10%; 1.9048% - 10%
+  },
+  {
+    name: 'Quarterly payments, nominal r',
+    inputs: { marketPrice: 100, currentDividend: 5, requiredReturn: 7, paymentFrequency: 'quarterly', returnCompounding: 'nominal' },
+    expected: { impliedGrowth: 1.9753, 'payments.impliedGrowth': 0.4938 } // (1.75% × 100 - 1.25)/101.25 = 0.4938% a quarter; × 4
+  },
+  {
+    name: 'Next dividend entered',
+    inputs: { marketPrice: 100, currentDividend: 5, requiredReturn: 7, dividendTiming: 'forward' },
+    expected: { impliedGrowth: 2.00, expectedD1: 5.00 } // 7% - 5/100
+  },
+  {
+    name: 'Real growth (Fisher)',
+    inputs: { marketPrice: 100, currentDividend: 5, requiredReturn: 7, inflationRate: 2 },
+    expected: { 'inflation.realGrowth': -0.0934, 'inflation.realReturn': 4.9020 } // 1.019048/1.02 - 1; 1.07/1.02 - 1
+  }
+];
+
+/**
+ * Run the self-tests
+ * @returns {Array<Object>} One { name, passed, message } per test, naming
+ *   every value that missed, plus the g ≥ r price, seeded simulation and
+ *   stored session checks
+ */
+export function runSelfTestCases() {
+  const results = [];
+
+  SELF_TESTS.forEach(test => {
+    try {
+      const result = calculateGrowthMetrics(test.inputs);
+      const misses = Object.entries(test.expected).flatMap(([key, expected]) => {
+        const actual = key.split('.').reduce((value, part) => value[part], result);
+        return Math.abs(actual - expected) <= SELF_TEST_TOLERANCE
+          ? []
+          : [`expected ${key} ${expected}, got ${actual.toFixed(4)}`];
+      });
+      results.push({
+        name: test.name,
+        passed: misses.length === 0,
+        message: misses.length === 0 ? null : misses.join('; ')
+      });
+    } catch (error) {
+      results.push({ name: test.name, passed: false, message: `threw ${error.message}`, error });
+    }
+  });
+
+  // With g ≥ r there is no Gordon price: solving for PV_t reports it as
+  // invalid inputs instead of throwing
+  const noPrice = { solveFor: 'price', currentDividend: 5, requiredReturn: 7, growthRate: 7 };
+  try {
+    const result = calculateGrowthMetrics(noPrice);
+    const { financial } = validateAllInputs({ ...DEFAULTS, ...noPrice });
+    const flagged = result.isValid === false && Boolean(result.error) && Boolean(financial);
+    results.push({
+      name: 'Solve for price with g ≥ r',
+      passed: flagged,
+      message: flagged ? null : 'g ≥ r was not reported as invalid'
+    });
+  } catch (error) {
+    results.push({ name: 'Solve for price with g ≥ r', passed: false, message: `threw ${error.message}`, error });
+  }
+
+  // The simulation is only reproducible if a seed always gives the same draws
+  const first = createRandom(42);
+  const second = createRandom(42);
+  const seeded = [0, 1, 2].every(() => first() === second());
+  results.push({
+    name: 'Seeded simulation draws',
+    passed: seeded,
+    message: seeded ? null : 'the same seed gave different draws'
+  });
+
+  // A stored session of the current version is read back as stored, and a
+  // version 0 entry (state fields, no version) is upgraded to a query; newer
+  // versions and malformed entries are dropped rather than misread
+  const current = { version: SESSION_VERSION, query: 'price=100&div=5', savedAt: '2026-01-01T00:00:00.000Z' };
+  const versionZero = { marketPrice: 90, currentDividend: 4, model: 'hModel', savedAt: current.savedAt };
+  const sessionCases = [
+    ['current version', current, current],
+    ['version 0 upgrade', versionZero, { query: 'price=90&dividend=4&model=hModel', savedAt: current.savedAt, version: SESSION_VERSION }],
+    ['newer version', { ...current, version: SESSION_VERSION + 1 }, null],
+    ['missing entry', null, null],
+    ['version as text', { ...current, version: String(SESSION_VERSION) }, null],
+    ['version 0', { ...current, version: 0 }, null],
+    ['missing query', { version: SESSION_VERSION, savedAt: current.savedAt }, null]
+  ];
+  const sessionMisses = sessionCases
+    .filter(([, data, expected]) => JSON.stringify(migrateSession(data)) !== JSON.stringify(expected))
+    .map(([label]) => label);
+  results.push({
+    name: 'Stored session versions',
+    passed: sessionMisses.length === 0,
+    message: sessionMisses.length === 0 ? null : `misread: ${sessionMisses.join(', ')}`
+  });
+
+  return results;
+}
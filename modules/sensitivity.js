@@ -0,0 +1,226 @@
+/**
+ * Sensitivity Module
+ * Two-way grid of implied growth across market price and required return
+ */
+
+import { calculateConventionGrowth } from './calculations.js';
+import { validateFinancialLogic } from './validation.js';
+import { createElement, formatCurrency, formatNumber, formatPercentage, applyTableRoles } from './utils.js';
+
+/** Market price columns, as percentage changes from the current price */
+export const PRICE_STEPS = [-20, -10, 0, 10, 20];
+
+/** Required return rows, as percentage-point changes from the current rate */
+export const RETURN_STEPS = [-2, -1, 0, 1, 2];
+
+/** Heatmap scale end points: white for the lowest valid g, pine for the highest */
+const HEAT_LOW = [255, 255, 255];
+const HEAT_HIGH = [7, 81, 79]; // #07514F, the table growth colour
+
+/**
+ * Build the sensitivity grid around the current inputs. Rows or columns that
+ * would need a non-positive price or return are left out.
+ * @param {Object} params - Input parameters
+ * @param {number} params.marketPrice - Current market price
+ * @param {number} params.currentDividend - Current dividend
+ * @param {number} params.requiredReturn - Required return (percentage)
+ * @param {string} [params.paymentFrequency] - Payment convention fields
+ *   (see getPaymentConvention); annual and trailing when left out
+ * @returns {Object} { prices, returns, rows, range } where prices and returns
+ *   are { value, isCurrent }, each row is { requiredReturn, isCurrent, cells }
+ *   and each cell is
+ *   { marketPrice, requiredReturn, impliedGrowth, error, isCurrent }
+ */
+export function buildSensitivityGrid({ marketPrice, currentDividend, requiredReturn, paymentFrequency, returnCompounding, dividendTiming }) {
+  const prices = PRICE_STEPS
+    .map(step => ({ value: round(marketPrice * (1 + step / 100), 2), isCurrent: step === 0 }))
+    .filter(({ value }) => value > 0);
+  const returns = RETURN_STEPS
+    .map(step => ({ value: round(requiredReturn + step, 4), isCurrent: step === 0 }))
+    .filter(({ value }) => value > 0);
+
+  const rows = returns.map(rate => ({
+    requiredReturn: rate.value,
+    isCurrent: rate.isCurrent,
+    cells: prices.map(price => {
+      const impliedGrowth = calculateConventionGrowth({
+        marketPrice: price.value,
+        currentDividend,
+        requiredReturn: rate.value,
+        paymentFrequency,
+        returnCompounding,
+        dividendTiming
+      });
+      return {
+        marketPrice: price.value,
+        requiredReturn: rate.value,
+        impliedGrowth,
+        // Same checks the calculator applies to its own inputs
+        error: validateFinancialLogic(impliedGrowth, rate.value),
+        isCurrent: price.isCurrent && rate.isCurrent
+      };
+    })
+  }));
+
+  const valid = rows.flatMap(row => row.cells).filter(cell => !cell.error);
+  const growthValues = valid.map(cell => cell.impliedGrowth);
+  const range = growthValues.length > 0
+    ? { min: Math.min(...growthValues), max: Math.max(...growthValues) }
+    : null;
+
+  return { prices, returns, rows, range };
+}
+
+/**
+ * Create the sensitivity table
+ * @param {Object} grid - buildSensitivityGrid result
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.heatmap - Shade cells by implied growth
+ * @param {string} options.idPrefix - Prefix for element ids (the grid is rendered twice)
+ * @param {string} options.note - Extra caption text
+ * @returns {Element} Table element
+ */
+export function createSensitivityTable(grid, { heatmap = false, idPrefix = 'sensitivity', note = '' } = {}) {
+  const table = createElement('table', {
+    className: `data-table sensitivity-table${heatmap ? ' sensitivity-heatmap' : ''}`,
+    id: `${idPrefix}-table`
+  });
+
+  const caption = createElement('caption', { className: 'sr-only' },
+    `Implied growth rate for each combination of market price (columns) and required return (rows). ` +
+    `The current inputs are marked. Cells where growth is negative or not below the required return are flagged as invalid.${note ? ` ${note}` : ''}`
+  );
+  table.appendChild(caption);
+
+  const thead = createElement('thead');
+  const headRow = createElement('tr');
+  headRow.appendChild(createElement('th', { scope: 'col', className: 'text-left' }, '𝑟 ↓ PV𝑡 (USD) →'));
+  grid.prices.forEach(({ value, isCurrent }) => {
+    headRow.appendChild(createElement('th', {
+      scope: 'col',
+      className: `text-right table-var-6${isCurrent ? ' sensitivity-current-axis' : ''}`
+    }, formatNumber(value)));
+  });
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = createElement('tbody');
+  grid.rows.forEach(row => {
+    const tr = createElement('tr');
+    tr.appendChild(createElement('th', {
+      scope: 'row',
+      className: `text-left table-var-3${row.isCurrent ? ' sensitivity-current-axis' : ''}`
+    }, formatPercentage(row.requiredReturn)));
+
+    row.cells.forEach(cell => {
+      const classes = ['text-right'];
+      if (cell.error) classes.push('sensitivity-flagged');
+      if (cell.isCurrent) classes.push('sensitivity-current');
+
+      const td = createElement('td', {
+        className: classes.join(' '),
+        'data-label': `PV𝑡 ${formatCurrency(cell.marketPrice)}`
+      });
+
+      const value = createElement('span', {
+        className: `cell-value${cell.error ? ' table-var-red' : heatmap ? '' : ' table-var-5'}`
+      }, formatPercentage(cell.impliedGrowth));
+      td.appendChild(value);
+
+      if (cell.error) {
+        td.appendChild(createElement('span', { className: 'sensitivity-flag' },
+          cell.impliedGrowth < 0 ? '𝑔 < 0' : '𝑔 ≥ 𝑟'
+        ));
+      }
+      if (cell.isCurrent) {
+        td.appendChild(createElement('span', { className: 'sr-only' }, ' (current inputs)'));
+      }
+
+      if (heatmap && !cell.error && grid.range) {
+        const { background, text } = heatColor(cell.impliedGrowth, grid.range);
+        td.style.backgroundColor = background;
+        td.style.color = text;
+      }
+
+      tr.appendChild(td);
+    });
+
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+
+  applyTableRoles(table);
+  return table;
+}
+
+/**
+ * Render the heatmap view in the visualizer card
+ * @param {Object} grid - buildSensitivityGrid result
+ * @param {string} note - Extra caption text (e.g. for multi-stage models)
+ * @param {Document|ShadowRoot} root - Calculator to render into
+ */
+export function renderHeatmap(grid, note = '', root = document) {
+  const container = root.getElementById('heatmap-table-wrapper');
+  const scale = root.getElementById('heatmap-scale');
+
+  if (!container) {
+    console.error('Heatmap container not found');
+    return;
+  }
+
+  container.innerHTML = '';
+  container.appendChild(createSensitivityTable(grid, { heatmap: true, idPrefix: 'heatmap', note }));
+
+  if (scale) {
+    scale.innerHTML = '';
+    if (grid.range) {
+      const { min, max } = grid.range;
+      const bar = createElement('span', { className: 'heatmap-scale-bar', 'aria-hidden': 'true' });
+      bar.style.background = `linear-gradient(to right, ${heatColor(min, grid.range).background}, ${heatColor(max, grid.range).background})`;
+      scale.append(
+        createElement('span', {}, `Lower 𝑔 ${formatPercentage(min)}`),
+        bar,
+        createElement('span', {}, `Higher 𝑔 ${formatPercentage(max)}`)
+      );
+    }
+    scale.appendChild(createElement('span', { className: 'heatmap-scale-flag' }, 'Flagged: 𝑔 < 0 or 𝑔 ≥ 𝑟'));
+  }
+}
+
+/**
+ * Heatmap colour for an implied growth value
+ * @param {number} value - Implied growth (percentage)
+ * @param {Object} range - { min, max } over the valid cells
+ * @returns {{background: string, text: string}} Cell background and text colours
+ */
+export function heatColor(value, { min, max }) {
+  const t = max > min ? (value - min) / (max - min) : 1;
+  const rgb = HEAT_LOW.map((low, i) => Math.round(low + (HEAT_HIGH[i] - low) * t));
+  // Black and white text have equal contrast at luminance 0.179; either
+  // side of it the better choice keeps at least 4.5:1
+  return {
+    background: `rgb(${rgb.join(', ')})`,
+    text: relativeLuminance(rgb) > 0.179 ? '#000000' : '#ffffff'
+  };
+}
+
+/**
+ * WCAG relative luminance of an sRGB colour
+ * @param {Array<number>} rgb - [r, g, b], 0-255
+ * @returns {number} Luminance, 0-1
+ */
+function relativeLuminance(rgb) {
+  const [r, g, b] = rgb.map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Round to a number of decimal places
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,108 @@
+/**
+ * Session Store Module
+ * Remembers the inputs and view settings in localStorage between visits.
+ * The session is kept in the shareable query string form (see url-state.js),
+ * so it is read and validated exactly like a shared link. Saved scenarios
+ * keep their own store (see scenarios.js).
+ */
+
+import { serializeState, parseUrlState, validateRestoredState } from './url-state.js';
+
+const STORAGE_KEY = 'impliedGrowth.session';
+export const SESSION_VERSION = 1;
+
+/**
+ * Upgrade steps by the version they read: MIGRATIONS[n] turns a version n
+ * session into version n + 1. Add a step whenever a query parameter is
+ * renamed or changes meaning, and bump SESSION_VERSION.
+ */
+const MIGRATIONS = {
+  // Version 0, before the version field: the state fields themselves
+  // ({ marketPrice, currentDividend, ... }) rather than a query string.
+  // Only the fields present are written; reading validates them as usual.
+  0: ({ savedAt = null, ...fields }) => ({ query: serializeState(fields, {}), savedAt })
+};
+
+/** Last session written, to skip unchanged writes */
+let lastWritten = null;
+
+/**
+ * Bring a stored session up to the current version
+ * @param {Object} data - Parsed storage entry: { version, query, savedAt },
+ *   or a version 0 entry with no version field
+ * @returns {Object|null} Current-version session, or null when it cannot be
+ *   used (unknown or newer version, missing query)
+ */
+export function migrateSession(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+  // Entries written before the version field are version 0; none was ever
+  // written with version 0 itself
+  const isVersioned = 'version' in data;
+  if (isVersioned && !(Number.isInteger(data.version) && data.version >= 1)) return null;
+  const storedVersion = isVersioned ? data.version : 0;
+  if (storedVersion > SESSION_VERSION) return null;
+
+  let session = data;
+  for (let version = storedVersion; version < SESSION_VERSION; version++) {
+    const step = MIGRATIONS[version];
+    if (!step) return null;
+    session = { ...step(session), version: version + 1 };
+  }
+
+  return typeof session.query === 'string' ? session : null;
+}
+
+/**
+ * Read the stored session. Storage that is unavailable (private mode,
+ * blocked cookies) or corrupt yields nothing rather than an error.
+ * @returns {Object|null} Session
+ */
+function readStorage() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? migrateSession(JSON.parse(raw)) : null;
+  } catch (error) {
+    console.warn('The saved session could not be read:', error);
+    return null;
+  }
+}
+
+/**
+ * Read the last session and validate it like a shared link
+ * @param {Object} defaults - Default values
+ * @returns {{updates: Object, notice: string|null}} State updates and a
+ *   user-facing notice when anything was reset
+ */
+export function readSession(defaults) {
+  const session = readStorage();
+  if (!session) return { updates: {}, notice: null };
+
+  lastWritten = session.query;
+  const { values, invalid } = parseUrlState(session.query);
+  return validateRestoredState(values, invalid, defaults, 'saved session');
+}
+
+/**
+ * Store the inputs and view settings
+ * @param {Object} state - Current state
+ * @param {Object} defaults - Default values
+ * @returns {boolean} True if the session is stored
+ */
+export function writeSession(state, defaults) {
+  const query = serializeState(state, defaults);
+  if (query === lastWritten) return true;
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      version: SESSION_VERSION,
+      query,
+      savedAt: new Date().toISOString()
+    }));
+    lastWritten = query;
+    return true;
+  } catch (error) {
+    console.warn('The session could not be stored:', error);
+    return false;
+  }
+}
@@ -0,0 +1,349 @@
+/**
+ * Simulation Module
+ * Monte Carlo distribution of implied growth when the required return and
+ * the current dividend are uncertain
+ */
+
+import { calculateConventionGrowth } from './calculations.js';
+import { validateField, validateFinancialLogic } from './validation.js';
+import { $, createElement, formatCurrency, formatNumber, formatPercentage, applyTableRoles } from './utils.js';
+import { getChartTypography } from '../chart-typography.js';
+
+/** Distributions a simulated input can follow */
+export const DISTRIBUTIONS = ['normal', 'uniform', 'triangular'];
+
+/** Percentiles reported in the table */
+export const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+/** Draws per slice; the runner yields to the browser between slices */
+const CHUNK_SIZE = 2000;
+
+/** Histogram bins across the valid draws */
+const HISTOGRAM_BINS = 24;
+
+/** Growth colour for the histogram bars */
+const GROWTH_COLOR = '#15803d';
+
+/**
+ * What a run solved for: g, or g_L under a multi-stage model
+ * @param {Object} params - Simulation parameters
+ * @returns {string} 'growth' or 'long-run growth'
+ */
+function getGrowthName({ stages }) {
+  return stages && stages.model ? 'long-run growth' : 'growth';
+}
+
+/**
+ * Seeded uniform generator (mulberry32): the same seed always gives the
+ * same sequence, so a classroom run can be reproduced exactly
+ * @param {number} seed - Integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw one value from a distribution centred on an input. The spread is
+ * the standard deviation (normal) or the half-width (uniform, triangular,
+ * which peaks at the centre).
+ * @param {Object} dist - { type, center, spread }
+ * @param {Function} random - Uniform generator (see createRandom)
+ * @returns {number} Sample
+ */
+export function sampleDistribution({ type, center, spread }, random) {
+  if (spread === 0) return center;
+
+  if (type === 'uniform') {
+    return center - spread + 2 * spread * random();
+  }
+
+  if (type === 'triangular') {
+    // Symmetric triangle on [center - spread, center + spread]: inverse CDF
+    const u = random();
+    return u < 0.5
+      ? center - spread + spread * Math.sqrt(2 * u)
+      : center + spread - spread * Math.sqrt(2 * (1 - u));
+  }
+
+  // Normal: Box-Muller (1 - u keeps the log argument above zero)
+  const u1 = 1 - random();
+  const u2 = random();
+  return center + spread * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Run the simulation in slices, yielding between them so the page stays
+ * responsive
+ * @param {Object} params - Simulation parameters
+ * @param {number} params.marketPrice - Market price (held fixed)
+ * @param {Object} params.requiredReturn - { type, center, spread } in percent
+ * @param {Object} params.currentDividend - { type, center, spread } in USD
+ * @param {number} params.draws - Number of draws
+ * @param {number} params.seed - Integer seed
+ * @param {Object} params.convention - Payment convention fields (see
+ *   getPaymentConvention), held fixed
+ * @param {Object} [params.stages] - { model, highGrowthRate, highGrowthYears }
+ *   of a multi-stage model, held fixed; each draw then solves for g_L
+ * @param {Object} options - Run options
+ * @param {Function} options.onProgress - Called with the completed fraction
+ * @param {AbortSignal} options.signal - Aborts the run (rejects with AbortError)
+ * @returns {Promise<Object>} summarizeSimulation result
+ */
+export async function runSimulation(params, { onProgress = () => {}, signal = null } = {}) {
+  const { marketPrice, requiredReturn, currentDividend, draws, seed, convention = {}, stages = {} } = params;
+  const random = createRandom(seed);
+  const growthRates = [];
+  const failures = { growthAboveReturn: 0, negativeGrowth: 0, invalidInputs: 0 };
+
+  for (let start = 0; start < draws; start += CHUNK_SIZE) {
+    if (signal && signal.aborted) {
+      throw new DOMException('Simulation cancelled', 'AbortError');
+    }
+
+    const end = Math.min(start + CHUNK_SIZE, draws);
+    for (let i = start; i < end; i++) {
+      // Both draws are taken every time so the sequence does not depend on
+      // which draws fail
+      const r = sampleDistribution(requiredReturn, random);
+      const dividend = sampleDistribution(currentDividend, random);
+
+      if (validateField('requiredReturn', r) || validateField('currentDividend', dividend)) {
+        failures.invalidInputs++;
+        continue;
+      }
+
+      const impliedGrowth = calculateConventionGrowth({ ...convention, ...stages, marketPrice, currentDividend: dividend, requiredReturn: r });
+      if (Number.isNaN(impliedGrowth)) {
+        failures.invalidInputs++;
+        continue;
+      }
+
+      const error = validateFinancialLogic(impliedGrowth, r);
+      if (!error) {
+        growthRates.push(impliedGrowth);
+      } else if (impliedGrowth < 0) {
+        failures.negativeGrowth++;
+      } else {
+        failures.growthAboveReturn++;
+      }
+    }
+
+    onProgress(end / draws);
+    if (end < draws) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  return summarizeSimulation(growthRates, failures, params);
+}
+
+/**
+ * Percentiles, moments and histogram of the valid draws
+ * @param {Array<number>} growthRates - Implied growth of each valid draw (percent)
+ * @param {Object} failures - Counts of draws that failed each check
+ * @param {Object} params - Simulation parameters
+ * @returns {Object} { params, draws, valid, failures, mean, sd, percentiles, histogram }
+ */
+export function summarizeSimulation(growthRates, failures, params) {
+  const sorted = Float64Array.from(growthRates).sort();
+  const valid = sorted.length;
+  const mean = valid > 0 ? sorted.reduce((sum, g) => sum + g, 0) / valid : NaN;
+  const variance = valid > 1
+    ? sorted.reduce((sum, g) => sum + (g - mean) ** 2, 0) / (valid - 1)
+    : NaN;
+
+  return {
+    params,
+    draws: params.draws,
+    valid,
+    failures,
+    mean,
+    sd: Math.sqrt(variance),
+    percentiles: PERCENTILES.map(p => ({ p, value: percentile(sorted, p) })),
+    histogram: buildHistogram(sorted, HISTOGRAM_BINS)
+  };
+}
+
+/**
+ * Percentile by linear interpolation between order statistics
+ * @param {Float64Array} sorted - Ascending values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Value, or NaN without data
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Equal-width bins between the lowest and highest value
+ * @param {Float64Array} sorted - Ascending values
+ * @param {number} binCount - Number of bins
+ * @returns {Array<Object>} { from, to, count }
+ */
+function buildHistogram(sorted, binCount) {
+  if (sorted.length === 0) return [];
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    count: 0
+  }));
+  sorted.forEach(g => {
+    bins[Math.min(binCount - 1, Math.floor((g - min) / width))].count++;
+  });
+  return bins;
+}
+
+/**
+ * Show the histogram and percentile table for a finished run
+ * @param {Object} result - summarizeSimulation result
+ * @param {Document|ShadowRoot} root - Calculator to render into
+ */
+export function renderSimulationResults(result, root = document) {
+  const container = $('#simulation-results', root);
+  const table = $('#simulation-table', root);
+  if (!container || !table) return;
+
+  container.hidden = false;
+  renderHistogram(result, $('#simulation-histogram', root));
+  table.replaceWith(createSimulationTable(result));
+}
+
+/**
+ * Hide any previous results (inputs changed or a new run started)
+ * @param {Document|ShadowRoot} root - Calculator to clear
+ */
+export function clearSimulationResults(root = document) {
+  const container = $('#simulation-results', root);
+  if (container) container.hidden = true;
+  const canvas = $('#simulation-histogram', root);
+  const histogram = canvas && window.Chart ? Chart.getChart(canvas) : null;
+  if (histogram) histogram.destroy();
+}
+
+/**
+ * Bar chart of the growth distribution
+ * @param {Object} result - summarizeSimulation result
+ * @param {HTMLCanvasElement|null} canvas - Histogram canvas
+ */
+function renderHistogram({ params, histogram, valid, draws, percentiles }, canvas) {
+  if (!canvas) return;
+  const growthName = getGrowthName(params);
+
+  const typography = getChartTypography('curriculum');
+  const font = { size: typography.font.size, weight: '600', family: typography.font.family };
+  const median = percentiles.find(({ p }) => p === 50).value;
+
+  canvas.setAttribute('aria-label',
+    `Histogram of implied ${growthName} across ${valid.toLocaleString('en-US')} valid draws out of ${draws.toLocaleString('en-US')}.` +
+    (valid > 0 ? ` The median implied ${growthName} is ${formatPercentage(median)}. The percentile table below lists the values.` : '')
+  );
+
+  const previous = Chart.getChart(canvas);
+  if (previous) previous.destroy();
+  new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: histogram.map(({ from, to }) => `${from.toFixed(2)}–${to.toFixed(2)}`),
+      datasets: [{
+        label: 'Draws',
+        data: histogram.map(({ count }) => count),
+        backgroundColor: GROWTH_COLOR,
+        borderWidth: 0,
+        barPercentage: 1,
+        categoryPercentage: 0.95
+      }]
+    },
+    options: {
+      animation: { duration: 0 },
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title: (context) => `Implied ${growthName} ${context[0].label}%`,
+            label: (context) => `Draws: ${context.parsed.y.toLocaleString('en-US')}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: { display: true, text: `Implied ${growthName} rate (%)`, color: '#000000', font },
+          ticks: { color: '#000000', font, maxRotation: 0, autoSkip: true },
+          grid: { display: false },
+          border: { color: '#000000', width: 2 }
+        },
+        y: {
+          title: { display: true, text: 'Number of draws', color: '#000000', font },
+          ticks: { color: '#000000', font, precision: 0 },
+          grid: { color: 'rgba(0, 0, 0, 0.05)' },
+          border: { color: '#000000', width: 2 }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Percentile table with the failure counts underneath
+ * @param {Object} result - summarizeSimulation result
+ * @returns {Element} Table element
+ */
+function createSimulationTable({ params, draws, valid, failures, mean, sd, percentiles }) {
+  const table = createElement('table', { className: 'data-table simulation-table', id: 'simulation-table' });
+  const share = (count) => formatPercentage((count / draws) * 100, 1);
+  const growthName = getGrowthName(params);
+  const columnLabel = growthName === 'growth' ? 'Implied growth (𝑔)' : 'Implied long-run growth';
+
+  table.appendChild(createElement('caption', { className: 'sr-only' },
+    `Percentiles of implied ${growthName} from ${draws.toLocaleString('en-US')} draws with seed ${params.seed}, ` +
+    `market price ${formatCurrency(params.marketPrice)}, and the number of draws that failed the model's conditions.`
+  ));
+
+  const thead = createElement('thead');
+  const headRow = createElement('tr');
+  headRow.appendChild(createElement('th', { scope: 'col', className: 'text-left' }, 'Measure'));
+  headRow.appendChild(createElement('th', { scope: 'col', className: 'text-right' }, columnLabel));
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const growth = (value) => (Number.isFinite(value) ? formatPercentage(value) : '—');
+  const rows = [
+    ...percentiles.map(({ p, value }) => [p === 50 ? 'Median (50th percentile)' : `${p}th percentile`, growth(value)]),
+    ['Mean', growth(mean)],
+    ['Standard deviation', Number.isFinite(sd) ? `${formatNumber(sd)} pp` : '—'],
+    ['Valid draws', `${valid.toLocaleString('en-US')} (${share(valid)})`],
+    [`Implied ${growthName} at or above 𝑟`, `${failures.growthAboveReturn.toLocaleString('en-US')} (${share(failures.growthAboveReturn)})`],
+    [`Negative implied ${growthName}`, `${failures.negativeGrowth.toLocaleString('en-US')} (${share(failures.negativeGrowth)})`],
+    ['Inputs outside the allowed range', `${failures.invalidInputs.toLocaleString('en-US')} (${share(failures.invalidInputs)})`]
+  ];
+
+  const tbody = createElement('tbody');
+  rows.forEach(([label, value], index) => {
+    const tr = createElement('tr', index === percentiles.length + 2 ? { className: 'table-section-start' } : {});
+    tr.appendChild(createElement('th', { scope: 'row', className: 'text-left', 'data-label': 'Measure' }, label));
+    const cell = createElement('td', { className: 'text-right', 'data-label': columnLabel });
+    cell.appendChild(createElement('span', { className: 'cell-value' }, value));
+    tr.appendChild(cell);
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+
+  applyTableRoles(table);
+  return table;
+}
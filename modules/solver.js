@@ -0,0 +1,224 @@
+/**
+ * Solver Module
+ * Bracketed root-finding for implied rates in models without a closed form
+ */
+
+/**
+ * Default solver settings
+ */
+export const SOLVER_DEFAULTS = {
+  method: 'brent',      // 'brent' or 'newton' (safeguarded by the bracket)
+  tolerance: 1e-10,     // Stop when the bracket or step is narrower than this
+  maxIterations: 100
+};
+
+/**
+ * Find x in [lo, hi] where fn(x) = 0.
+ * fn must be continuous and change sign across the bracket.
+ *
+ * @param {Function} fn - Function of one variable
+ * @param {Object} options - Solver options
+ * @param {number} options.lo - Lower end of the bracket
+ * @param {number} options.hi - Upper end of the bracket
+ * @param {string} [options.method] - 'brent' or 'newton'
+ * @param {number} [options.tolerance] - Convergence tolerance on x
+ * @param {number} [options.maxIterations] - Iteration cap
+ * @returns {Object} Root and convergence diagnostics:
+ *   { root, converged, iterations, residual, method, bracket, reason, message }
+ */
+export function findRoot(fn, options) {
+  const { lo, hi, method, tolerance, maxIterations } = { ...SOLVER_DEFAULTS, ...options };
+  const fLo = fn(lo);
+  const fHi = fn(hi);
+  const base = { method, bracket: [lo, hi], bracketValues: [fLo, fHi] };
+
+  if (!Number.isFinite(fLo) || !Number.isFinite(fHi)) {
+    return failure(base, 'non-finite', 0, NaN,
+      'the function is not finite at the ends of the search range');
+  }
+
+  if (fLo === 0) return success(base, lo, 0, 0);
+  if (fHi === 0) return success(base, hi, 0, 0);
+
+  if (Math.sign(fLo) === Math.sign(fHi)) {
+    return failure(base, 'no-sign-change', 0, NaN,
+      'no solution lies in the search range (no sign change)');
+  }
+
+  return method === 'newton'
+    ? newton(fn, lo, hi, fLo, tolerance, maxIterations, base)
+    : brent(fn, lo, hi, fLo, fHi, tolerance, maxIterations, base);
+}
+
+/**
+ * Brent's method: inverse quadratic interpolation and secant steps,
+ * falling back to bisection whenever they would converge too slowly
+ */
+function brent(fn, a, b, fa, fb, tolerance, maxIterations, base) {
+  let c = a;
+  let fc = fa;
+  let d = b - a;
+  let e = d;
+
+  for (let i = 1; i <= maxIterations; i++) {
+    if (Math.sign(fb) === Math.sign(fc)) {
+      c = a;
+      fc = fa;
+      d = b - a;
+      e = d;
+    }
+
+    // Keep b as the best estimate
+    if (Math.abs(fc) < Math.abs(fb)) {
+      a = b; b = c; c = a;
+      fa = fb; fb = fc; fc = fa;
+    }
+
+    const tol = 2 * Number.EPSILON * Math.abs(b) + tolerance / 2;
+    const m = (c - b) / 2;
+
+    if (Math.abs(m) <= tol || fb === 0) {
+      return success(base, b, i, fb);
+    }
+
+    if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+      // Attempt interpolation
+      let p;
+      let q;
+      const s = fb / fa;
+
+      if (a === c) {
+        // Secant step
+        p = 2 * m * s;
+        q = 1 - s;
+      } else {
+        // Inverse quadratic interpolation
+        const qa = fa / fc;
+        const r = fb / fc;
+        p = s * (2 * m * qa * (qa - r) - (b - a) * (r - 1));
+        q = (qa - 1) * (r - 1) * (s - 1);
+      }
+
+      if (p > 0) q = -q;
+      p = Math.abs(p);
+
+      if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        d = m;
+        e = m;
+      }
+    } else {
+      // Bisection
+      d = m;
+      e = m;
+    }
+
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > tol ? d : (m > 0 ? tol : -tol);
+    fb = fn(b);
+  }
+
+  return failure(base, 'max-iterations', maxIterations, fb,
+    `no convergence within ${maxIterations} iterations`, b);
+}
+
+/**
+ * Newton's method with a central-difference derivative, kept inside the
+ * bracket: any step that leaves it (or a flat derivative) becomes bisection
+ */
+function newton(fn, lo, hi, fLo, tolerance, maxIterations, base) {
+  let x = (lo + hi) / 2;
+  let fx = fn(x);
+
+  for (let i = 1; i <= maxIterations; i++) {
+    if (fx === 0) return success(base, x, i, fx);
+
+    // Narrow the bracket around the root
+    if (Math.sign(fx) === Math.sign(fLo)) {
+      lo = x;
+      fLo = fx;
+    } else {
+      hi = x;
+    }
+
+    const h = Math.max(Math.abs(x), 1) * 1e-6;
+    const derivative = (fn(x + h) - fn(x - h)) / (2 * h);
+    let next = x - fx / derivative;
+
+    if (!Number.isFinite(next) || next <= lo || next >= hi) {
+      next = (lo + hi) / 2;
+    }
+
+    const step = Math.abs(next - x);
+    x = next;
+    fx = fn(x);
+
+    if (step <= tolerance || hi - lo <= tolerance) {
+      return success(base, x, i, fx);
+    }
+  }
+
+  return failure(base, 'max-iterations', maxIterations, fx,
+    `no convergence within ${maxIterations} iterations`, x);
+}
+
+/**
+ * Build a successful solver result
+ */
+function success(base, root, iterations, residual) {
+  return {
+    ...base,
+    root,
+    converged: true,
+    iterations,
+    residual,
+    reason: 'converged',
+    message: `converged in ${iterations} iteration${iterations === 1 ? '' : 's'}`
+  };
+}
+
+/**
+ * Build a failed solver result; root is null so callers cannot mistake a
+ * last iterate for an answer
+ */
+function failure(base, reason, iterations, residual, message, lastEstimate = null) {
+  return {
+    ...base,
+    root: null,
+    lastEstimate,
+    converged: false,
+    iterations,
+    residual,
+    reason,
+    message
+  };
+}
+
+/**
+ * Back out the rate at which a pricing function reproduces a target price
+ *
+ * @param {Function} priceFn - rate (decimal) => model price
+ * @param {number} targetPrice - Price to reproduce
+ * @param {Object} options - findRoot options (lo and hi bracket the rate)
+ * @returns {Object} findRoot result, with root as the implied rate (decimal)
+ */
+export function solveImpliedRate(priceFn, targetPrice, options) {
+  return findRoot((rate) => priceFn(rate) - targetPrice, options);
+}
+
+/**
+ * Describe a solver result for the validation summary
+ * @param {string} subject - What was solved for (e.g. 'implied growth rate')
+ * @param {Object} result - findRoot result
+ * @returns {string} Human-readable diagnostics
+ */
+export function describeSolverResult(subject, result) {
+  const [lo, hi] = result.bracket.map(rate => {
+    const formatted = `${Math.abs(rate * 100).toFixed(2)}%`;
+    return rate < 0 ? `−${formatted}` : formatted; // Unicode minus sign (U+2212)
+  });
+  return `Solver (${result.method}): ${subject} searched between ${lo} and ${hi}; ${result.message}.`;
+}
@@ -3,38 +3,69 @@
  * Observable state pattern for reactive updates
  */
 
-export const state = {
-  // Implied growth parameters
-  marketPrice: 100.0,
-  currentDividend: 5.0,
-  requiredReturn: 7.0,
-  
-  // UI state
-  viewMode: 'chart', // 'chart' or 'table'
-  
-  // Validation errors
-  errors: {},
-  
-  // Calculated values
-  growthCalculations: null,
-  
-  // Subscribers
-  listeners: []
-};
+import { syncUrl, hasShareableUpdates } from './url-state.js';
+import { DEFAULTS } from './defaults.js';
+
+export { DEFAULTS };
 
 /**
- * Update state and notify all subscribers
- * @param {Object} updates - Partial state updates
+ * Fresh state for one calculator
+ * @returns {Object} Defaults plus the derived and view-only fields
  */
-export function setState(updates) {
-  Object.assign(state, updates);
-  state.listeners.forEach(fn => fn(state));
+export function createInitialState() {
+  return {
+    ...DEFAULTS,
+
+    // Validation errors
+    errors: {},
+
+    // Calculated values
+    growthCalculations: null,
+
+    // Saved scenarios ticked for comparison, and whether the chart and
+    // results show them instead of the current inputs
+    comparedScenarioIds: [],
+    compareMode: false
+  };
 }
 
 /**
- * Subscribe to state changes
- * @param {Function} fn - Callback function
+ * Create a store with its own state and subscribers. Each calculator on a
+ * page has one; only the page's primary calculator writes to the URL.
+ * @param {Object} options
+ * @param {Object} options.initial - Initial state (default: createInitialState())
+ * @param {boolean} options.urlSync - Keep the query string on the last valid scenario
+ * @returns {Object} { state, setState, subscribe }. Subscribers are called
+ *   with (state, updates).
  */
-export function subscribe(fn) {
-  state.listeners.push(fn);
-}
\ No newline at end of file
+export function createStore({ initial = createInitialState(), urlSync = false } = {}) {
+  const state = { ...initial };
+  const listeners = [];
+
+  /**
+   * Update state and notify all subscribers
+   * @param {Object} updates - Partial state updates
+   */
+  function setState(updates) {
+    Object.assign(state, updates);
+
+    // Keep the shareable URL on the last valid scenario: rewrite it when a
+    // calculation succeeds, or when only view settings change
+    const isValid = Object.keys(state.errors).length === 0;
+    if (urlSync && (updates.growthCalculations || (isValid && state.growthCalculations && hasShareableUpdates(updates)))) {
+      syncUrl(state, DEFAULTS);
+    }
+
+    listeners.forEach(fn => fn(state, updates));
+  }
+
+  /**
+   * Subscribe to state changes
+   * @param {Function} fn - Callback function
+   */
+  function subscribe(fn) {
+    listeners.push(fn);
+  }
+
+  return { state, setState, subscribe };
+}
@@ -3,33 +3,90 @@
  * Renders accessible data table for dividend growth projections
  */
 
-import { $, formatNumber, formatPercentage, announceToScreenReader, applyTableRoles } from './utils.js';
+import { $, formatNumber, formatPercentage, announceToScreenReader, applyTableRoles, getPaymentsPerYear } from './utils.js';
+
+/** Row labels for the multi-stage models */
+export const STAGE_LABELS = {
+  high: 'High growth',
+  transition: 'Declining growth',
+  stable: 'Stable growth'
+};
+
+/**
+ * Column wording for annual payments and for more frequent payments, where
+ * each row is one payment and discounting is at r per payment
+ * @param {Array} cashFlows - Cash flows
+ * @returns {Object} { period, dividend, dividendLabel, discount, scheduleNote }
+ */
+function getColumnLabels(cashFlows) {
+  if (getPaymentsPerYear(cashFlows) === 1) {
+    return {
+      period: 'Year',
+      dividend: 'Dividend (Div<sub>𝑡</sub>) (USD)',
+      dividendLabel: 'Dividend (Div𝑡) (USD)',
+      discount: 'Discount factor 1/(1+𝑟)<sup>𝑡</sup>',
+      scheduleNote: ''
+    };
+  }
+  return {
+    period: 'Payment',
+    dividend: 'Dividend payment (USD)',
+    dividendLabel: 'Dividend payment (USD)',
+    discount: 'Discount factor at 𝑟 per payment',
+    scheduleNote: ' Each row is one dividend payment; growth rates are annual rates quoted like the required return.'
+  };
+}
 
 /**
  * Render cash flow table
  * @param {Array} cashFlows - Array of cash flow objects
  * @param {number} growthRate - Growth rate percentage
+ * @param {Object|null} reconciliation - reconcilePrice result; when given the
+ *   table shows discounted values and a terminal value row
+ * @param {Object|null} real - { basis, growthRate, inflationRate } with an
+ *   inflation rate: adds the constant-dollar dividends, and with basis
+ *   'real' the growth column shows real growth
+ * @param {Document|ShadowRoot} root - Calculator to render into
  */
-export function renderTable(cashFlows, growthRate) {
-  const table = $('#cash-flow-table');
+export function renderTable(cashFlows, growthRate, reconciliation = null, real = null, root = document) {
+  const table = $('#cash-flow-table', root);
 
   if (!table) {
     console.error('Table element not found');
     return;
   }
 
+  if (reconciliation) {
+    table.innerHTML = presentValueTableHtml(cashFlows, growthRate, reconciliation);
+    applyTableRoles(table);
+    announceToScreenReader('Table view loaded with discounted dividend projections.');
+    return;
+  }
+
+  // Multi-stage models get a Stage column; the first row of each new stage
+  // carries a divider so the change is visible in both layouts
+  const hasStages = cashFlows.some(cf => cf.stage);
+  const columns = getColumnLabels(cashFlows);
+  const isReal = real !== null && real.basis === 'real';
+  const growthLabel = isReal ? 'Real dividend growth rate (𝑔)' : 'Dividend growth rate (𝑔)';
+  const realNote = real
+    ? ` Constant-dollar dividends are deflated at ${formatPercentage(real.inflationRate)} inflation a year${isReal ? '; growth rates are real' : ''}.`
+    : '';
+
   // Build the HTML string
   let html = `
     <caption class="sr-only">
-      Dividend growth projection schedule showing year, growth rate, dividend payment,
-      investment, and total cash flows.
+      Dividend growth projection schedule showing ${columns.period.toLowerCase()}, ${hasStages ? 'growth stage, ' : ''}growth rate, dividend payment,
+      ${real ? 'dividend in constant dollars, ' : ''}investment, and total cash flows.${columns.scheduleNote}${realNote}
     </caption>
 
     <thead>
       <tr>
-        <th scope="col" class="text-left">Year</th>
-        <th scope="col" class="text-right table-var-5">Dividend growth rate (𝑔)</th>
-        <th scope="col" class="text-right table-var-2">Dividend (Div<sub>𝑡</sub>) (USD)</th>
+        <th scope="col" class="text-left">${columns.period}</th>
+        ${hasStages ? '<th scope="col" class="text-left">Stage</th>' : ''}
+        <th scope="col" class="text-right table-var-5">${growthLabel}</th>
+        <th scope="col" class="text-right table-var-2">${columns.dividend}</th>
+        ${real ? '<th scope="col" class="text-right table-var-2">Dividend in constant dollars (USD)</th>' : ''}
         <th scope="col" class="text-right table-var-6">Initial investment / Market price (PV<sub>𝑡</sub>) (USD)</th>
         <th scope="col" class="text-right">Total Cash Flow (USD)</th>
         <th scope="col" class="text-right">Cumulative (USD)</th>
@@ -41,12 +98,18 @@ export function renderTable(cashFlows, growthRate) {
   // data-label mirrors the column header: it becomes the visible label when the
   // shared base reflows each row into a card below 768px. cell-value keeps the
   // value as a single element so it stays on the right of that label.
-  cashFlows.forEach((cf) => {
+  cashFlows.forEach((cf, index) => {
+    const rowGrowth = isReal
+      ? (cf.year === 0 ? real.growthRate : cf.realGrowthRate)
+      : (cf.year === 0 || cf.growthRate === undefined ? growthRate : cf.growthRate);
+    const stageStart = hasStages && index > 1 && cf.stage !== cashFlows[index - 1].stage;
     html += `
-      <tr>
-        <th scope="row" class="text-left" data-label="Year">${cf.year}</th>
-        <td class="text-right" data-label="Dividend growth rate (𝑔)"><span class="cell-value table-var-5">${formatPercentage(growthRate)}</span></td>
-        <td class="text-right" data-label="Dividend (Div𝑡) (USD)"><span class="cell-value table-var-2">${formatNumber(cf.dividend)}</span></td>
+      <tr${stageStart ? ' class="table-section-start"' : ''}>
+        <th scope="row" class="text-left" data-label="${columns.period}">${cf.label}</th>
+        ${hasStages ? `<td class="text-left" data-label="Stage"><span class="cell-value">${STAGE_LABELS[cf.stage] || '—'}</span></td>` : ''}
+        <td class="text-right" data-label="${growthLabel}"><span class="cell-value table-var-5">${formatPercentage(rowGrowth)}</span></td>
+        <td class="text-right" data-label="${columns.dividendLabel}"><span class="cell-value table-var-2">${formatNumber(cf.dividend)}</span></td>
+        ${real ? `<td class="text-right" data-label="Dividend in constant dollars (USD)"><span class="cell-value table-var-2">${formatNumber(cf.realDividend)}</span></td>` : ''}
         <td class="text-right" data-label="Initial investment / Market price (PV𝑡) (USD)"><span class="cell-value table-var-6">${formatNumber(cf.investment)}</span></td>
         <td class="text-right" data-label="Total Cash Flow (USD)"><span class="cell-value"><strong>${formatNumber(cf.totalCashFlow)}</strong></span></td>
         <td class="text-right" data-label="Cumulative (USD)"><span class="cell-value"><strong>${formatNumber(cf.cumulativeCashFlow)}</strong></span></td>
@@ -63,4 +126,79 @@ export function renderTable(cashFlows, growthRate) {
 
   // Announce to screen-reader users
   announceToScreenReader('Table view loaded with dividend projections.');
-}
\ No newline at end of file
+}
+
+/**
+ * Present-value layout: each dividend discounted at r, the cumulative PV
+ * from −PV_t, and a final row for the terminal value at the horizon
+ * @param {Array} cashFlows - Cash flows with PV fields
+ * @param {number} growthRate - Growth rate percentage
+ * @param {Object} reconciliation - reconcilePrice result
+ * @returns {string} Table HTML
+ */
+function presentValueTableHtml(cashFlows, growthRate, reconciliation) {
+  const hasStages = cashFlows.some(cf => cf.stage);
+  const columns = getColumnLabels(cashFlows);
+  const last = cashFlows[cashFlows.length - 1];
+  // Exact models land on zero; show 0.00 rather than a signed rounding residue
+  const { difference } = reconciliation;
+  const landing = Math.abs(difference) < 0.005 ? 0 : difference;
+
+  let html = `
+    <caption class="sr-only">
+      Discounted dividend schedule showing ${columns.period.toLowerCase()}, ${hasStages ? 'growth stage, ' : ''}growth rate, dividend, discount factor,
+      present value of each dividend, investment and cumulative present value. The last row adds the present value of
+      the terminal value at year ${reconciliation.horizon}; the final cumulative present value is the difference
+      between the discounted dividends and the market price.${columns.scheduleNote}
+    </caption>
+
+    <thead>
+      <tr>
+        <th scope="col" class="text-left">${columns.period}</th>
+        ${hasStages ? '<th scope="col" class="text-left">Stage</th>' : ''}
+        <th scope="col" class="text-right table-var-5">Dividend growth rate (𝑔)</th>
+        <th scope="col" class="text-right table-var-2">${columns.dividend}</th>
+        <th scope="col" class="text-right table-var-3">${columns.discount}</th>
+        <th scope="col" class="text-right table-var-2">Present value of dividend (USD)</th>
+        <th scope="col" class="text-right table-var-6">Initial investment / Market price (PV<sub>𝑡</sub>) (USD)</th>
+        <th scope="col" class="text-right">Cumulative present value (USD)</th>
+      </tr>
+    </thead>
+
+    <tbody>`;
+
+  cashFlows.forEach((cf, index) => {
+    const rowGrowth = cf.year === 0 || cf.growthRate === undefined ? growthRate : cf.growthRate;
+    const stageStart = hasStages && index > 1 && cf.stage !== cashFlows[index - 1].stage;
+    html += `
+      <tr${stageStart ? ' class="table-section-start"' : ''}>
+        <th scope="row" class="text-left" data-label="${columns.period}">${cf.label}</th>
+        ${hasStages ? `<td class="text-left" data-label="Stage"><span class="cell-value">${STAGE_LABELS[cf.stage] || '—'}</span></td>` : ''}
+        <td class="text-right" data-label="Dividend growth rate (𝑔)"><span class="cell-value table-var-5">${formatPercentage(rowGrowth)}</span></td>
+        <td class="text-right" data-label="${columns.dividendLabel}"><span class="cell-value table-var-2">${formatNumber(cf.dividend)}</span></td>
+        <td class="text-right" data-label="Discount factor"><span class="cell-value table-var-3">${cf.discountFactor.toFixed(4)}</span></td>
+        <td class="text-right" data-label="Present value of dividend (USD)"><span class="cell-value table-var-2">${formatNumber(cf.pvDividend)}</span></td>
+        <td class="text-right" data-label="Initial investment / Market price (PV𝑡) (USD)"><span class="cell-value table-var-6">${formatNumber(cf.investment)}</span></td>
+        <td class="text-right" data-label="Cumulative present value (USD)"><span class="cell-value"><strong>${formatNumber(cf.cumulativePV)}</strong></span></td>
+      </tr>`;
+  });
+
+  html += `
+    </tbody>
+
+    <tfoot>
+      <tr class="table-section-start">
+        <th scope="row" class="text-left" data-label="${columns.period}">Terminal value, year ${reconciliation.horizon}</th>
+        ${hasStages ? `<td class="text-left" data-label="Stage"><span class="cell-value">${STAGE_LABELS.stable}</span></td>` : ''}
+        <td class="text-right" data-label="Dividend growth rate (𝑔)"><span class="cell-value table-var-5">${formatPercentage(growthRate)}</span></td>
+        <td class="text-right" data-label="Terminal value (USD)"><span class="cell-value table-var-2">${formatNumber(reconciliation.terminalValue)}</span></td>
+        <td class="text-right" data-label="Discount factor"><span class="cell-value table-var-3">${last.discountFactor.toFixed(4)}</span></td>
+        <td class="text-right" data-label="Present value of terminal value (USD)"><span class="cell-value table-var-2">${formatNumber(reconciliation.pvTerminalValue)}</span></td>
+        <td class="text-right" data-label="Initial investment / Market price (PV𝑡) (USD)"><span class="cell-value table-var-6">—</span></td>
+        <td class="text-right" data-label="Cumulative present value (USD)"><span class="cell-value"><strong>${formatNumber(landing)}</strong></span></td>
+      </tr>
+    </tfoot>
+  `;
+
+  return html;
+}
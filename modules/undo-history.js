@@ -0,0 +1,222 @@
+/**
+ * Undo History Module
+ * Frozen snapshots of the inputs and view mode for undo and redo, and the
+ * change log of how each step moved implied growth
+ */
+
+import { SCENARIO_FIELDS } from './defaults.js';
+import { formatCurrency, formatPercentage, formatYears } from './utils.js';
+
+/** State fields a snapshot holds: the scenario inputs and the view */
+export const HISTORY_FIELDS = Object.freeze([...SCENARIO_FIELDS, 'viewMode']);
+
+/** Steps kept for undo; older ones are dropped */
+const MAX_HISTORY_STEPS = 100;
+
+/** Changes listed in the change log */
+export const CHANGE_LOG_LENGTH = 8;
+
+const percent = (v) => formatPercentage(v);
+
+/** Change log wording for each field: label, and format or value names */
+const FIELD_DESCRIPTIONS = {
+  marketPrice: { label: 'Market price', format: formatCurrency },
+  currentDividend: { label: 'Dividend', format: formatCurrency },
+  requiredReturn: { label: 'Required return', format: percent },
+  returnSource: { label: 'Required return source', names: { input: 'entered', capm: 'CAPM' } },
+  riskFreeRate: { label: 'Risk-free rate', format: percent },
+  beta: { label: 'Beta', format: (v) => v.toFixed(2) },
+  equityRiskPremium: { label: 'Equity risk premium', format: percent },
+  specificRiskPremium: { label: 'Size or specific-risk premium', format: percent },
+  growthRate: { label: 'Growth rate', format: percent },
+  solveFor: { label: 'Solve for', names: { growth: 'growth rate', return: 'required return', price: 'market price' } },
+  model: { label: 'Model', names: { gordon: 'constant growth', twoStage: 'two-stage', hModel: 'H-model' } },
+  highGrowthRate: { label: 'High growth rate', format: percent },
+  highGrowthYears: { label: 'High-growth period', format: formatYears },
+  horizonYears: { label: 'Projection horizon', format: formatYears },
+  paymentFrequency: { label: 'Dividends paid', names: { annual: 'annually', semiannual: 'semiannually', quarterly: 'quarterly' } },
+  returnCompounding: { label: 'Required return quoted as', names: { effective: 'effective rate', nominal: 'nominal rate' } },
+  dividendTiming: { label: 'Dividend entered', names: { trailing: 'current', forward: 'next' } },
+  earningsPerShare: { label: 'Next-year EPS', format: formatCurrency },
+  returnOnEquity: { label: 'Return on equity', format: percent },
+  payoutRatio: { label: 'Payout ratio', format: percent },
+  inflationRate: { label: 'Expected inflation', format: percent },
+  viewMode: { label: 'View', names: { chart: 'chart', table: 'table', heatmap: 'heatmap', simulation: 'simulation' } }
+};
+
+/**
+ * Copy the history fields out of state
+ * @param {Object} source - Application state
+ * @returns {Object} Frozen snapshot
+ */
+export function takeSnapshot(source) {
+  return Object.freeze(Object.fromEntries(HISTORY_FIELDS.map(field => [field, source[field] ?? null])));
+}
+
+/**
+ * Compare two snapshots field by field
+ * @param {Object} a - Snapshot
+ * @param {Object} b - Snapshot
+ * @returns {boolean} True when every field matches
+ */
+function isSameSnapshot(a, b) {
+  return HISTORY_FIELDS.every(field => Object.is(a[field], b[field]));
+}
+
+/**
+ * One step of the history
+ * @param {Object} snapshot - takeSnapshot result
+ * @param {number|null} impliedGrowth - Implied g at this step, or null when
+ *   the inputs did not give a result
+ * @returns {Object} Frozen { snapshot, impliedGrowth }
+ */
+function createEntry(snapshot, impliedGrowth) {
+  return Object.freeze({ snapshot, impliedGrowth });
+}
+
+/**
+ * Start a history at the current inputs
+ * @param {Object} snapshot - takeSnapshot result
+ * @param {number|null} impliedGrowth - Implied g
+ * @returns {Object} Frozen { past, present, future }
+ */
+export function createHistory(snapshot, impliedGrowth) {
+  return Object.freeze({
+    past: Object.freeze([]),
+    present: createEntry(snapshot, impliedGrowth),
+    future: Object.freeze([])
+  });
+}
+
+/**
+ * Record the state as the latest step. An unchanged snapshot only updates
+ * the implied g of the present step (the result arrives after the inputs);
+ * a changed one becomes a new step and clears the redo steps.
+ * @param {Object} history - createHistory result
+ * @param {Object} snapshot - takeSnapshot result
+ * @param {number|null} impliedGrowth - Implied g
+ * @returns {Object} History, the same object when nothing changed
+ */
+export function recordSnapshot(history, snapshot, impliedGrowth) {
+  const { past, present } = history;
+
+  if (isSameSnapshot(present.snapshot, snapshot)) {
+    if (Object.is(present.impliedGrowth, impliedGrowth)) return history;
+    return Object.freeze({ ...history, present: createEntry(present.snapshot, impliedGrowth) });
+  }
+
+  return Object.freeze({
+    past: Object.freeze([...past, present].slice(-MAX_HISTORY_STEPS)),
+    present: createEntry(snapshot, impliedGrowth),
+    future: Object.freeze([])
+  });
+}
+
+/**
+ * Change fields of the present step in place, for a change the user did not
+ * make (e.g. the table view forced on a narrow screen): it is neither a step
+ * of its own nor undone by the next undo
+ * @param {Object} history - History
+ * @param {Object} fields - Snapshot fields and their new values
+ * @returns {Object} History with the present step changed
+ */
+export function amendPresent(history, fields) {
+  const { present } = history;
+  const snapshot = Object.freeze({ ...present.snapshot, ...fields });
+  return Object.freeze({ ...history, present: createEntry(snapshot, present.impliedGrowth) });
+}
+
+/**
+ * Step back
+ * @param {Object} history - History
+ * @returns {Object} History with the previous step as present, or the same
+ *   history when there is nothing to undo
+ */
+export function undo(history) {
+  const { past, present, future } = history;
+  if (past.length === 0) return history;
+  return Object.freeze({
+    past: Object.freeze(past.slice(0, -1)),
+    present: past[past.length - 1],
+    future: Object.freeze([present, ...future])
+  });
+}
+
+/**
+ * Step forward again
+ * @param {Object} history - History
+ * @returns {Object} History with the next step as present, or the same
+ *   history when there is nothing to redo
+ */
+export function redo(history) {
+  const { past, present, future } = history;
+  if (future.length === 0) return history;
+  return Object.freeze({
+    past: Object.freeze([...past, present]),
+    present: future[0],
+    future: Object.freeze(future.slice(1))
+  });
+}
+
+/**
+ * Format a field value for the change log
+ * @param {string} field - State field
+ * @param {*} value - Value
+ * @returns {string} Text
+ */
+function describeValue(field, value) {
+  if (value === null || value === undefined || Number.isNaN(value)) return 'blank';
+  const { format, names } = FIELD_DESCRIPTIONS[field] || {};
+  if (names) return names[value] || String(value);
+  return format ? format(value) : String(value);
+}
+
+/**
+ * Describe what changed between two snapshots
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @returns {string} e.g. "Market price USD100.00 → USD110.00"
+ */
+export function describeChange(before, after) {
+  return HISTORY_FIELDS
+    .filter(field => !Object.is(before[field], after[field]))
+    .map(field => {
+      const { label } = FIELD_DESCRIPTIONS[field] || { label: field };
+      return `${label} ${describeValue(field, before[field])} → ${describeValue(field, after[field])}`;
+    })
+    .join('; ');
+}
+
+/**
+ * The latest changes up to the present step, oldest first
+ * @param {Object} history - History
+ * @param {number} limit - Changes to list
+ * @returns {Array<Object>} { description, growthBefore, growthAfter }
+ */
+export function buildChangeLog(history, limit = CHANGE_LOG_LENGTH) {
+  const steps = [...history.past, history.present];
+  const changes = [];
+  for (let i = Math.max(1, steps.length - limit); i < steps.length; i++) {
+    changes.push({
+      description: describeChange(steps[i - 1].snapshot, steps[i].snapshot),
+      growthBefore: steps[i - 1].impliedGrowth,
+      growthAfter: steps[i].impliedGrowth
+    });
+  }
+  return changes;
+}
+
+/**
+ * Describe how a change moved implied g
+ * @param {Object} change - buildChangeLog entry
+ * @returns {string} e.g. "𝑔 1.90% → 2.82% (+0.92 pp)"
+ */
+export function describeGrowthMove({ growthBefore, growthAfter }) {
+  const show = (value) => (value === null ? 'no result' : formatPercentage(value));
+  if (growthBefore === null || growthAfter === null) {
+    return `𝑔 ${show(growthBefore)} → ${show(growthAfter)}`;
+  }
+  const move = growthAfter - growthBefore;
+  if (Math.abs(move) < 0.005) return `𝑔 unchanged at ${formatPercentage(growthAfter)}`;
+  return `𝑔 ${show(growthBefore)} → ${show(growthAfter)} (${move > 0 ? '+' : '−'}${Math.abs(move).toFixed(2)} pp)`;
+}
@@ -0,0 +1,224 @@
+/**
+ * URL State Module
+ * Keeps inputs and view settings in the query string so a scenario can be shared
+ */
+
+import { validateAllInputs, validateField } from './validation.js';
+
+/**
+ * Query parameter for each shareable state field
+ */
+export const URL_PARAMS = {
+  marketPrice: { param: 'price', type: 'number' },
+  currentDividend: { param: 'dividend', type: 'number' },
+  requiredReturn: { param: 'return', type: 'number' },
+  returnSource: { param: 'rsource', values: ['input', 'capm'] },
+  riskFreeRate: { param: 'rf', type: 'number' },
+  beta: { param: 'beta', type: 'number' },
+  equityRiskPremium: { param: 'erp', type: 'number' },
+  specificRiskPremium: { param: 'srp', type: 'number' },
+  growthRate: { param: 'growth', type: 'number' },
+  highGrowthRate: { param: 'gs', type: 'number' },
+  highGrowthYears: { param: 'n', type: 'number' },
+  horizonYears: { param: 'years', type: 'number' },
+  earningsPerShare: { param: 'eps', type: 'number' },
+  returnOnEquity: { param: 'roe', type: 'number' },
+  payoutRatio: { param: 'payout', type: 'number' },
+  inflationRate: { param: 'infl', type: 'number' },
+  solveFor: { param: 'solve', values: ['growth', 'return', 'price'] },
+  model: { param: 'model', values: ['gordon', 'twoStage', 'hModel'] },
+  paymentFrequency: { param: 'freq', values: ['annual', 'semiannual', 'quarterly'] },
+  returnCompounding: { param: 'comp', values: ['effective', 'nominal'] },
+  dividendTiming: { param: 'timing', values: ['trailing', 'forward'] },
+  simulationReturnDist: { param: 'simr', values: ['normal', 'uniform', 'triangular'] },
+  simulationReturnSpread: { param: 'simrs', type: 'number' },
+  simulationDividendDist: { param: 'simd', values: ['normal', 'uniform', 'triangular'] },
+  simulationDividendSpread: { param: 'simds', type: 'number' },
+  simulationDraws: { param: 'draws', type: 'number' },
+  simulationSeed: { param: 'seed', type: 'number' },
+  viewMode: { param: 'view', values: ['chart', 'table', 'heatmap', 'simulation'] },
+  valueBasis: { param: 'basis', values: ['nominal', 'present'] },
+  priceBar: { param: 'pricebar', values: ['total', 'pvgo'] },
+  rateBasis: { param: 'real', values: ['nominal', 'real'] }
+};
+
+/**
+ * Serialize shareable state as a query string. Fields at their default
+ * value are omitted so the default scenario keeps a clean URL.
+ * @param {Object} state - Current state
+ * @param {Object} defaults - Default values
+ * @returns {string} Query string without the leading '?'
+ */
+export function serializeState(state, defaults) {
+  const params = new URLSearchParams();
+
+  Object.entries(URL_PARAMS).forEach(([field, { param, type }]) => {
+    const value = state[field];
+    if (value === defaults[field]) return;
+    // Half-typed or invalid numbers are left out rather than shared
+    if (type === 'number' && !Number.isFinite(value)) return;
+    params.set(param, String(value));
+  });
+
+  return params.toString();
+}
+
+/**
+ * Parse shareable state from a query string or hash
+ * @param {string} search - Query string or hash (leading '?' or '#' allowed)
+ * @returns {{values: Object, invalid: Array<string>}} Parsed values, and the
+ *   fields whose parameter was present but unusable
+ */
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search.replace(/^[?#]/, ''));
+  const values = {};
+  const invalid = [];
+
+  Object.entries(URL_PARAMS).forEach(([field, { param, type, values: allowed }]) => {
+    if (!params.has(param)) return;
+    const raw = params.get(param);
+
+    if (type === 'number') {
+      const value = Number(raw);
+      if (raw.trim() !== '' && Number.isFinite(value)) {
+        values[field] = value;
+      } else {
+        invalid.push(field);
+      }
+    } else if (allowed.includes(raw)) {
+      values[field] = raw;
+    } else {
+      invalid.push(field);
+    }
+  });
+
+  return { values, invalid };
+}
+
+/**
+ * Check state values given as JSON (e.g. posted by a host page) against
+ * the shareable fields: a finite number (or null to clear an optional
+ * input) for numeric fields, one of the listed choices for the others
+ * @param {Object} source - Values by state field
+ * @param {Array<string>} fields - Fields accepted (default: every
+ *   shareable field)
+ * @returns {{values: Object, invalid: Array<string>}} Accepted values, and
+ *   the fields that are unknown or of the wrong type
+ */
+export function parseStateValues(source, fields = Object.keys(URL_PARAMS)) {
+  const values = {};
+  const invalid = [];
+
+  Object.entries(source || {}).forEach(([field, value]) => {
+    const rule = fields.includes(field) ? URL_PARAMS[field] : null;
+    const isValid = rule && (rule.type === 'number'
+      ? value === null || Number.isFinite(value)
+      : rule.values.includes(value));
+    if (isValid) {
+      values[field] = value;
+    } else {
+      invalid.push(field);
+    }
+  });
+
+  return { values, invalid };
+}
+
+/**
+ * Read the scenario from the page URL and validate it (see
+ * validateRestoredState)
+ * @param {Object} defaults - Default values
+ * @returns {{updates: Object, notice: string|null}} State updates and a
+ *   user-facing notice when anything was reset
+ */
+export function readUrlState(defaults) {
+  const { search, hash } = window.location;
+  // The query string wins; the hash is a fallback for hosts that strip queries
+  const source = search.length > 1 ? search : hash;
+  const { values, invalid } = parseUrlState(source);
+
+  return validateRestoredState(values, invalid, defaults, 'shared link');
+}
+
+/**
+ * Validate parsed state. Fields that fail their own rule fall back to the
+ * default; if the remaining values still do not form a valid scenario,
+ * every input falls back to the defaults.
+ * @param {Object} values - parseUrlState values
+ * @param {Array<string>} invalid - parseUrlState invalid fields
+ * @param {Object} defaults - Default values
+ * @param {string} sourceName - Where the values came from, for the notice
+ *   (e.g. 'shared link')
+ * @returns {{updates: Object, notice: string|null}} State updates and a
+ *   user-facing notice when anything was reset
+ */
+export function validateRestoredState(values, invalid, defaults, sourceName) {
+  if (Object.keys(values).length === 0 && invalid.length === 0) {
+    return { updates: {}, notice: null };
+  }
+
+  const accepted = { ...values };
+  const reset = new Set(invalid);
+  Object.keys(accepted).forEach(field => {
+    if (validateField(field, accepted[field])) {
+      reset.add(field);
+      delete accepted[field];
+    }
+  });
+
+  const errors = validateAllInputs({ ...defaults, ...accepted });
+  const scenarioError = errors.financial || errors.horizon;
+  if (scenarioError) {
+    return {
+      updates: {
+        viewMode: accepted.viewMode || defaults.viewMode,
+        valueBasis: accepted.valueBasis || defaults.valueBasis,
+        priceBar: accepted.priceBar || defaults.priceBar,
+        rateBasis: accepted.rateBasis || defaults.rateBasis
+      },
+      notice: `The ${sourceName} does not describe a valid scenario (${scenarioError.replace(/^Invalid inputs: /, '')}), so the default values are shown.`
+    };
+  }
+
+  const notice = reset.size > 0
+    ? `Some values in the ${sourceName} were invalid and have been reset to their defaults: ${[...reset].map(field => URL_PARAMS[field].param).join(', ')}.`
+    : null;
+
+  return { updates: accepted, notice };
+}
+
+/**
+ * Write the shareable state into the query string without adding a
+ * history entry. Query parameters owned by the host page are kept. A hash
+ * that carried state is cleared once adopted; any other hash (e.g. an
+ * in-page anchor) is kept.
+ * @param {Object} state - Current state
+ * @param {Object} defaults - Default values
+ */
+export function syncUrl(state, defaults) {
+  if (typeof window === 'undefined' || !window.history) return;
+
+  const { pathname, search, hash } = window.location;
+  const params = new URLSearchParams(search);
+  Object.values(URL_PARAMS).forEach(({ param }) => params.delete(param));
+  new URLSearchParams(serializeState(state, defaults)).forEach((value, param) => {
+    params.set(param, value);
+  });
+  const query = params.toString();
+  const hashParams = new URLSearchParams(hash.replace(/^#/, ''));
+  const hashHasState = Object.values(URL_PARAMS).some(({ param }) => hashParams.has(param));
+  const next = `${pathname}${query ? `?${query}` : ''}${hashHasState ? '' : hash}`;
+
+  if (next !== `${pathname}${search}${hash}`) {
+    window.history.replaceState(window.history.state, '', next);
+  }
+}
+
+/**
+ * Check whether a state update touches a shareable field
+ * @param {Object} updates - Partial state updates
+ * @returns {boolean} True if the URL may need rewriting
+ */
+export function hasShareableUpdates(updates) {
+  return Object.keys(updates).some(field => field in URL_PARAMS);
+}
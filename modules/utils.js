@@ -6,20 +6,24 @@
 /**
  * Query selector shorthand
  * @param {string} selector - CSS selector
+ * @param {Document|ShadowRoot} root - Tree to search (a calculator's
+ *   shadow root, or the page)
  * @returns {Element|null} DOM element
  */
-export const $ = (selector) => document.querySelector(selector);
+export const $ = (selector, root = document) => root.querySelector(selector);
 
 /**
  * Add event listener helper
  * @param {Element|string} element - DOM element or selector
  * @param {string} event - Event name
  * @param {Function} handler - Event handler
+ * @param {Object} options - addEventListener options (e.g. { signal } to
+ *   remove the listener with its calculator)
  */
-export function listen(element, event, handler) {
+export function listen(element, event, handler, options = {}) {
   const el = typeof element === 'string' ? $(element) : element;
   if (el) {
-    el.addEventListener(event, handler);
+    el.addEventListener(event, handler, options);
   }
 }
 
@@ -106,6 +110,104 @@ export function formatPercentage(value, decimals = 2) {
   return `${value.toFixed(decimals)}%`;
 }
 
+/**
+ * Format a number of years
+ * @param {number} years - Whole years
+ * @returns {string} e.g. '1 year', '10 years'
+ */
+export function formatYears(years) {
+  return `${years} ${years === 1 ? 'year' : 'years'}`;
+}
+
+/**
+ * Dividend payments a year in a projection, read from the time of the
+ * first payment (a quarter of a year for quarterly dividends)
+ * @param {Array} cashFlows - generateCashFlows result
+ * @returns {number} 1, 2 or 4
+ */
+export function getPaymentsPerYear(cashFlows) {
+  return cashFlows.length > 1 ? Math.round(1 / cashFlows[1].year) : 1;
+}
+
+/** Wording for each payment frequency */
+const FREQUENCY_NAMES = {
+  annual: 'Annual',
+  semiannual: 'Semiannual',
+  quarterly: 'Quarterly'
+};
+
+/**
+ * Describe a payment convention in words
+ * @param {Object} convention - { frequency, perYear, compounding, timing }
+ *   (see getPaymentConvention)
+ * @returns {string} e.g. 'Quarterly payments; 𝑟 is a nominal annual rate; next dividend (Div𝑡+1) entered'
+ */
+export function describePaymentConvention({ frequency, perYear, compounding, timing }) {
+  return [
+    `${FREQUENCY_NAMES[frequency] || FREQUENCY_NAMES.annual} payments`,
+    ...(perYear > 1 ? [`𝑟 is ${compounding === 'nominal' ? 'a nominal' : 'an effective'} annual rate`] : []),
+    timing === 'forward' ? 'next dividend (Div𝑡+1) entered' : 'current dividend (Div𝑡) entered'
+  ].join('; ');
+}
+
+/**
+ * Tabs win (spreadsheet paste), then semicolons when there are no commas
+ * (European CSV), then commas
+ * @param {string} line - First line
+ * @returns {string} Delimiter
+ */
+export function detectCsvDelimiter(line) {
+  if (line.includes('\t')) return '\t';
+  if (line.includes(';') && !line.includes(',')) return ';';
+  return ',';
+}
+
+/**
+ * Split one line into cells, honouring double-quoted fields
+ * @param {string} line - Line of text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<string>} Cells
+ */
+export function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current);
+  return cells;
+}
+
+/**
+ * Read a number as typed in a spreadsheet: currency prefixes, percent signs
+ * and spaces are ignored
+ * @param {string} text - Cell text
+ * @returns {number} Value, or NaN when blank or not a number
+ */
+export function parseSpreadsheetNumber(text) {
+  const cleaned = String(text).replace(/^(USD|\$)/i, '').replace(/[%\s]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
 /**
  * Create DOM element with attributes and content
  * @param {string} tag - HTML tag name
@@ -156,9 +258,10 @@ export function focusElement(element, delay = 0) {
 /**
  * Announce message to screen readers
  * @param {string} message - Message to announce
+ * @param {Document|ShadowRoot} root - Calculator whose live region speaks
  */
-export function announceToScreenReader(message) {
-  const announcement = $('#view-announcement');
+export function announceToScreenReader(message, root = document) {
+  const announcement = $('#view-announcement', root);
   if (announcement) {
     announcement.textContent = message;
     setTimeout(() => {
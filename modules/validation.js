@@ -3,7 +3,9 @@
  * Input validation and error handling
  */
 
-import { $ } from './utils.js';
+import { $, formatYears } from './utils.js';
+import { solveImpliedGrowth, solveImpliedReturn, calculateCapmReturn, usesCapm, toPeriodicParams } from './calculations.js';
+import { describeSolverResult } from './solver.js';
 
 /**
  * Validation rules for each field
@@ -29,9 +31,177 @@ const VALIDATION_RULES = {
     required: true,
     label: 'Required return',
     unit: '%'
+  },
+  growthRate: {
+    min: 0,
+    max: 24.9,
+    required: true,
+    label: 'Growth rate',
+    unit: '%'
+  },
+  highGrowthRate: {
+    min: 0,
+    max: 30,
+    required: true,
+    label: 'High growth rate',
+    unit: '%'
+  },
+  highGrowthYears: {
+    // Must also end inside the projection horizon (see validateAllInputs)
+    min: 1,
+    max: 99,
+    integer: true,
+    required: true,
+    label: 'High-growth period',
+    format: formatYears
+  },
+  horizonYears: {
+    min: 1,
+    max: 100,
+    integer: true,
+    required: true,
+    label: 'Projection horizon',
+    format: formatYears
+  },
+  earningsPerShare: {
+    // Optional: left blank, the PVGO breakdown uses Div_{t+1} instead
+    min: 0.01,
+    max: 100,
+    required: false,
+    label: 'Next-year earnings per share',
+    prefix: 'USD '
+  },
+  returnOnEquity: {
+    // Optional, with payoutRatio or earningsPerShare: sustainable growth b × ROE
+    min: 0,
+    max: 100,
+    required: false,
+    label: 'Return on equity',
+    unit: '%'
+  },
+  payoutRatio: {
+    min: 0,
+    max: 100,
+    required: false,
+    label: 'Payout ratio',
+    unit: '%'
+  },
+  inflationRate: {
+    // Optional: real growth and returns through the Fisher relation
+    min: -5,
+    max: 20,
+    required: false,
+    label: 'Inflation',
+    unit: '%'
+  },
+  // CAPM builder components (see CAPM_FIELDS)
+  riskFreeRate: {
+    min: 0,
+    max: 15,
+    required: true,
+    label: 'Risk-free rate',
+    unit: '%'
+  },
+  beta: {
+    min: 0,
+    max: 3,
+    required: true,
+    label: 'Beta'
+  },
+  equityRiskPremium: {
+    min: 0,
+    max: 15,
+    required: true,
+    label: 'Equity risk premium',
+    unit: '%'
+  },
+  specificRiskPremium: {
+    min: 0,
+    max: 10,
+    required: false,
+    label: 'Size or specific-risk premium',
+    unit: '%'
+  },
+  // Monte Carlo settings (see SIMULATION_FIELDS)
+  simulationReturnSpread: {
+    min: 0,
+    max: 10,
+    required: true,
+    label: 'Required return spread',
+    unit: ' pp'
+  },
+  simulationDividendSpread: {
+    min: 0,
+    max: 10,
+    required: true,
+    label: 'Dividend spread',
+    prefix: 'USD '
+  },
+  simulationDraws: {
+    min: 100,
+    max: 100000,
+    integer: true,
+    required: true,
+    label: 'Number of draws'
+  },
+  simulationSeed: {
+    min: 0,
+    max: 2147483647,
+    integer: true,
+    required: true,
+    label: 'Seed'
   }
 };
 
+/**
+ * Settings fields of the Monte Carlo simulation, checked when it is run
+ */
+export const SIMULATION_FIELDS = ['simulationReturnSpread', 'simulationDividendSpread', 'simulationDraws', 'simulationSeed'];
+
+/**
+ * Inputs of the CAPM builder, validated only while it sets r
+ */
+export const CAPM_FIELDS = ['riskFreeRate', 'beta', 'equityRiskPremium', 'specificRiskPremium'];
+
+/**
+ * Optional inputs, used in every mode; blank leaves them out of the results
+ */
+const OPTIONAL_FIELDS = ['earningsPerShare', 'returnOnEquity', 'payoutRatio', 'inflationRate'];
+
+/**
+ * Input fields for each solve-for mode (the unknown is never an input)
+ */
+const INPUT_FIELDS = {
+  growth: ['marketPrice', 'currentDividend', 'requiredReturn', 'horizonYears', ...OPTIONAL_FIELDS],
+  return: ['marketPrice', 'currentDividend', 'growthRate', 'horizonYears', ...OPTIONAL_FIELDS],
+  price: ['currentDividend', 'requiredReturn', 'growthRate', 'horizonYears', ...OPTIONAL_FIELDS]
+};
+
+/**
+ * Input fields for the multi-stage models, which always solve for g_L
+ */
+const MULTI_STAGE_FIELDS = ['marketPrice', 'currentDividend', 'requiredReturn', 'highGrowthRate', 'highGrowthYears', 'horizonYears', ...OPTIONAL_FIELDS];
+
+/**
+ * Check whether a model is one of the multi-stage DDMs
+ * @param {string} model - 'gordon', 'twoStage' or 'hModel'
+ * @returns {boolean} True for two-stage and H-model
+ */
+export function isMultiStageModel(model) {
+  return model === 'twoStage' || model === 'hModel';
+}
+
+/**
+ * Get the input fields used by a solve-for mode and model
+ * @param {string} solveFor - 'growth', 'return' or 'price'
+ * @param {string} model - 'gordon', 'twoStage' or 'hModel'
+ * @returns {Array<string>} Field names
+ */
+export function getInputFields(solveFor = 'growth', model = 'gordon') {
+  if (isMultiStageModel(model)) return MULTI_STAGE_FIELDS;
+  return INPUT_FIELDS[solveFor] || INPUT_FIELDS.growth;
+}
+
 /**
  * Validate a single field
  * @param {string} field - Field name
@@ -42,38 +212,78 @@ export function validateField(field, value) {
   const rules = VALIDATION_RULES[field];
   if (!rules) return null;
   
-  if (rules.required && (value === '' || value == null || isNaN(value))) {
+  const isEmpty = value === '' || value == null || isNaN(value);
+  if (rules.required && isEmpty) {
     return `${rules.label} is required`;
   }
   
-  if (rules.min !== undefined && value < rules.min) {
-    const minDisplay = rules.prefix ? `${rules.prefix}${rules.min}` : `${rules.min}${rules.unit || ''}`;
-    const maxDisplay = rules.prefix ? `${rules.prefix}${rules.max}` : `${rules.max}${rules.unit || ''}`;
-    return `${rules.label} must be between ${minDisplay} and ${maxDisplay}`;
+  if (!rules.required && isEmpty) {
+    return null;
   }
   
-  if (rules.max !== undefined && value > rules.max) {
-    const minDisplay = rules.prefix ? `${rules.prefix}${rules.min}` : `${rules.min}${rules.unit || ''}`;
-    const maxDisplay = rules.prefix ? `${rules.prefix}${rules.max}` : `${rules.max}${rules.unit || ''}`;
-    return `${rules.label} must be between ${minDisplay} and ${maxDisplay}`;
+  if ((rules.min !== undefined && value < rules.min) || (rules.max !== undefined && value > rules.max)) {
+    return `${rules.label} must be between ${formatLimit(rules, rules.min)} and ${formatLimit(rules, rules.max)}`;
+  }
+  
+  if (rules.integer && !Number.isInteger(value)) {
+    return `${rules.label} must be a whole number`;
   }
   
   return null;
 }
 
+/**
+ * A rule's limit as shown in its error message
+ * @param {Object} rules - Field rules
+ * @param {number} limit - rules.min or rules.max
+ * @returns {string} e.g. 'USD 0.01', '30%', '1 year'
+ */
+function formatLimit(rules, limit) {
+  if (rules.prefix) return `${rules.prefix}${limit}`;
+  if (rules.format) return rules.format(limit);
+  return `${limit}${rules.unit || ''}`;
+}
+
+/**
+ * Wording of the g < r and g ≥ 0 checks, by the quantity being solved for:
+ * solving for r or PV_t, g is an input rather than a result
+ */
+const FINANCIAL_LOGIC_MESSAGES = {
+  growth: {
+    aboveReturn: 'implied growth rate must be less than required return',
+    negative: 'implied growth rate cannot be negative'
+  },
+  longRun: {
+    aboveReturn: 'implied long-run growth rate must be less than required return',
+    negative: 'implied long-run growth rate cannot be negative'
+  },
+  return: {
+    aboveReturn: 'implied required return must be greater than the growth rate',
+    negative: 'growth rate cannot be negative'
+  },
+  price: {
+    aboveReturn: 'growth rate must be less than required return for the price to be finite',
+    negative: 'growth rate cannot be negative'
+  }
+};
+
 /**
  * Validate financial logic (g < r)
  * @param {number} impliedGrowth - Implied growth rate (decimal)
  * @param {number} requiredReturn - Required return (decimal)
+ * @param {string} solving - What was solved for: 'growth' (default),
+ *   'longRun' (multi-stage g_L), 'return' or 'price'
  * @returns {string|null} Error message or null
  */
-export function validateFinancialLogic(impliedGrowth, requiredReturn) {
+export function validateFinancialLogic(impliedGrowth, requiredReturn, solving = 'growth') {
+  const messages = FINANCIAL_LOGIC_MESSAGES[solving] || FINANCIAL_LOGIC_MESSAGES.growth;
+  
   if (impliedGrowth >= requiredReturn) {
-    return 'Invalid inputs: implied growth rate must be less than required return';
+    return `Invalid inputs: ${messages.aboveReturn}`;
   }
   
   if (impliedGrowth < 0) {
-    return 'Invalid inputs: implied growth rate cannot be negative';
+    return `Invalid inputs: ${messages.negative}`;
   }
   
   return null;
@@ -87,25 +297,70 @@ export function validateFinancialLogic(impliedGrowth, requiredReturn) {
 export function validateAllInputs(inputs) {
   const errors = {};
   
-  // Field validation
-  Object.keys(VALIDATION_RULES).forEach(field => {
+  // CAPM builder: check each component, then validate r as built
+  const isCapm = usesCapm(inputs);
+  if (isCapm) {
+    CAPM_FIELDS.forEach(field => {
+      const error = validateField(field, inputs[field]);
+      if (error) {
+        errors[field] = error;
+      }
+    });
+    if (Object.keys(errors).length > 0) return errors;
+    inputs = { ...inputs, requiredReturn: calculateCapmReturn(inputs).requiredReturn };
+  }
+  
+  // Field validation (only the fields that are inputs in this mode)
+  getInputFields(inputs.solveFor, inputs.model).forEach(field => {
     const error = validateField(field, inputs[field]);
     if (error) {
       errors[field] = error;
     }
   });
   
+  if (isCapm && errors.requiredReturn) {
+    const { min, max } = VALIDATION_RULES.requiredReturn;
+    errors.requiredReturn = `Required return from CAPM (${inputs.requiredReturn.toFixed(2)}%) must be between ${min}% and ${max}%`;
+  }
+  
+  // The stage change must fall inside the projection so the chart and
+  // table show growth settling at g_L
+  if (Object.keys(errors).length === 0 && isMultiStageModel(inputs.model) &&
+      inputs.highGrowthYears >= inputs.horizonYears) {
+    const period = inputs.model === 'hModel' ? 'Growth decline period' : 'High-growth period';
+    errors.horizon = `${period} must be shorter than the ${inputs.horizonYears}-year projection horizon`;
+  }
+  
   // Financial logic validation (only if no field errors)
   if (Object.keys(errors).length === 0) {
-    const r = inputs.requiredReturn / 100;
-    const pvt = inputs.marketPrice;
-    const divt = inputs.currentDividend;
+    const isMultiStage = isMultiStageModel(inputs.model);
+    // Compared per payment period; restating both rates annually keeps the order
+    const periodic = toPeriodicParams(inputs);
+    let r = periodic.requiredReturn / 100;
+    let g = periodic.growthRate / 100;
+    let solver = null;
+    let subject = '';
     
-    // Calculate g = (r*PV_t - Div_t) / (PV_t + Div_t)
-    // This is the algebraically solved form of: g = r - Div_t(1+g)/PV_t
-    const g = (r * pvt - divt) / (pvt + divt);
+    // Back the unknown rate out of the pricing model; PV_t needs no solve
+    if (isMultiStage || inputs.solveFor !== 'return' && inputs.solveFor !== 'price') {
+      subject = isMultiStage ? 'long-run growth rate' : 'implied growth rate';
+      solver = solveImpliedGrowth(periodic);
+      g = solver.root;
+    } else if (inputs.solveFor === 'return') {
+      subject = 'implied required return';
+      solver = solveImpliedReturn(periodic);
+      r = solver.root;
+    }
+    
+    if (solver && !solver.converged) {
+      errors.financial = isMultiStage
+        ? 'Invalid inputs: no long-run growth rate below the required return reproduces the market price'
+        : `Invalid inputs: no ${subject} reproduces the market price`;
+      errors.solver = describeSolverResult(subject, solver);
+      return errors;
+    }
     
-    const logicError = validateFinancialLogic(g, r);
+    const logicError = validateFinancialLogic(g, r, isMultiStage ? 'longRun' : inputs.solveFor || 'growth');
     if (logicError) {
       errors.financial = logicError;
     }
@@ -118,9 +373,10 @@ export function validateAllInputs(inputs) {
  * Update field error display
  * @param {string} fieldId - Field ID
  * @param {string|null} errorMessage - Error message or null
+ * @param {Document|ShadowRoot} root - Calculator the field belongs to
  */
-export function updateFieldError(fieldId, errorMessage) {
-  const input = $(`#${fieldId}`);
+export function updateFieldError(fieldId, errorMessage, root = document) {
+  const input = $(`#${fieldId}`, root);
   if (!input) return;
   
   if (errorMessage) {
@@ -135,10 +391,11 @@ export function updateFieldError(fieldId, errorMessage) {
 /**
  * Update validation summary
  * @param {Object} errors - Error object
+ * @param {Document|ShadowRoot} root - Calculator the summary belongs to
  */
-export function updateValidationSummary(errors) {
-  const summary = $('#validation-summary');
-  const list = $('#validation-list');
+export function updateValidationSummary(errors, root = document) {
+  const summary = $('#validation-summary', root);
+  const list = $('#validation-list', root);
 
   if (!summary || !list) return;
 
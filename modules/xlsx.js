@@ -0,0 +1,257 @@
+/**
+ * XLSX Module
+ * Minimal Office Open XML workbook writer: one sheet of values, formulas and
+ * number formats, packed in an uncompressed ZIP. No dependencies.
+ */
+
+/**
+ * Cell styles available to callers, by name
+ * numFmt 164 matches formatNumber (two decimals, thousands separators,
+ * Unicode minus); 165 matches formatCurrency; 10 is Excel's built-in 0.00%.
+ */
+const STYLES = {
+  general: 0,
+  bold: 1,
+  number: 2,
+  percent: 3,
+  currency: 4
+};
+
+const NUMBER_FORMATS = `<numFmts count="2">
+<numFmt numFmtId="164" formatCode="#,##0.00;&quot;−&quot;#,##0.00"/>
+<numFmt numFmtId="165" formatCode="&quot;USD&quot;#,##0.00;&quot;−USD&quot;#,##0.00"/>
+</numFmts>`;
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+${NUMBER_FORMATS}
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/**
+ * Build an .xlsx file from rows of cells
+ *
+ * Each cell is null (empty), a string, a number, or an object
+ * { value, formula, style } where formula is written without the leading '='
+ * and value is the cached result shown until the spreadsheet recalculates.
+ *
+ * @param {Object} sheet - Sheet definition
+ * @param {string} sheet.name - Sheet name (max 31 characters)
+ * @param {Array<Array>} sheet.rows - Rows of cells, starting at A1
+ * @param {Array<number>} [sheet.columnWidths] - Column widths in characters
+ * @returns {Uint8Array} Workbook bytes
+ */
+export function createWorkbook({ name, rows, columnWidths = [] }) {
+  const files = [
+    ['[Content_Types].xml', CONTENT_TYPES_XML],
+    ['_rels/.rels', ROOT_RELS_XML],
+    ['xl/workbook.xml', workbookXml(name)],
+    ['xl/_rels/workbook.xml.rels', WORKBOOK_RELS_XML],
+    ['xl/styles.xml', STYLES_XML],
+    ['xl/worksheets/sheet1.xml', sheetXml(rows, columnWidths)]
+  ];
+  const encoder = new TextEncoder();
+  return zipStore(files.map(([path, xml]) => ({ path, data: encoder.encode(xml) })));
+}
+
+/**
+ * Convert a zero-based column index to its letter (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letter
+ */
+export function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+// =============================================================================
+// SPREADSHEETML PARTS
+// =============================================================================
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+/**
+ * Workbook part; fullCalcOnLoad makes Excel recompute the cached formula values
+ */
+function workbookXml(name) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(name.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>
+<calcPr calcId="191029" fullCalcOnLoad="1"/>
+</workbook>`;
+}
+
+/**
+ * Worksheet part
+ */
+function sheetXml(rows, columnWidths) {
+  const cols = columnWidths.length > 0
+    ? `<cols>${columnWidths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+
+  const body = rows.map((row, r) => {
+    const cells = row.map((cell, c) => cellXml(cell, `${columnLetter(c)}${r + 1}`)).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+${cols}<sheetData>${body}</sheetData>
+</worksheet>`;
+}
+
+/**
+ * One cell. Strings are written inline so no shared-string table is needed.
+ */
+function cellXml(cell, ref) {
+  if (cell === null || cell === undefined) return '';
+
+  const { value, formula, style = 'general' } = typeof cell === 'object' ? cell : { value: cell };
+  const s = STYLES[style] ? ` s="${STYLES[style]}"` : '';
+  const f = formula ? `<f>${escapeXml(formula)}</f>` : '';
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${s}>${f}<v>${value}</v></c>`;
+  }
+  if (formula) {
+    // Text-valued formula: cached result as a formula string
+    return `<c r="${ref}"${s} t="str">${f}<v>${escapeXml(String(value ?? ''))}</v></c>`;
+  }
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value ?? ''))}</t></is></c>`;
+}
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// =============================================================================
+// ZIP CONTAINER (stored, no compression)
+// =============================================================================
+
+let crcTable = null;
+
+/**
+ * CRC-32 as required by the ZIP format
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into a ZIP archive using the stored method
+ * @param {Array<{path: string, data: Uint8Array}>} files - Archive entries
+ * @returns {Uint8Array} ZIP bytes
+ */
+function zipStore(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ path, data }) => {
+    const name = encoder.encode(path);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);  // Local file header signature
+    local.setUint16(4, 20, true);          // Version needed (2.0)
+    local.setUint16(6, 0x0800, true);      // UTF-8 file names
+    local.setUint16(8, 0, true);           // Stored
+    local.setUint16(10, 0, true);          // Mod time
+    local.setUint16(12, 0x21, true);       // Mod date (1980-01-01)
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // Central directory signature
+    central.setUint16(4, 20, true);         // Version made by
+    central.setUint16(6, 20, true);         // Version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, 0, true);
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);    // Local header offset
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);      // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    output.set(part, position);
+    position += part.length;
+  });
+  return output;
+}